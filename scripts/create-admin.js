@@ -0,0 +1,56 @@
+/**
+ * Create (or reset the password of) an admin user so someone can log in to /api/admin.
+ *
+ * Run from backend directory:
+ *   npm run create-admin -- <email> <password> "<name>" [ADMIN|SUPER_ADMIN]
+ * Ensure .env is set (DATABASE_URL).
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const prisma = require('../src/config/database');
+const { hashPassword, revokeAllSessions } = require('../src/services/authService');
+
+const ROLES = ['ADMIN', 'SUPER_ADMIN'];
+
+async function createAdmin() {
+  const [email, password, name, role = 'SUPER_ADMIN'] = process.argv.slice(2);
+
+  if (!email || !password || !name) {
+    console.error('Usage: npm run create-admin -- <email> <password> "<name>" [ADMIN|SUPER_ADMIN]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (password.length < 8) {
+    console.error('❌ Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+  const passwordHash = await hashPassword(password);
+
+  const existing = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+
+  const user = await prisma.user.upsert({
+    where: { email: normalizedEmail },
+    update: { password: passwordHash, name, role, isActive: true },
+    create: { email: normalizedEmail, password: passwordHash, name, role }
+  });
+
+  if (existing) {
+    await revokeAllSessions(user.id);
+    console.log(`✅ Updated admin ${user.email} (${user.role}); existing sessions revoked.`);
+  } else {
+    console.log(`✅ Created admin ${user.email} (${user.role}).`);
+  }
+  process.exit(0);
+}
+
+createAdmin().catch((err) => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
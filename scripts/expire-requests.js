@@ -0,0 +1,71 @@
+/**
+ * Expire stale requests through the request lifecycle:
+ *  - PENDING_VERIFICATION requests older than REQUEST_PENDING_EXPIRY_HOURS (default 72)
+ *  - APPROVED / PAYMENT_PENDING requests whose payment link has expired
+ *
+ * Run from backend directory: npm run expire-requests
+ * Safe to schedule (cron): requests that moved on in the meantime are skipped.
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const prisma = require('../src/config/database');
+const {
+  REQUEST_STATUS,
+  RequestLifecycleError,
+  transitionStatus
+} = require('../src/services/requestLifecycle');
+
+const PENDING_EXPIRY_HOURS = parseInt(process.env.REQUEST_PENDING_EXPIRY_HOURS || '72', 10);
+
+async function expireRequests() {
+  const now = new Date();
+  const pendingCutoff = new Date(now.getTime() - PENDING_EXPIRY_HOURS * 60 * 60 * 1000);
+
+  const candidates = await prisma.insuranceRequest.findMany({
+    where: {
+      OR: [
+        { status: REQUEST_STATUS.PENDING_VERIFICATION, createdAt: { lt: pendingCutoff } },
+        {
+          status: { in: [REQUEST_STATUS.APPROVED, REQUEST_STATUS.PAYMENT_PENDING] },
+          paymentLinkExpiresAt: { lt: now }
+        }
+      ]
+    },
+    select: { id: true, status: true }
+  });
+
+  if (candidates.length === 0) {
+    console.log('✅ No stale requests found.');
+    process.exit(0);
+    return;
+  }
+
+  console.log(`Found ${candidates.length} stale request(s).\n`);
+
+  let expired = 0;
+  let skipped = 0;
+
+  for (const req of candidates) {
+    const reason = req.status === REQUEST_STATUS.PENDING_VERIFICATION
+      ? `Not verified within ${PENDING_EXPIRY_HOURS} hours`
+      : 'Payment link expired';
+
+    try {
+      await transitionStatus(req.id, REQUEST_STATUS.EXPIRED, { from: req.status, reason });
+      console.log(`  ${req.id.slice(0, 8)}... | ${req.status} → EXPIRED  (${reason})`);
+      expired++;
+    } catch (error) {
+      if (!(error instanceof RequestLifecycleError)) throw error;
+      console.warn(`  ${req.id.slice(0, 8)}... | skipped: ${error.message}`);
+      skipped++;
+    }
+  }
+
+  console.log(`\n✅ Done. Expired: ${expired}, Skipped: ${skipped}`);
+  process.exit(0);
+}
+
+expireRequests().catch((err) => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+/**
+ * One-time script: rewrite vehicleNo of existing requests in canonical form (see
+ * src/services/vehicleNumber.js) so lookups on the vehicleNo index find them, keeping the
+ * original text in vehicleNoRaw. Normalizes from vehicleNoRaw when it is set, so running it again
+ * is safe. Numbers that are not valid registrations are left as they are and listed for manual
+ * correction.
+ *
+ * Run from backend directory: npm run normalize-vehicle-numbers
+ * Pass --dry-run to only report the changes.
+ * Ensure .env is set (DATABASE_URL).
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const prisma = require('../src/config/database');
+const { normalizeVehicleNumber } = require('../src/services/vehicleNumber');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function normalizeVehicleNumbers() {
+  console.log(`🔄 Normalizing vehicle numbers${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  const requests = await prisma.insuranceRequest.findMany({
+    select: {
+      id: true,
+      vehicleNo: true,
+      vehicleNoRaw: true
+    }
+  });
+
+  let updated = 0;
+  let unchanged = 0;
+  const invalid = [];
+
+  for (const req of requests) {
+    // The text as typed keeps the separators that tell the RTO number apart (see vehicleNumber.js)
+    const canonical = normalizeVehicleNumber(req.vehicleNoRaw || req.vehicleNo);
+    if (!canonical) {
+      invalid.push(req);
+      continue;
+    }
+    if (canonical === req.vehicleNo && req.vehicleNoRaw) {
+      unchanged++;
+      continue;
+    }
+
+    if (!DRY_RUN) {
+      await prisma.insuranceRequest.update({
+        where: { id: req.id },
+        data: {
+          vehicleNo: canonical,
+          vehicleNoRaw: req.vehicleNoRaw || req.vehicleNo
+        }
+      });
+    }
+    if (canonical !== req.vehicleNo) {
+      console.log(`  ${req.id.slice(0, 8)}... | "${req.vehicleNo}" → ${canonical}`);
+    }
+    updated++;
+  }
+
+  if (invalid.length > 0) {
+    console.warn(`\n⚠️  ${invalid.length} request(s) with a vehicle number that is not a valid registration:`);
+    invalid.forEach((req) => console.warn(`  ${req.id} | "${req.vehicleNoRaw || req.vehicleNo}"`));
+  }
+
+  console.log(`\n✅ Done. ${DRY_RUN ? 'Would update' : 'Updated'}: ${updated}, Unchanged: ${unchanged}, Invalid: ${invalid.length}`);
+  process.exit(0);
+}
+
+normalizeVehicleNumbers().catch((err) => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -1,28 +1,33 @@
 /**
- * One-time script: Set base premium (0.2% of quantity × rate) for ALL requests
- * regardless of status (pending, approved, rejected).
+ * One-time script: Set base premium for ALL requests regardless of status (pending, approved, rejected),
+ * using the rating engine (src/services/ratingService.js). Each request is rated with the rate table
+ * in force when it was created, and the applied version is saved on it.
  *
  * Run from backend directory: npm run recalculate-premiums
+ * Pass --current to rate every request with today's rate table instead.
  * Ensure .env is set (DATABASE_URL).
  */
 
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
 const prisma = require('../src/config/database');
+const { MAX_PREMIUM, ratePremium, ratingFields } = require('../src/services/ratingService');
 
-const PREMIUM_RATE = 0.002; // 0.2%
-// Decimal(10,2) max value to avoid DB overflow
-const MAX_PREMIUM = 99_999_999.99;
+const USE_CURRENT_RATES = process.argv.includes('--current');
 
 async function recalculatePremiums() {
-  console.log('🔄 Fetching all requests (any status)...\n');
+  console.log(`🔄 Fetching all requests (any status), rating with ${USE_CURRENT_RATES ? 'current rates' : 'rates in force at creation'}...\n`);
 
   const requests = await prisma.insuranceRequest.findMany({
     select: {
       id: true,
+      itemName: true,
       quantity: true,
       rate: true,
+      declaredValue: true,
       premiumAmount: true,
+      rateTableId: true,
       status: true,
+      createdAt: true,
     },
   });
 
@@ -38,27 +43,27 @@ async function recalculatePremiums() {
   let skipped = 0;
 
   for (const req of requests) {
-    const totalValue = Number(req.quantity) * Number(req.rate || 0);
-    let newPremium = totalValue * PREMIUM_RATE;
-    if (newPremium > MAX_PREMIUM) {
-      console.warn(`  ${req.id.slice(0, 8)}... | Premium capped (${newPremium.toFixed(2)} → ${MAX_PREMIUM})`);
-      newPremium = MAX_PREMIUM;
+    const rating = await ratePremium(req, { at: USE_CURRENT_RATES ? new Date() : req.createdAt });
+    const newPremium = rating.premiumAmount;
+    if (newPremium === MAX_PREMIUM) {
+      console.warn(`  ${req.id.slice(0, 8)}... | Premium capped at ${MAX_PREMIUM}`);
     }
     const oldPremium = req.premiumAmount != null ? Number(req.premiumAmount) : null;
 
-    if (oldPremium != null && Math.abs(newPremium - oldPremium) < 0.01) {
+    if (oldPremium != null && Math.abs(newPremium - oldPremium) < 0.01 && req.rateTableId === rating.rateTableId && req.declaredValue != null) {
       skipped++;
       continue;
     }
 
     await prisma.insuranceRequest.update({
       where: { id: req.id },
-      data: { premiumAmount: newPremium },
+      data: ratingFields(rating),
     });
 
     const oldStr = oldPremium != null ? `₹${oldPremium.toFixed(2)}` : '—';
+    const versionStr = rating.rateTableVersion != null ? `rates v${rating.rateTableVersion}` : 'fallback rate';
     console.log(
-      `  ${req.id.slice(0, 8)}... | ${oldStr} → ₹${newPremium.toFixed(2)}  (${req.status})`
+      `  ${req.id.slice(0, 8)}... | ${oldStr} → ₹${newPremium.toFixed(2)}  (${req.status}, ${rating.basis}, ${versionStr})`
     );
     updated++;
   }
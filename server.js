@@ -41,9 +41,12 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 
-// Body parser middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Body parser middleware (raw bytes kept for webhook signature checks)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
@@ -61,15 +64,27 @@ app.get('/api-docs.json', (req, res) => {
 // Import routes
 const insuranceRoutes = require('./src/routes/insurance');
 const adminRoutes = require('./src/routes/admin');
+const paymentRoutes = require('./src/routes/payments');
+const claimRoutes = require('./src/routes/claims');
+const { KANTA_PARCHI_DIR } = require('./src/services/kantaParchiService');
 
 // Use routes
 app.use('/api/insurance', insuranceRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/claims', claimRoutes);
 
 // Serve generated invoice PDFs (e.g. /invoices/INV123.pdf)
 const invoicesDir = path.join(__dirname, 'invoices');
 app.use('/invoices', express.static(invoicesDir));
 
+// Serve generated policy certificates (e.g. /policies/POL123.pdf)
+const policiesDir = path.join(__dirname, 'policies');
+app.use('/policies', express.static(policiesDir));
+
+// Serve uploaded weighment slips (e.g. /uploads/kantaparchi/<requestId>/<file>.jpg)
+app.use('/uploads/kantaparchi', express.static(KANTA_PARCHI_DIR));
+
 /**
  * @swagger
  * /:
@@ -91,13 +106,39 @@ app.get('/', (req, res) => {
       insurance: {
         create: 'POST /api/insurance/request',
         getById: 'GET /api/insurance/request/:id',
+        kantaParchi: 'POST /api/insurance/request/:id/kanta-parchi',
         getByUserId: 'GET /api/insurance/status/:userId'
       },
+      claims: {
+        create: 'POST /api/claims',
+        documents: 'POST /api/claims/:id/documents',
+        getByUserId: 'GET /api/claims/status/:userId'
+      },
+      payments: {
+        webhook: 'POST /api/payments/webhook'
+      },
+      auth: {
+        login: 'POST /api/admin/auth/login',
+        refresh: 'POST /api/admin/auth/refresh',
+        logout: 'POST /api/admin/auth/logout',
+        changePassword: 'POST /api/admin/auth/change-password',
+        me: 'GET /api/admin/auth/me'
+      },
       admin: {
         pending: 'GET /api/admin/pending',
         all: 'GET /api/admin/requests',
         approve: 'POST /api/admin/approve/:id',
-        reject: 'POST /api/admin/reject/:id'
+        reject: 'POST /api/admin/reject/:id',
+        details: 'GET /api/admin/requests/:id',
+        reopen: 'POST /api/admin/reopen/:id',
+        resend: 'POST /api/admin/resend/:id',
+        issuePolicy: 'POST /api/admin/issue-policy/:id',
+        cancelInvoice: 'POST /api/admin/cancel-invoice/:id',
+        kantaParchi: 'PUT /api/admin/requests/:id/kanta-parchi',
+        audit: 'GET /api/admin/audit',
+        users: 'GET|POST /api/admin/users',
+        rateTables: 'GET|POST /api/admin/rate-tables',
+        claims: 'GET /api/admin/claims'
       }
     }
   });
@@ -0,0 +1,51 @@
+// permissions.js
+
+const ROLES = {
+  ADMIN: 'ADMIN',
+  SUPER_ADMIN: 'SUPER_ADMIN'
+};
+
+/**
+ * Permission → roles allowed to use it.
+ * Routes reference permissions, never roles, so access rules live in one place.
+ */
+const PERMISSIONS = {
+  'requests:read': [ROLES.ADMIN, ROLES.SUPER_ADMIN],
+  'requests:approve': [ROLES.ADMIN, ROLES.SUPER_ADMIN],
+  'requests:reject': [ROLES.ADMIN, ROLES.SUPER_ADMIN],
+  'requests:resend': [ROLES.ADMIN, ROLES.SUPER_ADMIN],
+  'requests:edit': [ROLES.ADMIN, ROLES.SUPER_ADMIN], // correct pending requests, attach documents such as the kanta parchi
+  'reports:read': [ROLES.ADMIN, ROLES.SUPER_ADMIN], // dashboard figures
+  'reports:export': [ROLES.ADMIN, ROLES.SUPER_ADMIN], // request spreadsheets, insurer bordereau
+  'policies:issue': [ROLES.ADMIN, ROLES.SUPER_ADMIN],
+  'requests:override': [ROLES.SUPER_ADMIN], // reopen a rejected request
+  'invoices:cancel': [ROLES.SUPER_ADMIN], // credit note + optional re-issue
+  'claims:read': [ROLES.ADMIN, ROLES.SUPER_ADMIN],
+  'claims:review': [ROLES.ADMIN, ROLES.SUPER_ADMIN], // start review, ask for documents, reject, record weights
+  'claims:settle': [ROLES.SUPER_ADMIN], // approve an amount, record the payout
+  'audit:read': [ROLES.SUPER_ADMIN],
+  'pricing:manage': [ROLES.SUPER_ADMIN],
+  'users:manage': [ROLES.SUPER_ADMIN]
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+function hasPermission(role, permission) {
+  const allowedRoles = PERMISSIONS[permission];
+  return Array.isArray(allowedRoles) && allowedRoles.includes(role);
+}
+
+/**
+ * List all permissions granted to a role
+ */
+function getPermissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter((permission) => hasPermission(role, permission));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  getPermissionsForRole
+};
@@ -82,8 +82,8 @@ const options = {
             },
             vehicleNo: {
               type: 'string',
-              description: 'Vehicle registration number',
-              example: 'MH12AB1234'
+              description: 'Indian vehicle registration number, standard (MH 12 AB 1234) or Bharat series (22 BH 1234 AA). Spaces, dashes and case are ignored; it is stored in canonical form (MH12AB1234) with the text as sent kept in vehicleNoRaw. An invalid number is rejected with a message the bot can show the customer.',
+              example: 'MH 12 AB 1234'
             },
             transporterName: {
               type: 'string',
@@ -102,8 +102,13 @@ const options = {
             },
             kantaParchiImage: {
               type: 'string',
-              description: 'URL to kanta parchi image',
-              example: 'https://cloudinary.com/image123.jpg'
+              description: 'HTTPS URL of the kanta parchi image (JPEG or PNG) on an allowed media host (REMOTE_IMAGE_ALLOWED_HOSTS); the image is downloaded and stored with the request',
+              example: 'https://lookaside.fbsbx.com/whatsapp_business/attachments/?mid=123'
+            },
+            loadingWeight: {
+              type: 'number',
+              description: 'Loading weight in kg from the kanta parchi (used for shortage claims)',
+              example: 14000
             },
             consent: {
               type: 'boolean',
@@ -172,6 +177,394 @@ const options = {
             }
           }
         },
+        LoginRequest: {
+          type: 'object',
+          required: ['email', 'password'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'admin@mandiplus.com'
+            },
+            password: {
+              type: 'string',
+              format: 'password',
+              example: 'S3cure-Passw0rd'
+            }
+          }
+        },
+        RefreshTokenRequest: {
+          type: 'object',
+          required: ['refreshToken'],
+          properties: {
+            refreshToken: {
+              type: 'string',
+              description: 'Refresh token returned by login or a previous refresh'
+            }
+          }
+        },
+        ChangePasswordRequest: {
+          type: 'object',
+          required: ['currentPassword', 'newPassword'],
+          properties: {
+            currentPassword: {
+              type: 'string',
+              format: 'password'
+            },
+            newPassword: {
+              type: 'string',
+              format: 'password',
+              description: 'New password (8-128 characters)'
+            }
+          }
+        },
+        CreateUserRequest: {
+          type: 'object',
+          required: ['email', 'name', 'password'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'ops@mandiplus.com'
+            },
+            name: {
+              type: 'string',
+              example: 'Ops Admin'
+            },
+            password: {
+              type: 'string',
+              format: 'password',
+              description: 'Initial password (8-128 characters)'
+            },
+            role: {
+              type: 'string',
+              enum: ['ADMIN', 'SUPER_ADMIN'],
+              default: 'ADMIN'
+            }
+          }
+        },
+        CreateRateTableRequest: {
+          type: 'object',
+          required: ['effectiveFrom', 'defaultRate'],
+          properties: {
+            name: {
+              type: 'string',
+              example: 'Kharif 2026'
+            },
+            effectiveFrom: {
+              type: 'string',
+              format: 'date-time',
+              example: '2026-11-01T00:00:00+05:30'
+            },
+            defaultRate: {
+              type: 'number',
+              description: 'Fraction of declared value',
+              example: 0.002
+            },
+            minimumPremium: {
+              type: 'number',
+              example: 100
+            },
+            notes: {
+              type: 'string'
+            },
+            commodityRates: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['commodity', 'rate'],
+                properties: {
+                  commodity: { type: 'string', example: 'Onion' },
+                  rate: { type: 'number', example: 0.0035 },
+                  minimumPremium: { type: 'number', nullable: true, example: 150 }
+                }
+              }
+            },
+            slabs: {
+              type: 'array',
+              description: 'Non-overlapping declared-value bands [minValue, maxValue); the whole value is rated at the band rate',
+              items: {
+                type: 'object',
+                required: ['minValue', 'rate'],
+                properties: {
+                  minValue: { type: 'number', example: 1000000 },
+                  maxValue: { type: 'number', nullable: true, example: null },
+                  rate: { type: 'number', example: 0.0015 }
+                }
+              }
+            }
+          }
+        },
+        ClaimDocument: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            documentType: {
+              type: 'string',
+              enum: ['PHOTO', 'VIDEO', 'FIR', 'INVOICE', 'DAMAGE_CERTIFICATE', 'LETTER_OF_SUBROGATION', 'INSURANCE_CERTIFICATE', 'PROOF_OF_DELIVERY', 'OTHER'],
+              default: 'OTHER'
+            },
+            url: {
+              type: 'string',
+              example: 'https://example.com/media/fir.jpg'
+            },
+            fileName: {
+              type: 'string',
+              example: 'fir.jpg'
+            }
+          }
+        },
+        CreateClaimRequest: {
+          type: 'object',
+          required: ['userId', 'perilType', 'description'],
+          properties: {
+            userId: {
+              type: 'string',
+              description: 'WhatsApp number that bought the policy',
+              example: '916209415125'
+            },
+            policyNumber: {
+              type: 'string',
+              description: 'Required unless requestId is given',
+              example: 'POL-2026-000123'
+            },
+            requestId: {
+              type: 'string',
+              description: 'Insurance request UUID, instead of policyNumber'
+            },
+            perilType: {
+              type: 'string',
+              enum: ['ACCIDENT', 'THEFT', 'SHORTAGE', 'RIOTS', 'WEATHER', 'FIRE', 'DRIVER_FRAUD'],
+              example: 'ACCIDENT'
+            },
+            description: {
+              type: 'string',
+              minLength: 10,
+              maxLength: 2000,
+              example: 'Truck overturned near Chitradurga, 20 bags damaged'
+            },
+            incidentDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            claimedAmount: {
+              type: 'number',
+              example: 50000
+            },
+            documents: {
+              type: 'array',
+              maxItems: 20,
+              items: {
+                $ref: '#/components/schemas/ClaimDocument'
+              }
+            }
+          }
+        },
+        AuthTokenResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string',
+              example: 'Login successful'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                admin: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    email: { type: 'string' },
+                    name: { type: 'string' },
+                    role: { type: 'string', example: 'ADMIN' }
+                  }
+                },
+                accessToken: {
+                  type: 'string'
+                },
+                refreshToken: {
+                  type: 'string'
+                },
+                tokenType: {
+                  type: 'string',
+                  example: 'Bearer'
+                },
+                expiresIn: {
+                  type: 'string',
+                  example: '15m'
+                }
+              }
+            }
+          }
+        },
+        RequestSearchPage: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            count: {
+              type: 'integer',
+              description: 'Requests on this page',
+              example: 50
+            },
+            total: {
+              type: 'integer',
+              description: 'Requests matching the filters',
+              example: 312
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Pass as cursor for the next page; null on the last page'
+            },
+            data: {
+              type: 'array',
+              items: {
+                type: 'object'
+              }
+            }
+          }
+        },
+        BulkActionReport: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              description: 'true only if every request succeeded',
+              example: false
+            },
+            message: {
+              type: 'string',
+              example: '11 of 12 request(s) approved'
+            },
+            summary: {
+              type: 'object',
+              properties: {
+                requested: { type: 'integer', example: 12 },
+                succeeded: { type: 'integer', example: 11 },
+                failed: { type: 'integer', example: 1 }
+              }
+            },
+            results: {
+              type: 'array',
+              description: 'One entry per distinct request ID, in the order sent',
+              items: {
+                type: 'object',
+                properties: {
+                  requestId: { type: 'string' },
+                  success: { type: 'boolean' },
+                  status: { type: 'string', description: 'New status, on success' },
+                  invoiceNumber: { type: 'string', description: 'Approvals only' },
+                  totalAmount: { type: 'number', description: 'Approvals only' },
+                  paymentLink: { type: 'string', description: 'Approvals only' },
+                  messageSent: { type: 'boolean', description: 'Whether the customer was notified on WhatsApp' },
+                  statusCode: { type: 'integer', description: 'On failure: what the single-request endpoint would return', example: 400 },
+                  message: { type: 'string', description: 'On failure', example: 'Request is already APPROVED' }
+                }
+              }
+            }
+          }
+        },
+        OperationsStats: {
+          type: 'object',
+          properties: {
+            range: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', format: 'date', example: '2026-04-01' },
+                to: { type: 'string', format: 'date', example: '2026-04-30' },
+                timezone: { type: 'string', example: 'Asia/Kolkata' }
+              }
+            },
+            requests: {
+              type: 'object',
+              description: 'Requests created in the range',
+              properties: {
+                total: { type: 'integer', example: 412 },
+                declaredValue: { type: 'number', description: 'Sum of quantity × rate', example: 98500000 },
+                premiumInvoiced: { type: 'number', description: 'Premium of the requests invoiced, before GST', example: 221400 },
+                byStatus: {
+                  type: 'object',
+                  additionalProperties: { type: 'integer' },
+                  example: { PENDING_VERIFICATION: 12, APPROVED: 30, REJECTED: 25, PAID: 80, POLICY_ISSUED: 250 }
+                }
+              }
+            },
+            decisions: {
+              type: 'object',
+              description: 'Of the requests created in the range; a request approved after a reopen counts as approved',
+              properties: {
+                approved: { type: 'integer', example: 360 },
+                rejected: { type: 'integer', example: 25 },
+                approvalRate: { type: 'number', nullable: true, example: 0.9351 },
+                rejectionRate: { type: 'number', nullable: true, example: 0.0649 }
+              }
+            },
+            collections: {
+              type: 'object',
+              description: 'Successful payments made in the range',
+              properties: {
+                payments: { type: 'integer', example: 330 },
+                premiumCollected: { type: 'number', description: 'Before GST', example: 198000 },
+                amountCollected: { type: 'number', description: 'Including GST', example: 233640 }
+              }
+            },
+            turnaround: {
+              type: 'object',
+              properties: {
+                creationToApproval: { $ref: '#/components/schemas/DurationStats' },
+                approvalToPayment: { $ref: '#/components/schemas/DurationStats' }
+              }
+            },
+            top: {
+              type: 'object',
+              properties: {
+                commodities: { type: 'array', items: { $ref: '#/components/schemas/TopEntry' } },
+                suppliers: { type: 'array', items: { $ref: '#/components/schemas/TopEntry' } },
+                transporters: { type: 'array', items: { $ref: '#/components/schemas/TopEntry' } }
+              }
+            },
+            daily: {
+              type: 'array',
+              description: 'One entry per day of the range, including days without activity',
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', format: 'date' },
+                  requests: { type: 'integer' },
+                  declaredValue: { type: 'number' },
+                  approvals: { type: 'integer' },
+                  payments: { type: 'integer' },
+                  premiumCollected: { type: 'number' },
+                  amountCollected: { type: 'number' }
+                }
+              }
+            }
+          }
+        },
+        DurationStats: {
+          type: 'object',
+          properties: {
+            count: { type: 'integer', description: 'Requests measured', example: 360 },
+            averageMinutes: { type: 'number', nullable: true, example: 42.5 },
+            p90Minutes: { type: 'number', nullable: true, example: 118 }
+          }
+        },
+        TopEntry: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'Wheat' },
+            requests: { type: 'integer', example: 120 },
+            declaredValue: { type: 'number', example: 30500000 },
+            premiumAmount: { type: 'number', example: 68000 }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -190,11 +583,186 @@ const options = {
           }
         }
       },
+      parameters: {
+        SearchStatus: {
+          in: 'query',
+          name: 'status',
+          schema: { type: 'string' },
+          description: 'Comma-separated statuses, e.g. APPROVED,PAYMENT_PENDING'
+        },
+        SearchPaymentStatus: {
+          in: 'query',
+          name: 'paymentStatus',
+          schema: { type: 'string' },
+          description: 'Comma-separated payment statuses (PENDING, SUCCESS, FAILED, REVIEW = money received that needs an admin)'
+        },
+        SearchRiskLevel: {
+          in: 'query',
+          name: 'riskLevel',
+          schema: { type: 'string' },
+          description: 'Comma-separated risk levels (LOW, MEDIUM, HIGH)'
+        },
+        SearchUserId: {
+          in: 'query',
+          name: 'userId',
+          schema: { type: 'string' },
+          description: 'Customer phone number'
+        },
+        SearchVehicleNo: {
+          in: 'query',
+          name: 'vehicleNo',
+          schema: { type: 'string' },
+          description: 'Partial vehicle number; spaces and dashes are ignored, e.g. KA01'
+        },
+        SearchSupplierName: {
+          in: 'query',
+          name: 'supplierName',
+          schema: { type: 'string' },
+          description: 'Partial, case-insensitive supplier name'
+        },
+        SearchPartyName: {
+          in: 'query',
+          name: 'partyName',
+          schema: { type: 'string' },
+          description: 'Partial, case-insensitive party name'
+        },
+        SearchTransporterName: {
+          in: 'query',
+          name: 'transporterName',
+          schema: { type: 'string' },
+          description: 'Partial, case-insensitive transporter name'
+        },
+        SearchItemName: {
+          in: 'query',
+          name: 'itemName',
+          schema: { type: 'string' },
+          description: 'Partial, case-insensitive commodity name'
+        },
+        SearchCreatedFrom: {
+          in: 'query',
+          name: 'createdFrom',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Created on or after (ISO 8601 date or date-time; a date starts at midnight in REPORT_TIMEZONE, India by default)'
+        },
+        SearchCreatedTo: {
+          in: 'query',
+          name: 'createdTo',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Created on or before; a date without a time includes the whole day in REPORT_TIMEZONE'
+        },
+        SearchApprovedFrom: {
+          in: 'query',
+          name: 'approvedFrom',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Approved on or after'
+        },
+        SearchApprovedTo: {
+          in: 'query',
+          name: 'approvedTo',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Approved on or before'
+        },
+        SearchPaidFrom: {
+          in: 'query',
+          name: 'paidFrom',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Paid on or after'
+        },
+        SearchPaidTo: {
+          in: 'query',
+          name: 'paidTo',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Paid on or before'
+        },
+        SearchMinPremium: {
+          in: 'query',
+          name: 'minPremium',
+          schema: { type: 'number', minimum: 0 },
+          description: 'Minimum premium (₹)'
+        },
+        SearchMaxPremium: {
+          in: 'query',
+          name: 'maxPremium',
+          schema: { type: 'number', minimum: 0 },
+          description: 'Maximum premium (₹)'
+        },
+        SearchMinValue: {
+          in: 'query',
+          name: 'minValue',
+          schema: { type: 'number', minimum: 0 },
+          description: 'Minimum declared value, quantity × rate (₹)'
+        },
+        SearchMaxValue: {
+          in: 'query',
+          name: 'maxValue',
+          schema: { type: 'number', minimum: 0 },
+          description: 'Maximum declared value (₹)'
+        },
+        SearchMinRiskScore: {
+          in: 'query',
+          name: 'minRiskScore',
+          schema: { type: 'integer', minimum: 0, maximum: 100 },
+          description: 'Minimum risk score'
+        },
+        SearchMaxRiskScore: {
+          in: 'query',
+          name: 'maxRiskScore',
+          schema: { type: 'integer', minimum: 0, maximum: 100 },
+          description: 'Maximum risk score'
+        },
+        SearchSort: {
+          in: 'query',
+          name: 'sort',
+          schema: {
+            type: 'string',
+            enum: ['newest', 'oldest', 'risk', 'createdAt', 'updatedAt', 'timestamp', 'adminTimestamp', 'paymentTimestamp',
+              'policyStartDate', 'quantity', 'rate', 'declaredValue', 'premiumAmount', 'totalAmount', 'riskScore', 'itemName', 'vehicleNo'],
+            default: 'newest'
+          },
+          description: 'Sort field, or newest / oldest / risk (highest score first). Empty values sort last.'
+        },
+        SearchOrder: {
+          in: 'query',
+          name: 'order',
+          schema: { type: 'string', enum: ['asc', 'desc'] },
+          description: 'Sort direction; defaults to desc (or the direction of the shorthand)'
+        },
+        SearchLimit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 200 },
+          description: 'Page size'
+        },
+        SearchCursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'nextCursor from the previous page; the filters and sort must stay the same'
+        },
+        SearchOffset: {
+          in: 'query',
+          name: 'offset',
+          schema: { type: 'integer', minimum: 0 },
+          description: 'Rows to skip; ignored when a cursor is given'
+        }
+      },
       securitySchemes: {
         bearerAuth: {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        webhookSignature: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Webhook-Signature',
+          description: 'Hex HMAC-SHA256 of the raw JSON or form-encoded request body with the webhook secret; not accepted on GET or multipart requests'
+        },
+        webhookToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Webhook-Token',
+          description: 'Shared webhook secret'
         }
       }
     },
@@ -203,10 +771,30 @@ const options = {
         name: 'Insurance',
         description: 'Insurance request management endpoints'
       },
+      {
+        name: 'Admin Auth',
+        description: 'Admin login, token refresh, logout and password change'
+      },
       {
         name: 'Admin',
         description: 'Admin operations for approval/rejection'
       },
+      {
+        name: 'Admin Users',
+        description: 'Admin user management (SUPER_ADMIN only)'
+      },
+      {
+        name: 'Rate Tables',
+        description: 'Premium rating: versioned rate tables and quotes'
+      },
+      {
+        name: 'Claims',
+        description: 'Claims on issued policies: opened from the bot, reviewed and settled by admins'
+      },
+      {
+        name: 'Payments',
+        description: 'Payment gateway callbacks'
+      },
       {
         name: 'Health',
         description: 'API health check endpoints'
@@ -2,42 +2,114 @@
 const prisma = require('../config/database');
 const { validationResult } = require('express-validator');
 const { sendChatraceMessage } = require('../services/chatraceService');
-const { generateInvoicePdf } = require('../services/invoicePdfService');
+const { PolicyIssuanceError, issuePolicy } = require('../services/policyService');
+const {
+  InvoiceError,
+  buildApprovalMessage,
+  issueInvoice,
+  cancelInvoice,
+  attachKantaParchi
+} = require('../services/invoiceService');
+const { KantaParchiError } = require('../services/kantaParchiService');
+const { evaluateShortage } = require('../services/shortageService');
+const { searchRequests } = require('../services/requestSearch');
+const { getOperationsStats } = require('../services/statsService');
+const { RequestEditError, editPendingRequest } = require('../services/requestEditService');
+const {
+  buildRejectionMessage,
+  rejectRequest,
+  approveMany,
+  rejectMany
+} = require('../services/reviewService');
+const { ClaimError, recordWeights } = require('../services/claimService');
+const {
+  REQUEST_STATUS,
+  STATUS_CHANGE_SOURCE,
+  RequestLifecycleError,
+  transitionStatus
+} = require('../services/requestLifecycle');
+const {
+  ADMIN_ACTIONS,
+  getAuditContext,
+  adminActionCreate,
+  recordAdminAction
+} = require('../services/auditService');
+
+/**
+ * Shared error response for admin request actions
+ */
+function handleRequestActionError(res, error, fallbackMessage) {
+  if (
+    error instanceof RequestLifecycleError ||
+    error instanceof PolicyIssuanceError ||
+    error instanceof InvoiceError ||
+    error instanceof ClaimError ||
+    error instanceof KantaParchiError ||
+    error instanceof RequestEditError
+  ) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
 /**
- * Get all pending insurance requests
- * GET /api/admin/pending
+ * Get all pending insurance requests (every match unless limit or cursor is given)
+ * GET /api/admin/pending?sort=risk&riskLevel=HIGH,MEDIUM&itemName=wheat
  */
 exports.getPendingRequests = async (req, res) => {
   try {
-    const pendingRequests = await prisma.insuranceRequest.findMany({
-      where: {
-        status: 'PENDING_VERIFICATION'
-      },
-      orderBy: {
-        createdAt: 'desc'
-      },
-      select: {
-        id: true,
-        userId: true,
-        timestamp: true,
-        supplierName: true,
-        partyName: true,
-        itemName: true,
-        quantity: true,
-        rate: true,
-        vehicleNo: true,
-        transporterName: true,
-        invoiceType: true,
-        consent: true,
-        status: true,
-        createdAt: true
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { data, total, nextCursor } = await searchRequests(
+      { ...req.query, status: undefined },
+      {
+        where: { status: REQUEST_STATUS.PENDING_VERIFICATION },
+        defaultLimit: null,
+        select: {
+          id: true,
+          userId: true,
+          timestamp: true,
+          supplierName: true,
+          partyName: true,
+          itemName: true,
+          quantity: true,
+          rate: true,
+          declaredValue: true,
+          premiumAmount: true,
+          vehicleNo: true,
+          transporterName: true,
+          invoiceType: true,
+          consent: true,
+          status: true,
+          riskScore: true,
+          riskLevel: true,
+          riskRules: true,
+          createdAt: true
+        }
       }
-    });
+    );
 
     return res.status(200).json({
       success: true,
-      count: pendingRequests.length,
-      data: pendingRequests
+      count: data.length,
+      total,
+      nextCursor,
+      data
     });
 
   } catch (error) {
@@ -51,22 +123,20 @@ exports.getPendingRequests = async (req, res) => {
 };
 
 /**
- * Get all requests (with filters)
- * GET /api/admin/requests?status=APPROVED&limit=50
+ * Search requests (filters, sort, cursor pagination)
+ * GET /api/admin/requests?status=APPROVED,PAID&itemName=wheat&supplierName=ram&vehicleNo=KA01&createdFrom=2026-04-01&sort=premiumAmount&limit=50
  */
 exports.getAllRequests = async (req, res) => {
   try {
-    const { status, limit = 50, offset = 0 } = req.query;
-
-    const where = status ? { status } : {};
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    const requests = await prisma.insuranceRequest.findMany({
-      where,
-      orderBy: {
-        createdAt: 'desc'
-      },
-      take: parseInt(limit),
-      skip: parseInt(offset),
+    const { data, total, nextCursor } = await searchRequests(req.query, {
       include: {
         admin: {
           select: {
@@ -77,13 +147,12 @@ exports.getAllRequests = async (req, res) => {
       }
     });
 
-    const total = await prisma.insuranceRequest.count({ where });
-
     return res.status(200).json({
       success: true,
-      count: requests.length,
+      count: data.length,
       total,
-      data: requests
+      nextCursor,
+      data
     });
 
   } catch (error) {
@@ -97,16 +166,126 @@ exports.getAllRequests = async (req, res) => {
 };
 
 /**
- * Approve insurance request
- * POST /api/admin/approve/:id
+ * Dashboard figures: counts, value, premium, approval rates, turnaround, top lists and a daily series
+ * GET /api/admin/stats?from=2026-04-01&to=2026-04-30&top=5
  */
-exports.approveRequest = async (req, res) => {
+exports.getStats = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, top } = req.query;
+    const stats = await getOperationsStats({ from, to, top });
+
+    return res.status(200).json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('❌ Error computing stats:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to compute stats',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get full request details for review (records a VIEWED audit entry)
+ * GET /api/admin/requests/:id
+ */
+exports.getRequestDetails = async (req, res) => {
   try {
     const { id } = req.params;
-    const { adminNotes } = req.body;
 
     const request = await prisma.insuranceRequest.findUnique({
-      where: { id }
+      where: { id },
+      include: {
+        admin: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        },
+        adminActions: {
+          include: {
+            admin: {
+              select: {
+                name: true,
+                email: true
+              }
+            }
+          },
+          orderBy: {
+            timestamp: 'desc'
+          }
+        },
+        payments: {
+          orderBy: {
+            createdAt: 'desc'
+          }
+        },
+        edits: {
+          include: {
+            editedBy: {
+              select: {
+                name: true,
+                email: true
+              }
+            }
+          },
+          orderBy: {
+            version: 'asc'
+          }
+        },
+        statusHistory: {
+          include: {
+            changedBy: {
+              select: {
+                name: true,
+                email: true
+              }
+            }
+          },
+          orderBy: {
+            createdAt: 'asc'
+          }
+        },
+        rateTable: {
+          select: {
+            id: true,
+            version: true,
+            name: true,
+            effectiveFrom: true
+          }
+        },
+        billingDocuments: {
+          orderBy: {
+            createdAt: 'asc'
+          }
+        },
+        claims: {
+          select: {
+            id: true,
+            claimNumber: true,
+            perilType: true,
+            status: true,
+            approvedAmount: true,
+            createdAt: true
+          },
+          orderBy: {
+            createdAt: 'desc'
+          }
+        }
+      }
     });
 
     if (!request) {
@@ -116,63 +295,77 @@ exports.approveRequest = async (req, res) => {
       });
     }
 
-    if (request.status !== 'PENDING_VERIFICATION') {
+    await recordAdminAction({ ...getAuditContext(req), requestId: id, action: ADMIN_ACTIONS.VIEWED });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...request,
+        shortage: evaluateShortage(request)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching request details:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch request details',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Correct a pending request (quantity, rate, vehicle, party details); the premium and risk are recomputed
+ * PATCH /api/admin/requests/:id  { quantity?, rate?, vehicleNo?, ..., reason? }
+ */
+exports.updateRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: `Request is already ${request.status}`
+        message: errors.array()[0].msg,
+        errors: errors.array()
       });
     }
 
-    // Use base premium already set at request creation, or recalculate (0.2% of quantity × rate) for older requests; cap at Decimal(10,2) max
-    const MAX_PREMIUM = 99999999.99;
-    const totalValue = parseFloat(request.quantity) * parseFloat(request.rate || 0);
-    let premiumAmount = request.premiumAmount != null
-      ? parseFloat(request.premiumAmount)
-      : totalValue * 0.002;
-    if (premiumAmount > MAX_PREMIUM) premiumAmount = MAX_PREMIUM;
-    const invoiceNumber = `INV${Date.now()}`;
-    const paymentLink = `https://razorpay.me/temp-link-${invoiceNumber}`;
-
-    // Update request (approval)
-    let updatedRequest = await prisma.insuranceRequest.update({
-      where: { id },
+    const { id } = req.params;
+    const { reason, ...fields } = req.body;
+
+    const { request, edit } = await editPendingRequest(id, fields, { ...getAuditContext(req), reason });
+
+    return res.status(200).json({
+      success: true,
+      message: edit ? `Request updated (edit v${edit.version})` : 'No changes',
       data: {
-        status: 'APPROVED',
-        adminAction: 'APPROVED',
-        adminTimestamp: new Date(),
-        invoiceNumber,
-        premiumAmount,
-        paymentLink,
-        paymentStatus: 'PENDING'
+        request,
+        edit
       }
     });
 
-    // Generate invoice PDF (non-blocking: do not fail approval if PDF errors)
-    let invoicePdfUrl = null;
-    try {
-      const pdfFilename = await generateInvoicePdf(request, invoiceNumber, premiumAmount);
-      const port = process.env.PORT || 5000;
-      const serverUrl = (process.env.APP_URL || `http://localhost:${port}`).replace(/\/$/, '');
-      invoicePdfUrl = `${serverUrl}/invoices/${pdfFilename}`;
-      updatedRequest = await prisma.insuranceRequest.update({
-        where: { id },
-        data: { invoicePdfUrl }
-      });
-    } catch (pdfErr) {
-      console.warn('⚠️ Invoice PDF generation failed (approval still succeeded):', pdfErr.message);
-    }
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to update request');
+  }
+};
+
+/**
+ * Approve insurance request
+ * POST /api/admin/approve/:id
+ */
+exports.approveRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { adminNotes } = req.body || {};
+
+    const updatedRequest = await issueInvoice(id, { ...getAuditContext(req), notes: adminNotes });
 
     console.log(`✅ Request ${id} approved`);
 
     // Send WhatsApp notification (non-blocking: do not fail approval if Chatrace errors)
     try {
-      const message =
-        `🎉 *Your Insurance Request is APPROVED!*\n\n` +
-        `Invoice Number: ${invoiceNumber}\n` +
-        `Premium Amount: ₹${premiumAmount.toFixed(2)}\n\n` +
-        `Please complete payment using this link:\n${paymentLink}\n\n` +
-        `After payment, your policy will be issued within 24 hours.`;
-      await sendChatraceMessage(request.userId, message);
+      const message = buildApprovalMessage(updatedRequest);
+      await sendChatraceMessage(updatedRequest.userId, message);
     } catch (msgErr) {
       console.warn('⚠️ WhatsApp/Chatrace message failed (approval still succeeded):', msgErr.message);
     }
@@ -184,19 +377,19 @@ exports.approveRequest = async (req, res) => {
         requestId: updatedRequest.id,
         invoiceNumber: updatedRequest.invoiceNumber,
         premiumAmount: updatedRequest.premiumAmount,
+        cgstAmount: updatedRequest.cgstAmount,
+        sgstAmount: updatedRequest.sgstAmount,
+        igstAmount: updatedRequest.igstAmount,
+        totalAmount: updatedRequest.totalAmount,
         paymentLink: updatedRequest.paymentLink,
+        paymentLinkExpiresAt: updatedRequest.paymentLinkExpiresAt,
         invoicePdfUrl: updatedRequest.invoicePdfUrl || null,
         status: updatedRequest.status
       }
     });
 
   } catch (error) {
-    console.error('❌ Error approving request:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to approve request',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    return handleRequestActionError(res, error, 'Failed to approve request');
   }
 };
 
@@ -218,6 +411,107 @@ exports.rejectRequest = async (req, res) => {
       });
     }
 
+    const updatedRequest = await rejectRequest(id, { ...getAuditContext(req), reason: rejectionReason });
+
+    console.log(`❌ Request ${id} rejected`);
+
+    // Send WhatsApp rejection notification
+    await sendChatraceMessage(updatedRequest.userId, buildRejectionMessage(rejectionReason));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Request rejected successfully',
+      data: {
+        requestId: updatedRequest.id,
+        status: updatedRequest.status,
+        rejectionReason: updatedRequest.rejectionReason
+      }
+    });
+
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to reject request');
+  }
+};
+
+/**
+ * Shared response for bulk actions: 200 when every request succeeded, 207 with the failures otherwise
+ */
+function sendBulkReport(res, report, action) {
+  const { requested, succeeded, failed } = report.summary;
+  return res.status(failed === 0 ? 200 : 207).json({
+    success: failed === 0,
+    message: `${succeeded} of ${requested} request(s) ${action}`,
+    ...report
+  });
+}
+
+/**
+ * Approve several pending requests
+ * POST /api/admin/approve/bulk  { requestIds: [...], adminNotes? }
+ */
+exports.bulkApproveRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { requestIds, adminNotes } = req.body;
+    const report = await approveMany(requestIds, { ...getAuditContext(req), notes: adminNotes });
+
+    console.log(`✅ Bulk approval: ${report.summary.succeeded}/${report.summary.requested} approved`);
+    return sendBulkReport(res, report, 'approved');
+
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to approve requests');
+  }
+};
+
+/**
+ * Reject several pending requests with one reason
+ * POST /api/admin/reject/bulk  { requestIds: [...], rejectionReason }
+ */
+exports.bulkRejectRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { requestIds, rejectionReason } = req.body;
+    const report = await rejectMany(requestIds, { ...getAuditContext(req), reason: rejectionReason });
+
+    console.log(`❌ Bulk rejection: ${report.summary.succeeded}/${report.summary.requested} rejected`);
+    return sendBulkReport(res, report, 'rejected');
+
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to reject requests');
+  }
+};
+
+/**
+ * Reopen a rejected request (SUPER_ADMIN override)
+ * POST /api/admin/reopen/:id
+ */
+exports.reopenRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
     const request = await prisma.insuranceRequest.findUnique({
       where: { id }
     });
@@ -229,49 +523,297 @@ exports.rejectRequest = async (req, res) => {
       });
     }
 
-    if (request.status !== 'PENDING_VERIFICATION') {
+    if (request.status !== REQUEST_STATUS.REJECTED) {
       return res.status(400).json({
         success: false,
-        message: `Request is already ${request.status}`
+        message: `Only rejected requests can be reopened (current status: ${request.status})`
       });
     }
 
-    const updatedRequest = await prisma.insuranceRequest.update({
-      where: { id },
+    const audit = getAuditContext(req);
+    const updatedRequest = await prisma.$transaction(async (tx) => {
+      const reopened = await transitionStatus(id, REQUEST_STATUS.PENDING_VERIFICATION, {
+        tx,
+        from: REQUEST_STATUS.REJECTED,
+        changedById: audit.adminId,
+        source: STATUS_CHANGE_SOURCE.ADMIN,
+        reason,
+        data: {
+          adminId: audit.adminId,
+          adminAction: ADMIN_ACTIONS.REOPENED,
+          adminTimestamp: new Date(),
+          rejectionReason: null
+        }
+      });
+      await adminActionCreate({ ...audit, requestId: id, action: ADMIN_ACTIONS.REOPENED, reason }, tx);
+      return reopened;
+    });
+
+    console.log(`♻️  Request ${id} reopened by ${req.admin.email}`);
+
+    // Send WhatsApp notification (non-blocking: do not fail reopen if Chatrace errors)
+    try {
+      const message =
+        `🔄 *Your Insurance Request is under review again*\n\n` +
+        `Our team is re-checking your request for vehicle ${request.vehicleNo}. ` +
+        `We will update you shortly.`;
+      await sendChatraceMessage(request.userId, message);
+    } catch (msgErr) {
+      console.warn('⚠️ WhatsApp/Chatrace message failed (reopen still succeeded):', msgErr.message);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Request reopened successfully',
       data: {
-        status: 'REJECTED',
-        adminAction: 'REJECTED',
-        adminTimestamp: new Date(),
-        rejectionReason
+        requestId: updatedRequest.id,
+        status: updatedRequest.status
       }
     });
 
-    console.log(`❌ Request ${id} rejected`);
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to reopen request');
+  }
+};
 
-    // Send WhatsApp rejection notification
-    const message = 
-      `❌ *Your Insurance Request has been REJECTED*\n\n` +
-      `Reason: ${rejectionReason}\n\n` +
-      `Please contact support for more information or submit a new request with correct details.`;
+/**
+ * Resend the approval WhatsApp message (invoice + payment link) to the customer
+ * POST /api/admin/resend/:id
+ */
+exports.resendApproval = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const request = await prisma.insuranceRequest.findUnique({
+      where: { id }
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance request not found'
+      });
+    }
+
+    if (!request.invoiceNumber || !request.paymentLink) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to resend: request is ${request.status} and has no invoice`
+      });
+    }
+
+    const message = buildApprovalMessage(request);
+    await sendChatraceMessage(request.userId, message, request.invoicePdfUrl || null);
 
-    await sendChatraceMessage(request.userId, message);
+    await recordAdminAction({ ...getAuditContext(req), requestId: id, action: ADMIN_ACTIONS.RESENT });
+
+    console.log(`📤 Approval message for request ${id} resent by ${req.admin.email}`);
 
     return res.status(200).json({
       success: true,
-      message: 'Request rejected successfully',
+      message: 'Approval message resent successfully',
       data: {
-        requestId: updatedRequest.id,
-        status: updatedRequest.status,
-        rejectionReason: updatedRequest.rejectionReason
+        requestId: request.id,
+        invoiceNumber: request.invoiceNumber,
+        paymentLink: request.paymentLink,
+        invoicePdfUrl: request.invoicePdfUrl || null
       }
     });
 
   } catch (error) {
-    console.error('❌ Error rejecting request:', error);
+    console.error('❌ Error resending approval message:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to reject request',
+      message: 'Failed to resend approval message',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Issue (or retry issuing) the policy for a paid request
+ * POST /api/admin/issue-policy/:id
+ */
+exports.issuePolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { request, delivered } = await issuePolicy(id);
+
+    await recordAdminAction({ ...getAuditContext(req), requestId: id, action: ADMIN_ACTIONS.POLICY_ISSUED });
+
+    return res.status(200).json({
+      success: true,
+      message: delivered
+        ? 'Policy issued and sent to customer'
+        : 'Policy issued, but WhatsApp delivery failed',
+      data: {
+        requestId: request.id,
+        policyNumber: request.policyNumber,
+        policyPdfUrl: request.policyPdfUrl,
+        policyStartDate: request.policyStartDate,
+        policyEndDate: request.policyEndDate,
+        status: request.status,
+        delivered
+      }
+    });
+
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to issue policy');
+  }
+};
+
+/**
+ * Cancel an unpaid invoice with a credit note, optionally re-issuing a corrected invoice
+ * POST /api/admin/cancel-invoice/:id
+ */
+exports.cancelInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { reason, reissue, quantity, rate } = req.body || {};
+
+    const result = await cancelInvoice(id, {
+      ...getAuditContext(req),
+      reason,
+      reissue: reissue === true || reissue === 'true',
+      quantity: quantity != null ? parseInt(quantity) : undefined,
+      rate: rate != null ? parseFloat(rate) : undefined
+    });
+    const { request, creditNote, cancelledInvoice } = result;
+
+    console.log(`🧾 Invoice ${cancelledInvoice.number} cancelled by ${req.admin.email}`);
+
+    // Send WhatsApp notification (non-blocking: do not fail cancellation if Chatrace errors)
+    try {
+      const message = result.reissued
+        ? `🧾 *Your invoice ${cancelledInvoice.number} has been replaced*\n\n` +
+          `It was cancelled by credit note ${creditNote.number}. Please ignore the earlier payment link.\n\n` +
+          buildApprovalMessage(request)
+        : `🧾 *Your invoice ${cancelledInvoice.number} has been cancelled*\n\n` +
+          `Credit note: ${creditNote.number}\n` +
+          `Reason: ${reason}\n\n` +
+          `Please do not use the earlier payment link. We will send a corrected invoice shortly.`;
+      await sendChatraceMessage(request.userId, message, creditNote.pdfUrl || null);
+    } catch (msgErr) {
+      console.warn('⚠️ WhatsApp/Chatrace message failed (cancellation still succeeded):', msgErr.message);
+    }
+
+    let message = 'Invoice cancelled successfully';
+    if (result.reissued) {
+      message = 'Invoice cancelled and re-issued successfully';
+    } else if (result.reissueError) {
+      message = 'Invoice cancelled, but re-issuing failed; the request is pending approval again';
+    }
+
+    return res.status(200).json({
+      success: true,
+      message,
+      data: {
+        requestId: request.id,
+        status: request.status,
+        cancelledInvoiceNumber: cancelledInvoice.number,
+        creditNoteNumber: creditNote.number,
+        creditNotePdfUrl: creditNote.pdfUrl || null,
+        paymentLinkCancelled: result.paymentLinkCancelled,
+        reissued: result.reissued,
+        reissueError: result.reissueError,
+        invoiceNumber: request.invoiceNumber,
+        premiumAmount: request.premiumAmount,
+        totalAmount: request.totalAmount,
+        paymentLink: request.paymentLink,
+        invoicePdfUrl: request.invoicePdfUrl || null
+      }
+    });
+
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to cancel invoice');
+  }
+};
+
+/**
+ * Record or correct the loading / unloading weighbridge weights (kg) and reassess shortage claims
+ * PUT /api/admin/requests/:id/weights
+ */
+exports.updateWeights = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { loadingWeight, unloadingWeight } = req.body;
+
+    const { request, evaluation, claims } = await recordWeights(id, {
+      loadingWeightKg: loadingWeight != null ? parseFloat(loadingWeight) : undefined,
+      unloadingWeightKg: unloadingWeight != null ? parseFloat(unloadingWeight) : undefined
+    }, getAuditContext(req));
+
+    console.log(`⚖️  Weights for request ${id} updated by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Weights recorded successfully',
+      data: {
+        requestId: request.id,
+        loadingWeightKg: request.loadingWeightKg,
+        unloadingWeightKg: request.unloadingWeightKg,
+        shortage: evaluation,
+        shortageClaims: claims.map((claim) => ({
+          claimId: claim.id,
+          claimNumber: claim.claimNumber,
+          status: claim.status,
+          shortageEligible: claim.shortageEligible,
+          assessedAmount: claim.assessedAmount
+        }))
+      }
+    });
+
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to record weights');
+  }
+};
+
+/**
+ * Upload or replace the kanta parchi (weighment slip) of a request, e.g. one received by email.
+ * An already issued invoice is regenerated with the slip.
+ * PUT /api/admin/requests/:id/kanta-parchi (multipart: image)
+ */
+exports.uploadKantaParchi = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { request, kantaParchiUrl, replaced, invoiceRegenerated } = await attachKantaParchi(
+      id,
+      req.file,
+      getAuditContext(req)
+    );
+
+    console.log(`📎 Kanta parchi for request ${id} ${replaced ? 'replaced' : 'uploaded'} by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: replaced ? 'Kanta parchi replaced successfully' : 'Kanta parchi uploaded successfully',
+      data: {
+        requestId: request.id,
+        kantaParchiUrl,
+        replaced,
+        invoiceRegenerated,
+        invoicePdfUrl: request.invoicePdfUrl
+      }
+    });
+
+  } catch (error) {
+    return handleRequestActionError(res, error, 'Failed to upload kanta parchi');
+  }
+};
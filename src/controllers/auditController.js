@@ -0,0 +1,77 @@
+// auditController.js
+const prisma = require('../config/database');
+const { validationResult } = require('express-validator');
+
+/**
+ * Query the admin action audit trail
+ * GET /api/admin/audit?adminId=&requestId=&action=APPROVED&from=2026-04-01&to=2026-04-30&limit=50&offset=0
+ */
+exports.getAuditTrail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { adminId, requestId, action, from, to, limit = 50, offset = 0 } = req.query;
+
+    const where = {};
+    if (adminId) where.adminId = adminId;
+    if (requestId) where.requestId = requestId;
+    if (action) where.action = { in: String(action).split(',').map((a) => a.trim().toUpperCase()) };
+    if (from || to) {
+      where.timestamp = {};
+      if (from) where.timestamp.gte = new Date(from);
+      if (to) where.timestamp.lte = new Date(to);
+    }
+
+    const [actions, total] = await Promise.all([
+      prisma.adminAction.findMany({
+        where,
+        orderBy: {
+          timestamp: 'desc'
+        },
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        include: {
+          admin: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true
+            }
+          },
+          request: {
+            select: {
+              id: true,
+              userId: true,
+              vehicleNo: true,
+              invoiceNumber: true,
+              status: true
+            }
+          }
+        }
+      }),
+      prisma.adminAction.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: actions.length,
+      total,
+      data: actions
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching audit trail:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit trail',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
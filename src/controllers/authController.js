@@ -0,0 +1,186 @@
+// authController.js
+const { validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const { getPermissionsForRole } = require('../config/permissions');
+
+/**
+ * Request metadata stored alongside refresh tokens
+ */
+function getClientContext(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
+/**
+ * Shared error response for auth endpoints
+ */
+function handleAuthError(res, error, fallbackMessage) {
+  if (error instanceof authService.AuthError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * Admin login
+ * POST /api/admin/auth/login
+ */
+exports.login = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+    const { user, tokens } = await authService.login(email, password, getClientContext(req));
+
+    console.log(`🔐 Admin logged in: ${user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        admin: user,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof authService.AuthError) {
+      console.warn(`⚠️  Failed admin login for ${req.body.email} from ${req.ip}: ${error.message}`);
+    }
+    return handleAuthError(res, error, 'Failed to log in');
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/admin/auth/refresh
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { refreshToken } = req.body;
+    const { user, tokens } = await authService.refresh(refreshToken, getClientContext(req));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        admin: user,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    return handleAuthError(res, error, 'Failed to refresh token');
+  }
+};
+
+/**
+ * Logout: revoke the given refresh token, or every session with allDevices=true
+ * POST /api/admin/auth/logout
+ */
+exports.logout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { refreshToken, allDevices } = req.body;
+
+    if (allDevices === true || allDevices === 'true') {
+      await authService.revokeAllSessions(req.admin.id);
+    } else {
+      await authService.revokeRefreshToken(refreshToken, req.admin.id);
+    }
+
+    console.log(`👋 Admin logged out: ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    return handleAuthError(res, error, 'Failed to log out');
+  }
+};
+
+/**
+ * Change own password (signs out every session and returns a fresh token pair)
+ * POST /api/admin/auth/change-password
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const { user, tokens } = await authService.changePassword(
+      req.admin.id,
+      currentPassword,
+      newPassword,
+      getClientContext(req)
+    );
+
+    console.log(`🔑 Password changed for admin: ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        admin: user,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    return handleAuthError(res, error, 'Failed to change password');
+  }
+};
+
+/**
+ * Current admin profile
+ * GET /api/admin/auth/me
+ */
+exports.me = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: {
+      ...req.admin,
+      permissions: getPermissionsForRole(req.admin.role)
+    }
+  });
+};
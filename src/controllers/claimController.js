@@ -0,0 +1,484 @@
+// claimController.js
+const prisma = require('../config/database');
+const { validationResult } = require('express-validator');
+const { getAuditContext } = require('../services/auditService');
+const {
+  CLAIM_STATUS,
+  CLAIM_CHANGE_SOURCE,
+  ClaimError,
+  openClaim,
+  addClaimDocuments,
+  updateClaimStatus,
+  notifyClaimStatus
+} = require('../services/claimService');
+
+const CLAIM_LIST_DEFAULT_LIMIT = 50;
+
+// Fields a customer may see about their own claims
+const customerClaimSelect = {
+  id: true,
+  claimNumber: true,
+  perilType: true,
+  status: true,
+  infoRequested: true,
+  claimedAmount: true,
+  approvedAmount: true,
+  rejectionReason: true,
+  settlementReference: true,
+  settledAt: true,
+  createdAt: true,
+  updatedAt: true,
+  request: {
+    select: {
+      policyNumber: true,
+      vehicleNo: true,
+      itemName: true
+    }
+  },
+  _count: {
+    select: { documents: true }
+  }
+};
+
+/**
+ * Shared error response for claim actions
+ */
+function handleClaimError(res, error, fallbackMessage) {
+  if (error instanceof ClaimError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      claimId: error.claimId
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+function cleanUserId(userId) {
+  return String(userId).replace(/[^0-9]/g, '');
+}
+
+/**
+ * Open a claim on an issued policy (from Chatrace webhook)
+ * POST /api/claims
+ */
+exports.createClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      userId,
+      requestId,
+      policyNumber,
+      perilType,
+      description,
+      incidentDate,
+      claimedAmount,
+      documents
+    } = req.body;
+
+    const claim = await openClaim({
+      userId: cleanUserId(userId),
+      requestId,
+      policyNumber,
+      perilType,
+      description,
+      incidentDate: incidentDate ? new Date(incidentDate) : null,
+      claimedAmount: claimedAmount != null ? parseFloat(claimedAmount) : null,
+      documents
+    });
+
+    await notifyClaimStatus(claim);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Claim registered successfully. Our claims team will review it.',
+      data: {
+        claimId: claim.id,
+        claimNumber: claim.claimNumber,
+        policyNumber: claim.request.policyNumber,
+        perilType: claim.perilType,
+        status: claim.status,
+        documents: claim.documents.length,
+        createdAt: claim.createdAt
+      }
+    });
+
+  } catch (error) {
+    return handleClaimError(res, error, 'Failed to register claim');
+  }
+};
+
+/**
+ * Attach documents to a claim (from Chatrace webhook)
+ * POST /api/claims/:id/documents
+ */
+exports.addCustomerDocuments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { userId, documents } = req.body;
+
+    const { claim, added, resumedReview } = await addClaimDocuments(id, documents, {
+      source: CLAIM_CHANGE_SOURCE.CUSTOMER,
+      userId: cleanUserId(userId)
+    });
+
+    console.log(`📎 ${added} document(s) added to claim ${claim.claimNumber} by customer`);
+
+    if (resumedReview) {
+      await notifyClaimStatus(claim);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Documents received',
+      data: {
+        claimId: claim.id,
+        claimNumber: claim.claimNumber,
+        added,
+        status: claim.status
+      }
+    });
+
+  } catch (error) {
+    return handleClaimError(res, error, 'Failed to add claim documents');
+  }
+};
+
+/**
+ * A user's claims, newest first (for the bot to show claim status)
+ * GET /api/claims/status/:userId
+ */
+exports.getClaimsByUserId = async (req, res) => {
+  try {
+    const claims = await prisma.claim.findMany({
+      where: { userId: cleanUserId(req.params.userId) },
+      select: customerClaimSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (claims.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No claims found for this user'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: claims.length,
+      data: claims
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching claims by user:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch claims',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List claims (with filters)
+ * GET /api/admin/claims?status=SUBMITTED&perilType=THEFT&limit=50
+ */
+exports.listClaims = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, perilType } = req.query;
+    const limit = parseInt(req.query.limit || CLAIM_LIST_DEFAULT_LIMIT, 10);
+    const offset = parseInt(req.query.offset || 0, 10);
+
+    const where = {};
+    if (status) where.status = status;
+    if (perilType) where.perilType = perilType;
+
+    const [claims, total] = await Promise.all([
+      prisma.claim.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset,
+        include: {
+          request: {
+            select: {
+              policyNumber: true,
+              vehicleNo: true,
+              itemName: true,
+              partyName: true
+            }
+          },
+          reviewedBy: {
+            select: {
+              name: true,
+              email: true
+            }
+          },
+          _count: {
+            select: { documents: true }
+          }
+        }
+      }),
+      prisma.claim.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: claims.length,
+      total,
+      data: claims
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching claims:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch claims',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Claim with its policy, documents and status history
+ * GET /api/admin/claims/:id
+ */
+exports.getClaimDetails = async (req, res) => {
+  try {
+    const claim = await prisma.claim.findUnique({
+      where: { id: req.params.id },
+      include: {
+        request: true,
+        reviewedBy: {
+          select: {
+            name: true,
+            email: true
+          }
+        },
+        documents: {
+          include: {
+            uploadedBy: {
+              select: {
+                name: true,
+                email: true
+              }
+            }
+          },
+          orderBy: {
+            createdAt: 'asc'
+          }
+        },
+        statusHistory: {
+          include: {
+            changedBy: {
+              select: {
+                name: true,
+                email: true
+              }
+            }
+          },
+          orderBy: {
+            createdAt: 'asc'
+          }
+        }
+      }
+    });
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching claim details:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch claim details',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Run an admin status change and notify the customer
+ */
+async function changeClaimStatus(req, res, toStatus, { reason, data, successMessage, fallbackMessage }) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const claim = await updateClaimStatus(req.params.id, toStatus, {
+      ...getAuditContext(req),
+      reason,
+      data
+    });
+
+    console.log(`📂 Claim ${claim.claimNumber} → ${toStatus} by ${req.admin.email}`);
+
+    const delivered = await notifyClaimStatus(claim);
+
+    return res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: {
+        claimId: claim.id,
+        claimNumber: claim.claimNumber,
+        status: claim.status,
+        approvedAmount: claim.approvedAmount,
+        delivered
+      }
+    });
+
+  } catch (error) {
+    return handleClaimError(res, error, fallbackMessage);
+  }
+}
+
+/**
+ * Start assessing a claim
+ * POST /api/admin/claims/:id/review
+ */
+exports.startReview = (req, res) => {
+  const { notes } = req.body || {};
+  return changeClaimStatus(req, res, CLAIM_STATUS.UNDER_REVIEW, {
+    reason: notes,
+    successMessage: 'Claim moved to review',
+    fallbackMessage: 'Failed to start claim review'
+  });
+};
+
+/**
+ * Ask the customer for more information or documents
+ * POST /api/admin/claims/:id/request-info
+ */
+exports.requestMoreInfo = (req, res) => {
+  const { message } = req.body || {};
+  return changeClaimStatus(req, res, CLAIM_STATUS.MORE_INFO_NEEDED, {
+    reason: message,
+    data: { infoRequested: message },
+    successMessage: 'Customer asked for more information',
+    fallbackMessage: 'Failed to request claim information'
+  });
+};
+
+/**
+ * Approve a claim for an amount
+ * POST /api/admin/claims/:id/approve
+ */
+exports.approveClaim = (req, res) => {
+  const { approvedAmount, notes } = req.body || {};
+  return changeClaimStatus(req, res, CLAIM_STATUS.APPROVED, {
+    reason: notes || `Approved for ₹${parseFloat(approvedAmount).toFixed(2)}`,
+    data: { approvedAmount: parseFloat(approvedAmount) },
+    successMessage: 'Claim approved successfully',
+    fallbackMessage: 'Failed to approve claim'
+  });
+};
+
+/**
+ * Reject a claim
+ * POST /api/admin/claims/:id/reject
+ */
+exports.rejectClaim = (req, res) => {
+  const { reason } = req.body || {};
+  return changeClaimStatus(req, res, CLAIM_STATUS.REJECTED, {
+    reason,
+    data: { rejectionReason: reason },
+    successMessage: 'Claim rejected successfully',
+    fallbackMessage: 'Failed to reject claim'
+  });
+};
+
+/**
+ * Record the payout of an approved claim
+ * POST /api/admin/claims/:id/settle
+ */
+exports.settleClaim = (req, res) => {
+  const { settlementReference, notes } = req.body || {};
+  return changeClaimStatus(req, res, CLAIM_STATUS.SETTLED, {
+    reason: notes || `Paid, reference ${settlementReference}`,
+    data: { settlementReference, settledAt: new Date() },
+    successMessage: 'Claim settled successfully',
+    fallbackMessage: 'Failed to settle claim'
+  });
+};
+
+/**
+ * Attach documents on the customer's behalf (e.g. surveyor report, documents received by email)
+ * POST /api/admin/claims/:id/documents
+ */
+exports.addAdminDocuments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { adminId, ipAddress } = getAuditContext(req);
+    const { claim, added } = await addClaimDocuments(req.params.id, req.body.documents, {
+      source: CLAIM_CHANGE_SOURCE.ADMIN,
+      adminId,
+      ipAddress
+    });
+
+    console.log(`📎 ${added} document(s) added to claim ${claim.claimNumber} by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Documents added',
+      data: {
+        claimId: claim.id,
+        claimNumber: claim.claimNumber,
+        added,
+        status: claim.status
+      }
+    });
+
+  } catch (error) {
+    return handleClaimError(res, error, 'Failed to add claim documents');
+  }
+};
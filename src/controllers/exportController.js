@@ -0,0 +1,62 @@
+// exportController.js
+const { validationResult } = require('express-validator');
+const { exportRequests, exportBordereau } = require('../services/exportService');
+
+// Once the file has started streaming the status is sent, so a failure can only cut the download short
+function handleExportError(res, error, message) {
+  console.error(`❌ ${message}:`, error);
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * Download the requests matching the search filters as CSV or XLSX
+ * GET /api/admin/requests/export?format=xlsx&columns=createdAt,vehicleNo,premiumAmount&status=PAID&createdFrom=2026-04-01
+ */
+exports.exportRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const count = await exportRequests(res, req.query);
+    console.log(`📤 ${count} request(s) exported as ${req.query.format || 'csv'} by ${req.admin.email}`);
+
+  } catch (error) {
+    return handleExportError(res, error, 'Failed to export requests');
+  }
+};
+
+/**
+ * Download the insurer bordereau: policies whose cover started in the period, with totals
+ * GET /api/admin/reports/bordereau?from=2026-04-01&to=2026-04-30&format=xlsx
+ */
+exports.exportBordereau = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, format } = req.query;
+    const count = await exportBordereau(res, { from, to, format });
+    console.log(`📤 Bordereau ${from} to ${to} (${count} policies) exported by ${req.admin.email}`);
+
+  } catch (error) {
+    return handleExportError(res, error, 'Failed to export bordereau');
+  }
+};
@@ -1,6 +1,29 @@
 // insuranceController.js
 const prisma = require('../config/database');
 const { validationResult } = require('express-validator');
+const { REQUEST_STATUS, initialStatusHistory } = require('../services/requestLifecycle');
+const { ratePremium, ratingFields } = require('../services/ratingService');
+const { normalizeVehicleNumber } = require('../services/vehicleNumber');
+const { assessRisk, riskFields, autoApproveIfLowRisk } = require('../services/riskService');
+const { ClaimError, recordWeights } = require('../services/claimService');
+const { InvoiceError, attachKantaParchi } = require('../services/invoiceService');
+const { KantaParchiError, persistRemoteKantaParchi } = require('../services/kantaParchiService');
+const { redactWebhookHeaders } = require('../middleware/webhookAuth');
+const {
+  IDEMPOTENCY_SCOPES,
+  resolveIdempotencyKey,
+  findStoredResponse,
+  idempotencyKeyCreate,
+  replayStoredResponse
+} = require('../services/idempotencyService');
+
+// Two requests for the same vehicle, commodity and quantity this close together are one shipment
+const DUPLICATE_SHIPMENT_WINDOW_HOURS = parseInt(process.env.DUPLICATE_SHIPMENT_WINDOW_HOURS || '24', 10);
+
+// Requests in these statuses no longer cover the shipment, so a new request for it is allowed
+const CLOSED_STATUSES = [REQUEST_STATUS.REJECTED, REQUEST_STATUS.CANCELLED, REQUEST_STATUS.EXPIRED];
+
+const STATUS_HISTORY_DEFAULT_LIMIT = 10;
 
 /**
  * Helper function to normalize boolean values
@@ -29,15 +52,42 @@ function normalizeTimestamp(value) {
   return date.toString() !== 'Invalid Date' ? date : new Date();
 }
 
+/**
+ * Find an open request of this customer for the same shipment: same vehicle, commodity and
+ * quantity with a shipment timestamp within DUPLICATE_SHIPMENT_WINDOW_HOURS.
+ * vehicleNo is the canonical registration number.
+ */
+async function findDuplicateShipment({ userId, vehicleNo, itemName, quantity, timestamp }) {
+  const windowMs = DUPLICATE_SHIPMENT_WINDOW_HOURS * 60 * 60 * 1000;
+
+  return prisma.insuranceRequest.findFirst({
+    where: {
+      userId,
+      vehicleNo,
+      itemName: { equals: itemName.trim(), mode: 'insensitive' },
+      quantity,
+      timestamp: {
+        gte: new Date(timestamp.getTime() - windowMs),
+        lte: new Date(timestamp.getTime() + windowMs)
+      },
+      status: { notIn: CLOSED_STATUSES }
+    },
+    orderBy: { createdAt: 'desc' },
+    select: { id: true, status: true, createdAt: true }
+  });
+}
+
 /**
  * Create new insurance request (from Chatrace webhook)
  * POST /api/insurance/request
  */
 exports.createInsuranceRequest = async (req, res) => {
+  let idempotencyKey = null;
+
   try {
     // Log the incoming data
     console.log('📥 Received request body:', JSON.stringify(req.body, null, 2));
-    console.log('📋 Headers:', req.headers);
+    console.log('📋 Headers:', redactWebhookHeaders(req.headers));
 
     // Validate request
     const errors = validationResult(req);
@@ -45,6 +95,8 @@ exports.createInsuranceRequest = async (req, res) => {
       console.log('❌ Validation errors:', errors.array());
       return res.status(400).json({ 
         success: false, 
+        // First problem in words the bot can send to the customer
+        message: errors.array()[0].msg,
         errors: errors.array() 
       });
     }
@@ -64,6 +116,7 @@ exports.createInsuranceRequest = async (req, res) => {
       cashCommission,
       invoiceType,
       kantaParchiImage,
+      loadingWeight,
       consent
     } = req.body;
 
@@ -98,83 +151,153 @@ exports.createInsuranceRequest = async (req, res) => {
       });
     }
 
-    // Check if userId already exists
-    const existingRequest = await prisma.insuranceRequest.findUnique({
-      where: { userId: cleanUserId }
+    const qty = parseInt(quantity);
+    const shipmentTimestamp = normalizeTimestamp(timestamp);
+    const canonicalVehicleNo = normalizeVehicleNumber(vehicleNo);
+
+    // Chatrace retries on timeouts: answer a repeat with the response to the first call
+    idempotencyKey = resolveIdempotencyKey(req, IDEMPOTENCY_SCOPES.INSURANCE_REQUEST, [
+      cleanUserId,
+      shipmentTimestamp.toISOString(),
+      canonicalVehicleNo
+    ]);
+
+    const storedResponse = await findStoredResponse(idempotencyKey);
+    if (storedResponse) {
+      console.log(`🔁 Replaying stored response for repeated request (userId ${cleanUserId}, request ${storedResponse.requestId})`);
+      return replayStoredResponse(res, storedResponse);
+    }
+
+    // A customer may insure many shipments; only reject a second request for the same one
+    const existingRequest = await findDuplicateShipment({
+      userId: cleanUserId,
+      vehicleNo: canonicalVehicleNo,
+      itemName,
+      quantity: qty,
+      timestamp: shipmentTimestamp
     });
 
     if (existingRequest) {
-      console.log('⚠️  Duplicate request for userId:', cleanUserId);
+      console.log(`⚠️  Duplicate shipment for userId ${cleanUserId}: vehicle ${canonicalVehicleNo}, matches request ${existingRequest.id}`);
       return res.status(409).json({
         success: false,
-        message: 'Request with this User ID already exists',
+        message: 'A request for this shipment already exists',
         requestId: existingRequest.id,
         status: existingRequest.status
       });
     }
 
-    // Base premium at creation: 0.2% of (quantity × rate); cap at Decimal(10,2) max
-    const qty = parseInt(quantity);
+    // Base premium at creation, from the rate table in force now; the version is saved with the request
     const rateNum = rate ? parseFloat(rate) : 0;
-    const totalValue = qty * rateNum;
-    const MAX_PREMIUM = 99999999.99;
-    let basePremiumAmount = totalValue * 0.002;
-    if (basePremiumAmount > MAX_PREMIUM) basePremiumAmount = MAX_PREMIUM;
+    const rating = await ratePremium({ itemName, quantity: qty, rate: rateNum });
 
-    // Create insurance request
-    const insuranceRequest = await prisma.insuranceRequest.create({
-      data: {
+    // Risk score for the verification queue (a scoring failure leaves the request unscored)
+    let riskAssessment = null;
+    try {
+      riskAssessment = await assessRisk({
         userId: cleanUserId,
-        timestamp: normalizeTimestamp(timestamp),
-        supplierName: supplierName || null,
-        supplierPlace: supplierPlace || null,
-        partyName: partyName || null,
-        partyAddress: partyAddress || null,
+        timestamp: shipmentTimestamp,
         itemName,
         quantity: qty,
         rate: rateNum || null,
-        vehicleNo,
-        transporterName: transporterName || null,
-        cashCommission: cashCommission || null,
-        invoiceType: invoiceType || null,
-        kantaParchiImage: kantaParchiImage || null,
-        consent: consentValue,
-        status: 'PENDING_VERIFICATION',
-        premiumAmount: basePremiumAmount
-      }
+        vehicleNo: canonicalVehicleNo,
+        kantaParchiImage
+      });
+    } catch (riskErr) {
+      console.warn('⚠️ Risk scoring failed (request still created):', riskErr.message);
+    }
+
+    // Create insurance request together with its idempotency key
+    const { insuranceRequest, responseBody } = await prisma.$transaction(async (tx) => {
+      const created = await tx.insuranceRequest.create({
+        data: {
+          userId: cleanUserId,
+          timestamp: shipmentTimestamp,
+          supplierName: supplierName || null,
+          supplierPlace: supplierPlace || null,
+          partyName: partyName || null,
+          partyAddress: partyAddress || null,
+          itemName,
+          quantity: qty,
+          rate: rateNum || null,
+          vehicleNo: canonicalVehicleNo,
+          vehicleNoRaw: String(vehicleNo).trim(),
+          transporterName: transporterName || null,
+          cashCommission: cashCommission || null,
+          invoiceType: invoiceType || null,
+          kantaParchiImage: kantaParchiImage || null,
+          loadingWeightKg: loadingWeight ? parseFloat(loadingWeight) : null,
+          consent: consentValue,
+          status: REQUEST_STATUS.PENDING_VERIFICATION,
+          ...ratingFields(rating),
+          ...(riskAssessment ? riskFields(riskAssessment) : {}),
+          statusHistory: initialStatusHistory()
+        }
+      });
+
+      const body = {
+        success: true,
+        message: 'Insurance request created successfully. Awaiting admin verification.',
+        data: {
+          requestId: created.id,
+          userId: created.userId,
+          vehicleNo: created.vehicleNo,
+          itemName: created.itemName,
+          quantity: created.quantity,
+          status: created.status,
+          createdAt: created.createdAt
+        }
+      };
+
+      await idempotencyKeyCreate({
+        key: idempotencyKey,
+        scope: IDEMPOTENCY_SCOPES.INSURANCE_REQUEST,
+        requestId: created.id,
+        statusCode: 201,
+        response: JSON.parse(JSON.stringify(body))
+      }, tx);
+
+      return { insuranceRequest: created, responseBody: body };
     });
 
     console.log('✅ New insurance request created:', insuranceRequest.id);
     console.log('   User ID:', cleanUserId);
-    console.log('   Vehicle:', vehicleNo);
+    console.log('   Vehicle:', canonicalVehicleNo);
     console.log('   Item:', itemName);
     console.log('   Quantity:', quantity);
+    if (riskAssessment) {
+      console.log(`   Risk: ${riskAssessment.score} (${riskAssessment.level})`);
+    }
 
-    return res.status(201).json({
-      success: true,
-      message: 'Insurance request created successfully. Awaiting admin verification.',
-      data: {
-        requestId: insuranceRequest.id,
-        userId: insuranceRequest.userId,
-        vehicleNo: insuranceRequest.vehicleNo,
-        itemName: insuranceRequest.itemName,
-        quantity: insuranceRequest.quantity,
-        status: insuranceRequest.status,
-        createdAt: insuranceRequest.createdAt
-      }
+    // Chat media links expire, so keep a copy of the slip now (non-blocking; retried when the invoice is rendered)
+    if (insuranceRequest.kantaParchiImage) {
+      persistRemoteKantaParchi(insuranceRequest).catch((fetchErr) => {
+        console.warn(`⚠️ Kanta parchi for request ${insuranceRequest.id} not stored (request still created):`, fetchErr.message);
+      });
+    }
+
+    // Low-risk requests may be approved without waiting for an admin (non-blocking)
+    autoApproveIfLowRisk(insuranceRequest).catch((approveErr) => {
+      console.warn(`⚠️ Auto-approval of request ${insuranceRequest.id} failed (left for review):`, approveErr.message);
     });
 
+    return res.status(201).json(responseBody);
+
   } catch (error) {
-    console.error('❌ Error creating insurance request:', error);
-    
-    // Handle Prisma-specific errors
-    if (error.code === 'P2002') {
-      return res.status(409).json({
-        success: false,
-        message: 'A request with this User ID already exists'
-      });
+    // A concurrent repeat committed first: the key is taken, so replay its response
+    if (error.code === 'P2002' && idempotencyKey) {
+      try {
+        const storedResponse = await findStoredResponse(idempotencyKey);
+        if (storedResponse) {
+          console.log(`🔁 Replaying response of concurrent request ${storedResponse.requestId}`);
+          return replayStoredResponse(res, storedResponse);
+        }
+      } catch (replayErr) {
+        console.error('❌ Error replaying stored response:', replayErr);
+      }
     }
-    
+
+    console.error('❌ Error creating insurance request:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to create insurance request',
@@ -183,8 +306,25 @@ exports.createInsuranceRequest = async (req, res) => {
   }
 };
 
+const publicPaymentSelect = {
+  id: true,
+  paymentGateway: true,
+  transactionId: true,
+  amount: true,
+  status: true,
+  createdAt: true
+};
+
+const publicStatusHistorySelect = {
+  fromStatus: true,
+  toStatus: true,
+  source: true,
+  reason: true,
+  createdAt: true
+};
+
 /**
- * Get single insurance request by ID
+ * Get single insurance request by ID (from Chatrace webhook)
  * GET /api/insurance/request/:id
  */
 exports.getInsuranceRequest = async (req, res) => {
@@ -214,10 +354,18 @@ exports.getInsuranceRequest = async (req, res) => {
             timestamp: 'desc'
           }
         },
+        // Raw gateway payloads stay in the admin view (GET /api/admin/requests/:id)
         payments: {
+          select: publicPaymentSelect,
           orderBy: {
             createdAt: 'desc'
           }
+        },
+        statusHistory: {
+          select: publicStatusHistorySelect,
+          orderBy: {
+            createdAt: 'asc'
+          }
         }
       }
     });
@@ -244,42 +392,64 @@ exports.getInsuranceRequest = async (req, res) => {
   }
 };
 
+// Fields a customer may see about their own requests
+const customerRequestSelect = {
+  id: true,
+  userId: true,
+  vehicleNo: true,
+  itemName: true,
+  quantity: true,
+  rate: true,
+  supplierName: true,
+  partyName: true,
+  status: true,
+  invoiceNumber: true,
+  premiumAmount: true,
+  paymentStatus: true,
+  paymentLink: true,
+  policyNumber: true,
+  policyPdfUrl: true,
+  loadingWeightKg: true,
+  unloadingWeightKg: true,
+  createdAt: true,
+  adminTimestamp: true,
+  rejectionReason: true
+};
+
 /**
- * Get insurance request by userId (for user to check status)
- * GET /api/insurance/status/:userId
+ * Get the latest insurance request of a user plus their request history (for user to check status, from Chatrace webhook)
+ * GET /api/insurance/status/:userId?limit=&offset=
  */
 exports.getRequestByUserId = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { userId } = req.params;
+    const limit = parseInt(req.query.limit || STATUS_HISTORY_DEFAULT_LIMIT, 10);
+    const offset = parseInt(req.query.offset || 0, 10);
     
     // Clean the userId (in case it comes with + or other characters)
     const cleanUserId = String(userId).replace(/[^0-9]/g, '');
+    const where = { userId: cleanUserId };
 
-    const insuranceRequest = await prisma.insuranceRequest.findUnique({
-      where: { userId: cleanUserId },
-      select: {
-        id: true,
-        userId: true,
-        vehicleNo: true,
-        itemName: true,
-        quantity: true,
-        rate: true,
-        supplierName: true,
-        partyName: true,
-        status: true,
-        invoiceNumber: true,
-        premiumAmount: true,
-        paymentStatus: true,
-        paymentLink: true,
-        policyNumber: true,
-        policyPdfUrl: true,
-        createdAt: true,
-        adminTimestamp: true,
-        rejectionReason: true
-      }
-    });
+    const [history, total] = await Promise.all([
+      prisma.insuranceRequest.findMany({
+        where,
+        select: customerRequestSelect,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.insuranceRequest.count({ where })
+    ]);
 
-    if (!insuranceRequest) {
+    if (total === 0) {
       return res.status(404).json({
         success: false,
         message: 'No request found for this User ID',
@@ -287,9 +457,25 @@ exports.getRequestByUserId = async (req, res) => {
       });
     }
 
+    // The first page already starts with the latest request
+    const latest = offset === 0
+      ? history[0]
+      : await prisma.insuranceRequest.findFirst({
+        where,
+        select: customerRequestSelect,
+        orderBy: { createdAt: 'desc' }
+      });
+
     return res.status(200).json({
       success: true,
-      data: insuranceRequest
+      data: latest,
+      history: {
+        total,
+        count: history.length,
+        limit,
+        offset,
+        items: history
+      }
     });
 
   } catch (error) {
@@ -300,4 +486,150 @@ exports.getRequestByUserId = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+/**
+ * Record the unloading weight at destination (from Chatrace webhook). Open shortage claims on the
+ * request are reassessed, and the shortage calculation is returned once both weights are known.
+ * POST /api/insurance/request/:id/unloading
+ */
+exports.recordUnloadingWeight = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { userId, unloadingWeight, loadingWeight } = req.body;
+    const cleanUserId = String(userId).replace(/[^0-9]/g, '');
+
+    const insuranceRequest = await prisma.insuranceRequest.findUnique({
+      where: { id },
+      select: { id: true, userId: true, status: true }
+    });
+
+    if (!insuranceRequest || insuranceRequest.userId !== cleanUserId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance request not found'
+      });
+    }
+
+    if (CLOSED_STATUSES.includes(insuranceRequest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Weights cannot be recorded on a ${insuranceRequest.status} request`
+      });
+    }
+
+    const { request, evaluation, claims } = await recordWeights(id, {
+      loadingWeightKg: loadingWeight != null ? parseFloat(loadingWeight) : undefined,
+      unloadingWeightKg: parseFloat(unloadingWeight)
+    });
+
+    console.log(`⚖️  Unloading weight ${request.unloadingWeightKg} kg recorded for request ${id}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Unloading weight recorded',
+      data: {
+        requestId: request.id,
+        loadingWeightKg: request.loadingWeightKg,
+        unloadingWeightKg: request.unloadingWeightKg,
+        shortage: evaluation,
+        shortageClaims: claims.map((claim) => ({
+          claimId: claim.id,
+          claimNumber: claim.claimNumber,
+          shortageEligible: claim.shortageEligible,
+          assessedAmount: claim.assessedAmount
+        }))
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ClaimError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error recording unloading weight:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to record unloading weight',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Upload the kanta parchi (weighment slip) for a request from the bot, replacing any earlier one.
+ * An already issued invoice is regenerated with the slip.
+ * POST /api/insurance/request/:id/kanta-parchi (multipart: image, userId)
+ */
+exports.uploadKantaParchi = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const cleanUserId = String(req.body.userId).replace(/[^0-9]/g, '');
+
+    const insuranceRequest = await prisma.insuranceRequest.findUnique({
+      where: { id },
+      select: { id: true, userId: true, status: true }
+    });
+
+    if (!insuranceRequest || insuranceRequest.userId !== cleanUserId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance request not found'
+      });
+    }
+
+    if (CLOSED_STATUSES.includes(insuranceRequest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Kanta parchi cannot be uploaded on a ${insuranceRequest.status} request`
+      });
+    }
+
+    const { request, kantaParchiUrl, replaced, invoiceRegenerated } = await attachKantaParchi(id, req.file);
+
+    return res.status(200).json({
+      success: true,
+      message: replaced ? 'Kanta parchi replaced' : 'Kanta parchi uploaded',
+      data: {
+        requestId: request.id,
+        kantaParchiUrl,
+        replaced,
+        invoiceRegenerated,
+        invoicePdfUrl: request.invoicePdfUrl
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof KantaParchiError || error instanceof InvoiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error uploading kanta parchi:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to upload kanta parchi',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
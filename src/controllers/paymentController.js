@@ -0,0 +1,112 @@
+// paymentController.js
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { getPaymentProvider } = require('../services/payments');
+const { processPaymentEvent } = require('../services/paymentService');
+const { getPayableAmount } = require('../services/taxService');
+
+/**
+ * Payment gateway webhook
+ * POST /api/payments/webhook
+ */
+exports.handleWebhook = async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    if (!provider.verifyWebhookSignature(req.rawBody, req.headers)) {
+      console.warn(`🚫 Rejected ${provider.name} webhook with invalid signature from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = provider.parseWebhookEvent(req.body);
+
+    // Acknowledge events we don't handle so the gateway stops retrying them
+    if (!event) {
+      return res.status(200).json({
+        success: true,
+        message: 'Event ignored'
+      });
+    }
+
+    const result = await processPaymentEvent(provider.name, event);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook processed',
+      data: result
+    });
+
+  } catch (error) {
+    // 500 makes the gateway retry the delivery later
+    console.error('❌ Error processing payment webhook:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Fake checkout page for the offline payment provider
+ * GET /api/payments/fake/:linkId?outcome=success|failed
+ */
+exports.simulateFakePayment = async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (provider.name !== 'fake') {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const { linkId } = req.params;
+    const outcome = req.query.outcome === 'failed' ? 'failed' : 'success';
+
+    const request = await prisma.insuranceRequest.findFirst({
+      where: { paymentLinkId: linkId }
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment link not found'
+      });
+    }
+
+    // Go through the same signature + parsing path as a real delivery
+    const body = {
+      event: outcome === 'success' ? 'payment.succeeded' : 'payment.failed',
+      paymentLinkId: linkId,
+      transactionId: `pay_fake_${crypto.randomBytes(8).toString('hex')}`,
+      amount: getPayableAmount(request)
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const headers = { 'x-fake-signature': provider.signWebhookBody(rawBody) };
+
+    if (!provider.verifyWebhookSignature(rawBody, headers)) {
+      throw new Error('Fake webhook signature mismatch');
+    }
+
+    const result = await processPaymentEvent(provider.name, provider.parseWebhookEvent(body));
+
+    return res.status(200).json({
+      success: true,
+      message: `Simulated ${outcome} payment`,
+      data: {
+        ...result,
+        transactionId: body.transactionId,
+        amount: body.amount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error simulating payment:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to simulate payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,191 @@
+// rateTableController.js
+const prisma = require('../config/database');
+const { validationResult } = require('express-validator');
+const {
+  RatingError,
+  getEffectiveRateTable,
+  getRateTable,
+  ratePremium,
+  createRateTable
+} = require('../services/ratingService');
+
+/**
+ * List rate table versions, newest first
+ * GET /api/admin/rate-tables
+ */
+exports.listRateTables = async (req, res) => {
+  try {
+    const [tables, current] = await Promise.all([
+      prisma.rateTable.findMany({
+        orderBy: { version: 'desc' },
+        include: {
+          createdBy: {
+            select: {
+              name: true,
+              email: true
+            }
+          },
+          _count: {
+            select: {
+              commodityRates: true,
+              slabs: true,
+              requests: true
+            }
+          }
+        }
+      }),
+      getEffectiveRateTable()
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: tables.length,
+      currentRateTableId: current.id,
+      data: tables
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching rate tables:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rate tables',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Rate table in force now
+ * GET /api/admin/rate-tables/current
+ */
+exports.getCurrentRateTable = async (req, res) => {
+  try {
+    const table = await getEffectiveRateTable();
+
+    return res.status(200).json({
+      success: true,
+      fallback: table.id === null,
+      data: table
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching current rate table:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch current rate table',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a rate table version with commodity rates and slabs
+ * GET /api/admin/rate-tables/:id
+ */
+exports.getRateTable = async (req, res) => {
+  try {
+    const table = await getRateTable(req.params.id);
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate table not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: table
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching rate table:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rate table',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create the next rate table version
+ * POST /api/admin/rate-tables
+ */
+exports.createRateTable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const table = await createRateTable(req.body, req.admin.id);
+
+    console.log(`💹 Rate table v${table.version} created by ${req.admin.email}, effective ${table.effectiveFrom.toISOString()}`);
+
+    return res.status(201).json({
+      success: true,
+      message: `Rate table v${table.version} created`,
+      data: table
+    });
+
+  } catch (error) {
+    if (error instanceof RatingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another rate table was created at the same time, please retry'
+      });
+    }
+
+    console.error('❌ Error creating rate table:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create rate table',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Preview the premium for a consignment
+ * POST /api/admin/rate-tables/quote
+ */
+exports.quotePremium = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { itemName, quantity, rate, at } = req.body;
+    const rating = await ratePremium(
+      { itemName, quantity: parseInt(quantity), rate: rate ? parseFloat(rate) : 0 },
+      { at: at ? new Date(at) : new Date() }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rating
+    });
+
+  } catch (error) {
+    console.error('❌ Error quoting premium:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to quote premium',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,358 @@
+// userController.js
+const prisma = require('../config/database');
+const { validationResult } = require('express-validator');
+const { hashPassword, revokeAllSessions } = require('../services/authService');
+
+// Never return password hashes or token versions
+const userSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  lastLoginAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * List admin users
+ * GET /api/admin/users?role=ADMIN&isActive=true
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+
+    const where = {};
+    if (role) where.role = role;
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const users = await prisma.user.findMany({
+      where,
+      orderBy: {
+        createdAt: 'desc'
+      },
+      select: userSelect
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching users:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a single admin user
+ * GET /api/admin/users/:id
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: userSelect
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching user:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create admin user
+ * POST /api/admin/users
+ */
+exports.createUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, name, password, role = 'ADMIN' } = req.body;
+
+    const user = await prisma.user.create({
+      data: {
+        email: email.toLowerCase().trim(),
+        name,
+        password: await hashPassword(password),
+        role
+      },
+      select: userSelect
+    });
+
+    console.log(`👤 Admin user ${user.email} (${user.role}) created by ${req.admin.email}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating user:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update admin user name / role
+ * PATCH /api/admin/users/:id
+ */
+exports.updateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, role } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (role && role !== user.role && id === req.admin.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const data = {};
+    if (name !== undefined) data.name = name;
+    if (role !== undefined) data.role = role;
+
+    const updatedUser = await prisma.user.update({
+      where: { id },
+      data,
+      select: userSelect
+    });
+
+    // A role change alters permissions: force the user to pick up a fresh token
+    if (role && role !== user.role) {
+      await revokeAllSessions(id);
+    }
+
+    console.log(`👤 Admin user ${updatedUser.email} updated by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: updatedUser
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating user:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Deactivate admin user (revokes all their sessions)
+ * POST /api/admin/users/:id/deactivate
+ */
+exports.deactivateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.admin.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already deactivated'
+      });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id },
+      data: { isActive: false },
+      select: userSelect
+    });
+    await revokeAllSessions(id);
+
+    console.log(`🚷 Admin user ${updatedUser.email} deactivated by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: updatedUser
+    });
+
+  } catch (error) {
+    console.error('❌ Error deactivating user:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reactivate admin user
+ * POST /api/admin/users/:id/activate
+ */
+exports.activateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id },
+      data: { isActive: true },
+      select: userSelect
+    });
+
+    console.log(`✅ Admin user ${updatedUser.email} reactivated by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'User activated successfully',
+      data: updatedUser
+    });
+
+  } catch (error) {
+    console.error('❌ Error activating user:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to activate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reset another admin's password (revokes all their sessions)
+ * POST /api/admin/users/:id/reset-password
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id },
+      data: { password: await hashPassword(newPassword) }
+    });
+    await revokeAllSessions(id);
+
+    console.log(`🔑 Password reset for ${user.email} by ${req.admin.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. The user must log in again.'
+    });
+
+  } catch (error) {
+    console.error('❌ Error resetting password:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,102 @@
+// auth.js
+const prisma = require('../config/database');
+const { AuthError, verifyAccessToken, toAdminProfile } = require('../services/authService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+/**
+ * Require a valid admin access token (Authorization: Bearer <token>).
+ * Loads the user on every request so deactivation and password changes take effect immediately,
+ * then exposes the admin as req.admin = { id, email, name, role }.
+ */
+exports.authenticateAdmin = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const payload = verifyAccessToken(token);
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.sub }
+    });
+
+    if (!user || user.tokenVersion !== payload.ver) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid, please log in again'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    req.admin = toAdminProfile(user);
+    return next();
+
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error authenticating admin:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Require the authenticated admin's role to grant a permission (see config/permissions.js).
+ * Must run after authenticateAdmin. Denials get a uniform 403 and are stored in access_denials.
+ */
+exports.requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    if (req.admin && hasPermission(req.admin.role, permission)) {
+      return next();
+    }
+
+    console.warn(`🚫 Permission denied: ${req.admin?.email || 'anonymous'} (${req.admin?.role}) → ${permission} on ${req.method} ${req.originalUrl}`);
+
+    if (req.admin) {
+      // Recording the denial must never turn a 403 into a 500
+      try {
+        await prisma.accessDenial.create({
+          data: {
+            adminId: req.admin.id,
+            permission,
+            method: req.method,
+            path: req.originalUrl,
+            ipAddress: req.ip || null
+          }
+        });
+      } catch (logErr) {
+        console.warn('⚠️ Failed to record permission denial:', logErr.message);
+      }
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action',
+      requiredPermission: permission
+    });
+  };
+};
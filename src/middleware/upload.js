@@ -0,0 +1,50 @@
+// upload.js
+const multer = require('multer');
+const { KANTA_PARCHI_MAX_BYTES, KANTA_PARCHI_TYPES } = require('../services/kantaParchiService');
+
+const KANTA_PARCHI_FIELD = 'image';
+
+const kantaParchiMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: KANTA_PARCHI_MAX_BYTES,
+    files: 1,
+    fields: 10
+  },
+  fileFilter: (req, file, cb) => {
+    if (!KANTA_PARCHI_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).single(KANTA_PARCHI_FIELD);
+
+/**
+ * Parse a multipart kanta parchi upload (one JPEG/PNG in the "image" field) into req.file,
+ * answering oversized, extra or non-image files with a JSON error instead of the default handler
+ */
+function kantaParchiUpload(req, res, next) {
+  kantaParchiMulter(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `Kanta parchi image must not exceed ${KANTA_PARCHI_MAX_BYTES / (1024 * 1024)} MB`
+          : `Upload one JPEG or PNG image in the "${KANTA_PARCHI_FIELD}" field`
+      });
+    }
+
+    console.error('❌ Error reading kanta parchi upload:', err);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid multipart upload'
+    });
+  });
+}
+
+module.exports = {
+  kantaParchiUpload
+};
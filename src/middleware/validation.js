@@ -1,5 +1,123 @@
 // validation.js
-const { body } = require('express-validator');
+const { body, query, header } = require('express-validator');
+const { ROLES } = require('../config/permissions');
+const { ADMIN_ACTIONS } = require('../services/auditService');
+const { CLAIM_STATUS, PERIL_TYPES, CLAIM_DOCUMENT_TYPES } = require('../services/claimService');
+const { normalizeVehicleNumber, vehicleNumberError } = require('../services/vehicleNumber');
+const { RISK_LEVEL } = require('../services/riskService');
+const { REQUEST_STATUS } = require('../services/requestLifecycle');
+const {
+  REQUEST_SEARCH_MAX_LIMIT,
+  SORT_FIELDS,
+  SORT_ALIASES,
+  decodeCursor
+} = require('../services/requestSearch');
+const { EXPORT_FORMATS, REQUEST_EXPORT_COLUMNS } = require('../services/exportService');
+const { BULK_ACTION_MAX_ITEMS } = require('../services/reviewService');
+const { STATS_MAX_DAYS, resolveRange } = require('../services/statsService');
+const { EDITABLE_FIELDS } = require('../services/requestEditService');
+
+const PAYMENT_STATUSES = ['PENDING', 'SUCCESS', 'FAILED', 'REVIEW'];
+
+const MAX_CLAIM_DOCUMENTS = 20;
+
+// Documents attached to a claim: [{ documentType, url, fileName }]
+function claimDocumentRules(required) {
+  const documents = body('documents');
+  return [
+    (required ? documents : documents.optional())
+      .isArray({ min: required ? 1 : 0, max: MAX_CLAIM_DOCUMENTS })
+      .withMessage(`documents must be a list of ${required ? '1' : '0'} to ${MAX_CLAIM_DOCUMENTS} documents`),
+
+    body('documents.*.url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Document url must be an http(s) URL'),
+
+    body('documents.*.documentType')
+      .optional()
+      .isIn(Object.values(CLAIM_DOCUMENT_TYPES))
+      .withMessage(`Document type must be one of ${Object.values(CLAIM_DOCUMENT_TYPES).join(', ')}`),
+
+    body('documents.*.fileName')
+      .optional()
+      .isString().withMessage('File name must be a string')
+      .isLength({ max: 255 }).withMessage('File name must not exceed 255 characters')
+  ];
+}
+
+// Goods and vehicle. Required when a request is created; on an admin edit any of them may be sent
+function consignmentRules(required) {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('itemName')
+      .notEmpty().withMessage('Item name is required')
+      .isString().withMessage('Item name must be a string'),
+
+    field('quantity')
+      .notEmpty().withMessage('Quantity is required')
+      .custom((value) => {
+        // Accept both number and numeric string
+        const qty = parseInt(value);
+        if (isNaN(qty)) {
+          throw new Error('Quantity must be a number');
+        }
+        if (qty < 1) {
+          throw new Error('Quantity must be at least 1');
+        }
+        return true;
+      }),
+
+    body('rate')
+      .optional(required ? undefined : { values: 'null' })
+      .custom((value) => {
+        // Accept both number and numeric string
+        if (!value) return true;
+        const rateValue = parseFloat(value);
+        if (isNaN(rateValue)) {
+          throw new Error('Rate must be a valid number');
+        }
+        return true;
+      }),
+
+    field('vehicleNo')
+      .notEmpty().withMessage('Vehicle number is required')
+      .bail()
+      .isString().withMessage('Vehicle number must be a string')
+      .bail()
+      .custom((value) => {
+        if (!normalizeVehicleNumber(value)) {
+          throw new Error(vehicleNumberError(value));
+        }
+        return true;
+      })
+  ];
+}
+
+// Optional party and paperwork details; an admin edit may clear them with null
+function shipmentDetailRules(required) {
+  const field = (name) => body(name).optional(required ? undefined : { values: 'null' });
+  return [
+    field('supplierName')
+      .isString().withMessage('Supplier name must be a string'),
+
+    field('supplierPlace')
+      .isString().withMessage('Supplier place must be a string'),
+
+    field('partyName')
+      .isString().withMessage('Party name must be a string'),
+
+    field('partyAddress')
+      .isString().withMessage('Party address must be a string'),
+
+    field('transporterName')
+      .isString().withMessage('Transporter name must be a string'),
+
+    field('cashCommission')
+      .isString().withMessage('Cash/Commission must be a string'),
+
+    field('invoiceType')
+      .isString().withMessage('Invoice type must be a string')
+  ];
+}
 
 exports.validateInsuranceRequest = [
   body('userId')
@@ -30,39 +148,7 @@ exports.validateInsuranceRequest = [
       throw new Error('Invalid timestamp format');
     }),
   
-  body('itemName')
-    .notEmpty().withMessage('Item name is required')
-    .isString().withMessage('Item name must be a string'),
-  
-  body('quantity')
-    .notEmpty().withMessage('Quantity is required')
-    .custom((value) => {
-      // Accept both number and numeric string
-      const qty = parseInt(value);
-      if (isNaN(qty)) {
-        throw new Error('Quantity must be a number');
-      }
-      if (qty < 1) {
-        throw new Error('Quantity must be at least 1');
-      }
-      return true;
-    }),
-  
-  body('rate')
-    .optional()
-    .custom((value) => {
-      // Accept both number and numeric string
-      if (!value) return true;
-      const rateValue = parseFloat(value);
-      if (isNaN(rateValue)) {
-        throw new Error('Rate must be a valid number');
-      }
-      return true;
-    }),
-  
-  body('vehicleNo')
-    .notEmpty().withMessage('Vehicle number is required')
-    .isString().withMessage('Vehicle number must be a string'),
+  ...consignmentRules(true),
   
   body('consent')
     .notEmpty().withMessage('Consent is required')
@@ -81,38 +167,44 @@ exports.validateInsuranceRequest = [
       throw new Error('Consent must be true, false, yes, or no');
     }),
   
-  // Optional fields validation
-  body('supplierName')
-    .optional()
-    .isString().withMessage('Supplier name must be a string'),
-  
-  body('supplierPlace')
-    .optional()
-    .isString().withMessage('Supplier place must be a string'),
-  
-  body('partyName')
-    .optional()
-    .isString().withMessage('Party name must be a string'),
-  
-  body('partyAddress')
-    .optional()
-    .isString().withMessage('Party address must be a string'),
-  
-  body('transporterName')
+  ...shipmentDetailRules(true),
+
+  body('kantaParchiImage')
     .optional()
-    .isString().withMessage('Transporter name must be a string'),
-  
-  body('cashCommission')
+    .isString().withMessage('Kanta Parchi image URL must be a string'),
+
+  body('loadingWeight')
     .optional()
-    .isString().withMessage('Cash/Commission must be a string'),
-  
-  body('invoiceType')
+    .isFloat({ gt: 0 }).withMessage('Loading weight must be a number of kg greater than 0'),
+
+  header('idempotency-key')
     .optional()
-    .isString().withMessage('Invoice type must be a string'),
-  
-  body('kantaParchiImage')
+    .isLength({ min: 1, max: 255 }).withMessage('Idempotency-Key must be 1 to 255 characters')
+];
+
+// Corrections to a pending request: the same rules as at creation, for the fields that are sent
+exports.validateRequestEdit = [
+  body()
+    .custom((value) => {
+      const fields = Object.keys(value || {}).filter((field) => field !== 'reason');
+      const notEditable = fields.filter((field) => !EDITABLE_FIELDS[field]);
+      if (notEditable.length > 0) {
+        throw new Error(`These fields cannot be edited: ${notEditable.join(', ')}`);
+      }
+      if (fields.length === 0) {
+        throw new Error(`Send at least one field to change: ${Object.keys(EDITABLE_FIELDS).join(', ')}`);
+      }
+      return true;
+    }),
+
+  ...consignmentRules(false),
+
+  ...shipmentDetailRules(false),
+
+  body('reason')
     .optional()
-    .isString().withMessage('Kanta Parchi image URL must be a string')
+    .isString().withMessage('Reason must be a string')
+    .isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
 ];
 
 exports.validateApproval = [
@@ -128,4 +220,554 @@ exports.validateRejection = [
     .isString().withMessage('Rejection reason must be a string')
     .isLength({ min: 10 }).withMessage('Rejection reason must be at least 10 characters')
     .isLength({ max: 500 }).withMessage('Rejection reason must not exceed 500 characters')
-];
\ No newline at end of file
+];
+
+const bulkRequestIds = () => [
+  body('requestIds')
+    .isArray({ min: 1, max: BULK_ACTION_MAX_ITEMS })
+    .withMessage(`requestIds must be a list of 1 to ${BULK_ACTION_MAX_ITEMS} request IDs`),
+
+  body('requestIds.*')
+    .isUUID().withMessage('Each request ID must be a UUID')
+];
+
+exports.validateBulkApproval = [
+  ...bulkRequestIds(),
+  ...exports.validateApproval
+];
+
+exports.validateBulkRejection = [
+  ...bulkRequestIds(),
+  ...exports.validateRejection
+];
+
+exports.validateLogin = [
+  body('email')
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Email must be valid'),
+
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isString().withMessage('Password must be a string')
+];
+
+exports.validateRefreshToken = [
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isString().withMessage('Refresh token must be a string')
+];
+
+exports.validateLogout = [
+  body('allDevices')
+    .optional()
+    .isBoolean().withMessage('allDevices must be a boolean'),
+
+  body('refreshToken')
+    .if(body('allDevices').not().isIn([true, 'true']))
+    .notEmpty().withMessage('Refresh token is required')
+    .isString().withMessage('Refresh token must be a string')
+];
+
+exports.validatePasswordChange = [
+  body('currentPassword')
+    .notEmpty().withMessage('Current password is required')
+    .isString().withMessage('Current password must be a string'),
+
+  body('newPassword')
+    .notEmpty().withMessage('New password is required')
+    .isString().withMessage('New password must be a string')
+    .isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+    .isLength({ max: 128 }).withMessage('New password must not exceed 128 characters')
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+      return true;
+    })
+];
+
+exports.validateCreateUser = [
+  body('email')
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Email must be valid'),
+
+  body('name')
+    .notEmpty().withMessage('Name is required')
+    .isString().withMessage('Name must be a string')
+    .isLength({ max: 100 }).withMessage('Name must not exceed 100 characters'),
+
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isString().withMessage('Password must be a string')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+    .isLength({ max: 128 }).withMessage('Password must not exceed 128 characters'),
+
+  body('role')
+    .optional()
+    .isIn(Object.values(ROLES)).withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`)
+];
+
+exports.validateUpdateUser = [
+  body('name')
+    .optional()
+    .notEmpty().withMessage('Name cannot be empty')
+    .isString().withMessage('Name must be a string')
+    .isLength({ max: 100 }).withMessage('Name must not exceed 100 characters'),
+
+  body('role')
+    .optional()
+    .isIn(Object.values(ROLES)).withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`)
+];
+
+exports.validatePasswordReset = [
+  body('newPassword')
+    .notEmpty().withMessage('New password is required')
+    .isString().withMessage('New password must be a string')
+    .isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+    .isLength({ max: 128 }).withMessage('New password must not exceed 128 characters')
+];
+
+exports.validateReopen = [
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
+];
+
+// Comma-separated values that must all be known
+function listOf(name, allowed, label) {
+  return query(name)
+    .optional()
+    .custom((value) => {
+      const invalid = String(value).split(',')
+        .map((item) => item.trim().toUpperCase())
+        .filter((item) => !allowed.includes(item));
+      if (invalid.length > 0) {
+        throw new Error(`Unknown ${label}: ${invalid.join(', ')}`);
+      }
+      return true;
+    });
+}
+
+function minBelowMax(minName, maxName) {
+  return query(maxName)
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query[minName] != null && parseFloat(req.query[minName]) > parseFloat(value)) {
+        throw new Error(`${maxName} must not be less than ${minName}`);
+      }
+      return true;
+    });
+}
+
+// Filters, sort and pagination shared by /api/admin/requests and /api/admin/pending
+exports.validateRequestSearch = [
+  listOf('status', Object.values(REQUEST_STATUS), 'status'),
+  listOf('paymentStatus', PAYMENT_STATUSES, 'payment status'),
+  listOf('riskLevel', Object.values(RISK_LEVEL), 'risk level'),
+
+  ...['createdFrom', 'createdTo', 'approvedFrom', 'approvedTo', 'paidFrom', 'paidTo'].map((name) =>
+    query(name)
+      .optional()
+      .isISO8601().withMessage(`${name} must be an ISO 8601 date`)
+  ),
+
+  ...['vehicleNo', 'supplierName', 'partyName', 'transporterName', 'itemName', 'userId'].map((name) =>
+    query(name)
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 }).withMessage(`${name} must be 1 to 100 characters`)
+  ),
+
+  ...['minPremium', 'maxPremium', 'minValue', 'maxValue'].map((name) =>
+    query(name)
+      .optional()
+      .isFloat({ min: 0 }).withMessage(`${name} must be a number of 0 or more`)
+  ),
+  minBelowMax('minPremium', 'maxPremium'),
+  minBelowMax('minValue', 'maxValue'),
+
+  ...['minRiskScore', 'maxRiskScore'].map((name) =>
+    query(name)
+      .optional()
+      .isInt({ min: 0, max: 100 }).withMessage(`${name} must be between 0 and 100`)
+  ),
+
+  query('sort')
+    .optional()
+    .isIn([...Object.keys(SORT_FIELDS), ...Object.keys(SORT_ALIASES)])
+    .withMessage(`sort must be one of: ${[...Object.keys(SORT_FIELDS), ...Object.keys(SORT_ALIASES)].join(', ')}`),
+
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: REQUEST_SEARCH_MAX_LIMIT }).withMessage(`limit must be between 1 and ${REQUEST_SEARCH_MAX_LIMIT}`),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 }).withMessage('offset must be 0 or more'),
+
+  query('cursor')
+    .optional()
+    .custom((value) => {
+      if (!decodeCursor(value)) {
+        throw new Error('cursor is invalid; pass the nextCursor of the previous page');
+      }
+      return true;
+    })
+];
+
+const exportFormat = (defaultFormat) => query('format')
+  .optional()
+  .isIn(Object.keys(EXPORT_FORMATS)).withMessage(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')} (default ${defaultFormat})`);
+
+// Search filters plus the file format and columns; the whole result is exported, so paging is ignored
+exports.validateRequestExport = [
+  ...exports.validateRequestSearch,
+
+  exportFormat('csv'),
+
+  query('columns')
+    .optional()
+    .custom((value) => {
+      const keys = String(value).split(',').map((key) => key.trim()).filter(Boolean);
+      if (keys.length === 0) {
+        throw new Error('columns must list at least one column');
+      }
+      const invalid = keys.filter((key) => !REQUEST_EXPORT_COLUMNS[key]);
+      if (invalid.length > 0) {
+        throw new Error(`Unknown column(s): ${invalid.join(', ')}. Available: ${Object.keys(REQUEST_EXPORT_COLUMNS).join(', ')}`);
+      }
+      return true;
+    })
+];
+
+exports.validateBordereau = [
+  query('from')
+    .notEmpty().withMessage('from is required')
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+
+  query('to')
+    .notEmpty().withMessage('to is required')
+    .isISO8601().withMessage('to must be an ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) < new Date(req.query.from)) {
+        throw new Error('to must not be before from');
+      }
+      return true;
+    }),
+
+  exportFormat('xlsx')
+];
+
+// Dates are local days (YYYY-MM-DD); the range defaults to the last 30 days
+exports.validateStatsQuery = [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true }).withMessage('from must be a date (YYYY-MM-DD)')
+    .custom((value, { req }) => {
+      const { from, to } = resolveRange({ from: value, to: req.query.to });
+      const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) + 1;
+      if (days > STATS_MAX_DAYS) {
+        throw new Error(`The range must not exceed ${STATS_MAX_DAYS} days`);
+      }
+      return true;
+    }),
+
+  query('to')
+    .optional()
+    .isISO8601({ strict: true }).withMessage('to must be a date (YYYY-MM-DD)')
+    .custom((value, { req }) => {
+      const { from, to } = resolveRange({ from: req.query.from, to: value });
+      if (to < from) {
+        throw new Error('to must not be before from');
+      }
+      return true;
+    }),
+
+  query('top')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('top must be between 1 and 50')
+];
+
+exports.validateAuditQuery = [
+  query('action')
+    .optional()
+    .custom((value) => {
+      const invalid = String(value).split(',')
+        .map((a) => a.trim().toUpperCase())
+        .filter((a) => !ADMIN_ACTIONS[a]);
+      if (invalid.length > 0) {
+        throw new Error(`Unknown action(s): ${invalid.join(', ')}`);
+      }
+      return true;
+    }),
+
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be an ISO 8601 date'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 }).withMessage('offset must be 0 or more')
+];
+
+exports.validateStatusQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 }).withMessage('offset must be 0 or more')
+];
+
+exports.validateRateTable = [
+  body('name')
+    .optional()
+    .isString().withMessage('Name must be a string')
+    .isLength({ max: 100 }).withMessage('Name must not exceed 100 characters'),
+
+  body('effectiveFrom')
+    .notEmpty().withMessage('effectiveFrom is required')
+    .isISO8601().withMessage('effectiveFrom must be an ISO 8601 date'),
+
+  body('defaultRate')
+    .notEmpty().withMessage('defaultRate is required')
+    .isFloat({ min: 0, lt: 1 }).withMessage('defaultRate must be a fraction between 0 and 1 (e.g. 0.002 for 0.2%)'),
+
+  body('minimumPremium')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('minimumPremium must be 0 or more'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string'),
+
+  body('commodityRates')
+    .optional()
+    .isArray().withMessage('commodityRates must be an array'),
+
+  body('commodityRates.*.commodity')
+    .notEmpty().withMessage('Commodity name is required')
+    .isString().withMessage('Commodity name must be a string'),
+
+  body('commodityRates.*.rate')
+    .isFloat({ min: 0, lt: 1 }).withMessage('Commodity rate must be a fraction between 0 and 1'),
+
+  body('commodityRates.*.minimumPremium')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Commodity minimum premium must be 0 or more'),
+
+  body('slabs')
+    .optional()
+    .isArray().withMessage('slabs must be an array'),
+
+  body('slabs.*.minValue')
+    .isFloat({ min: 0 }).withMessage('Slab minValue must be 0 or more'),
+
+  body('slabs.*.maxValue')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Slab maxValue must be 0 or more'),
+
+  body('slabs.*.rate')
+    .isFloat({ min: 0, lt: 1 }).withMessage('Slab rate must be a fraction between 0 and 1')
+];
+
+exports.validatePremiumQuote = [
+  body('itemName')
+    .notEmpty().withMessage('Item name is required')
+    .isString().withMessage('Item name must be a string'),
+
+  body('quantity')
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+
+  body('rate')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Rate must be a valid number'),
+
+  body('at')
+    .optional()
+    .isISO8601().withMessage('at must be an ISO 8601 date')
+];
+
+exports.validateInvoiceCancellation = [
+  body('reason')
+    .notEmpty().withMessage('Cancellation reason is required')
+    .isString().withMessage('Cancellation reason must be a string')
+    .isLength({ max: 500 }).withMessage('Cancellation reason must not exceed 500 characters'),
+
+  body('reissue')
+    .optional()
+    .isBoolean().withMessage('reissue must be true or false'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+
+  body('rate')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Rate must be a valid number')
+];
+
+exports.validateClaim = [
+  body('userId')
+    .exists().withMessage('User ID is required')
+    .notEmpty().withMessage('User ID cannot be empty')
+    .isString().withMessage('User ID must be a string'),
+
+  body('policyNumber')
+    .if(body('requestId').not().exists())
+    .notEmpty().withMessage('policyNumber or requestId is required')
+    .isString().withMessage('Policy number must be a string'),
+
+  body('requestId')
+    .optional()
+    .isString().withMessage('Request ID must be a string'),
+
+  body('perilType')
+    .customSanitizer((value) => (typeof value === 'string' ? value.trim().toUpperCase().replace(/[\s-]+/g, '_') : value))
+    .isIn(Object.values(PERIL_TYPES))
+    .withMessage(`Peril type must be one of ${Object.values(PERIL_TYPES).join(', ')}`),
+
+  body('description')
+    .notEmpty().withMessage('Description is required')
+    .isString().withMessage('Description must be a string')
+    .isLength({ min: 10, max: 2000 }).withMessage('Description must be 10 to 2000 characters'),
+
+  body('incidentDate')
+    .optional()
+    .isISO8601().withMessage('incidentDate must be an ISO 8601 date'),
+
+  body('claimedAmount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Claimed amount must be greater than 0'),
+
+  ...claimDocumentRules(false)
+];
+
+exports.validateCustomerClaimDocuments = [
+  body('userId')
+    .exists().withMessage('User ID is required')
+    .notEmpty().withMessage('User ID cannot be empty')
+    .isString().withMessage('User ID must be a string'),
+
+  ...claimDocumentRules(true)
+];
+
+exports.validateClaimDocuments = claimDocumentRules(true);
+
+exports.validateClaimQuery = [
+  query('status')
+    .optional()
+    .isIn(Object.values(CLAIM_STATUS))
+    .withMessage(`status must be one of ${Object.values(CLAIM_STATUS).join(', ')}`),
+
+  query('perilType')
+    .optional()
+    .isIn(Object.values(PERIL_TYPES))
+    .withMessage(`perilType must be one of ${Object.values(PERIL_TYPES).join(', ')}`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 }).withMessage('offset must be 0 or more')
+];
+
+exports.validateClaimReview = [
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters')
+];
+
+exports.validateClaimInfoRequest = [
+  body('message')
+    .notEmpty().withMessage('Message is required')
+    .isString().withMessage('Message must be a string')
+    .isLength({ max: 1000 }).withMessage('Message must not exceed 1000 characters')
+];
+
+exports.validateClaimApproval = [
+  body('approvedAmount')
+    .isFloat({ gt: 0 }).withMessage('Approved amount must be greater than 0'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters')
+];
+
+exports.validateClaimRejection = [
+  body('reason')
+    .notEmpty().withMessage('Rejection reason is required')
+    .isString().withMessage('Rejection reason must be a string')
+    .isLength({ min: 10 }).withMessage('Rejection reason must be at least 10 characters')
+    .isLength({ max: 500 }).withMessage('Rejection reason must not exceed 500 characters')
+];
+
+exports.validateClaimSettlement = [
+  body('settlementReference')
+    .notEmpty().withMessage('Settlement reference is required')
+    .isString().withMessage('Settlement reference must be a string')
+    .isLength({ max: 100 }).withMessage('Settlement reference must not exceed 100 characters'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters')
+];
+
+exports.validateUnloadingWeight = [
+  body('userId')
+    .exists().withMessage('User ID is required')
+    .notEmpty().withMessage('User ID cannot be empty')
+    .isString().withMessage('User ID must be a string'),
+
+  body('unloadingWeight')
+    .isFloat({ gt: 0 }).withMessage('Unloading weight must be a number of kg greater than 0'),
+
+  body('loadingWeight')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Loading weight must be a number of kg greater than 0')
+];
+
+// Sent as a multipart form field next to the image
+exports.validateKantaParchiUpload = [
+  body('userId')
+    .exists().withMessage('User ID is required')
+    .notEmpty().withMessage('User ID cannot be empty')
+    .isString().withMessage('User ID must be a string')
+];
+
+exports.validateWeights = [
+  body('loadingWeight')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Loading weight must be a number of kg greater than 0'),
+
+  body('unloadingWeight')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Unloading weight must be a number of kg greater than 0'),
+
+  body()
+    .custom((value) => {
+      if (!value || (value.loadingWeight == null && value.unloadingWeight == null)) {
+        throw new Error('loadingWeight or unloadingWeight is required');
+      }
+      return true;
+    })
+];
@@ -0,0 +1,147 @@
+// webhookAuth.js
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TOKEN_HEADER = 'x-webhook-token';
+
+// Never written to logs: they carry the webhook secret or something derived from it
+const CREDENTIAL_HEADERS = [SIGNATURE_HEADER, TOKEN_HEADER, 'authorization', 'cookie'];
+
+// Explicit opt-out for local development only; without it a missing secret rejects every call
+const WEBHOOK_AUTH_DISABLED = process.env.WEBHOOK_AUTH_DISABLED === 'true';
+
+// Sources whose configuration was already reported at startup
+const reportedSources = new Set();
+
+/**
+ * Active secrets for an inbound webhook source, read from
+ * <SOURCE>_WEBHOOK_SECRET and <SOURCE>_WEBHOOK_SECRET_PREVIOUS.
+ * During rotation both are accepted; drop the previous one once every sender is switched.
+ */
+function getWebhookSecrets(source) {
+  const prefix = source.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  return [
+    process.env[`${prefix}_WEBHOOK_SECRET`],
+    process.env[`${prefix}_WEBHOOK_SECRET_PREVIOUS`]
+  ].filter(Boolean);
+}
+
+/**
+ * Hex HMAC-SHA256 of the raw body, as expected in X-Webhook-Signature (optionally prefixed "sha256=")
+ */
+function computeWebhookSignature(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex');
+}
+
+// Constant-time comparison that does not leak the length of the expected value
+function safeEqual(a, b) {
+  const aHash = crypto.createHash('sha256').update(String(a)).digest();
+  const bHash = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(aHash, bHash);
+}
+
+// Only JSON and form-encoded bodies are captured as rawBody; a signature over the empty body of a
+// GET or multipart request would be valid for any call to the route, so it is never accepted there
+function hasSignedBody(req) {
+  return Buffer.isBuffer(req.rawBody) && req.rawBody.length > 0;
+}
+
+function matchesSignature(req, secrets) {
+  const header = req.get(SIGNATURE_HEADER);
+  if (!header || !hasSignedBody(req)) return false;
+
+  const signature = header.trim().replace(/^sha256=/i, '').toLowerCase();
+  return secrets.some((secret) => safeEqual(signature, computeWebhookSignature(req.rawBody, secret)));
+}
+
+function matchesToken(req, secrets) {
+  const authHeader = req.get('authorization');
+  const token = req.get(TOKEN_HEADER) ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+  if (!token) return false;
+
+  return secrets.some((secret) => safeEqual(token.trim(), secret));
+}
+
+function verifyWebhookRequest(source, req, res, next) {
+  const secrets = getWebhookSecrets(source);
+
+  if (secrets.length === 0) {
+    console.error(`❌ ${source} webhook secret is not configured; rejecting ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Webhook authentication is not configured'
+    });
+  }
+
+  const hasCredentials = req.get(SIGNATURE_HEADER) || req.get(TOKEN_HEADER) || req.get('authorization');
+  if (!hasCredentials) {
+    console.warn(`🚫 Rejected ${source} webhook without credentials from ${req.ip} (${req.method} ${req.originalUrl})`);
+    return res.status(401).json({
+      success: false,
+      message: 'Missing webhook signature or token'
+    });
+  }
+
+  const hasToken = req.get(TOKEN_HEADER) || req.get('authorization');
+  if (!hasToken && !hasSignedBody(req)) {
+    console.warn(`🚫 Rejected ${source} webhook signed without a signable body from ${req.ip} (${req.method} ${req.originalUrl})`);
+    return res.status(401).json({
+      success: false,
+      message: 'This request has no JSON or form body to sign; authenticate it with X-Webhook-Token'
+    });
+  }
+
+  if (!matchesSignature(req, secrets) && !matchesToken(req, secrets)) {
+    console.warn(`🚫 Rejected ${source} webhook with invalid signature/token from ${req.ip} (${req.method} ${req.originalUrl})`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature or token'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Verify an inbound webhook before any other processing. Accepts either
+ *  - X-Webhook-Signature: hex HMAC-SHA256 of the raw request body (JSON and form-encoded bodies only), or
+ *  - X-Webhook-Token (or Authorization: Bearer) equal to the shared secret,
+ * checked against every active secret of the source (see getWebhookSecrets).
+ * GET and multipart requests have no captured body, so they must use the token.
+ *
+ * Without configured secrets every call is rejected, unless WEBHOOK_AUTH_DISABLED=true turns the
+ * check off (local development only; logged when the routes are set up).
+ *
+ * @param {string} source - sender name, e.g. 'chatrace' → CHATRACE_WEBHOOK_SECRET
+ * @returns {import('express').RequestHandler}
+ */
+exports.verifyWebhook = (source) => {
+  if (!reportedSources.has(source)) {
+    reportedSources.add(source);
+    if (WEBHOOK_AUTH_DISABLED) {
+      console.warn(`⚠️ WEBHOOK_AUTH_DISABLED=true: ${source} webhook calls are accepted without authentication`);
+    } else if (getWebhookSecrets(source).length === 0) {
+      console.error(`❌ ${source} webhook secret is not configured; every ${source} webhook call will be rejected`);
+    }
+  }
+
+  if (WEBHOOK_AUTH_DISABLED) {
+    return (req, res, next) => next();
+  }
+
+  return (req, res, next) => verifyWebhookRequest(source, req, res, next);
+};
+
+/**
+ * Copy of the request headers that is safe to log (credential headers masked)
+ * @param {Object} headers - req.headers
+ */
+exports.redactWebhookHeaders = (headers) => Object.fromEntries(
+  Object.entries(headers).map(([name, value]) => [
+    name,
+    CREDENTIAL_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value
+  ])
+);
+
+exports.computeWebhookSignature = computeWebhookSignature;
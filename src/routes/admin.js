@@ -2,20 +2,203 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { validateApproval, validateRejection } = require('../middleware/validation');
+const auditController = require('../controllers/auditController');
+const exportController = require('../controllers/exportController');
+const adminAuthRoutes = require('./adminAuth');
+const adminUserRoutes = require('./adminUsers');
+const adminRateTableRoutes = require('./adminRateTables');
+const adminClaimRoutes = require('./adminClaims');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const {
+  validateApproval,
+  validateRejection,
+  validateBulkApproval,
+  validateBulkRejection,
+  validateStatsQuery,
+  validateRequestEdit,
+  validateReopen,
+  validateInvoiceCancellation,
+  validateWeights,
+  validateAuditQuery,
+  validateRequestSearch,
+  validateRequestExport,
+  validateBordereau
+} = require('../middleware/validation');
+const { kantaParchiUpload } = require('../middleware/upload');
+
+// Login / refresh are public; everything registered after the guard requires a valid admin token
+router.use('/auth', adminAuthRoutes);
+router.use(authenticateAdmin);
+
+router.use('/users', adminUserRoutes);
+router.use('/rate-tables', adminRateTableRoutes);
+router.use('/claims', adminClaimRoutes);
 
 /**
  * @swagger
  * /api/admin/pending:
  *   get:
  *     summary: Get all pending requests
- *     description: Retrieve all insurance requests awaiting admin verification
+ *     description: |
+ *       Retrieve insurance requests awaiting admin verification, with the risk score, level and
+ *       triggered rules computed at creation. Sort by `risk` to review the riskiest requests first.
+ *       Takes the same filters as /api/admin/requests (except status); every match is returned
+ *       unless `limit` or `cursor` is given.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchPaymentStatus'
+ *       - $ref: '#/components/parameters/SearchRiskLevel'
+ *       - $ref: '#/components/parameters/SearchUserId'
+ *       - $ref: '#/components/parameters/SearchVehicleNo'
+ *       - $ref: '#/components/parameters/SearchSupplierName'
+ *       - $ref: '#/components/parameters/SearchPartyName'
+ *       - $ref: '#/components/parameters/SearchTransporterName'
+ *       - $ref: '#/components/parameters/SearchItemName'
+ *       - $ref: '#/components/parameters/SearchCreatedFrom'
+ *       - $ref: '#/components/parameters/SearchCreatedTo'
+ *       - $ref: '#/components/parameters/SearchApprovedFrom'
+ *       - $ref: '#/components/parameters/SearchApprovedTo'
+ *       - $ref: '#/components/parameters/SearchPaidFrom'
+ *       - $ref: '#/components/parameters/SearchPaidTo'
+ *       - $ref: '#/components/parameters/SearchMinPremium'
+ *       - $ref: '#/components/parameters/SearchMaxPremium'
+ *       - $ref: '#/components/parameters/SearchMinValue'
+ *       - $ref: '#/components/parameters/SearchMaxValue'
+ *       - $ref: '#/components/parameters/SearchMinRiskScore'
+ *       - $ref: '#/components/parameters/SearchMaxRiskScore'
+ *       - $ref: '#/components/parameters/SearchSort'
+ *       - $ref: '#/components/parameters/SearchOrder'
+ *       - $ref: '#/components/parameters/SearchLimit'
+ *       - $ref: '#/components/parameters/SearchCursor'
+ *       - $ref: '#/components/parameters/SearchOffset'
+ *     responses:
+ *       200:
+ *         description: Pending requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestSearchPage'
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/pending',
+  requirePermission('requests:read'),
+  validateRequestSearch,
+  adminController.getPendingRequests
+);
+
+/**
+ * @swagger
+ * /api/admin/requests:
+ *   get:
+ *     summary: Search requests
+ *     description: |
+ *       Filter, sort and page through all insurance requests. Filters combine with AND; text filters
+ *       match partially and ignore case. Pages are cut with a cursor: pass `nextCursor` from one page
+ *       as `cursor` for the next, keeping the other parameters, and rows added meanwhile do not shift
+ *       the pages. Defaults to 50 requests, newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchStatus'
+ *       - $ref: '#/components/parameters/SearchPaymentStatus'
+ *       - $ref: '#/components/parameters/SearchRiskLevel'
+ *       - $ref: '#/components/parameters/SearchUserId'
+ *       - $ref: '#/components/parameters/SearchVehicleNo'
+ *       - $ref: '#/components/parameters/SearchSupplierName'
+ *       - $ref: '#/components/parameters/SearchPartyName'
+ *       - $ref: '#/components/parameters/SearchTransporterName'
+ *       - $ref: '#/components/parameters/SearchItemName'
+ *       - $ref: '#/components/parameters/SearchCreatedFrom'
+ *       - $ref: '#/components/parameters/SearchCreatedTo'
+ *       - $ref: '#/components/parameters/SearchApprovedFrom'
+ *       - $ref: '#/components/parameters/SearchApprovedTo'
+ *       - $ref: '#/components/parameters/SearchPaidFrom'
+ *       - $ref: '#/components/parameters/SearchPaidTo'
+ *       - $ref: '#/components/parameters/SearchMinPremium'
+ *       - $ref: '#/components/parameters/SearchMaxPremium'
+ *       - $ref: '#/components/parameters/SearchMinValue'
+ *       - $ref: '#/components/parameters/SearchMaxValue'
+ *       - $ref: '#/components/parameters/SearchMinRiskScore'
+ *       - $ref: '#/components/parameters/SearchMaxRiskScore'
+ *       - $ref: '#/components/parameters/SearchSort'
+ *       - $ref: '#/components/parameters/SearchOrder'
+ *       - $ref: '#/components/parameters/SearchLimit'
+ *       - $ref: '#/components/parameters/SearchCursor'
+ *       - $ref: '#/components/parameters/SearchOffset'
  *     responses:
  *       200:
- *         description: List of pending requests
+ *         description: One page of requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RequestSearchPage'
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/requests',
+  requirePermission('requests:read'),
+  validateRequestSearch,
+  adminController.getAllRequests
+);
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Operations statistics
+ *     description: |
+ *       Figures for the dashboard over a range of days (in REPORT_TIMEZONE, India by default):
+ *       requests per status, declared value (quantity × rate), premium invoiced and collected,
+ *       approval / rejection rates, average and 90th percentile time from creation to approval and
+ *       from approval to payment, the top commodities, suppliers and transporters, and a daily series.
+ *       Requests are counted on the day they were created; approvals and payments on the day they happened.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day; defaults to 29 days before `to`
+ *         example: 2026-04-01
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day, inclusive; defaults to today. At most 366 days in all.
+ *         example: 2026-04-30
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *         description: Entries in each top list
+ *     responses:
+ *       200:
+ *         description: Statistics for the range
  *         content:
  *           application/json:
  *             schema:
@@ -24,58 +207,387 @@ const { validateApproval, validateRejection } = require('../middleware/validatio
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 count:
- *                   type: integer
- *                   example: 5
  *                 data:
- *                   type: array
- *                   items:
- *                     type: object
+ *                   $ref: '#/components/schemas/OperationsStats'
+ *       400:
+ *         description: Invalid range
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
  *       500:
  *         description: Server error
  */
 router.get(
-  '/pending',
-  adminController.getPendingRequests
+  '/stats',
+  requirePermission('reports:read'),
+  validateStatsQuery,
+  adminController.getStats
 );
 
 /**
  * @swagger
- * /api/admin/requests:
+ * /api/admin/requests/export:
  *   get:
- *     summary: Get all requests with filters
- *     description: Retrieve all insurance requests with optional status filtering
+ *     summary: Export requests as CSV or Excel
+ *     description: |
+ *       Download every request matching the same filters as /api/admin/requests, in the chosen sort
+ *       order, as a CSV or XLSX file. The file is streamed, so large exports start at once and are
+ *       not held in memory. Paging parameters are ignored.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: status
+ *         name: format
  *         schema:
  *           type: string
- *           enum: [PENDING_VERIFICATION, APPROVED, REJECTED, PAYMENT_PENDING, PAID, POLICY_ISSUED]
- *         description: Filter by status
+ *           enum: [csv, xlsx]
+ *           default: csv
  *       - in: query
- *         name: limit
+ *         name: columns
  *         schema:
- *           type: integer
- *           default: 50
- *         description: Number of results to return
- *       - in: query
- *         name: offset
+ *           type: string
+ *         description: |
+ *           Comma-separated columns, in order. Available: id, createdAt, status, userId, supplierName,
+ *           supplierPlace, partyName, partyAddress, itemName, quantity, rate, declaredValue, vehicleNo,
+ *           transporterName, invoiceType, riskScore, riskLevel, adminTimestamp, rejectionReason,
+ *           invoiceNumber, premiumAmount, gstAmount, totalAmount, paymentStatus, paymentTimestamp,
+ *           policyNumber, policyStartDate, policyEndDate
+ *         example: createdAt,vehicleNo,itemName,declaredValue,premiumAmount
+ *       - $ref: '#/components/parameters/SearchStatus'
+ *       - $ref: '#/components/parameters/SearchPaymentStatus'
+ *       - $ref: '#/components/parameters/SearchRiskLevel'
+ *       - $ref: '#/components/parameters/SearchUserId'
+ *       - $ref: '#/components/parameters/SearchVehicleNo'
+ *       - $ref: '#/components/parameters/SearchSupplierName'
+ *       - $ref: '#/components/parameters/SearchPartyName'
+ *       - $ref: '#/components/parameters/SearchTransporterName'
+ *       - $ref: '#/components/parameters/SearchItemName'
+ *       - $ref: '#/components/parameters/SearchCreatedFrom'
+ *       - $ref: '#/components/parameters/SearchCreatedTo'
+ *       - $ref: '#/components/parameters/SearchApprovedFrom'
+ *       - $ref: '#/components/parameters/SearchApprovedTo'
+ *       - $ref: '#/components/parameters/SearchPaidFrom'
+ *       - $ref: '#/components/parameters/SearchPaidTo'
+ *       - $ref: '#/components/parameters/SearchMinPremium'
+ *       - $ref: '#/components/parameters/SearchMaxPremium'
+ *       - $ref: '#/components/parameters/SearchMinValue'
+ *       - $ref: '#/components/parameters/SearchMaxValue'
+ *       - $ref: '#/components/parameters/SearchMinRiskScore'
+ *       - $ref: '#/components/parameters/SearchMaxRiskScore'
+ *       - $ref: '#/components/parameters/SearchSort'
+ *       - $ref: '#/components/parameters/SearchOrder'
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid filter, format or column
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/requests/export',
+  requirePermission('reports:export'),
+  validateRequestExport,
+  exportController.exportRequests
+);
+
+/**
+ * @swagger
+ * /api/admin/requests/{id}:
+ *   get:
+ *     summary: Get request details
+ *     description: Full request details with admin actions and payments. Records a VIEWED audit entry.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
- *           type: integer
- *           default: 0
- *         description: Number of results to skip
+ *           type: string
+ *         description: Insurance request UUID
  *     responses:
  *       200:
- *         description: List of requests
+ *         description: Request details
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Request not found
  *       500:
  *         description: Server error
  */
 router.get(
-  '/requests',
-  adminController.getAllRequests
+  '/requests/:id',
+  requirePermission('requests:read'),
+  adminController.getRequestDetails
+);
+
+/**
+ * @swagger
+ * /api/admin/requests/{id}:
+ *   patch:
+ *     summary: Correct a pending request
+ *     description: |
+ *       Fix what the customer typed before approving: goods, quantity, rate, vehicle and party details.
+ *       Sent fields are checked with the same rules as at creation; null clears an optional field.
+ *       The premium is recomputed with the rate table the request was quoted with and the risk is
+ *       scored again. Every edit is stored with its version, the editing admin and the old and new
+ *       value of each changed field (see `edits` in the request details), so the original submission
+ *       is kept. Only requests in PENDING_VERIFICATION can be edited.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               itemName:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               rate:
+ *                 type: number
+ *                 nullable: true
+ *               vehicleNo:
+ *                 type: string
+ *                 description: Any spacing; stored canonical
+ *               supplierName:
+ *                 type: string
+ *                 nullable: true
+ *               supplierPlace:
+ *                 type: string
+ *                 nullable: true
+ *               partyName:
+ *                 type: string
+ *                 nullable: true
+ *               partyAddress:
+ *                 type: string
+ *                 nullable: true
+ *               transporterName:
+ *                 type: string
+ *                 nullable: true
+ *               cashCommission:
+ *                 type: string
+ *                 nullable: true
+ *               invoiceType:
+ *                 type: string
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why the request was corrected
+ *           example:
+ *             quantity: 120
+ *             rate: 2450
+ *             reason: Customer confirmed 120 quintals on call
+ *     responses:
+ *       200:
+ *         description: Request updated, or no changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Request updated (edit v1)
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     request:
+ *                       type: object
+ *                     edit:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         version:
+ *                           type: integer
+ *                         editedById:
+ *                           type: string
+ *                         reason:
+ *                           type: string
+ *                         changes:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               field:
+ *                                 type: string
+ *                                 example: quantity
+ *                               from:
+ *                                 example: 100
+ *                               to:
+ *                                 example: 120
+ *       400:
+ *         description: Invalid value, field that cannot be edited, or request not pending
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: Request changed while editing
+ *       500:
+ *         description: Server error
+ */
+router.patch(
+  '/requests/:id',
+  requirePermission('requests:edit'),
+  validateRequestEdit,
+  adminController.updateRequest
+);
+
+/**
+ * @swagger
+ * /api/admin/approve/bulk:
+ *   post:
+ *     summary: Approve several requests
+ *     description: |
+ *       Approve up to 100 pending requests at once. Each is checked against its current status;
+ *       the pending ones are approved a few at a time (invoice, payment link, WhatsApp message) and
+ *       the result is reported per request. A failed WhatsApp message does not fail the approval
+ *       (`messageSent: false`).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requestIds]
+ *             properties:
+ *               requestIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               adminNotes:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Recorded on every approval
+ *     responses:
+ *       200:
+ *         description: Every request was approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkActionReport'
+ *       207:
+ *         description: Some requests failed; see results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkActionReport'
+ *       400:
+ *         description: Invalid request list
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/approve/bulk',
+  requirePermission('requests:approve'),
+  validateBulkApproval,
+  adminController.bulkApproveRequests
+);
+
+/**
+ * @swagger
+ * /api/admin/reject/bulk:
+ *   post:
+ *     summary: Reject several requests
+ *     description: |
+ *       Reject up to 100 pending requests with the same reason and notify each customer. Requests
+ *       that are no longer pending are reported as failed and left unchanged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requestIds, rejectionReason]
+ *             properties:
+ *               requestIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               rejectionReason:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 500
+ *                 description: Sent to every customer
+ *     responses:
+ *       200:
+ *         description: Every request was rejectd
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkActionReport'
+ *       207:
+ *         description: Some requests failed; see results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkActionReport'
+ *       400:
+ *         description: Invalid request list or reason
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/reject/bulk',
+  requirePermission('requests:reject'),
+  validateBulkRejection,
+  adminController.bulkRejectRequests
 );
 
 /**
@@ -122,19 +634,46 @@ router.get(
  *                       type: string
  *                     premiumAmount:
  *                       type: number
+ *                       description: Premium before GST
+ *                     cgstAmount:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Set when the place of supply is in the company's state
+ *                     sgstAmount:
+ *                       type: number
+ *                       nullable: true
+ *                     igstAmount:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Set for inter-state supply or an unrecognised place
+ *                     totalAmount:
+ *                       type: number
+ *                       description: Premium + GST; the payment link amount
  *                     paymentLink:
  *                       type: string
+ *                     paymentLinkExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     invoicePdfUrl:
+ *                       type: string
  *                     status:
  *                       type: string
  *       400:
  *         description: Request already processed
  *       404:
  *         description: Request not found
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
  *       500:
  *         description: Server error
+ *       502:
+ *         description: Payment link could not be created; request left pending
  */
 router.post(
   '/approve/:id',
+  requirePermission('requests:approve'),
   validateApproval,
   adminController.approveRequest
 );
@@ -168,13 +707,443 @@ router.post(
  *         description: Request already processed or invalid data
  *       404:
  *         description: Request not found
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
  *       500:
  *         description: Server error
  */
 router.post(
   '/reject/:id',
+  requirePermission('requests:reject'),
   validateRejection,
   adminController.rejectRequest
 );
 
+/**
+ * @swagger
+ * /api/admin/reopen/{id}:
+ *   post:
+ *     summary: Reopen rejected request
+ *     description: Override a rejection and send the request back to PENDING_VERIFICATION (SUPER_ADMIN only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the rejection is being overridden
+ *     responses:
+ *       200:
+ *         description: Request reopened successfully
+ *       400:
+ *         description: Request is not rejected
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Request not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/reopen/:id',
+  requirePermission('requests:override'),
+  validateReopen,
+  adminController.reopenRequest
+);
+
+/**
+ * @swagger
+ * /api/admin/resend/{id}:
+ *   post:
+ *     summary: Resend approval message
+ *     description: Resend the invoice and payment link to the customer on WhatsApp
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     responses:
+ *       200:
+ *         description: Approval message resent successfully
+ *       400:
+ *         description: Request has no invoice to resend
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Request not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/resend/:id',
+  requirePermission('requests:resend'),
+  adminController.resendApproval
+);
+
+/**
+ * @swagger
+ * /api/admin/issue-policy/{id}:
+ *   post:
+ *     summary: Issue policy
+ *     description: |
+ *       Issue the policy for a PAID request (normally automatic after payment).
+ *       Use it to retry a failed issuance or re-deliver the certificate; an existing policy number is kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     responses:
+ *       200:
+ *         description: Policy issued
+ *       400:
+ *         description: Request is not paid
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Request not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/issue-policy/:id',
+  requirePermission('policies:issue'),
+  adminController.issuePolicy
+);
+
+/**
+ * @swagger
+ * /api/admin/requests/{id}/weights:
+ *   put:
+ *     summary: Record weighbridge weights
+ *     description: |
+ *       Record or correct the loading and/or unloading weight (kg). Open SHORTAGE claims on the request
+ *       are reassessed: shortage = loading − unloading weight, eligible when it exceeds
+ *       SHORTAGE_THRESHOLD_KG (default 2000), payable at the request rate for the units short, a unit
+ *       weighing loading weight ÷ quantity. Approved and closed claims keep their assessment.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               loadingWeight:
+ *                 type: number
+ *                 description: kg
+ *                 example: 14000
+ *               unloadingWeight:
+ *                 type: number
+ *                 description: kg
+ *                 example: 11650
+ *     responses:
+ *       200:
+ *         description: Weights recorded; shortage calculation and reassessed claims
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Request not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/requests/:id/weights',
+  requirePermission('claims:review'),
+  validateWeights,
+  adminController.updateWeights
+);
+
+/**
+ * @swagger
+ * /api/admin/requests/{id}/kanta-parchi:
+ *   put:
+ *     summary: Upload kanta parchi
+ *     description: |
+ *       Upload or replace the weighment slip of a request as a multipart form (JPEG or PNG, up to
+ *       KANTA_PARCHI_MAX_MB, default 5), e.g. one the customer sent by email. If the request is
+ *       already invoiced, the invoice PDF is regenerated with the slip.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Slip stored; returns its URL and whether the invoice was regenerated
+ *       400:
+ *         description: Missing image
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Request not found
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: File is not a JPEG or PNG image
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/requests/:id/kanta-parchi',
+  requirePermission('requests:edit'),
+  kantaParchiUpload,
+  adminController.uploadKantaParchi
+);
+
+/**
+ * @swagger
+ * /api/admin/cancel-invoice/{id}:
+ *   post:
+ *     summary: Cancel invoice
+ *     description: |
+ *       Cancel the unpaid invoice of an APPROVED or PAYMENT_PENDING request (SUPER_ADMIN only).
+ *       Issues a credit note for the full invoice amount, marks the invoice CANCELLED, cancels the
+ *       payment link and sends the request back to PENDING_VERIFICATION.
+ *
+ *       With `reissue: true` a new invoice and payment link are issued straight away, priced from the
+ *       corrected `quantity` / `rate` if given. If the re-issue fails the cancellation stands and
+ *       `reissueError` explains why; approve the request again once fixed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Approved with wrong quantity
+ *               reissue:
+ *                 type: boolean
+ *                 default: false
+ *               quantity:
+ *                 type: integer
+ *                 description: Corrected quantity
+ *               rate:
+ *                 type: number
+ *                 description: Corrected rate
+ *     responses:
+ *       200:
+ *         description: Invoice cancelled; credit note number, payment link cancellation and re-issue result
+ *       400:
+ *         description: Validation error, or the request has no unpaid invoice
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: Invoice is already cancelled or the request changed concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/cancel-invoice/:id',
+  requirePermission('invoices:cancel'),
+  validateInvoiceCancellation,
+  adminController.cancelInvoice
+);
+
+/**
+ * @swagger
+ * /api/admin/reports/bordereau:
+ *   get:
+ *     summary: Export the insurer bordereau
+ *     description: |
+ *       Download the bordereau for the underwriter: one row per policy whose cover started in the
+ *       period, with declared value (quantity × rate), premium, CGST / SGST / IGST, amount charged,
+ *       vehicle, route (supplier place to party address) and coverage dates, followed by a totals row.
+ *       Policies whose invoice was later cancelled stay listed with their current status. Streamed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: 2026-04-01
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without a time covers the whole day in REPORT_TIMEZONE (India by default)
+ *         example: 2026-04-30
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: xlsx
+ *     responses:
+ *       200:
+ *         description: The bordereau file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing or invalid period or format
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/reports/bordereau',
+  requirePermission('reports:export'),
+  validateBordereau,
+  exportController.exportBordereau
+);
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Query admin audit trail
+ *     description: List admin actions (approve, reject, reopen, view, edit, resend) with the acting admin and client IP
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: string
+ *         description: Filter by acting admin
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *         description: Filter by insurance request
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated action types (APPROVED, REJECTED, REOPENED, VIEWED, EDITED, RESENT, POLICY_ISSUED)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only actions at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only actions at or before this time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of admin actions
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/audit',
+  requirePermission('audit:read'),
+  validateAuditQuery,
+  auditController.getAuditTrail
+);
+
 module.exports = router;
\ No newline at end of file
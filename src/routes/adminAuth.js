@@ -0,0 +1,195 @@
+// adminAuth.js
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticateAdmin } = require('../middleware/auth');
+const {
+  validateLogin,
+  validateRefreshToken,
+  validateLogout,
+  validatePasswordChange
+} = require('../middleware/validation');
+
+// Stricter limit for credential endpoints to slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 login attempts per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  message: { success: false, message: 'Too many login attempts, please try again later' }
+});
+
+/**
+ * @swagger
+ * /api/admin/auth/login:
+ *   post:
+ *     summary: Admin login
+ *     description: Verify admin credentials and issue an access token and a refresh token
+ *     tags: [Admin Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokenResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid email or password
+ *       403:
+ *         description: Account is deactivated
+ *       429:
+ *         description: Too many login attempts
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/login',
+  loginLimiter,
+  validateLogin,
+  authController.login
+);
+
+/**
+ * @swagger
+ * /api/admin/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new token pair. The presented refresh token is revoked.
+ *     tags: [Admin Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokenResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *       403:
+ *         description: Account is deactivated
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/refresh',
+  validateRefreshToken,
+  authController.refresh
+);
+
+/**
+ * @swagger
+ * /api/admin/auth/logout:
+ *   post:
+ *     summary: Logout
+ *     description: Revoke the given refresh token, or every session of the admin when allDevices is true
+ *     tags: [Admin Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *               allDevices:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated or refresh token invalid
+ *       403:
+ *         description: Refresh token does not belong to this admin
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/logout',
+  authenticateAdmin,
+  validateLogout,
+  authController.logout
+);
+
+/**
+ * @swagger
+ * /api/admin/auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     description: Change the logged-in admin's password. All existing sessions are revoked and a new token pair is returned.
+ *     tags: [Admin Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokenResponse'
+ *       400:
+ *         description: Validation error or current password incorrect
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/change-password',
+  loginLimiter,
+  authenticateAdmin,
+  validatePasswordChange,
+  authController.changePassword
+);
+
+/**
+ * @swagger
+ * /api/admin/auth/me:
+ *   get:
+ *     summary: Current admin
+ *     description: Get the profile of the logged-in admin
+ *     tags: [Admin Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Admin profile
+ *       401:
+ *         description: Not authenticated
+ */
+router.get(
+  '/me',
+  authenticateAdmin,
+  authController.me
+);
+
+module.exports = router;
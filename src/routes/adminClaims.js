@@ -0,0 +1,407 @@
+// adminClaims.js
+const express = require('express');
+const router = express.Router();
+const claimController = require('../controllers/claimController');
+const { requirePermission } = require('../middleware/auth');
+const {
+  validateClaimQuery,
+  validateClaimReview,
+  validateClaimInfoRequest,
+  validateClaimApproval,
+  validateClaimRejection,
+  validateClaimSettlement,
+  validateClaimDocuments
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/admin/claims:
+ *   get:
+ *     summary: List claims
+ *     description: Claims, newest first, optionally filtered by status and peril
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [SUBMITTED, UNDER_REVIEW, MORE_INFO_NEEDED, APPROVED, REJECTED, SETTLED]
+ *       - in: query
+ *         name: perilType
+ *         schema:
+ *           type: string
+ *           enum: [ACCIDENT, THEFT, SHORTAGE, RIOTS, WEATHER, FIRE, DRIVER_FRAUD]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of claims
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  requirePermission('claims:read'),
+  validateClaimQuery,
+  claimController.listClaims
+);
+
+/**
+ * @swagger
+ * /api/admin/claims/{id}:
+ *   get:
+ *     summary: Get claim details
+ *     description: Claim with its policy, documents and status history
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Claim UUID
+ *     responses:
+ *       200:
+ *         description: Claim details
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Claim not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id',
+  requirePermission('claims:read'),
+  claimController.getClaimDetails
+);
+
+/**
+ * @swagger
+ * /api/admin/claims/{id}/review:
+ *   post:
+ *     summary: Start claim review
+ *     description: Move a SUBMITTED or MORE_INFO_NEEDED claim to UNDER_REVIEW and tell the customer
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Claim UUID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim under review
+ *       400:
+ *         description: Claim cannot move to UNDER_REVIEW from its current status
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: Claim status changed concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/review',
+  requirePermission('claims:review'),
+  validateClaimReview,
+  claimController.startReview
+);
+
+/**
+ * @swagger
+ * /api/admin/claims/{id}/request-info:
+ *   post:
+ *     summary: Ask for more information
+ *     description: |
+ *       Move the claim to MORE_INFO_NEEDED and send `message` to the customer on WhatsApp.
+ *       The claim returns to UNDER_REVIEW when the customer sends documents.
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Claim UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: Please send the FIR copy and the damage certificate.
+ *     responses:
+ *       200:
+ *         description: Customer asked for more information
+ *       400:
+ *         description: Validation error or invalid status change
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: Claim status changed concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/request-info',
+  requirePermission('claims:review'),
+  validateClaimInfoRequest,
+  claimController.requestMoreInfo
+);
+
+/**
+ * @swagger
+ * /api/admin/claims/{id}/approve:
+ *   post:
+ *     summary: Approve claim
+ *     description: |
+ *       Approve the claim for `approvedAmount` and tell the customer (SUPER_ADMIN only).
+ *       For SHORTAGE claims the claim's `assessedAmount` and `assessment` hold the computed payable
+ *       amount and the calculation behind it.
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Claim UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [approvedAmount]
+ *             properties:
+ *               approvedAmount:
+ *                 type: number
+ *                 example: 45000
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim approved
+ *       400:
+ *         description: Validation error or invalid status change
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: Claim status changed concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/approve',
+  requirePermission('claims:settle'),
+  validateClaimApproval,
+  claimController.approveClaim
+);
+
+/**
+ * @swagger
+ * /api/admin/claims/{id}/reject:
+ *   post:
+ *     summary: Reject claim
+ *     description: Reject the claim and send the reason to the customer
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Claim UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 10
+ *                 example: Loss occurred after delivery was completed
+ *     responses:
+ *       200:
+ *         description: Claim rejected
+ *       400:
+ *         description: Validation error or invalid status change
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: Claim status changed concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/reject',
+  requirePermission('claims:review'),
+  validateClaimRejection,
+  claimController.rejectClaim
+);
+
+/**
+ * @swagger
+ * /api/admin/claims/{id}/settle:
+ *   post:
+ *     summary: Settle claim
+ *     description: Record the payout of an APPROVED claim and tell the customer (SUPER_ADMIN only)
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Claim UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [settlementReference]
+ *             properties:
+ *               settlementReference:
+ *                 type: string
+ *                 description: Bank / UTR reference of the payout
+ *                 example: UTR123456789
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim settled
+ *       400:
+ *         description: Validation error or claim not approved
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: Claim status changed concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/settle',
+  requirePermission('claims:settle'),
+  validateClaimSettlement,
+  claimController.settleClaim
+);
+
+/**
+ * @swagger
+ * /api/admin/claims/{id}/documents:
+ *   post:
+ *     summary: Attach claim documents
+ *     description: Attach documents on the customer's behalf, e.g. a surveyor report or documents received by email
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Claim UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [documents]
+ *             properties:
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ClaimDocument'
+ *     responses:
+ *       200:
+ *         description: Documents added
+ *       400:
+ *         description: Validation error or claim closed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Claim not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/documents',
+  requirePermission('claims:review'),
+  validateClaimDocuments,
+  claimController.addAdminDocuments
+);
+
+module.exports = router;
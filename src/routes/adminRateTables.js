@@ -0,0 +1,183 @@
+// adminRateTables.js
+const express = require('express');
+const router = express.Router();
+const rateTableController = require('../controllers/rateTableController');
+const { requirePermission } = require('../middleware/auth');
+const { validateRateTable, validatePremiumQuote } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/admin/rate-tables:
+ *   get:
+ *     summary: List rate table versions
+ *     description: All premium rate table versions, newest first, with the id of the one in force now
+ *     tags: [Rate Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of rate tables
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  requirePermission('requests:read'),
+  rateTableController.listRateTables
+);
+
+/**
+ * @swagger
+ * /api/admin/rate-tables/current:
+ *   get:
+ *     summary: Get the rate table in force
+ *     description: |
+ *       The version with the latest effectiveFrom that is not in the future.
+ *       `fallback: true` means none is configured and PREMIUM_FALLBACK_RATE (default 0.002) applies.
+ *     tags: [Rate Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current rate table
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/current',
+  requirePermission('requests:read'),
+  rateTableController.getCurrentRateTable
+);
+
+/**
+ * @swagger
+ * /api/admin/rate-tables/quote:
+ *   post:
+ *     summary: Preview a premium
+ *     description: Rate a consignment with the rate table in force at `at` (default now) without saving anything
+ *     tags: [Rate Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [itemName, quantity]
+ *             properties:
+ *               itemName:
+ *                 type: string
+ *                 example: Wheat
+ *               quantity:
+ *                 type: integer
+ *                 example: 100
+ *               rate:
+ *                 type: number
+ *                 example: 2500
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Premium, applied rate, basis (COMMODITY, SLAB, DEFAULT, MINIMUM) and rate table version
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/quote',
+  requirePermission('requests:read'),
+  validatePremiumQuote,
+  rateTableController.quotePremium
+);
+
+/**
+ * @swagger
+ * /api/admin/rate-tables/{id}:
+ *   get:
+ *     summary: Get a rate table version
+ *     description: Rate table with its commodity rates and value slabs
+ *     tags: [Rate Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rate table
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: Rate table not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id',
+  requirePermission('requests:read'),
+  rateTableController.getRateTable
+);
+
+/**
+ * @swagger
+ * /api/admin/rate-tables:
+ *   post:
+ *     summary: Create a rate table version
+ *     description: |
+ *       Create the next rate table version (SUPER_ADMIN only). Versions are never edited; to change
+ *       rates, create a new version with a later effectiveFrom. Rates are fractions of the declared
+ *       value (quantity × rate), e.g. 0.002 for 0.2%.
+ *
+ *       Rate precedence: commodity rate, then the slab containing the declared value, then defaultRate.
+ *       The premium is raised to the commodity's minimumPremium, else the table's.
+ *     tags: [Rate Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateRateTableRequest'
+ *     responses:
+ *       201:
+ *         description: Rate table created
+ *       400:
+ *         description: Validation error (including overlapping slabs or duplicate commodities)
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       409:
+ *         description: Another version was created concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  requirePermission('pricing:manage'),
+  validateRateTable,
+  rateTableController.createRateTable
+);
+
+module.exports = router;
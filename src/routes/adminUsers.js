@@ -0,0 +1,253 @@
+// adminUsers.js
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { requirePermission } = require('../middleware/auth');
+const {
+  validateCreateUser,
+  validateUpdateUser,
+  validatePasswordReset
+} = require('../middleware/validation');
+
+// Mounted behind authenticateAdmin; every user-management route is SUPER_ADMIN only
+router.use(requirePermission('users:manage'));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List admin users
+ *     description: List admin users (SUPER_ADMIN only)
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [ADMIN, SUPER_ADMIN]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of admin users
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Permission denied
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  userController.listUsers
+);
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   post:
+ *     summary: Create admin user
+ *     description: Create a new ADMIN or SUPER_ADMIN user (SUPER_ADMIN only)
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateUserRequest'
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Permission denied
+ *       409:
+ *         description: A user with this email already exists
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  validateCreateUser,
+  userController.createUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get admin user
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Admin user
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  '/:id',
+  userController.getUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   patch:
+ *     summary: Update admin user
+ *     description: Change an admin's name or role. A role change signs the user out everywhere.
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, SUPER_ADMIN]
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *       400:
+ *         description: Validation error or attempt to change own role
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: User not found
+ */
+router.patch(
+  '/:id',
+  validateUpdateUser,
+  userController.updateUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate admin user
+ *     description: Block the user from logging in and revoke all of their sessions
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deactivated successfully
+ *       400:
+ *         description: User already deactivated or attempt to deactivate self
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/:id/deactivate',
+  userController.deactivateUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/activate:
+ *   post:
+ *     summary: Reactivate admin user
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User activated successfully
+ *       400:
+ *         description: User already active
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/:id/activate',
+  userController.activateUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reset-password:
+ *   post:
+ *     summary: Reset admin password
+ *     description: Set a new password for another admin and revoke all of their sessions
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [newPassword]
+ *             properties:
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Permission denied
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/:id/reset-password',
+  validatePasswordReset,
+  userController.resetPassword
+);
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// claims.js
+const express = require('express');
+const router = express.Router();
+const claimController = require('../controllers/claimController');
+const { validateClaim, validateCustomerClaimDocuments } = require('../middleware/validation');
+const { verifyWebhook } = require('../middleware/webhookAuth');
+
+/**
+ * @swagger
+ * /api/claims:
+ *   post:
+ *     summary: Open a claim
+ *     description: |
+ *       Open a claim on an issued policy from the Chatrace bot. The policy is identified by
+ *       `policyNumber` (or `requestId`) and must belong to `userId`. The incident date, if given,
+ *       must fall within the policy coverage, and claims must be filed within CLAIM_FILING_WINDOW_DAYS
+ *       (default 30) of the policy end date. The customer gets a WhatsApp acknowledgement listing
+ *       the documents to send.
+ *
+ *       Authenticated like the insurance request webhook (`X-Webhook-Signature` or `X-Webhook-Token`).
+ *     tags: [Claims]
+ *     security:
+ *       - webhookSignature: []
+ *       - webhookToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateClaimRequest'
+ *     responses:
+ *       201:
+ *         description: Claim registered; returns claimId and claimNumber
+ *       400:
+ *         description: Validation error, policy not issued, or incident outside coverage
+ *       401:
+ *         description: Missing or invalid webhook signature/token
+ *       404:
+ *         description: Policy not found for this user
+ *       409:
+ *         description: A claim for this policy and peril is already open (its claimId is returned)
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  verifyWebhook('chatrace'),
+  validateClaim,
+  claimController.createClaim
+);
+
+/**
+ * @swagger
+ * /api/claims/{id}/documents:
+ *   post:
+ *     summary: Send claim documents
+ *     description: |
+ *       Attach documents (media URLs from the chat) to an open claim. If the claims team asked for
+ *       more information, the claim goes back to UNDER_REVIEW.
+ *     tags: [Claims]
+ *     security:
+ *       - webhookSignature: []
+ *       - webhookToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Claim UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, documents]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 example: "916209415125"
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ClaimDocument'
+ *     responses:
+ *       200:
+ *         description: Documents received
+ *       400:
+ *         description: Validation error or claim closed
+ *       401:
+ *         description: Missing or invalid webhook signature/token
+ *       404:
+ *         description: Claim not found for this user
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/documents',
+  verifyWebhook('chatrace'),
+  validateCustomerClaimDocuments,
+  claimController.addCustomerDocuments
+);
+
+/**
+ * @swagger
+ * /api/claims/status/{userId}:
+ *   get:
+ *     summary: Get claim status by User ID
+ *     description: |
+ *       The user's claims, newest first, with the policy each one is on. Called by the Chatrace bot.
+ *       A GET has no body to sign, so authenticate with `X-Webhook-Token`.
+ *     tags: [Claims]
+ *     security:
+ *       - webhookToken: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID (phone number)
+ *         example: 916209415125
+ *     responses:
+ *       200:
+ *         description: Claims retrieved successfully
+ *       401:
+ *         description: Missing or invalid webhook signature/token
+ *       404:
+ *         description: No claims found for this User ID
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/status/:userId',
+  verifyWebhook('chatrace'),
+  claimController.getClaimsByUserId
+);
+
+module.exports = router;
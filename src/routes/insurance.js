@@ -2,15 +2,45 @@
 const express = require('express');
 const router = express.Router();
 const insuranceController = require('../controllers/insuranceController');
-const { validateInsuranceRequest } = require('../middleware/validation');
+const {
+  validateInsuranceRequest,
+  validateStatusQuery,
+  validateUnloadingWeight,
+  validateKantaParchiUpload
+} = require('../middleware/validation');
+const { verifyWebhook } = require('../middleware/webhookAuth');
+const { kantaParchiUpload } = require('../middleware/upload');
 
 /**
  * @swagger
  * /api/insurance/request:
  *   post:
  *     summary: Create new insurance request
- *     description: Create a new insurance request from Chatrace webhook
+ *     description: |
+ *       Create a new insurance request from Chatrace webhook. Idempotent: a repeat of the same call
+ *       (same Idempotency-Key header or, without one, the same userId + timestamp + vehicleNo)
+ *       within IDEMPOTENCY_KEY_TTL_HOURS (default 24) gets the original 201 response back,
+ *       with the `Idempotent-Replayed: true` header, and creates nothing.
+ *
+ *       Each request gets a risk score from the rules in src/services/riskService.js. With
+ *       RISK_AUTO_APPROVE_ENABLED, a request scoring at most RISK_AUTO_APPROVE_MAX_SCORE with a
+ *       premium up to RISK_AUTO_APPROVE_MAX_PREMIUM is approved straight away and the customer gets
+ *       the payment link on WhatsApp.
+ *
+ *       The caller must authenticate with `X-Webhook-Signature` (hex HMAC-SHA256 of the raw body)
+ *       or `X-Webhook-Token`, using CHATRACE_WEBHOOK_SECRET or, during rotation, CHATRACE_WEBHOOK_SECRET_PREVIOUS.
  *     tags: [Insurance]
+ *     security:
+ *       - webhookSignature: []
+ *       - webhookToken: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Caller-chosen key identifying this call across retries
  *     requestBody:
  *       required: true
  *       content:
@@ -30,8 +60,16 @@ const { validateInsuranceRequest } = require('../middleware/validation');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid webhook signature/token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Request with this User ID already exists
+ *         description: |
+ *           An open request for the same shipment already exists (same user, vehicle, commodity and
+ *           quantity within DUPLICATE_SHIPMENT_WINDOW_HOURS, default 24). The response carries its requestId.
  *         content:
  *           application/json:
  *             schema:
@@ -45,6 +83,7 @@ const { validateInsuranceRequest } = require('../middleware/validation');
  */
 router.post(
   '/request',
+  verifyWebhook('chatrace'),
   validateInsuranceRequest,
   insuranceController.createInsuranceRequest
 );
@@ -54,8 +93,13 @@ router.post(
  * /api/insurance/request/{id}:
  *   get:
  *     summary: Get insurance request by ID
- *     description: Retrieve detailed information about a specific insurance request
+ *     description: |
+ *       Retrieve detailed information about a specific insurance request, with its payments
+ *       (without gateway payloads) and status history. Called by the Chatrace bot.
+ *       A GET has no body to sign, so authenticate with `X-Webhook-Token`.
  *     tags: [Insurance]
+ *     security:
+ *       - webhookToken: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -77,6 +121,8 @@ router.post(
  *                   example: true
  *                 data:
  *                   type: object
+ *       401:
+ *         description: Missing or invalid webhook signature/token
  *       404:
  *         description: Insurance request not found
  *       500:
@@ -84,16 +130,142 @@ router.post(
  */
 router.get(
   '/request/:id',
+  verifyWebhook('chatrace'),
   insuranceController.getInsuranceRequest
 );
 
+/**
+ * @swagger
+ * /api/insurance/request/{id}/unloading:
+ *   post:
+ *     summary: Record unloading weight
+ *     description: |
+ *       Record the weighbridge weight at destination (kg), and optionally correct the loading weight.
+ *       Once both weights are known the response carries the shortage calculation: shortage =
+ *       loading − unloading weight, eligible when it exceeds SHORTAGE_THRESHOLD_KG (default 2000),
+ *       payable at the request rate for the units short, a unit weighing loading weight ÷ quantity.
+ *       Open SHORTAGE claims on the request are reassessed.
+ *     tags: [Insurance]
+ *     security:
+ *       - webhookSignature: []
+ *       - webhookToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, unloadingWeight]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 example: "916209415125"
+ *               unloadingWeight:
+ *                 type: number
+ *                 description: kg
+ *                 example: 11650
+ *               loadingWeight:
+ *                 type: number
+ *                 description: kg, if not sent with the request
+ *                 example: 14000
+ *     responses:
+ *       200:
+ *         description: Weight recorded; shortage calculation (null until both weights are known)
+ *       400:
+ *         description: Validation error or request closed
+ *       401:
+ *         description: Missing or invalid webhook signature/token
+ *       404:
+ *         description: Request not found for this user
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/request/:id/unloading',
+  verifyWebhook('chatrace'),
+  validateUnloadingWeight,
+  insuranceController.recordUnloadingWeight
+);
+
+/**
+ * @swagger
+ * /api/insurance/request/{id}/kanta-parchi:
+ *   post:
+ *     summary: Upload kanta parchi
+ *     description: |
+ *       Upload the weighment slip for a request as a multipart form (JPEG or PNG, up to
+ *       KANTA_PARCHI_MAX_MB, default 5). A new upload replaces the previous slip. If the request is
+ *       already invoiced, the invoice PDF is regenerated with the slip.
+ *
+ *       The signature covers only JSON and form-encoded bodies, so multipart uploads must be
+ *       authenticated with `X-Webhook-Token`; a signature alone is rejected.
+ *     tags: [Insurance]
+ *     security:
+ *       - webhookToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Insurance request UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [userId, image]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 example: "916209415125"
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Slip stored; returns its URL and whether the invoice was regenerated
+ *       400:
+ *         description: Validation error, missing image or request closed
+ *       401:
+ *         description: Missing or invalid webhook token
+ *       404:
+ *         description: Request not found for this user
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: File is not a JPEG or PNG image
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/request/:id/kanta-parchi',
+  verifyWebhook('chatrace'),
+  kantaParchiUpload,
+  validateKantaParchiUpload,
+  insuranceController.uploadKantaParchi
+);
+
 /**
  * @swagger
  * /api/insurance/status/{userId}:
  *   get:
  *     summary: Get request status by User ID
- *     description: Check insurance request status using User ID (phone number)
+ *     description: |
+ *       Check insurance request status using User ID (phone number). Returns the latest request
+ *       in `data` and the user's requests, newest first, in `history`. Called by the Chatrace bot.
+ *       A GET has no body to sign, so authenticate with `X-Webhook-Token`.
  *     tags: [Insurance]
+ *     security:
+ *       - webhookToken: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -102,9 +274,52 @@ router.get(
  *           type: string
  *         description: User ID (phone number)
  *         example: 916209415125
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: History page size
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of history entries to skip
  *     responses:
  *       200:
  *         description: Request status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   description: Latest request
+ *                 history:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     count:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Missing or invalid webhook signature/token
  *       404:
  *         description: No request found for this User ID
  *       500:
@@ -112,6 +327,8 @@ router.get(
  */
 router.get(
   '/status/:userId',
+  verifyWebhook('chatrace'),
+  validateStatusQuery,
   insuranceController.getRequestByUserId
 );
 
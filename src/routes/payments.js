@@ -0,0 +1,76 @@
+// payments.js
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { PAYMENT_PROVIDER } = require('../services/payments');
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: |
+ *       Receives payment events from the configured gateway (PAYMENT_PROVIDER).
+ *       The body must carry a valid HMAC signature (Razorpay: X-Razorpay-Signature).
+ *       Successful payments record a Payment row and move the request to PAID; a payment below the
+ *       amount payable (premium + GST) is recorded with a reviewReason and sets paymentStatus REVIEW
+ *       instead. Failed payments mark it FAILED and leave it in PAYMENT_PENDING. Repeated deliveries are ignored.
+ *       A payment on a link the request no longer uses (e.g. of a cancelled invoice) is only recorded,
+ *       with a reviewReason when money was taken.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event processed or ignored
+ *       401:
+ *         description: Invalid webhook signature
+ *       500:
+ *         description: Processing failed; the gateway should retry
+ */
+router.post(
+  '/webhook',
+  paymentController.handleWebhook
+);
+
+/**
+ * @swagger
+ * /api/payments/fake/{linkId}:
+ *   get:
+ *     summary: Simulate a payment (fake provider only)
+ *     description: |
+ *       Checkout page for links created by the offline fake provider.
+ *       Only mounted when PAYMENT_PROVIDER=fake; with any other provider the route does not exist.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failed]
+ *           default: success
+ *     responses:
+ *       200:
+ *         description: Payment simulated
+ *       404:
+ *         description: Unknown link or fake provider not enabled
+ */
+// Anyone can call this and mark a request paid, so it only exists when the fake provider is selected
+if (PAYMENT_PROVIDER === 'fake') {
+  console.warn('⚠️ PAYMENT_PROVIDER=fake: payments are simulated and GET /api/payments/fake/:linkId is enabled');
+  router.get(
+    '/fake/:linkId',
+    paymentController.simulateFakePayment
+  );
+}
+
+module.exports = router;
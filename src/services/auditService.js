@@ -0,0 +1,70 @@
+const prisma = require('../config/database');
+
+const ADMIN_ACTIONS = {
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  REOPENED: 'REOPENED',
+  VIEWED: 'VIEWED',
+  EDITED: 'EDITED',
+  RESENT: 'RESENT',
+  POLICY_ISSUED: 'POLICY_ISSUED',
+  INVOICE_CANCELLED: 'INVOICE_CANCELLED',
+  CLAIM_UPDATED: 'CLAIM_UPDATED'
+};
+
+/**
+ * Acting admin + client IP for an AdminAction row
+ * @param {import('express').Request} req - request that passed authenticateAdmin
+ */
+function getAuditContext(req) {
+  return {
+    adminId: req.admin.id,
+    ipAddress: req.ip || null
+  };
+}
+
+/**
+ * Build the Prisma create operation for an AdminAction row.
+ * Pass the result to prisma.$transaction([...]) alongside the request update so both commit together.
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.requestId
+ * @param {string} params.action - one of ADMIN_ACTIONS
+ * @param {string} [params.reason]
+ * @param {string} [params.ipAddress]
+ * @param {Object} [client] - prisma client or interactive transaction client
+ */
+function adminActionCreate({ adminId, requestId, action, reason, ipAddress }, client = prisma) {
+  if (!ADMIN_ACTIONS[action]) {
+    throw new Error(`Unknown admin action: ${action}`);
+  }
+
+  return client.adminAction.create({
+    data: {
+      adminId,
+      requestId,
+      action,
+      reason: reason || null,
+      ipAddress: ipAddress || null
+    }
+  });
+}
+
+/**
+ * Record an AdminAction outside a transaction (e.g. VIEWED). Never throws.
+ */
+async function recordAdminAction(params) {
+  try {
+    return await adminActionCreate(params);
+  } catch (error) {
+    console.warn(`⚠️ Failed to record admin action ${params.action} for request ${params.requestId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  ADMIN_ACTIONS,
+  getAuditContext,
+  adminActionCreate,
+  recordAdminAction
+};
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const prisma = require('../config/database');
+
+const JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
+const JWT_ACCESS_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const JWT_ISSUER = process.env.JWT_ISSUER || 'insurance-backend';
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12', 10);
+
+// Compared against when the email is unknown, so both failures cost one bcrypt comparison.
+// Hashed in the background at startup with the same cost as real passwords.
+const dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+/**
+ * Error raised for any login / token problem; statusCode is what the controller returns.
+ */
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+function requireSecret(secret, name) {
+  if (!secret) {
+    throw new Error(`${name} is not configured`);
+  }
+  return secret;
+}
+
+/**
+ * Hash a plain-text password for storage in User.password
+ */
+async function hashPassword(plainPassword) {
+  return bcrypt.hash(plainPassword, BCRYPT_ROUNDS);
+}
+
+/**
+ * Compare a plain-text password against a stored bcrypt hash
+ */
+async function verifyPassword(plainPassword, passwordHash) {
+  if (!plainPassword || !passwordHash) return false;
+  return bcrypt.compare(plainPassword, passwordHash);
+}
+
+/**
+ * Public shape of an admin user (never includes the password hash)
+ */
+function toAdminProfile(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role
+  };
+}
+
+/**
+ * Sign a short-lived access token for an admin user
+ */
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, role: user.role, ver: user.tokenVersion, type: 'access' },
+    requireSecret(JWT_ACCESS_SECRET, 'JWT_ACCESS_SECRET'),
+    { expiresIn: JWT_ACCESS_EXPIRES_IN, issuer: JWT_ISSUER }
+  );
+}
+
+/**
+ * Verify an access token and return its payload
+ * @throws {AuthError} when the token is invalid or expired
+ */
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, requireSecret(JWT_ACCESS_SECRET, 'JWT_ACCESS_SECRET'), { issuer: JWT_ISSUER });
+    if (payload.type !== 'access') {
+      throw new AuthError('Invalid token type');
+    }
+    return payload;
+  } catch (error) {
+    if (error instanceof AuthError) throw error;
+    if (error.name === 'TokenExpiredError') throw new AuthError('Access token expired');
+    if (error.name === 'JsonWebTokenError') throw new AuthError('Invalid access token');
+    throw error;
+  }
+}
+
+/**
+ * Persist a refresh token record and sign the matching JWT (jti = record id)
+ */
+async function issueRefreshToken(user, { ipAddress, userAgent } = {}) {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: user.id, type: 'refresh' },
+    requireSecret(JWT_REFRESH_SECRET, 'JWT_REFRESH_SECRET'),
+    { expiresIn: JWT_REFRESH_EXPIRES_IN, issuer: JWT_ISSUER, jwtid: tokenId }
+  );
+
+  await prisma.refreshToken.create({
+    data: {
+      id: tokenId,
+      userId: user.id,
+      expiresAt: new Date(jwt.decode(token).exp * 1000),
+      ipAddress: ipAddress || null,
+      userAgent: userAgent || null
+    }
+  });
+
+  return token;
+}
+
+/**
+ * Issue an access + refresh token pair for a user
+ */
+async function issueTokenPair(user, context = {}) {
+  const accessToken = signAccessToken(user);
+  const refreshToken = await issueRefreshToken(user, context);
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: JWT_ACCESS_EXPIRES_IN
+  };
+}
+
+/**
+ * Verify a refresh token JWT and its database record
+ * @returns {Promise<{ payload: Object, record: Object }>}
+ * @throws {AuthError}
+ */
+async function verifyRefreshToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, requireSecret(JWT_REFRESH_SECRET, 'JWT_REFRESH_SECRET'), { issuer: JWT_ISSUER });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw new AuthError('Refresh token expired');
+    if (error.name === 'JsonWebTokenError') throw new AuthError('Invalid refresh token');
+    throw error;
+  }
+
+  if (payload.type !== 'refresh' || !payload.jti) {
+    throw new AuthError('Invalid token type');
+  }
+
+  const record = await prisma.refreshToken.findUnique({
+    where: { id: payload.jti },
+    include: { user: true }
+  });
+
+  if (!record || record.userId !== payload.sub) {
+    throw new AuthError('Invalid refresh token');
+  }
+
+  if (record.revokedAt) {
+    // A revoked token being replayed means it may have leaked: drop every session for this user
+    console.warn('⚠️  Revoked refresh token reused for user:', record.userId);
+    await revokeAllSessions(record.userId);
+    throw new AuthError('Refresh token has been revoked');
+  }
+
+  if (record.expiresAt < new Date()) {
+    throw new AuthError('Refresh token expired');
+  }
+
+  return { payload, record };
+}
+
+/**
+ * Authenticate with email + password and issue tokens
+ * @throws {AuthError}
+ */
+async function login(email, password, context = {}) {
+  const user = await prisma.user.findUnique({
+    where: { email: String(email).toLowerCase().trim() }
+  });
+
+  // Same message and the same bcrypt work for unknown email and wrong password to avoid user enumeration
+  const passwordMatches = await verifyPassword(password, user ? user.password : await dummyPasswordHash);
+  if (!user || !passwordMatches) {
+    throw new AuthError('Invalid email or password');
+  }
+
+  if (!user.isActive) {
+    throw new AuthError('Account is deactivated', 403);
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLoginAt: new Date() }
+  });
+
+  const tokens = await issueTokenPair(user, context);
+  return { user: toAdminProfile(user), tokens };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation: the old refresh token is revoked)
+ * @throws {AuthError}
+ */
+async function refresh(refreshToken, context = {}) {
+  const { record } = await verifyRefreshToken(refreshToken);
+  const user = record.user;
+
+  if (!user.isActive) {
+    throw new AuthError('Account is deactivated', 403);
+  }
+
+  // Conditional update so two concurrent refreshes with the same token cannot both succeed
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: record.id, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  if (count === 0) {
+    throw new AuthError('Refresh token has been revoked');
+  }
+
+  const tokens = await issueTokenPair(user, context);
+  return { user: toAdminProfile(user), tokens };
+}
+
+/**
+ * Revoke a single refresh token (logout from one device)
+ * @throws {AuthError} when the token is invalid or belongs to another user
+ */
+async function revokeRefreshToken(refreshToken, userId) {
+  const { record } = await verifyRefreshToken(refreshToken);
+  if (record.userId !== userId) {
+    throw new AuthError('Refresh token does not belong to this admin', 403);
+  }
+
+  await prisma.refreshToken.update({
+    where: { id: record.id },
+    data: { revokedAt: new Date() }
+  });
+}
+
+/**
+ * Revoke every refresh token and invalidate all outstanding access tokens for a user
+ */
+async function revokeAllSessions(userId) {
+  await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    }),
+    prisma.user.update({
+      where: { id: userId },
+      data: { tokenVersion: { increment: 1 } }
+    })
+  ]);
+}
+
+/**
+ * Change a user's password after verifying the current one.
+ * Signs out every session and returns a fresh token pair for the caller.
+ * @throws {AuthError}
+ */
+async function changePassword(userId, currentPassword, newPassword, context = {}) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new AuthError('User not found', 404);
+  }
+
+  const passwordMatches = await verifyPassword(currentPassword, user.password);
+  if (!passwordMatches) {
+    throw new AuthError('Current password is incorrect', 400);
+  }
+
+  const passwordHash = await hashPassword(newPassword);
+  await prisma.user.update({
+    where: { id: userId },
+    data: { password: passwordHash }
+  });
+  await revokeAllSessions(userId);
+
+  const updatedUser = await prisma.user.findUnique({ where: { id: userId } });
+  const tokens = await issueTokenPair(updatedUser, context);
+  return { user: toAdminProfile(updatedUser), tokens };
+}
+
+module.exports = {
+  AuthError,
+  hashPassword,
+  verifyPassword,
+  toAdminProfile,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokenPair,
+  verifyRefreshToken,
+  login,
+  refresh,
+  revokeRefreshToken,
+  revokeAllSessions,
+  changePassword
+};
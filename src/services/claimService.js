@@ -0,0 +1,517 @@
+const prisma = require('../config/database');
+const { sendChatraceMessage } = require('./chatraceService');
+const { REQUEST_STATUS } = require('./requestLifecycle');
+const { DOCUMENT_TYPES, allocateDocumentNumber } = require('./documentNumberService');
+const { ADMIN_ACTIONS, adminActionCreate } = require('./auditService');
+const { evaluateShortage, shortageClaimFields } = require('./shortageService');
+
+/**
+ * Claim.status values.
+ *
+ * SUBMITTED        → opened by the customer through the bot
+ * UNDER_REVIEW     → an admin is assessing it
+ * MORE_INFO_NEEDED → the customer was asked for documents; uploading any moves it back to UNDER_REVIEW
+ * APPROVED         → payable amount agreed, payout pending
+ * REJECTED         → declined, with a reason
+ * SETTLED          → payout made
+ */
+const CLAIM_STATUS = {
+  SUBMITTED: 'SUBMITTED',
+  UNDER_REVIEW: 'UNDER_REVIEW',
+  MORE_INFO_NEEDED: 'MORE_INFO_NEEDED',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  SETTLED: 'SETTLED'
+};
+
+// Allowed transitions: from → [to]
+const CLAIM_TRANSITIONS = {
+  SUBMITTED: ['UNDER_REVIEW', 'MORE_INFO_NEEDED', 'APPROVED', 'REJECTED'],
+  UNDER_REVIEW: ['MORE_INFO_NEEDED', 'APPROVED', 'REJECTED'],
+  MORE_INFO_NEEDED: ['UNDER_REVIEW', 'APPROVED', 'REJECTED'],
+  APPROVED: ['SETTLED'],
+  REJECTED: [],
+  SETTLED: []
+};
+
+const CLOSED_CLAIM_STATUSES = [CLAIM_STATUS.REJECTED, CLAIM_STATUS.SETTLED];
+
+// Perils covered by the policy (the "Claim Eligibility" list on invoices and certificates)
+const PERIL_TYPES = {
+  ACCIDENT: 'ACCIDENT',
+  THEFT: 'THEFT',
+  SHORTAGE: 'SHORTAGE',
+  RIOTS: 'RIOTS',
+  WEATHER: 'WEATHER',
+  FIRE: 'FIRE',
+  DRIVER_FRAUD: 'DRIVER_FRAUD'
+};
+
+// The "Mandatory Documentation" list on invoices and certificates, plus OTHER
+const CLAIM_DOCUMENT_TYPES = {
+  PHOTO: 'PHOTO',
+  VIDEO: 'VIDEO',
+  FIR: 'FIR',
+  INVOICE: 'INVOICE',
+  DAMAGE_CERTIFICATE: 'DAMAGE_CERTIFICATE',
+  LETTER_OF_SUBROGATION: 'LETTER_OF_SUBROGATION',
+  INSURANCE_CERTIFICATE: 'INSURANCE_CERTIFICATE',
+  PROOF_OF_DELIVERY: 'PROOF_OF_DELIVERY',
+  OTHER: 'OTHER'
+};
+
+// Who caused a claim change (ClaimStatusHistory.source, ClaimDocument.source)
+const CLAIM_CHANGE_SOURCE = {
+  CUSTOMER: 'CUSTOMER',
+  ADMIN: 'ADMIN',
+  SYSTEM: 'SYSTEM'
+};
+
+// Claims may be opened this long after the policy's coverage ends
+const CLAIM_FILING_WINDOW_DAYS = parseInt(process.env.CLAIM_FILING_WINDOW_DAYS || '30', 10);
+
+/**
+ * Error for claim actions that cannot proceed; statusCode is what the controller returns.
+ */
+class ClaimError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ClaimError';
+    this.statusCode = statusCode;
+  }
+}
+
+function canTransitionClaim(fromStatus, toStatus) {
+  return (CLAIM_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function formatPeril(perilType) {
+  return perilType.toLowerCase().replace(/_/g, ' ');
+}
+
+/**
+ * Nested create for ClaimDocument rows, for use inside claim.create / claimDocument.createMany
+ */
+function documentRows(documents, source, uploadedById = null) {
+  return (documents || []).map((document) => ({
+    documentType: document.documentType || CLAIM_DOCUMENT_TYPES.OTHER,
+    url: document.url,
+    fileName: document.fileName || null,
+    source,
+    uploadedById
+  }));
+}
+
+/**
+ * Move a claim to a new status if CLAIM_TRANSITIONS allows it, atomically, and record a history row.
+ *
+ * @param {string} claimId
+ * @param {string} toStatus - one of CLAIM_STATUS
+ * @param {Object} [options]
+ * @param {string} [options.from] - further restrict the allowed current status
+ * @param {Object} [options.data] - extra Claim columns to set
+ * @param {string} [options.changedById] - admin making the change
+ * @param {string} [options.source] - one of CLAIM_CHANGE_SOURCE (default ADMIN)
+ * @param {string} [options.reason]
+ * @param {Object} [options.tx] - interactive transaction client
+ * @returns {Promise<Object>} updated Claim
+ * @throws {ClaimError}
+ */
+async function transitionClaim(claimId, toStatus, {
+  from,
+  data = {},
+  changedById = null,
+  source = CLAIM_CHANGE_SOURCE.ADMIN,
+  reason = null,
+  tx
+} = {}) {
+  const run = async (client) => {
+    const claim = await client.claim.findUnique({
+      where: { id: claimId },
+      select: { status: true }
+    });
+
+    if (!claim) {
+      throw new ClaimError('Claim not found', 404);
+    }
+
+    const allowed = canTransitionClaim(claim.status, toStatus) && (!from || claim.status === from);
+    if (!allowed) {
+      throw new ClaimError(
+        claim.status === toStatus
+          ? `Claim is already ${claim.status}`
+          : `Cannot move claim from ${claim.status} to ${toStatus}`
+      );
+    }
+
+    // Conditional on the status we just read, so a concurrent change makes this one fail cleanly
+    const { count } = await client.claim.updateMany({
+      where: { id: claimId, status: claim.status },
+      data: { ...data, status: toStatus }
+    });
+    if (count === 0) {
+      throw new ClaimError('Claim status changed concurrently; please retry', 409);
+    }
+
+    await client.claimStatusHistory.create({
+      data: {
+        claimId,
+        fromStatus: claim.status,
+        toStatus,
+        changedById,
+        source,
+        reason: reason || null
+      }
+    });
+
+    return client.claim.findUnique({ where: { id: claimId } });
+  };
+
+  return tx ? run(tx) : prisma.$transaction(run);
+}
+
+/**
+ * Open a claim on an issued policy. The policy is identified by requestId or policyNumber and
+ * must belong to userId.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - customer's WhatsApp number
+ * @param {string} [params.requestId]
+ * @param {string} [params.policyNumber]
+ * @param {string} params.perilType - one of PERIL_TYPES
+ * @param {string} params.description
+ * @param {Date} [params.incidentDate]
+ * @param {number} [params.claimedAmount]
+ * @param {Array<{ documentType: string, url: string, fileName?: string }>} [params.documents]
+ * @param {Object} [options]
+ * @param {string} [options.source] - CUSTOMER (bot) or SYSTEM (automatic claims)
+ * @param {string} [options.reason] - saved on the first history row
+ * @returns {Promise<Object>} Claim with documents
+ * @throws {ClaimError}
+ */
+async function openClaim({
+  userId,
+  requestId,
+  policyNumber,
+  perilType,
+  description,
+  incidentDate,
+  claimedAmount,
+  documents
+}, { source = CLAIM_CHANGE_SOURCE.CUSTOMER, reason = null } = {}) {
+  if (!PERIL_TYPES[perilType]) {
+    throw new ClaimError(`Unknown peril type: ${perilType}`);
+  }
+
+  const request = await prisma.insuranceRequest.findFirst({
+    where: requestId ? { id: requestId } : { policyNumber }
+  });
+
+  if (!request || request.userId !== userId) {
+    throw new ClaimError('Policy not found for this user', 404);
+  }
+
+  if (request.status !== REQUEST_STATUS.POLICY_ISSUED) {
+    throw new ClaimError(`Claims can only be opened on issued policies (current status: ${request.status})`);
+  }
+
+  if (incidentDate && request.policyStartDate && request.policyEndDate) {
+    if (incidentDate < request.policyStartDate || incidentDate > request.policyEndDate) {
+      throw new ClaimError(`Incident date is outside the policy coverage (${request.policyStartDate.toISOString()} to ${request.policyEndDate.toISOString()})`);
+    }
+  }
+
+  if (request.policyEndDate) {
+    const filingDeadline = new Date(request.policyEndDate.getTime() + CLAIM_FILING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > filingDeadline) {
+      throw new ClaimError(`Claims must be filed within ${CLAIM_FILING_WINDOW_DAYS} days of the policy end date`);
+    }
+  }
+
+  // One open claim per policy and peril; further evidence goes on the existing claim
+  const openClaimForPeril = await prisma.claim.findFirst({
+    where: {
+      requestId: request.id,
+      perilType,
+      status: { notIn: CLOSED_CLAIM_STATUSES }
+    },
+    select: { id: true, claimNumber: true }
+  });
+  if (openClaimForPeril) {
+    const error = new ClaimError(`Claim ${openClaimForPeril.claimNumber} for this policy and peril is already open`, 409);
+    error.claimId = openClaimForPeril.id;
+    throw error;
+  }
+
+  const claim = await prisma.$transaction(async (tx) => {
+    const claimNumber = await allocateDocumentNumber(DOCUMENT_TYPES.CLAIM, { tx });
+
+    return tx.claim.create({
+      data: {
+        claimNumber,
+        requestId: request.id,
+        userId,
+        perilType,
+        description,
+        incidentDate: incidentDate || null,
+        claimedAmount: claimedAmount != null ? claimedAmount : null,
+        status: CLAIM_STATUS.SUBMITTED,
+        ...(perilType === PERIL_TYPES.SHORTAGE ? shortageClaimFields(evaluateShortage(request)) : {}),
+        documents: { create: documentRows(documents, CLAIM_CHANGE_SOURCE.CUSTOMER) },
+        statusHistory: {
+          create: {
+            fromStatus: null,
+            toStatus: CLAIM_STATUS.SUBMITTED,
+            source,
+            reason
+          }
+        }
+      },
+      include: { documents: true, request: true }
+    });
+  });
+
+  console.log(`📂 Claim ${claim.claimNumber} (${perilType}) opened on policy ${request.policyNumber}`);
+
+  return claim;
+}
+
+/**
+ * Attach documents to an open claim. A customer upload on a MORE_INFO_NEEDED claim sends it back
+ * to UNDER_REVIEW.
+ *
+ * @param {string} claimId
+ * @param {Array<{ documentType: string, url: string, fileName?: string }>} documents
+ * @param {Object} options
+ * @param {string} options.source - CUSTOMER or ADMIN
+ * @param {string} [options.userId] - customer uploading; must own the claim
+ * @param {string} [options.adminId] - admin uploading
+ * @param {string} [options.ipAddress]
+ * @returns {Promise<{ claim: Object, added: number, resumedReview: boolean }>}
+ * @throws {ClaimError}
+ */
+async function addClaimDocuments(claimId, documents, { source, userId, adminId = null, ipAddress }) {
+  const claim = await prisma.claim.findUnique({ where: { id: claimId } });
+
+  if (!claim || (source === CLAIM_CHANGE_SOURCE.CUSTOMER && claim.userId !== userId)) {
+    throw new ClaimError('Claim not found', 404);
+  }
+
+  if (CLOSED_CLAIM_STATUSES.includes(claim.status)) {
+    throw new ClaimError(`Documents cannot be added to a ${claim.status} claim`);
+  }
+
+  const resumedReview = source === CLAIM_CHANGE_SOURCE.CUSTOMER && claim.status === CLAIM_STATUS.MORE_INFO_NEEDED;
+
+  const updatedClaim = await prisma.$transaction(async (tx) => {
+    await tx.claimDocument.createMany({
+      data: documentRows(documents, source, adminId).map((row) => ({ ...row, claimId }))
+    });
+
+    if (resumedReview) {
+      return transitionClaim(claimId, CLAIM_STATUS.UNDER_REVIEW, {
+        tx,
+        from: CLAIM_STATUS.MORE_INFO_NEEDED,
+        source,
+        reason: `${documents.length} document(s) received`
+      });
+    }
+
+    if (adminId) {
+      await adminActionCreate({
+        adminId,
+        ipAddress,
+        requestId: claim.requestId,
+        action: ADMIN_ACTIONS.CLAIM_UPDATED,
+        reason: `${claim.claimNumber}: ${documents.length} document(s) attached`
+      }, tx);
+    }
+    return tx.claim.findUnique({ where: { id: claimId } });
+  });
+
+  return { claim: updatedClaim, added: documents.length, resumedReview };
+}
+
+/**
+ * Admin status change on a claim, with the AdminAction audit row in the same transaction
+ *
+ * @param {string} claimId
+ * @param {string} toStatus - one of CLAIM_STATUS
+ * @param {Object} options
+ * @param {string} options.adminId
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.reason] - history note; also shown to the customer where relevant
+ * @param {Object} [options.data] - extra Claim columns to set
+ * @returns {Promise<Object>} updated Claim
+ * @throws {ClaimError}
+ */
+async function updateClaimStatus(claimId, toStatus, { adminId, ipAddress, reason, data = {} }) {
+  return prisma.$transaction(async (tx) => {
+    const updated = await transitionClaim(claimId, toStatus, {
+      tx,
+      changedById: adminId,
+      source: CLAIM_CHANGE_SOURCE.ADMIN,
+      reason,
+      data: { reviewedById: adminId, ...data }
+    });
+    await adminActionCreate({
+      adminId,
+      ipAddress,
+      requestId: updated.requestId,
+      action: ADMIN_ACTIONS.CLAIM_UPDATED,
+      reason: `${updated.claimNumber} → ${toStatus}${reason ? `: ${reason}` : ''}`
+    }, tx);
+    return updated;
+  });
+}
+
+/**
+ * Record weighbridge readings on a request and reassess its open SHORTAGE claims in the same
+ * transaction, so a claim never shows an assessment for weights other than the stored ones.
+ *
+ * @param {string} requestId
+ * @param {Object} weights
+ * @param {number} [weights.loadingWeightKg]
+ * @param {number} [weights.unloadingWeightKg]
+ * @param {Object} [options]
+ * @param {string} [options.adminId] - admin recording them; an EDITED audit row is written
+ * @param {string} [options.ipAddress]
+ * @returns {Promise<{ request: Object, evaluation: Object|null, claims: Object[] }>}
+ * @throws {ClaimError}
+ */
+async function recordWeights(requestId, { loadingWeightKg, unloadingWeightKg }, { adminId = null, ipAddress } = {}) {
+  const data = {};
+  if (loadingWeightKg != null) data.loadingWeightKg = loadingWeightKg;
+  if (unloadingWeightKg != null) {
+    data.unloadingWeightKg = unloadingWeightKg;
+    data.unloadingRecordedAt = new Date();
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.insuranceRequest.findUnique({ where: { id: requestId }, select: { id: true } });
+    if (!existing) {
+      throw new ClaimError('Insurance request not found', 404);
+    }
+
+    const request = await tx.insuranceRequest.update({ where: { id: requestId }, data });
+    const evaluation = evaluateShortage(request);
+
+    const openShortageClaims = await tx.claim.findMany({
+      where: {
+        requestId,
+        perilType: PERIL_TYPES.SHORTAGE,
+        status: { notIn: [...CLOSED_CLAIM_STATUSES, CLAIM_STATUS.APPROVED] }
+      },
+      select: { id: true }
+    });
+    const claims = [];
+    for (const { id } of openShortageClaims) {
+      claims.push(await tx.claim.update({ where: { id }, data: shortageClaimFields(evaluation) }));
+    }
+
+    if (adminId) {
+      const readings = [
+        loadingWeightKg != null ? `loading ${loadingWeightKg} kg` : null,
+        unloadingWeightKg != null ? `unloading ${unloadingWeightKg} kg` : null
+      ].filter(Boolean).join(', ');
+      await adminActionCreate({
+        adminId,
+        ipAddress,
+        requestId,
+        action: ADMIN_ACTIONS.EDITED,
+        reason: `Weights recorded: ${readings}`
+      }, tx);
+    }
+
+    if (evaluation) {
+      console.log(`⚖️  Request ${requestId}: ${evaluation.reason}`);
+    }
+
+    return { request, evaluation, claims };
+  });
+}
+
+/**
+ * WhatsApp text for a claim in its current status
+ * @param {Object} claim - Claim
+ */
+function buildClaimMessage(claim) {
+  const header = `Claim Number: ${claim.claimNumber}\n`;
+
+  switch (claim.status) {
+    case CLAIM_STATUS.SUBMITTED:
+      return (
+        `📂 *Your claim has been registered*\n\n` +
+        header +
+        `Type: ${formatPeril(claim.perilType)}\n\n` +
+        `Please share photos/videos of the loss, the FIR copy and original invoice, the damage certificate, ` +
+        `letter of subrogation, insurance certificate and proof of delivery as applicable. ` +
+        `Our claims team will review it shortly.`
+      );
+    case CLAIM_STATUS.UNDER_REVIEW:
+      return `🔎 *Your claim is under review*\n\n${header}\nWe will update you once the assessment is complete.`;
+    case CLAIM_STATUS.MORE_INFO_NEEDED:
+      return (
+        `📎 *More information needed for your claim*\n\n` +
+        header +
+        `\n${claim.infoRequested}\n\n` +
+        `Please send the requested documents here to continue.`
+      );
+    case CLAIM_STATUS.APPROVED:
+      return (
+        `✅ *Your claim is APPROVED*\n\n` +
+        header +
+        `Approved Amount: ₹${Number(claim.approvedAmount).toFixed(2)}\n\n` +
+        `The amount will be paid to your registered bank account.`
+      );
+    case CLAIM_STATUS.REJECTED:
+      return (
+        `❌ *Your claim has been REJECTED*\n\n` +
+        header +
+        `Reason: ${claim.rejectionReason}\n\n` +
+        `Please contact support if you have questions.`
+      );
+    case CLAIM_STATUS.SETTLED:
+      return (
+        `💰 *Your claim is SETTLED*\n\n` +
+        header +
+        `Amount Paid: ₹${Number(claim.approvedAmount).toFixed(2)}\n` +
+        `Payment Reference: ${claim.settlementReference}`
+      );
+    default:
+      return `Your claim ${claim.claimNumber} is now ${claim.status}.`;
+  }
+}
+
+/**
+ * Tell the customer about the claim's current status (non-blocking: never throws)
+ * @param {Object} claim - Claim
+ * @returns {Promise<boolean>} whether the message was delivered
+ */
+async function notifyClaimStatus(claim) {
+  try {
+    await sendChatraceMessage(claim.userId, buildClaimMessage(claim));
+    return true;
+  } catch (msgErr) {
+    console.warn(`⚠️ WhatsApp/Chatrace message for claim ${claim.claimNumber} failed (claim still ${claim.status}):`, msgErr.message);
+    return false;
+  }
+}
+
+module.exports = {
+  CLAIM_STATUS,
+  CLAIM_TRANSITIONS,
+  CLOSED_CLAIM_STATUSES,
+  PERIL_TYPES,
+  CLAIM_DOCUMENT_TYPES,
+  CLAIM_CHANGE_SOURCE,
+  ClaimError,
+  canTransitionClaim,
+  transitionClaim,
+  openClaim,
+  addClaimDocuments,
+  updateClaimStatus,
+  recordWeights,
+  buildClaimMessage,
+  notifyClaimStatus
+};
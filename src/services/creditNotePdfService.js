@@ -0,0 +1,161 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const {
+  INVOICES_DIR,
+  COMPANY_NAME,
+  COMPANY_ADDRESS,
+  formatDate,
+  formatCurrency,
+} = require('./invoicePdfService');
+
+function ensureInvoicesDir() {
+  if (!fs.existsSync(INVOICES_DIR)) {
+    fs.mkdirSync(INVOICES_DIR, { recursive: true });
+  }
+}
+
+// Label / value row inside a box
+function drawField(doc, label, value, x, y, width) {
+  doc.fontSize(9).font('Helvetica-Bold').text(label, x, y, { continued: true });
+  doc.font('Helvetica').text(` : ${value}`, { width, continued: false });
+}
+
+/**
+ * Generate the credit note PDF cancelling an invoice. Saves to invoices/<creditNoteNumber>.pdf
+ * @param {Object} request - InsuranceRequest
+ * @param {Object} creditNote - BillingDocument of type CREDIT_NOTE
+ * @param {Object} invoice - the cancelled BillingDocument
+ * @returns {Promise<string>} - Filename
+ */
+async function generateCreditNotePdf(request, creditNote, invoice) {
+  ensureInvoicesDir();
+  const filename = `${creditNote.number}.pdf`;
+  const filepath = path.join(INVOICES_DIR, filename);
+
+  const partyName = request.partyName || '-';
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 30, size: 'A4' });
+    const stream = fs.createWriteStream(filepath);
+    doc.pipe(stream);
+
+    stream.on('finish', () => resolve(filename));
+    stream.on('error', reject);
+    doc.on('error', reject);
+
+    try {
+      const pageWidth = doc.page.width;
+      const margin = 30;
+      const contentWidth = pageWidth - (margin * 2);
+      const leftColWidth = (contentWidth / 2) - 10;
+      const rightColWidth = (contentWidth / 2) - 10;
+      const leftColX = margin;
+      const rightColX = margin + leftColWidth + 20;
+
+      // ============ HEADER WITH MANDIPLUS BRANDING ============
+      let currentY = 35;
+
+      doc.fontSize(18).font('Helvetica-Bold');
+      doc.fillColor('#000000').text('Mandi', leftColX, currentY, { continued: true });
+      doc.fillColor('#7C3AED').text('Plus', { continued: false });
+
+      currentY += 25;
+
+      doc.fillColor('#000000').fontSize(10).font('Helvetica-Bold');
+      doc.text(COMPANY_NAME, leftColX, currentY);
+      currentY += 13;
+      doc.fontSize(8).font('Helvetica');
+      doc.text(COMPANY_ADDRESS, leftColX, currentY, { width: contentWidth * 0.6 });
+
+      currentY += 20;
+      doc.moveTo(leftColX, currentY).lineTo(pageWidth - margin, currentY).stroke();
+
+      // Title box (right side)
+      const titleBoxX = pageWidth - margin - 140;
+      doc.roundedRect(titleBoxX, 50, 140, 32, 5).stroke();
+      doc.fontSize(14).font('Helvetica-Bold');
+      doc.text('CREDIT NOTE', titleBoxX, 59, { width: 140, align: 'center' });
+
+      currentY += 15;
+
+      // ============ CREDIT NOTE & ORIGINAL INVOICE BOXES ============
+      const boxHeight = 75;
+
+      doc.roundedRect(leftColX, currentY, leftColWidth, boxHeight, 5).stroke();
+      drawField(doc, 'Credit Note Number', creditNote.number, leftColX + 12, currentY + 12, leftColWidth - 24);
+      drawField(doc, 'Credit Note Date', formatDate(creditNote.createdAt), leftColX + 12, currentY + 30, leftColWidth - 24);
+      drawField(doc, 'Vehicle No', request.vehicleNo || '-', leftColX + 12, currentY + 48, leftColWidth - 24);
+
+      doc.roundedRect(rightColX, currentY, rightColWidth, boxHeight, 5).stroke();
+      drawField(doc, 'Against Invoice', invoice.number, rightColX + 12, currentY + 12, rightColWidth - 24);
+      drawField(doc, 'Invoice Date', formatDate(invoice.createdAt), rightColX + 12, currentY + 30, rightColWidth - 24);
+      drawField(doc, 'Place of Supply', request.placeOfSupply || request.supplierPlace || '-', rightColX + 12, currentY + 48, rightColWidth - 24);
+
+      currentY += boxHeight + 15;
+
+      // ============ BILL TO ============
+      const addressBoxHeight = 70;
+      doc.roundedRect(leftColX, currentY, contentWidth, addressBoxHeight, 5).stroke();
+      doc.fontSize(9).font('Helvetica-Bold').text('Bill To', leftColX + 12, currentY + 12);
+      doc.font('Helvetica').text(partyName, leftColX + 12, currentY + 28, { width: contentWidth - 24 });
+      doc.text(request.partyAddress || '-', leftColX + 12, currentY + 42, { width: contentWidth - 24 });
+
+      currentY += addressBoxHeight + 15;
+
+      // ============ AMOUNTS CREDITED ============
+      const rows = [
+        ['Insurance premium', creditNote.premiumAmount],
+        ['CGST', creditNote.cgstAmount],
+        ['SGST', creditNote.sgstAmount],
+        ['IGST', creditNote.igstAmount]
+      ].filter(([, amount]) => amount != null);
+
+      const tableHeight = 25 + rows.length * 22 + 30;
+      doc.roundedRect(leftColX, currentY, contentWidth, tableHeight, 5).stroke();
+
+      doc.rect(leftColX, currentY, contentWidth, 25).fillAndStroke('#E5E7EB', '#000000');
+      doc.fillColor('#000000').fontSize(9).font('Helvetica-Bold');
+      doc.text('Description', leftColX + 12, currentY + 8, { width: contentWidth - 160 });
+      doc.text('Amount Credited', leftColX + contentWidth - 140, currentY + 8, { width: 128, align: 'right' });
+
+      let rowY = currentY + 33;
+      doc.font('Helvetica');
+      rows.forEach(([label, amount]) => {
+        doc.text(label, leftColX + 12, rowY, { width: contentWidth - 160 });
+        doc.text(formatCurrency(amount), leftColX + contentWidth - 140, rowY, { width: 128, align: 'right' });
+        rowY += 22;
+      });
+
+      doc.moveTo(leftColX + 12, rowY - 4).lineTo(leftColX + contentWidth - 12, rowY - 4).stroke();
+      doc.fontSize(10).font('Helvetica-Bold');
+      doc.text('Total Credited', leftColX + 12, rowY + 4, { width: contentWidth - 160 });
+      doc.text(formatCurrency(creditNote.totalAmount), leftColX + contentWidth - 140, rowY + 4, { width: 128, align: 'right' });
+
+      currentY += tableHeight + 15;
+
+      // ============ REASON ============
+      doc.fontSize(9).font('Helvetica-Bold').text('Reason for Cancellation', leftColX, currentY);
+      currentY += 14;
+      doc.font('Helvetica').text(creditNote.reason || '-', leftColX, currentY, { width: contentWidth });
+      currentY += doc.heightOfString(creditNote.reason || '-', { width: contentWidth }) + 20;
+
+      doc.fontSize(7).font('Helvetica').fillColor('#555555');
+      doc.text(
+        `This credit note cancels invoice ${invoice.number} in full. Any payment link issued with that invoice is no longer valid.`,
+        leftColX,
+        currentY,
+        { width: contentWidth, align: 'center' }
+      );
+
+      doc.end();
+    } catch (err) {
+      doc.end();
+      reject(err);
+    }
+  });
+}
+
+module.exports = {
+  generateCreditNotePdf,
+};
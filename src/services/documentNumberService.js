@@ -0,0 +1,73 @@
+/**
+ * Gapless document numbers per document type and Indian financial year (April–March),
+ * e.g. INV-2026-000364 for the 364th invoice of FY 2026-27.
+ */
+
+const DOCUMENT_TYPES = {
+  INVOICE: 'INVOICE',
+  CREDIT_NOTE: 'CREDIT_NOTE',
+  POLICY: 'POLICY',
+  CLAIM: 'CLAIM'
+};
+
+const DOCUMENT_PREFIXES = {
+  INVOICE: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+  CREDIT_NOTE: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN',
+  POLICY: process.env.POLICY_NUMBER_PREFIX || 'POL',
+  CLAIM: process.env.CLAIM_NUMBER_PREFIX || 'CLM'
+};
+
+const SEQUENCE_DIGITS = 6;
+
+// Financial years change at midnight IST, whatever the server time zone
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+/**
+ * Start year of the Indian financial year containing the date (1 Apr 2026 – 31 Mar 2027 → 2026)
+ * @param {Date} [date]
+ */
+function getFinancialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  return ist.getUTCMonth() >= 3 ? year : year - 1;
+}
+
+function formatDocumentNumber(documentType, financialYear, sequence) {
+  return `${DOCUMENT_PREFIXES[documentType]}-${financialYear}-${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * Take the next number of a series. Must run inside the interactive transaction that stores the
+ * number: the counter row stays locked until that transaction ends and the increment rolls back
+ * with it, so numbers are never skipped or handed out twice.
+ *
+ * @param {string} documentType - one of DOCUMENT_TYPES
+ * @param {Object} options
+ * @param {Object} options.tx - interactive transaction client
+ * @param {Date} [options.date] - document date deciding the financial year (default now)
+ * @returns {Promise<string>} e.g. INV-2026-000364
+ */
+async function allocateDocumentNumber(documentType, { tx, date = new Date() }) {
+  if (!DOCUMENT_TYPES[documentType]) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+  if (!tx) {
+    throw new Error('allocateDocumentNumber must be called inside a transaction');
+  }
+
+  const financialYear = getFinancialYear(date);
+  const sequence = await tx.documentSequence.upsert({
+    where: { documentType_financialYear: { documentType, financialYear } },
+    create: { documentType, financialYear, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } }
+  });
+
+  return formatDocumentNumber(documentType, financialYear, sequence.lastNumber);
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getFinancialYear,
+  formatDocumentNumber,
+  allocateDocumentNumber
+};
@@ -0,0 +1,292 @@
+const ExcelJS = require('exceljs');
+const { iterateRequests, dateRange } = require('./requestSearch');
+
+/**
+ * Spreadsheet exports of insurance requests: the filtered admin list as CSV or XLSX with the
+ * columns the caller picks, and the monthly bordereau of issued policies for the insurer.
+ * Rows are read in batches and written to the response as they arrive, so memory use does not
+ * grow with the size of the export.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE || '500', 10);
+
+function toNumber(value) {
+  return value == null ? null : Number(value);
+}
+
+function roundCurrency(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function gstAmount(request) {
+  const parts = [request.cgstAmount, request.sgstAmount, request.igstAmount].filter((amount) => amount != null);
+  return parts.length > 0 ? roundCurrency(parts.reduce((sum, amount) => sum + Number(amount), 0)) : null;
+}
+
+// quantity × rate, whether or not the request has been rated yet
+function declaredValueOf(request) {
+  return request.rate != null ? roundCurrency(Number(request.quantity) * Number(request.rate)) : toNumber(request.declaredValue);
+}
+
+/**
+ * Columns of the request export. `fields` are the InsuranceRequest columns the value is read from.
+ */
+const REQUEST_EXPORT_COLUMNS = {
+  id: { header: 'Request ID', fields: ['id'], width: 38 },
+  createdAt: { header: 'Created', fields: ['createdAt'], width: 20 },
+  status: { header: 'Status', fields: ['status'], width: 22 },
+  userId: { header: 'Customer', fields: ['userId'], width: 15 },
+  supplierName: { header: 'Supplier', fields: ['supplierName'], width: 24 },
+  supplierPlace: { header: 'Supplier Place', fields: ['supplierPlace'], width: 18 },
+  partyName: { header: 'Party', fields: ['partyName'], width: 24 },
+  partyAddress: { header: 'Party Address', fields: ['partyAddress'], width: 30 },
+  itemName: { header: 'Commodity', fields: ['itemName'], width: 16 },
+  quantity: { header: 'Quantity', fields: ['quantity'], width: 10 },
+  rate: { header: 'Rate', fields: ['rate'], width: 10, value: (r) => toNumber(r.rate) },
+  declaredValue: { header: 'Declared Value', fields: ['quantity', 'rate', 'declaredValue'], width: 14, value: declaredValueOf },
+  vehicleNo: { header: 'Vehicle No', fields: ['vehicleNo'], width: 14 },
+  transporterName: { header: 'Transporter', fields: ['transporterName'], width: 22 },
+  invoiceType: { header: 'Invoice Type', fields: ['invoiceType'], width: 14 },
+  riskScore: { header: 'Risk Score', fields: ['riskScore'], width: 10 },
+  riskLevel: { header: 'Risk Level', fields: ['riskLevel'], width: 10 },
+  adminTimestamp: { header: 'Reviewed', fields: ['adminTimestamp'], width: 20 },
+  rejectionReason: { header: 'Rejection Reason', fields: ['rejectionReason'], width: 30 },
+  invoiceNumber: { header: 'Invoice No', fields: ['invoiceNumber'], width: 20 },
+  premiumAmount: { header: 'Premium', fields: ['premiumAmount'], width: 12, value: (r) => toNumber(r.premiumAmount) },
+  gstAmount: { header: 'GST', fields: ['cgstAmount', 'sgstAmount', 'igstAmount'], width: 10, value: gstAmount },
+  totalAmount: { header: 'Total', fields: ['totalAmount'], width: 12, value: (r) => toNumber(r.totalAmount) },
+  paymentStatus: { header: 'Payment Status', fields: ['paymentStatus'], width: 14 },
+  paymentTimestamp: { header: 'Paid', fields: ['paymentTimestamp'], width: 20 },
+  policyNumber: { header: 'Policy No', fields: ['policyNumber'], width: 20 },
+  policyStartDate: { header: 'Coverage From', fields: ['policyStartDate'], width: 20 },
+  policyEndDate: { header: 'Coverage To', fields: ['policyEndDate'], width: 20 }
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'createdAt', 'status', 'userId', 'supplierName', 'partyName', 'itemName', 'quantity', 'rate',
+  'declaredValue', 'vehicleNo', 'invoiceNumber', 'premiumAmount', 'totalAmount', 'paymentStatus', 'policyNumber'
+];
+
+/**
+ * The bordereau: one row per issued policy, in the layout the underwriter receives every month
+ */
+const BORDEREAU_COLUMNS = [
+  { key: 'policyNumber', header: 'Policy No', width: 20 },
+  { key: 'invoiceNumber', header: 'Invoice No', width: 20 },
+  { key: 'policyStartDate', header: 'Coverage From', width: 20 },
+  { key: 'policyEndDate', header: 'Coverage To', width: 20 },
+  { key: 'userId', header: 'Insured (Customer)', width: 15 },
+  { key: 'supplierName', header: 'Supplier', width: 24 },
+  { key: 'partyName', header: 'Party', width: 24 },
+  { key: 'origin', header: 'From', width: 18, value: (r) => r.supplierPlace },
+  { key: 'destination', header: 'To', width: 30, value: (r) => r.partyAddress },
+  { key: 'itemName', header: 'Commodity', width: 16 },
+  { key: 'quantity', header: 'Quantity', width: 10 },
+  { key: 'rate', header: 'Rate', width: 10, value: (r) => toNumber(r.rate) },
+  { key: 'declaredValue', header: 'Declared Value (Qty × Rate)', width: 16, value: declaredValueOf, total: true },
+  { key: 'premiumAmount', header: 'Premium', width: 12, value: (r) => toNumber(r.premiumAmount), total: true },
+  { key: 'cgstAmount', header: 'CGST', width: 10, value: (r) => toNumber(r.cgstAmount), total: true },
+  { key: 'sgstAmount', header: 'SGST', width: 10, value: (r) => toNumber(r.sgstAmount), total: true },
+  { key: 'igstAmount', header: 'IGST', width: 10, value: (r) => toNumber(r.igstAmount), total: true },
+  { key: 'gstAmount', header: 'Total Tax', width: 10, value: gstAmount, total: true },
+  { key: 'totalAmount', header: 'Total Charged', width: 12, value: (r) => toNumber(r.totalAmount), total: true },
+  { key: 'vehicleNo', header: 'Vehicle No', width: 14 },
+  { key: 'transporterName', header: 'Transporter', width: 22 },
+  { key: 'status', header: 'Status', width: 16 }
+];
+
+const BORDEREAU_FIELDS = [
+  'policyNumber', 'invoiceNumber', 'policyStartDate', 'policyEndDate', 'userId', 'supplierName',
+  'supplierPlace', 'partyName', 'partyAddress', 'itemName', 'quantity', 'rate', 'declaredValue',
+  'premiumAmount', 'cgstAmount', 'sgstAmount', 'igstAmount', 'totalAmount', 'vehicleNo',
+  'transporterName', 'status'
+];
+
+/**
+ * Column keys from a comma-separated `columns` parameter (the defaults when absent)
+ */
+function parseExportColumns(value) {
+  if (!value) return DEFAULT_EXPORT_COLUMNS;
+  return String(value).split(',').map((key) => key.trim()).filter(Boolean);
+}
+
+// CSV cells starting with these are run as formulas by spreadsheet apps; customers type these fields
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves when the client has read the buffered output, or has gone away
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    if (res.destroyed) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+/**
+ * Write rows to the response as CSV or XLSX, pausing while the client catches up.
+ * Stops reading rows if the client disconnects.
+ *
+ * @param {import('express').Response} res
+ * @param {Object} params
+ * @param {string} params.format - csv or xlsx
+ * @param {string} params.filename - without extension
+ * @param {string} params.sheetName
+ * @param {Array<{ key, header, width }>} params.columns
+ * @param {AsyncIterable<Array>} params.rows - cell values in column order
+ * @returns {Promise<number>} rows written
+ */
+async function streamSpreadsheet(res, { format, filename, sheetName, columns, rows }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  let written = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const values of rows) {
+      if (res.destroyed) break;
+      sheet.addRow(values).commit();
+      written++;
+      if (res.writableNeedDrain) await waitForDrain(res);
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return written;
+  }
+
+  const write = async (line) => {
+    if (!res.write(line)) await waitForDrain(res);
+  };
+
+  // BOM so Excel opens the file as UTF-8 (₹, Hindi names)
+  await write('\uFEFF' + columns.map(({ header }) => csvCell(header)).join(',') + '\r\n');
+  for await (const values of rows) {
+    if (res.destroyed) break;
+    await write(values.map(csvCell).join(',') + '\r\n');
+    written++;
+  }
+  res.end();
+  return written;
+}
+
+function timestampForFilename(date = new Date()) {
+  return date.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+}
+
+/**
+ * Stream the requests matching the admin search filters
+ *
+ * @param {import('express').Response} res
+ * @param {Object} query - req.query (validated by validateRequestExport)
+ * @returns {Promise<number>} requests exported
+ */
+async function exportRequests(res, query) {
+  const keys = parseExportColumns(query.columns);
+  const columns = keys.map((key) => ({ key, ...REQUEST_EXPORT_COLUMNS[key] }));
+
+  const select = {};
+  columns.forEach(({ fields }) => fields.forEach((field) => { select[field] = true; }));
+
+  async function* rows() {
+    for await (const request of iterateRequests(query, { select, batchSize: EXPORT_BATCH_SIZE })) {
+      yield columns.map(({ key, value }) => (value ? value(request) : request[key]));
+    }
+  }
+
+  return streamSpreadsheet(res, {
+    format: query.format || 'csv',
+    filename: `requests-${timestampForFilename()}`,
+    sheetName: 'Requests',
+    columns,
+    rows: rows()
+  });
+}
+
+/**
+ * Stream the bordereau of policies whose cover started in the period, followed by a totals row.
+ * Policies cancelled after issue stay listed with their status so the insurer can reconcile.
+ *
+ * @param {import('express').Response} res
+ * @param {Object} params
+ * @param {string} params.from - ISO date
+ * @param {string} params.to - ISO date; a date without a time includes the whole day
+ * @param {string} [params.format]
+ * @returns {Promise<number>} policies exported
+ */
+async function exportBordereau(res, { from, to, format = 'xlsx' }) {
+  const select = {};
+  BORDEREAU_FIELDS.forEach((field) => { select[field] = true; });
+
+  const where = {
+    policyNumber: { not: null },
+    policyStartDate: dateRange(from, to)
+  };
+
+  const totals = {};
+  let count = 0;
+
+  async function* rows() {
+    for await (const request of iterateRequests({ sort: 'policyStartDate', order: 'asc' }, { where, select, batchSize: EXPORT_BATCH_SIZE })) {
+      const values = BORDEREAU_COLUMNS.map(({ key, value }) => (value ? value(request) : request[key]));
+      BORDEREAU_COLUMNS.forEach(({ key, total }, index) => {
+        if (total && values[index] != null) totals[key] = roundCurrency((totals[key] || 0) + values[index]);
+      });
+      count++;
+      yield values;
+    }
+
+    yield BORDEREAU_COLUMNS.map(({ key, total }, index) => {
+      if (index === 0) return `TOTAL (${count} policies)`;
+      return total ? totals[key] || 0 : null;
+    });
+  }
+
+  const period = `${String(from).slice(0, 10)}-to-${String(to).slice(0, 10)}`;
+  await streamSpreadsheet(res, {
+    format,
+    filename: `bordereau-${period}`,
+    sheetName: 'Bordereau',
+    columns: BORDEREAU_COLUMNS,
+    rows: rows()
+  });
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  REQUEST_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  BORDEREAU_COLUMNS,
+  parseExportColumns,
+  exportRequests,
+  exportBordereau
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// Expired keys are purged at most this often, piggybacking on lookups
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurgeAt = 0;
+
+const IDEMPOTENCY_SCOPES = {
+  INSURANCE_REQUEST: 'insurance_request'
+};
+
+/**
+ * Key for an incoming call: the Idempotency-Key header when the caller sends one,
+ * otherwise a fingerprint of the given payload fields. Hashed together with the scope.
+ *
+ * @param {import('express').Request} req
+ * @param {string} scope - one of IDEMPOTENCY_SCOPES
+ * @param {Array<string>} fingerprintParts - normalized payload fields identifying a repeat
+ * @returns {string} sha256 hex
+ */
+function resolveIdempotencyKey(req, scope, fingerprintParts) {
+  const clientKey = req.get(IDEMPOTENCY_HEADER);
+  const source = clientKey
+    ? `header:${clientKey.trim()}`
+    : `fingerprint:${fingerprintParts.join('|')}`;
+
+  return crypto.createHash('sha256').update(`${scope}:${source}`).digest('hex');
+}
+
+function purgeExpiredKeys() {
+  const now = Date.now();
+  if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = now;
+
+  prisma.idempotencyKey.deleteMany({ where: { expiresAt: { lt: new Date(now) } } })
+    .then(({ count }) => {
+      if (count > 0) console.log(`🧹 Purged ${count} expired idempotency key(s)`);
+    })
+    .catch((error) => console.warn('⚠️ Failed to purge expired idempotency keys:', error.message));
+}
+
+/**
+ * Stored first response for this key, or null if none (or it expired)
+ * @param {string} key
+ */
+async function findStoredResponse(key) {
+  purgeExpiredKeys();
+
+  const stored = await prisma.idempotencyKey.findUnique({ where: { key } });
+  if (!stored) return null;
+
+  if (stored.expiresAt < new Date()) {
+    // Free the key so the call is processed as new
+    await prisma.idempotencyKey.deleteMany({ where: { key, expiresAt: { lt: new Date() } } });
+    return null;
+  }
+  return stored;
+}
+
+/**
+ * Build the Prisma create operation storing a response under its key.
+ * Run it in the same transaction as the write it belongs to, so a concurrent repeat
+ * fails on the primary key (P2002) instead of writing twice.
+ * @param {Object} params
+ * @param {string} params.key
+ * @param {string} params.scope
+ * @param {string} [params.requestId]
+ * @param {number} params.statusCode
+ * @param {Object} params.response - JSON body sent to the caller
+ * @param {Object} [client] - prisma client or interactive transaction client
+ */
+function idempotencyKeyCreate({ key, scope, requestId, statusCode, response }, client = prisma) {
+  return client.idempotencyKey.create({
+    data: {
+      key,
+      scope,
+      requestId: requestId || null,
+      statusCode,
+      response,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+    }
+  });
+}
+
+/**
+ * Send a stored response again
+ * @param {import('express').Response} res
+ * @param {Object} stored - IdempotencyKey row
+ */
+function replayStoredResponse(res, stored) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(stored.statusCode).json(stored.response);
+}
+
+module.exports = {
+  IDEMPOTENCY_SCOPES,
+  IDEMPOTENCY_HEADER,
+  resolveIdempotencyKey,
+  findStoredResponse,
+  idempotencyKeyCreate,
+  replayStoredResponse
+};
@@ -1,7 +1,10 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const { describeRating } = require('./ratingService');
+const { getPayableAmount } = require('./taxService');
+const { SHORTAGE_THRESHOLD_KG } = require('./shortageService');
+const { resolveKantaParchiPath } = require('./kantaParchiService');
 
 const INVOICES_DIR = path.join(__dirname, '../../invoices'); // backend/invoices
 const DEFAULT_HSN = '08011910';
@@ -11,6 +14,24 @@ const COMPANY_ADDRESS = process.env.INVOICE_COMPANY_ADDRESS || '# 51/4, Glass Fa
 const CLAIM_EMAIL = process.env.INVOICE_CLAIM_EMAIL || 'support@mandiplus.com';
 const CLAIM_PHONE = process.env.INVOICE_CLAIM_PHONE || '+91 99001 86757';
 
+// Printed on invoices and policy certificates
+const CLAIM_ELIGIBILITY = [
+  '• Vehicle accident, collision, or overturning during transit.',
+  '• Theft, hijacking, or unlawful removal of cargo.',
+  `• Shortage: Claims only when difference exceeds ${SHORTAGE_THRESHOLD_KG / 1000} Tons.`,
+  '• Loss due to strikes, riots, or civil commotion.',
+  '• Damage from weather or natural calamities.',
+  '• Fire, explosion, or related perils.',
+  '• Loss due to driver fraud or negligence.'
+];
+
+const MANDATORY_DOCUMENTS = [
+  '• Photos/videos of damaged goods or incident.',
+  '• FIR copy and original Invoice.',
+  '• Damage Certificate and Letter of Subrogation.',
+  '• Insurance Certificate and Proof of Delivery (POD).'
+];
+
 function ensureInvoicesDir() {
   if (!fs.existsSync(INVOICES_DIR)) {
     fs.mkdirSync(INVOICES_DIR, { recursive: true });
@@ -29,70 +50,28 @@ function formatCurrency(amount) {
   return `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
+// "CGST @ 9%"-style rows for the GST columns set on a request
+function taxLines(request) {
+  const percent = (rate) => `${parseFloat((Number(rate) * 100).toFixed(2))}%`;
+  return [
+    ['CGST', request.cgstRate, request.cgstAmount],
+    ['SGST', request.sgstRate, request.sgstAmount],
+    ['IGST', request.igstRate, request.igstAmount]
+  ]
+    .filter(([, rate, amount]) => rate != null && amount != null)
+    .map(([name, rate, amount]) => [`${name} @ ${percent(rate)}`, formatCurrency(amount)]);
+}
+
 // Helper function to draw rounded rectangle
 function drawRoundedRect(doc, x, y, width, height, radius) {
   doc.roundedRect(x, y, width, height, radius);
 }
 
-/**
- * Download image from URL and save to temp directory
- * @param {string} imageUrl - URL of the image
- * @returns {Promise<string|null>} - Local path to downloaded image or null
- */
-async function downloadImageFromUrl(imageUrl) {
-  if (!imageUrl || !imageUrl.startsWith('http')) {
-    return null;
-  }
-
-  try {
-    const tempDir = path.join(__dirname, '../../temp');
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-
-    const fileName = `kanta_${Date.now()}_${Math.random().toString(36).substring(7)}.jpg`;
-    const filePath = path.join(tempDir, fileName);
-
-    const response = await axios({
-      method: 'GET',
-      url: imageUrl,
-      responseType: 'stream',
-      timeout: 10000, // 10 seconds timeout
-    });
-
-    const writer = fs.createWriteStream(filePath);
-    response.data.pipe(writer);
-
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => resolve(filePath));
-      writer.on('error', reject);
-    });
-  } catch (error) {
-    console.error('❌ Failed to download image from URL:', error.message);
-    return null;
-  }
-}
-
-/**
- * Clean up temporary image file
- * @param {string} filePath - Path to temp file
- */
-function cleanupTempImage(filePath) {
-  if (filePath && fs.existsSync(filePath)) {
-    try {
-      fs.unlinkSync(filePath);
-      console.log('🗑️  Cleaned up temp image:', filePath);
-    } catch (err) {
-      console.warn('⚠️  Failed to cleanup temp image:', err.message);
-    }
-  }
-}
-
 /**
  * Generate invoice PDF for an approved request. Saves to invoices/<invoiceNumber>.pdf
- * @param {Object} request - InsuranceRequest
+ * @param {Object} request - InsuranceRequest (include rateTable to show the rate version)
  * @param {string} invoiceNumber - e.g. INV-2026-000364
- * @param {number} premiumAmount - Insurance amount (0.2% of total)
+ * @param {number} premiumAmount - Insurance amount
  * @returns {Promise<string>} - Filename or null on failure
  */
 async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
@@ -104,23 +83,16 @@ async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
   const rate = Number(request.rate || 0);
   const totalAmount = quantity * rate;
   const supplierName = request.supplierName || '-';
-  const supplierPlace = request.supplierPlace || '-';
+  // Show the GST state next to the place when the place itself does not name it
+  const supplierPlace = request.placeOfSupply && !String(request.supplierPlace || '').toLowerCase().includes(request.placeOfSupply.toLowerCase())
+    ? `${request.supplierPlace || '-'} (${request.placeOfSupply})`
+    : request.supplierPlace || '-';
   const partyName = request.partyName || '-';
   const partyAddress = request.partyAddress || '-';
   const vehicleNo = request.vehicleNo || '-';
   const transporterName = request.transporterName || '-';
   const itemName = request.itemName || '-';
 
-  // Download Kanta Parchi image from URL if available
-  let downloadedImagePath = null;
-  if (request.kantaParchiImage) {
-    console.log('📥 Attempting to download Kanta Parchi image from:', request.kantaParchiImage);
-    downloadedImagePath = await downloadImageFromUrl(request.kantaParchiImage);
-    if (downloadedImagePath) {
-      console.log('✅ Kanta Parchi image downloaded to:', downloadedImagePath);
-    }
-  }
-
   return new Promise((resolve, reject) => {
     const doc = new PDFDocument({ 
       margin: 30, 
@@ -131,24 +103,14 @@ async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
     doc.pipe(stream);
 
     stream.on('finish', () => {
-      // Cleanup temp image after PDF is generated
-      if (downloadedImagePath) {
-        cleanupTempImage(downloadedImagePath);
-      }
       resolve(filename);
     });
     
     stream.on('error', (err) => {
-      if (downloadedImagePath) {
-        cleanupTempImage(downloadedImagePath);
-      }
       reject(err);
     });
     
     doc.on('error', (err) => {
-      if (downloadedImagePath) {
-        cleanupTempImage(downloadedImagePath);
-      }
       reject(err);
     });
 
@@ -306,17 +268,33 @@ async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
       const insuranceText = `In case of any accident, loss, or damage during transit, ${partyName} shall be treated as the insured person and will be entitled to receive all claim amounts for the damaged goods.`;
       doc.text(insuranceText, leftColX + 12, currentY + 78, { width: leftColWidth - 24, align: 'left' });
 
-      // Totals Box (Right)
+      // Totals Box (Right): goods value, then the insurance premium with its GST breakup
       drawRoundedRect(doc, rightColX, currentY, rightColWidth, notesBoxHeight, 5);
       doc.stroke();
-      
-      doc.fontSize(10).font('Helvetica-Bold');
-      doc.text('Total', rightColX + 12, currentY + 28);
-      doc.text(formatCurrency(totalAmount), rightColX + 12, currentY + 46, { width: rightColWidth - 24, align: 'left' });
-      
+
+      const ratingLabel = describeRating(request);
+      const totalsRows = [
+        ['Total', formatCurrency(totalAmount)],
+        [ratingLabel ? `Insurance Amount (${ratingLabel})` : 'Insurance Amount', formatCurrency(premiumAmount)],
+        ...taxLines(request)
+      ];
+      const valueWidth = 80;
+      const labelWidth = rightColWidth - 24 - valueWidth;
+      let totalsY = currentY + 12;
+
+      doc.fontSize(9).font('Helvetica');
+      totalsRows.forEach(([label, value]) => {
+        doc.text(label, rightColX + 12, totalsY, { width: labelWidth });
+        doc.text(value, rightColX + 12 + labelWidth, totalsY, { width: valueWidth, align: 'right' });
+        totalsY += Math.max(16, doc.heightOfString(label, { width: labelWidth }) + 5);
+      });
+
+      totalsY += 2;
+      doc.moveTo(rightColX + 12, totalsY).lineTo(rightColX + rightColWidth - 12, totalsY).stroke();
+      totalsY += 8;
       doc.fontSize(10).font('Helvetica-Bold');
-      doc.text('Insurance Amount (0.2%)', rightColX + 12, currentY + 68);
-      doc.text(formatCurrency(premiumAmount), rightColX + 12, currentY + 86, { width: rightColWidth - 24, align: 'left' });
+      doc.text('Insurance Payable', rightColX + 12, totalsY, { width: labelWidth });
+      doc.text(formatCurrency(getPayableAmount({ ...request, premiumAmount })), rightColX + 12 + labelWidth, totalsY, { width: valueWidth, align: 'right' });
 
       currentY += notesBoxHeight + 15;
 
@@ -333,52 +311,22 @@ async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
       // Try to add Kanta Parchi image
       let imageAdded = false;
       
-      // First try downloaded image from URL
-      if (downloadedImagePath && fs.existsSync(downloadedImagePath)) {
+      // Slip stored on this server (uploaded, or fetched from the bot's URL before rendering)
+      const storedImagePath = resolveKantaParchiPath(request.kantaParchiImage);
+      if (storedImagePath) {
         try {
           const imageHeight = bottomBoxHeight - 40;
           const imageY = currentY + 30;
           
-          doc.image(downloadedImagePath, leftColX + 12, imageY, { 
+          doc.image(storedImagePath, leftColX + 12, imageY, { 
             fit: [leftColWidth - 24, imageHeight],
             align: 'center',
             valign: 'center'
           });
           imageAdded = true;
-          console.log('✅ Kanta Parchi image added from downloaded URL');
+          console.log(`✅ Kanta Parchi image added: ${request.kantaParchiImage}`);
         } catch (err) {
-          console.warn('⚠️ Failed to add downloaded image:', err.message);
-        }
-      }
-      
-      // Fallback: Try local file paths
-      if (!imageAdded) {
-        const possibleImagePaths = [
-          path.join(__dirname, '../../uploads', request.kantaParchiImage || ''),
-          path.join(__dirname, '../../uploads/kantaparchi', `${request.id}.jpg`),
-          path.join(__dirname, '../../uploads/kantaparchi', `${request.id}.png`),
-          path.join(__dirname, '../../uploads/kantaparchi', `${request.userId}.jpg`),
-          path.join(__dirname, '../../uploads/kantaparchi', `${request.userId}.png`),
-        ];
-        
-        for (const imagePath of possibleImagePaths) {
-          if (fs.existsSync(imagePath)) {
-            try {
-              const imageHeight = bottomBoxHeight - 40;
-              const imageY = currentY + 30;
-              
-              doc.image(imagePath, leftColX + 12, imageY, { 
-                fit: [leftColWidth - 24, imageHeight],
-                align: 'center',
-                valign: 'center'
-              });
-              imageAdded = true;
-              console.log(`✅ Kanta Parchi image added from local: ${imagePath}`);
-              break;
-            } catch (err) {
-              console.warn(`⚠️ Failed to add image from ${imagePath}:`, err.message);
-            }
-          }
+          console.warn(`⚠️ Failed to add Kanta Parchi image ${request.kantaParchiImage}:`, err.message);
         }
       }
       
@@ -409,17 +357,7 @@ async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
       termsY += lineHeight + 2;
       
       doc.font('Helvetica').fontSize(7);
-      const claims = [
-        '• Vehicle accident, collision, or overturning during transit.',
-        '• Theft, hijacking, or unlawful removal of cargo.',
-        '• Shortage: Claims only when difference exceeds 2 Tons.',
-        '• Loss due to strikes, riots, or civil commotion.',
-        '• Damage from weather or natural calamities.',
-        '• Fire, explosion, or related perils.',
-        '• Loss due to driver fraud or negligence.'
-      ];
-      
-      claims.forEach(claim => {
+      CLAIM_ELIGIBILITY.forEach(claim => {
         doc.text(claim, rightColX + 12, termsY, { width: termsWidth });
         termsY += lineHeight;
       });
@@ -432,14 +370,7 @@ async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
       termsY += lineHeight + 2;
       
       doc.font('Helvetica').fontSize(7);
-      const docs = [
-        '• Photos/videos of damaged goods or incident.',
-        '• FIR copy and original Invoice.',
-        '• Damage Certificate and Letter of Subrogation.',
-        '• Insurance Certificate and Proof of Delivery (POD).'
-      ];
-      
-      docs.forEach(docItem => {
+      MANDATORY_DOCUMENTS.forEach(docItem => {
         doc.text(docItem, rightColX + 12, termsY, { width: termsWidth });
         termsY += lineHeight;
       });
@@ -461,9 +392,6 @@ async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
       doc.end();
     } catch (err) {
       doc.end();
-      if (downloadedImagePath) {
-        cleanupTempImage(downloadedImagePath);
-      }
       reject(err);
     }
   });
@@ -472,4 +400,12 @@ async function generateInvoicePdf(request, invoiceNumber, premiumAmount) {
 module.exports = {
   generateInvoicePdf,
   INVOICES_DIR,
+  COMPANY_NAME,
+  COMPANY_ADDRESS,
+  CLAIM_EMAIL,
+  CLAIM_PHONE,
+  CLAIM_ELIGIBILITY,
+  MANDATORY_DOCUMENTS,
+  formatDate,
+  formatCurrency,
 };
\ No newline at end of file
@@ -0,0 +1,486 @@
+const prisma = require('../config/database');
+const { generateInvoicePdf } = require('./invoicePdfService');
+const { generateCreditNotePdf } = require('./creditNotePdfService');
+const { createPaymentLinkForRequest, cancelPaymentLink } = require('./payments');
+const { ratePremium, ratingFields } = require('./ratingService');
+const { calculateGst, gstFields, getPayableAmount } = require('./taxService');
+const { DOCUMENT_TYPES, allocateDocumentNumber } = require('./documentNumberService');
+const {
+  REQUEST_STATUS,
+  STATUS_CHANGE_SOURCE,
+  canTransition,
+  transitionStatus
+} = require('./requestLifecycle');
+const { ADMIN_ACTIONS, adminActionCreate } = require('./auditService');
+const {
+  storeKantaParchi,
+  persistRemoteKantaParchi,
+  removeKantaParchi,
+  getKantaParchiUrl
+} = require('./kantaParchiService');
+
+// An invoice can be cancelled until it is paid
+const CANCELLABLE_STATUSES = [REQUEST_STATUS.APPROVED, REQUEST_STATUS.PAYMENT_PENDING];
+
+const BILLING_DOCUMENT_STATUS = {
+  ISSUED: 'ISSUED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Error for invoice actions that cannot proceed; statusCode is what the controller returns.
+ */
+class InvoiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+function getServerUrl() {
+  const port = process.env.PORT || 5000;
+  return (process.env.APP_URL || `http://localhost:${port}`).replace(/\/$/, '');
+}
+
+// Amount columns shared by InsuranceRequest and BillingDocument
+function billingAmounts(request) {
+  return {
+    premiumAmount: request.premiumAmount,
+    cgstAmount: request.cgstAmount,
+    sgstAmount: request.sgstAmount,
+    igstAmount: request.igstAmount,
+    totalAmount: request.totalAmount != null ? request.totalAmount : request.premiumAmount
+  };
+}
+
+/**
+ * WhatsApp text sent on approval (and on resend)
+ */
+function buildApprovalMessage(request) {
+  const premiumAmount = Number(request.premiumAmount);
+  const payableAmount = getPayableAmount(request);
+  const amountLines = payableAmount > premiumAmount
+    ? `Premium Amount: ₹${premiumAmount.toFixed(2)}\n` +
+      `GST: ₹${(payableAmount - premiumAmount).toFixed(2)}\n` +
+      `Total Payable: ₹${payableAmount.toFixed(2)}\n\n`
+    : `Premium Amount: ₹${premiumAmount.toFixed(2)}\n\n`;
+
+  return (
+    `🎉 *Your Insurance Request is APPROVED!*\n\n` +
+    `Invoice Number: ${request.invoiceNumber}\n` +
+    amountLines +
+    `Please complete payment using this link:\n${request.paymentLink}\n\n` +
+    `After payment, your policy will be issued within 24 hours.`
+  );
+}
+
+/**
+ * (Re)render the PDF of the request's current invoice and point the request and the invoice's
+ * BillingDocument at it. The file is named after the invoice number, so a re-render overwrites it.
+ * A kanta parchi sent as a URL is downloaded and stored first; if that fails the invoice shows the
+ * placeholder and the next render tries again.
+ *
+ * @param {string} requestId
+ * @returns {Promise<Object>} updated InsuranceRequest
+ */
+async function renderInvoicePdf(requestId) {
+  const request = await prisma.insuranceRequest.findUnique({
+    where: { id: requestId },
+    include: { rateTable: true }
+  });
+  if (!request || !request.invoiceNumber) {
+    throw new InvoiceError('Request has no invoice', 404);
+  }
+
+  let invoiceRequest = request;
+  try {
+    invoiceRequest = { ...request, ...(await persistRemoteKantaParchi(request)), rateTable: request.rateTable };
+  } catch (fetchErr) {
+    console.warn(`⚠️ Kanta parchi for request ${requestId} could not be fetched (invoice shows placeholder):`, fetchErr.message);
+  }
+
+  const pdfFilename = await generateInvoicePdf(invoiceRequest, request.invoiceNumber, request.premiumAmount);
+  const invoicePdfUrl = `${getServerUrl()}/invoices/${pdfFilename}`;
+
+  const updatedRequest = await prisma.insuranceRequest.update({
+    where: { id: requestId },
+    data: { invoicePdfUrl }
+  });
+  // Invoices issued before billing documents existed have no row to update
+  await prisma.billingDocument.updateMany({
+    where: { requestId, number: request.invoiceNumber },
+    data: { pdfUrl: invoicePdfUrl }
+  });
+
+  return updatedRequest;
+}
+
+/**
+ * Invoice a pending request: create the payment link, then in one transaction move the request to
+ * APPROVED, allocate the invoice number and record the invoice, then render the invoice PDF.
+ * The provider call happens before the transaction, and the number is allocated after the status
+ * change, so the number series stays locked only for the last few writes, never for a network call.
+ * Approval, number and audit row succeed or fail together, so a failed approval does not burn an
+ * invoice number, and its payment link is cancelled.
+ * Without adminId the approval is automatic: it is recorded as a SYSTEM change with no audit row.
+ *
+ * @param {string} requestId
+ * @param {Object} options
+ * @param {string} [options.adminId]
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.notes] - saved on the status history and audit rows
+ * @returns {Promise<Object>} updated InsuranceRequest
+ * @throws {InvoiceError|RequestLifecycleError}
+ */
+async function issueInvoice(requestId, { adminId = null, ipAddress, notes } = {}) {
+  const request = await prisma.insuranceRequest.findUnique({ where: { id: requestId } });
+
+  if (!request) {
+    throw new InvoiceError('Insurance request not found', 404);
+  }
+
+  // Checked again atomically by transitionStatus; failing early avoids creating a payment link
+  if (!canTransition(request.status, REQUEST_STATUS.APPROVED)) {
+    throw new InvoiceError(`Request is already ${request.status}`);
+  }
+
+  // Use the premium quoted at request creation; rate older requests with the table in force now
+  const rating = request.premiumAmount != null
+    ? null
+    : await ratePremium(request);
+  const premiumAmount = rating ? rating.premiumAmount : parseFloat(request.premiumAmount);
+  const gst = calculateGst(premiumAmount, request.supplierPlace);
+
+  // Without a payable link the request stays pending
+  let link;
+  try {
+    link = await createPaymentLinkForRequest(request, { amount: gst.totalAmount });
+  } catch (linkErr) {
+    console.error('❌ Payment link creation failed, request not approved:', linkErr.message);
+    throw new InvoiceError('Failed to create payment link. Request was not approved, please retry.', 502);
+  }
+
+  let invoice;
+  let updatedRequest;
+  try {
+    updatedRequest = await prisma.$transaction(async (tx) => {
+      await transitionStatus(requestId, REQUEST_STATUS.APPROVED, {
+        tx,
+        changedById: adminId,
+        source: adminId ? STATUS_CHANGE_SOURCE.ADMIN : STATUS_CHANGE_SOURCE.SYSTEM,
+        reason: notes,
+        data: {
+          adminId,
+          adminAction: ADMIN_ACTIONS.APPROVED,
+          adminTimestamp: new Date(),
+          ...(rating ? ratingFields(rating) : {}),
+          ...gstFields(gst),
+          paymentLink: link.url,
+          paymentProvider: link.provider,
+          paymentLinkId: link.providerReference,
+          paymentLinkExpiresAt: link.expiresAt,
+          paymentStatus: 'PENDING'
+        }
+      });
+      if (adminId) {
+        await adminActionCreate({ adminId, ipAddress, requestId, action: ADMIN_ACTIONS.APPROVED, reason: notes }, tx);
+      }
+
+      // Last, so the number series is locked only until the commit right after
+      const invoiceNumber = await allocateDocumentNumber(DOCUMENT_TYPES.INVOICE, { tx });
+      const approved = await tx.insuranceRequest.update({
+        where: { id: requestId },
+        data: { invoiceNumber }
+      });
+      invoice = await tx.billingDocument.create({
+        data: {
+          requestId,
+          type: DOCUMENT_TYPES.INVOICE,
+          number: invoiceNumber,
+          ...billingAmounts(approved),
+          issuedById: adminId
+        }
+      });
+      return approved;
+    });
+  } catch (approvalErr) {
+    // Don't leave a payable link behind for a request that was never approved
+    cancelPaymentLink(link.provider, link.providerReference).catch((cancelErr) => {
+      console.warn(`⚠️ Failed to cancel orphaned payment link ${link.providerReference}:`, cancelErr.message);
+    });
+    throw approvalErr;
+  }
+
+  // Generate invoice PDF (non-blocking: do not fail approval if PDF errors)
+  try {
+    updatedRequest = await renderInvoicePdf(requestId);
+  } catch (pdfErr) {
+    console.warn('⚠️ Invoice PDF generation failed (approval still succeeded):', pdfErr.message);
+  }
+
+  console.log(`🧾 Invoice ${invoice.number} issued for request ${requestId}`);
+
+  return updatedRequest;
+}
+
+/**
+ * Cancel the unpaid invoice of a request with a credit note for the full amount. The request goes
+ * back to PENDING_VERIFICATION with its invoice, GST and payment link cleared, and its payment link
+ * is cancelled at the provider. With `reissue`, a new invoice is issued straight away, priced from
+ * the corrected quantity / rate if given.
+ *
+ * A failed re-issue does not undo the cancellation: the request is left pending and the error is
+ * returned as `reissueError` so the admin can approve it again.
+ *
+ * @param {string} requestId
+ * @param {Object} options
+ * @param {string} options.adminId
+ * @param {string} [options.ipAddress]
+ * @param {string} options.reason
+ * @param {boolean} [options.reissue]
+ * @param {number} [options.quantity] - corrected quantity
+ * @param {number} [options.rate] - corrected rate
+ * @returns {Promise<{ request: Object, creditNote: Object, cancelledInvoice: Object,
+ *   paymentLinkCancelled: boolean, reissued: boolean, reissueError: string|null }>}
+ * @throws {InvoiceError|RequestLifecycleError}
+ */
+async function cancelInvoice(requestId, { adminId, ipAddress, reason, reissue = false, quantity, rate }) {
+  const request = await prisma.insuranceRequest.findUnique({ where: { id: requestId } });
+
+  if (!request) {
+    throw new InvoiceError('Insurance request not found', 404);
+  }
+
+  if (!request.invoiceNumber) {
+    throw new InvoiceError(`Request has no invoice to cancel (current status: ${request.status})`);
+  }
+
+  if (!CANCELLABLE_STATUSES.includes(request.status) || request.paymentStatus === 'SUCCESS') {
+    throw new InvoiceError(`Only unpaid invoices can be cancelled (current status: ${request.status})`);
+  }
+
+  // Corrected consignment details are re-rated with the request's original rate table
+  const corrections = {};
+  if (quantity != null) corrections.quantity = quantity;
+  if (rate != null) corrections.rate = rate;
+  const rating = Object.keys(corrections).length > 0
+    ? await ratePremium({ ...request, ...corrections }, { rateTableId: request.rateTableId })
+    : null;
+
+  const cancelledInvoiceNumber = request.invoiceNumber;
+  const { creditNote, cancelledInvoice } = await prisma.$transaction(async (tx) => {
+    const creditNoteNumber = await allocateDocumentNumber(DOCUMENT_TYPES.CREDIT_NOTE, { tx });
+
+    // Invoices issued before billing documents were recorded get their row now
+    let original = await tx.billingDocument.findUnique({ where: { number: cancelledInvoiceNumber } });
+    if (!original) {
+      original = await tx.billingDocument.create({
+        data: {
+          requestId,
+          type: DOCUMENT_TYPES.INVOICE,
+          number: cancelledInvoiceNumber,
+          ...billingAmounts(request),
+          pdfUrl: request.invoicePdfUrl,
+          issuedById: request.adminId,
+          createdAt: request.adminTimestamp || request.updatedAt
+        }
+      });
+    }
+
+    const cancelledAt = new Date();
+    const { count } = await tx.billingDocument.updateMany({
+      where: { id: original.id, status: BILLING_DOCUMENT_STATUS.ISSUED },
+      data: { status: BILLING_DOCUMENT_STATUS.CANCELLED, cancelledAt }
+    });
+    if (count === 0) {
+      throw new InvoiceError(`Invoice ${cancelledInvoiceNumber} is already cancelled`, 409);
+    }
+
+    const note = await tx.billingDocument.create({
+      data: {
+        requestId,
+        type: DOCUMENT_TYPES.CREDIT_NOTE,
+        number: creditNoteNumber,
+        originalDocumentId: original.id,
+        premiumAmount: original.premiumAmount,
+        cgstAmount: original.cgstAmount,
+        sgstAmount: original.sgstAmount,
+        igstAmount: original.igstAmount,
+        totalAmount: original.totalAmount,
+        reason,
+        issuedById: adminId
+      }
+    });
+
+    const historyReason = `Invoice ${cancelledInvoiceNumber} cancelled by credit note ${creditNoteNumber}: ${reason}`;
+    await transitionStatus(requestId, REQUEST_STATUS.PENDING_VERIFICATION, {
+      tx,
+      from: request.status,
+      changedById: adminId,
+      source: STATUS_CHANGE_SOURCE.ADMIN,
+      reason: historyReason,
+      data: {
+        adminId,
+        adminAction: ADMIN_ACTIONS.INVOICE_CANCELLED,
+        adminTimestamp: cancelledAt,
+        invoiceNumber: null,
+        invoicePdfUrl: null,
+        placeOfSupply: null,
+        cgstRate: null,
+        cgstAmount: null,
+        sgstRate: null,
+        sgstAmount: null,
+        igstRate: null,
+        igstAmount: null,
+        totalAmount: null,
+        paymentLink: null,
+        paymentProvider: null,
+        paymentLinkId: null,
+        paymentLinkExpiresAt: null,
+        paymentStatus: 'PENDING',
+        ...corrections,
+        ...(rating ? ratingFields(rating) : {})
+      }
+    });
+    await adminActionCreate({ adminId, ipAddress, requestId, action: ADMIN_ACTIONS.INVOICE_CANCELLED, reason: historyReason }, tx);
+
+    return { creditNote: note, cancelledInvoice: { ...original, status: BILLING_DOCUMENT_STATUS.CANCELLED, cancelledAt } };
+  });
+
+  console.log(`🧾 Invoice ${cancelledInvoiceNumber} cancelled by credit note ${creditNote.number} for request ${requestId}`);
+
+  // The request no longer references the link, so a late payment on it is only recorded for review
+  let paymentLinkCancelled = false;
+  if (request.paymentLinkId) {
+    try {
+      await cancelPaymentLink(request.paymentProvider, request.paymentLinkId);
+      paymentLinkCancelled = true;
+    } catch (cancelErr) {
+      console.warn(`⚠️ Failed to cancel payment link ${request.paymentLinkId} (invoice still cancelled):`, cancelErr.message);
+    }
+  }
+
+  // Generate credit note PDF (non-blocking: do not fail the cancellation if PDF errors)
+  let creditNoteWithPdf = creditNote;
+  try {
+    const pdfFilename = await generateCreditNotePdf(request, creditNote, cancelledInvoice);
+    creditNoteWithPdf = await prisma.billingDocument.update({
+      where: { id: creditNote.id },
+      data: { pdfUrl: `${getServerUrl()}/invoices/${pdfFilename}` }
+    });
+  } catch (pdfErr) {
+    console.warn('⚠️ Credit note PDF generation failed (cancellation still succeeded):', pdfErr.message);
+  }
+
+  let updatedRequest = null;
+  let reissued = false;
+  let reissueError = null;
+  if (reissue) {
+    try {
+      updatedRequest = await issueInvoice(requestId, {
+        adminId,
+        ipAddress,
+        notes: `Re-issued after credit note ${creditNote.number}`
+      });
+      reissued = true;
+    } catch (issueErr) {
+      console.warn(`⚠️ Re-issuing invoice for request ${requestId} failed (cancellation still succeeded):`, issueErr.message);
+      reissueError = issueErr.message;
+    }
+  }
+
+  if (!updatedRequest) {
+    updatedRequest = await prisma.insuranceRequest.findUnique({ where: { id: requestId } });
+  }
+
+  return {
+    request: updatedRequest,
+    creditNote: creditNoteWithPdf,
+    cancelledInvoice,
+    paymentLinkCancelled,
+    reissued,
+    reissueError
+  };
+}
+
+/**
+ * Store an uploaded kanta parchi (weighment slip) for a request and link it, replacing any earlier
+ * slip. If the request is already invoiced, the invoice PDF is rendered again so it carries the slip
+ * instead of the "customer will update" placeholder.
+ *
+ * @param {string} requestId
+ * @param {Object} file - multer memory-storage file
+ * @param {Object} [options]
+ * @param {string} [options.adminId] - admin uploading; recorded in the audit log
+ * @param {string} [options.ipAddress]
+ * @returns {Promise<{ request: Object, kantaParchiUrl: string, replaced: boolean, invoiceRegenerated: boolean }>}
+ * @throws {InvoiceError|KantaParchiError}
+ */
+async function attachKantaParchi(requestId, file, { adminId, ipAddress } = {}) {
+  const request = await prisma.insuranceRequest.findUnique({ where: { id: requestId } });
+  if (!request) {
+    throw new InvoiceError('Request not found', 404);
+  }
+
+  const key = await storeKantaParchi(requestId, file);
+  const previous = request.kantaParchiImage;
+
+  let updatedRequest;
+  try {
+    updatedRequest = await prisma.$transaction(async (tx) => {
+      const linked = await tx.insuranceRequest.update({
+        where: { id: requestId },
+        data: { kantaParchiImage: key, kantaParchiSourceUrl: null }
+      });
+      if (adminId) {
+        await adminActionCreate({
+          adminId,
+          ipAddress,
+          requestId,
+          action: ADMIN_ACTIONS.EDITED,
+          reason: previous ? 'Kanta parchi replaced' : 'Kanta parchi uploaded'
+        }, tx);
+      }
+      return linked;
+    });
+  } catch (linkErr) {
+    await removeKantaParchi(key);
+    throw linkErr;
+  }
+
+  if (previous && previous !== key) {
+    await removeKantaParchi(previous);
+  }
+
+  console.log(`📎 Kanta parchi ${previous ? 'replaced' : 'uploaded'} for request ${requestId}`);
+
+  // Regenerate the invoice (non-blocking: the slip is saved either way)
+  let invoiceRegenerated = false;
+  if (updatedRequest.invoiceNumber) {
+    try {
+      updatedRequest = await renderInvoicePdf(requestId);
+      invoiceRegenerated = true;
+      console.log(`🧾 Invoice ${updatedRequest.invoiceNumber} regenerated with the new kanta parchi`);
+    } catch (pdfErr) {
+      console.warn('⚠️ Invoice PDF regeneration failed (upload still succeeded):', pdfErr.message);
+    }
+  }
+
+  return {
+    request: updatedRequest,
+    kantaParchiUrl: getKantaParchiUrl(key),
+    replaced: Boolean(previous),
+    invoiceRegenerated
+  };
+}
+
+module.exports = {
+  BILLING_DOCUMENT_STATUS,
+  InvoiceError,
+  buildApprovalMessage,
+  issueInvoice,
+  cancelInvoice,
+  renderInvoicePdf,
+  attachKantaParchi
+};
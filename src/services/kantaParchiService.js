@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { IMAGE_EXTENSIONS, detectImageType, fetchRemoteImage } = require('./remoteImageService');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads'); // backend/uploads
+const KANTA_PARCHI_DIR = path.join(UPLOADS_DIR, 'kantaparchi');
+
+const KANTA_PARCHI_MAX_BYTES = Math.round(parseFloat(process.env.KANTA_PARCHI_MAX_MB || '5') * 1024 * 1024);
+
+// Only formats pdfkit can embed in the invoice
+const KANTA_PARCHI_TYPES = IMAGE_EXTENSIONS;
+
+// Stored slips are referenced as "kantaparchi/<requestId>/<file>" in InsuranceRequest.kantaParchiImage
+const STORED_KEY_PATTERN = /^kantaparchi\/[A-Za-z0-9-]+\/[A-Za-z0-9._-]+$/;
+
+/**
+ * Error for rejected uploads; statusCode is what the controller returns.
+ */
+class KantaParchiError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'KantaParchiError';
+    this.statusCode = statusCode;
+  }
+}
+
+function isStoredKey(value) {
+  return typeof value === 'string' && STORED_KEY_PATTERN.test(value);
+}
+
+/**
+ * Local file of a stored slip, or null for remote URLs, unknown values and missing files
+ * @param {string} value - InsuranceRequest.kantaParchiImage
+ */
+function resolveKantaParchiPath(value) {
+  if (!isStoredKey(value)) return null;
+
+  const filePath = path.resolve(UPLOADS_DIR, value);
+  if (!filePath.startsWith(KANTA_PARCHI_DIR + path.sep)) return null;
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Public URL of the slip: stored slips are served from /uploads/kantaparchi, remote URLs pass through
+ * @param {string} value - InsuranceRequest.kantaParchiImage
+ */
+function getKantaParchiUrl(value) {
+  if (!value) return null;
+  if (!isStoredKey(value)) return value;
+
+  const port = process.env.PORT || 5000;
+  const serverUrl = (process.env.APP_URL || `http://localhost:${port}`).replace(/\/$/, '');
+  return `${serverUrl}/uploads/${value}`;
+}
+
+/**
+ * Validate and write an uploaded slip under the request's own directory.
+ * Each upload gets a new random file name, so a replaced slip is never served from a stale cache
+ * and the name cannot be guessed from the request id.
+ *
+ * @param {string} requestId
+ * @param {{ buffer: Buffer, size: number }} file - multer memory-storage file or fetched image
+ * @returns {Promise<string>} storage key for InsuranceRequest.kantaParchiImage
+ * @throws {KantaParchiError}
+ */
+async function storeKantaParchi(requestId, file) {
+  if (!file || !file.buffer || file.size === 0) {
+    throw new KantaParchiError('Kanta parchi image is required');
+  }
+  if (file.size > KANTA_PARCHI_MAX_BYTES) {
+    throw new KantaParchiError(`Kanta parchi image must not exceed ${KANTA_PARCHI_MAX_BYTES / (1024 * 1024)} MB`, 413);
+  }
+
+  const type = detectImageType(file.buffer);
+  if (!type) {
+    throw new KantaParchiError('Kanta parchi image must be a JPEG or PNG file', 415);
+  }
+
+  const directory = path.join(KANTA_PARCHI_DIR, requestId);
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const fileName = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${KANTA_PARCHI_TYPES[type]}`;
+  await fs.promises.writeFile(path.join(directory, fileName), file.buffer);
+
+  return `kantaparchi/${requestId}/${fileName}`;
+}
+
+/**
+ * Download a slip sent as a URL (chat media links expire) and store it like an upload.
+ * The request then points at the stored copy and keeps the URL in kantaParchiSourceUrl, so
+ * invoices can be regenerated without fetching it again.
+ *
+ * @param {Object} request - InsuranceRequest whose kantaParchiImage is a URL
+ * @returns {Promise<Object>} updated InsuranceRequest (unchanged if the slip is already stored)
+ * @throws {RemoteImageError}
+ */
+async function persistRemoteKantaParchi(request) {
+  if (!request.kantaParchiImage || isStoredKey(request.kantaParchiImage)) {
+    return request;
+  }
+
+  const sourceUrl = request.kantaParchiImage;
+  const image = await fetchRemoteImage(sourceUrl, { maxBytes: KANTA_PARCHI_MAX_BYTES });
+  const key = await storeKantaParchi(request.id, image);
+
+  // Only link it if the slip was not replaced while downloading
+  const { count } = await prisma.insuranceRequest.updateMany({
+    where: { id: request.id, kantaParchiImage: sourceUrl },
+    data: { kantaParchiImage: key, kantaParchiSourceUrl: sourceUrl }
+  });
+  if (count === 0) {
+    await removeKantaParchi(key);
+    return prisma.insuranceRequest.findUnique({ where: { id: request.id } });
+  }
+
+  console.log(`📥 Kanta parchi for request ${request.id} fetched and stored as ${key}`);
+  return { ...request, kantaParchiImage: key, kantaParchiSourceUrl: sourceUrl };
+}
+
+/**
+ * Delete a stored slip (best effort; remote URLs are left alone)
+ * @param {string} value - previous InsuranceRequest.kantaParchiImage
+ */
+async function removeKantaParchi(value) {
+  const filePath = resolveKantaParchiPath(value);
+  if (!filePath) return;
+
+  try {
+    await fs.promises.unlink(filePath);
+    console.log('🗑️  Removed replaced kanta parchi:', value);
+  } catch (err) {
+    console.warn(`⚠️ Failed to remove replaced kanta parchi ${value}:`, err.message);
+  }
+}
+
+module.exports = {
+  KANTA_PARCHI_DIR,
+  KANTA_PARCHI_MAX_BYTES,
+  KANTA_PARCHI_TYPES,
+  KantaParchiError,
+  resolveKantaParchiPath,
+  getKantaParchiUrl,
+  storeKantaParchi,
+  persistRemoteKantaParchi,
+  removeKantaParchi
+};
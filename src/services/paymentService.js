@@ -0,0 +1,233 @@
+const prisma = require('../config/database');
+const { sendChatraceMessage } = require('./chatraceService');
+const { issuePolicy } = require('./policyService');
+const { getPayableAmount } = require('./taxService');
+const {
+  REQUEST_STATUS,
+  STATUS_CHANGE_SOURCE,
+  RequestLifecycleError,
+  getAllowedSourceStatuses,
+  transitionStatus
+} = require('./requestLifecycle');
+
+// Request statuses in which a payment can still be accepted
+const PAYABLE_STATUSES = getAllowedSourceStatuses(REQUEST_STATUS.PAID);
+
+/**
+ * Find the InsuranceRequest a normalized payment event belongs to
+ */
+async function findRequestForEvent(event) {
+  if (event.paymentLinkId) {
+    const byLink = await prisma.insuranceRequest.findFirst({
+      where: { paymentLinkId: event.paymentLinkId }
+    });
+    if (byLink) return byLink;
+  }
+  if (event.requestId) {
+    return prisma.insuranceRequest.findUnique({ where: { id: event.requestId } });
+  }
+  if (event.invoiceNumber) {
+    return prisma.insuranceRequest.findUnique({ where: { invoiceNumber: event.invoiceNumber } });
+  }
+  return null;
+}
+
+/**
+ * Whether the event is for a link the request no longer uses, e.g. the link of a cancelled invoice
+ * whose request was found through notes.requestId
+ */
+function isStaleLink(request, event) {
+  if (event.paymentLinkId) {
+    return event.paymentLinkId !== request.paymentLinkId;
+  }
+  return Boolean(event.invoiceNumber) && event.invoiceNumber !== request.invoiceNumber;
+}
+
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Why a successful payment cannot be applied to the request as is, or null when it can
+ */
+function getReviewReason(request, event, staleLink) {
+  if (staleLink) {
+    return `Paid on a payment link the request no longer uses (${event.paymentLinkId || event.invoiceNumber})`;
+  }
+  const payableAmount = getPayableAmount(request);
+  // Also catches a missing or unreadable amount
+  if (!(toPaise(event.amount) >= toPaise(payableAmount))) {
+    return `Short payment: ₹${Number(event.amount).toFixed(2)} received, ₹${payableAmount.toFixed(2)} payable`;
+  }
+  return null;
+}
+
+/**
+ * Send the "payment received" WhatsApp message (non-blocking)
+ */
+async function notifyPaymentReceived(request, amount) {
+  try {
+    const message =
+      `✅ *Payment Received*\n\n` +
+      `Invoice Number: ${request.invoiceNumber}\n` +
+      `Amount Paid: ₹${Number(amount).toFixed(2)}\n\n` +
+      `Your policy will be issued shortly.`;
+    await sendChatraceMessage(request.userId, message);
+  } catch (msgErr) {
+    console.warn('⚠️ WhatsApp/Chatrace message failed (payment still recorded):', msgErr.message);
+  }
+}
+
+/**
+ * Apply a normalized payment event (see payments/*Provider.parseWebhookEvent) to the database.
+ * Safe to call repeatedly with the same event: Payment rows are keyed by transactionId and
+ * request updates are conditional on the current status.
+ *
+ * A payment below the amount payable is recorded with a reviewReason and does not mark the
+ * request PAID: its paymentStatus becomes REVIEW until an admin refunds it or cancels and re-issues the invoice.
+ * An event for a link the request no longer uses (its invoice was cancelled) is recorded without
+ * touching the request; money taken on such a link gets a reviewReason for a refund.
+ *
+ * @param {string} providerName - e.g. razorpay
+ * @param {Object} event - normalized event
+ * @returns {Promise<{ outcome: string, requestId?: string }>}
+ *   outcome is one of PAID, UNDERPAID, STALE_LINK, PAYMENT_FAILED, LINK_CLOSED, DUPLICATE, NO_CHANGE, IGNORED
+ */
+async function processPaymentEvent(providerName, event) {
+  const request = await findRequestForEvent(event);
+
+  if (!request) {
+    console.warn(`⚠️ Payment event ${event.type} did not match any request (link: ${event.paymentLinkId}, invoice: ${event.invoiceNumber})`);
+    return { outcome: 'IGNORED' };
+  }
+
+  if (event.type === 'LINK_CLOSED') {
+    const { count } = await prisma.insuranceRequest.updateMany({
+      where: {
+        id: request.id,
+        paymentLinkId: event.paymentLinkId,
+        paymentStatus: { notIn: ['SUCCESS', 'REVIEW'] }
+      },
+      data: { paymentStatus: 'FAILED' }
+    });
+    console.log(`⌛ Payment link ${event.paymentLinkId} for request ${request.id} closed (${event.status})`);
+    return { outcome: count > 0 ? 'LINK_CLOSED' : 'NO_CHANGE', requestId: request.id };
+  }
+
+  if (!event.transactionId) {
+    throw new Error(`Payment event ${event.type} has no transaction id`);
+  }
+
+  const staleLink = isStaleLink(request, event);
+  const reviewReason = event.type === 'PAYMENT_SUCCEEDED' ? getReviewReason(request, event, staleLink) : null;
+
+  const result = await prisma.$transaction(async (tx) => {
+    const existing = await tx.payment.findUnique({
+      where: { transactionId: event.transactionId }
+    });
+
+    // Repeated delivery, or a late failure for a transaction we already saw succeed
+    if (existing && (existing.status === event.status || existing.status === 'SUCCESS')) {
+      return { outcome: 'DUPLICATE', requestId: request.id };
+    }
+
+    await tx.payment.upsert({
+      where: { transactionId: event.transactionId },
+      create: {
+        requestId: request.id,
+        paymentGateway: providerName,
+        transactionId: event.transactionId,
+        amount: event.amount,
+        status: event.status,
+        reviewReason,
+        gatewayResponse: event.raw
+      },
+      update: {
+        status: event.status,
+        reviewReason,
+        gatewayResponse: event.raw
+      }
+    });
+
+    if (staleLink) {
+      return { outcome: 'STALE_LINK', requestId: request.id };
+    }
+
+    if (reviewReason) {
+      await tx.insuranceRequest.updateMany({
+        where: { id: request.id, status: { in: PAYABLE_STATUSES } },
+        data: { paymentStatus: 'REVIEW' }
+      });
+      return { outcome: 'UNDERPAID', requestId: request.id };
+    }
+
+    if (event.type === 'PAYMENT_SUCCEEDED') {
+      try {
+        await transitionStatus(request.id, REQUEST_STATUS.PAID, {
+          tx,
+          source: STATUS_CHANGE_SOURCE.PAYMENT,
+          reason: `${providerName} ${event.transactionId}`,
+          data: {
+            paymentStatus: 'SUCCESS',
+            paymentId: event.transactionId,
+            paymentTimestamp: new Date()
+          }
+        });
+      } catch (error) {
+        if (!(error instanceof RequestLifecycleError)) throw error;
+        // Money arrived for a request that is not awaiting payment (already paid, cancelled, ...)
+        console.warn(`⚠️ Payment ${event.transactionId} received for request ${request.id} in status ${error.currentStatus}; needs manual review`);
+        return { outcome: 'NO_CHANGE', requestId: request.id };
+      }
+      return { outcome: 'PAID', requestId: request.id };
+    }
+
+    const current = await tx.insuranceRequest.findUnique({
+      where: { id: request.id },
+      select: { status: true, paymentStatus: true }
+    });
+
+    // A failed attempt does not hide a payment that is waiting for review
+    if (!PAYABLE_STATUSES.includes(current.status) || ['SUCCESS', 'REVIEW'].includes(current.paymentStatus)) {
+      return { outcome: 'NO_CHANGE', requestId: request.id };
+    }
+
+    // First failed attempt moves APPROVED → PAYMENT_PENDING; later ones only refresh paymentStatus
+    if (current.status === REQUEST_STATUS.APPROVED) {
+      await transitionStatus(request.id, REQUEST_STATUS.PAYMENT_PENDING, {
+        tx,
+        source: STATUS_CHANGE_SOURCE.PAYMENT,
+        reason: event.failureReason,
+        data: { paymentStatus: 'FAILED' }
+      });
+    } else {
+      await tx.insuranceRequest.update({
+        where: { id: request.id },
+        data: { paymentStatus: 'FAILED' }
+      });
+    }
+    return { outcome: 'PAYMENT_FAILED', requestId: request.id };
+  });
+
+  if (result.outcome === 'PAID') {
+    console.log(`💰 Request ${request.id} PAID (${providerName} ${event.transactionId})`);
+    await notifyPaymentReceived(request, event.amount);
+
+    // Issue in the background so the gateway gets its acknowledgement quickly; admins can retry failures
+    issuePolicy(request.id).catch((issueErr) => {
+      console.error(`❌ Automatic policy issuance failed for request ${request.id}:`, issueErr.message);
+    });
+  } else if (result.outcome === 'STALE_LINK') {
+    console.warn(`⚠️ Payment ${event.transactionId} (${event.status}) on old link ${event.paymentLinkId} recorded for request ${request.id} without a status change`);
+  } else if (result.outcome === 'UNDERPAID') {
+    console.warn(`⚠️ Payment ${event.transactionId} for request ${request.id} not applied (${reviewReason}); needs manual review`);
+  } else if (result.outcome === 'PAYMENT_FAILED') {
+    console.log(`❌ Payment ${event.transactionId} failed for request ${request.id}: ${event.failureReason || 'unknown reason'}`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  processPaymentEvent
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * Offline payment provider for local development and demos, used only with PAYMENT_PROVIDER=fake.
+ * Returns links in the same shape as the real providers without any network calls;
+ * GET /api/payments/fake/:linkId plays the part of the hosted checkout page.
+ */
+
+const FAKE_PAYMENT_WEBHOOK_SECRET = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+function getServerUrl() {
+  const port = process.env.PORT || 5000;
+  return (process.env.APP_URL || `http://localhost:${port}`).replace(/\/$/, '');
+}
+
+async function createPaymentLink({ amount, currency, referenceId, expiresAt, notes }) {
+  const providerReference = `plink_fake_${crypto.randomBytes(8).toString('hex')}`;
+  console.log(`🧪 [fake payments] Created link ${providerReference} for ${referenceId}: ${currency} ${Number(amount).toFixed(2)}`);
+
+  return {
+    provider: 'fake',
+    providerReference,
+    url: `${getServerUrl()}/api/payments/fake/${providerReference}`,
+    status: 'created',
+    expiresAt,
+    raw: { id: providerReference, amount, currency, reference_id: referenceId, notes }
+  };
+}
+
+async function cancelPaymentLink(providerReference) {
+  console.log(`🧪 [fake payments] Cancelled link ${providerReference}`);
+  return { status: 'cancelled', raw: { id: providerReference } };
+}
+
+/**
+ * Hex HMAC-SHA256 of the raw body, sent as X-Fake-Signature
+ */
+function signWebhookBody(rawBody) {
+  if (!FAKE_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', FAKE_PAYMENT_WEBHOOK_SECRET).update(rawBody).digest('hex');
+}
+
+function verifyWebhookSignature(rawBody, headers) {
+  const signature = headers['x-fake-signature'];
+  if (!signature || !rawBody) return false;
+
+  const expectedBuf = Buffer.from(signWebhookBody(rawBody));
+  const signatureBuf = Buffer.from(String(signature));
+  return expectedBuf.length === signatureBuf.length && crypto.timingSafeEqual(expectedBuf, signatureBuf);
+}
+
+/**
+ * Fake webhook body: { event: 'payment.succeeded' | 'payment.failed', paymentLinkId, transactionId, amount }
+ */
+function parseWebhookEvent(body) {
+  const base = {
+    paymentLinkId: body?.paymentLinkId || null,
+    requestId: null,
+    invoiceNumber: null,
+    transactionId: body?.transactionId,
+    amount: Number(body?.amount),
+    raw: body
+  };
+
+  switch (body?.event) {
+    case 'payment.succeeded':
+      return { ...base, type: 'PAYMENT_SUCCEEDED', status: 'SUCCESS' };
+    case 'payment.failed':
+      return { ...base, type: 'PAYMENT_FAILED', status: 'FAILED', failureReason: 'Simulated failure' };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  name: 'fake',
+  createPaymentLink,
+  cancelPaymentLink,
+  signWebhookBody,
+  verifyWebhookSignature,
+  parseWebhookEvent
+};
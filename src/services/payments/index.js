@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const razorpayProvider = require('./razorpayProvider');
+const fakeProvider = require('./fakeProvider');
+
+// Add PhonePe here once its adapter exists; every provider exposes createPaymentLink / cancelPaymentLink
+const PROVIDERS = {
+  razorpay: razorpayProvider,
+  fake: fakeProvider
+};
+
+// The offline fake provider can mark requests paid without money moving, so it is never a fallback:
+// it has to be selected with PAYMENT_PROVIDER=fake
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'razorpay';
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'INR';
+const PAYMENT_LINK_EXPIRY_HOURS = parseFloat(process.env.PAYMENT_LINK_EXPIRY_HOURS || '48');
+
+/**
+ * Look up a provider adapter by name (defaults to PAYMENT_PROVIDER)
+ * @param {string} [name]
+ */
+function getPaymentProvider(name = PAYMENT_PROVIDER) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Create the payment link for a request about to be invoiced.
+ * Created before the invoice number is allocated, so the provider call never runs while the
+ * number series is locked; the link is found again by its own id (or notes.requestId), and its
+ * reference_id is unique per link because a re-issued invoice needs a new one.
+ *
+ * @param {Object} request - InsuranceRequest
+ * @param {Object} params
+ * @param {number} params.amount - amount in rupees
+ * @returns {Promise<{ provider: string, providerReference: string, url: string, status: string, expiresAt: Date, raw: Object }>}
+ */
+async function createPaymentLinkForRequest(request, { amount }) {
+  const provider = getPaymentProvider();
+  const expiresAt = new Date(Date.now() + PAYMENT_LINK_EXPIRY_HOURS * 60 * 60 * 1000);
+
+  return provider.createPaymentLink({
+    amount,
+    currency: PAYMENT_CURRENCY,
+    referenceId: `${request.id.slice(0, 8)}-${crypto.randomBytes(6).toString('hex')}`,
+    description: `Transit insurance - ${request.itemName} (${request.vehicleNo})`,
+    customer: {
+      name: request.partyName,
+      phone: request.userId
+    },
+    expiresAt,
+    notes: {
+      requestId: request.id
+    },
+    callbackUrl: process.env.PAYMENT_CALLBACK_URL || null
+  });
+}
+
+/**
+ * Cancel a previously created link on the provider that issued it
+ * @param {string} providerName - value stored in InsuranceRequest.paymentProvider
+ * @param {string} providerReference - value stored in InsuranceRequest.paymentLinkId
+ */
+async function cancelPaymentLink(providerName, providerReference) {
+  return getPaymentProvider(providerName).cancelPaymentLink(providerReference);
+}
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  getPaymentProvider,
+  createPaymentLinkForRequest,
+  cancelPaymentLink
+};
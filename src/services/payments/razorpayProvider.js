@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const RAZORPAY_API_URL = process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1';
+const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID;
+const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET;
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+function getAuth() {
+  if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+    throw new Error('RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET are not configured');
+  }
+  return { username: RAZORPAY_KEY_ID, password: RAZORPAY_KEY_SECRET };
+}
+
+/**
+ * Razorpay wants E.164 with a leading "+"; userId is stored as digits only (e.g. 916209415125)
+ */
+function toContact(phone) {
+  const digits = String(phone || '').replace(/[^0-9]/g, '');
+  if (!digits) return undefined;
+  return digits.length === 10 ? `+91${digits}` : `+${digits}`;
+}
+
+/**
+ * Create a Razorpay Payment Link
+ * @see https://razorpay.com/docs/api/payments/payment-links/create-standard/
+ * @param {Object} params - see payments/index.js createPaymentLink
+ */
+async function createPaymentLink({ amount, currency, referenceId, description, customer, expiresAt, notes, callbackUrl }) {
+  const payload = {
+    amount: Math.round(Number(amount) * 100), // paise
+    currency,
+    accept_partial: false,
+    reference_id: referenceId,
+    description,
+    expire_by: Math.floor(expiresAt.getTime() / 1000),
+    customer: {
+      name: customer.name || undefined,
+      contact: toContact(customer.phone)
+    },
+    // Customers get the link on WhatsApp from us; avoid duplicate SMS/email from Razorpay
+    notify: { sms: false, email: false },
+    reminder_enable: false,
+    notes
+  };
+
+  if (callbackUrl) {
+    payload.callback_url = callbackUrl;
+    payload.callback_method = 'get';
+  }
+
+  try {
+    const response = await axios.post(`${RAZORPAY_API_URL}/payment_links`, payload, {
+      auth: getAuth(),
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 15000
+    });
+
+    const link = response.data;
+    return {
+      provider: 'razorpay',
+      providerReference: link.id,
+      url: link.short_url,
+      status: link.status,
+      expiresAt: link.expire_by ? new Date(link.expire_by * 1000) : expiresAt,
+      raw: link
+    };
+  } catch (error) {
+    const detail = error.response?.data?.error?.description || error.message;
+    console.error('❌ Razorpay payment link creation failed:', error.response?.data || error.message);
+    throw new Error(`Razorpay payment link creation failed: ${detail}`);
+  }
+}
+
+/**
+ * Cancel a Razorpay Payment Link so it can no longer be paid
+ * @param {string} providerReference - plink_xxx
+ */
+async function cancelPaymentLink(providerReference) {
+  try {
+    const response = await axios.post(
+      `${RAZORPAY_API_URL}/payment_links/${encodeURIComponent(providerReference)}/cancel`,
+      {},
+      { auth: getAuth(), timeout: 15000 }
+    );
+    return { status: response.data.status, raw: response.data };
+  } catch (error) {
+    const detail = error.response?.data?.error?.description || error.message;
+    console.error('❌ Razorpay payment link cancellation failed:', error.response?.data || error.message);
+    throw new Error(`Razorpay payment link cancellation failed: ${detail}`);
+  }
+}
+
+/**
+ * Verify the X-Razorpay-Signature header: hex HMAC-SHA256 of the raw body with the webhook secret
+ * @see https://razorpay.com/docs/webhooks/validate-test/
+ * @param {Buffer} rawBody
+ * @param {Object} headers - lower-cased request headers
+ */
+function verifyWebhookSignature(rawBody, headers) {
+  if (!RAZORPAY_WEBHOOK_SECRET) {
+    throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+  }
+
+  const signature = headers['x-razorpay-signature'];
+  if (!signature || !rawBody) return false;
+
+  const expected = crypto.createHmac('sha256', RAZORPAY_WEBHOOK_SECRET).update(rawBody).digest('hex');
+  const expectedBuf = Buffer.from(expected);
+  const signatureBuf = Buffer.from(String(signature));
+  return expectedBuf.length === signatureBuf.length && crypto.timingSafeEqual(expectedBuf, signatureBuf);
+}
+
+/**
+ * Map a Razorpay webhook body to the normalized payment event used by paymentService.
+ * Returns null for events we don't act on.
+ */
+function parseWebhookEvent(body) {
+  const linkEntity = body?.payload?.payment_link?.entity;
+  const paymentEntity = body?.payload?.payment?.entity;
+  const notes = linkEntity?.notes || paymentEntity?.notes || {};
+
+  const base = {
+    paymentLinkId: linkEntity?.id || null,
+    requestId: notes.requestId || null,
+    // Only links from older releases carry it; reference_id is no longer the invoice number
+    invoiceNumber: notes.invoiceNumber || null,
+    raw: body
+  };
+
+  switch (body?.event) {
+    case 'payment_link.paid':
+      return {
+        ...base,
+        type: 'PAYMENT_SUCCEEDED',
+        transactionId: paymentEntity?.id,
+        amount: (paymentEntity?.amount ?? linkEntity?.amount_paid) / 100,
+        status: 'SUCCESS'
+      };
+    case 'payment.failed':
+      return {
+        ...base,
+        type: 'PAYMENT_FAILED',
+        transactionId: paymentEntity?.id,
+        amount: paymentEntity?.amount / 100,
+        status: 'FAILED',
+        failureReason: paymentEntity?.error_description || null
+      };
+    case 'payment_link.expired':
+    case 'payment_link.cancelled':
+      return {
+        ...base,
+        type: 'LINK_CLOSED',
+        transactionId: null,
+        amount: linkEntity?.amount / 100,
+        status: linkEntity?.status
+      };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  name: 'razorpay',
+  createPaymentLink,
+  cancelPaymentLink,
+  verifyWebhookSignature,
+  parseWebhookEvent
+};
@@ -0,0 +1,181 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const {
+  COMPANY_NAME,
+  COMPANY_ADDRESS,
+  CLAIM_EMAIL,
+  CLAIM_PHONE,
+  CLAIM_ELIGIBILITY,
+  MANDATORY_DOCUMENTS,
+  formatDate,
+  formatCurrency,
+} = require('./invoicePdfService');
+const { getPayableAmount } = require('./taxService');
+
+const POLICIES_DIR = path.join(__dirname, '../../policies'); // backend/policies
+
+function ensurePoliciesDir() {
+  if (!fs.existsSync(POLICIES_DIR)) {
+    fs.mkdirSync(POLICIES_DIR, { recursive: true });
+  }
+}
+
+// Label / value row inside a box
+function drawField(doc, label, value, x, y, width) {
+  doc.fontSize(9).font('Helvetica-Bold').text(label, x, y, { continued: true });
+  doc.font('Helvetica').text(` : ${value}`, { width, continued: false });
+}
+
+/**
+ * Generate the policy certificate PDF for a paid request. Saves to policies/<policyNumber>.pdf
+ * @param {Object} request - InsuranceRequest with policyStartDate / policyEndDate set
+ * @param {string} policyNumber - e.g. POL-2026-000128
+ * @returns {Promise<string>} - Filename
+ */
+async function generatePolicyPdf(request, policyNumber) {
+  ensurePoliciesDir();
+  const filename = `${policyNumber}.pdf`;
+  const filepath = path.join(POLICIES_DIR, filename);
+
+  const quantity = Number(request.quantity);
+  const rate = Number(request.rate || 0);
+  const declaredValue = quantity * rate;
+  const partyName = request.partyName || '-';
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 30, size: 'A4' });
+    const stream = fs.createWriteStream(filepath);
+    doc.pipe(stream);
+
+    stream.on('finish', () => resolve(filename));
+    stream.on('error', reject);
+    doc.on('error', reject);
+
+    try {
+      const pageWidth = doc.page.width;
+      const margin = 30;
+      const contentWidth = pageWidth - (margin * 2);
+      const leftColWidth = (contentWidth / 2) - 10;
+      const rightColWidth = (contentWidth / 2) - 10;
+      const leftColX = margin;
+      const rightColX = margin + leftColWidth + 20;
+
+      // ============ HEADER WITH MANDIPLUS BRANDING ============
+      let currentY = 35;
+
+      doc.fontSize(18).font('Helvetica-Bold');
+      doc.fillColor('#000000').text('Mandi', leftColX, currentY, { continued: true });
+      doc.fillColor('#7C3AED').text('Plus', { continued: false });
+
+      currentY += 25;
+
+      doc.fillColor('#000000').fontSize(10).font('Helvetica-Bold');
+      doc.text(COMPANY_NAME, leftColX, currentY);
+      currentY += 13;
+      doc.fontSize(8).font('Helvetica');
+      doc.text(COMPANY_ADDRESS, leftColX, currentY, { width: contentWidth * 0.6 });
+
+      currentY += 20;
+      doc.moveTo(leftColX, currentY).lineTo(pageWidth - margin, currentY).stroke();
+
+      // Title box (right side)
+      const titleBoxX = pageWidth - margin - 200;
+      doc.roundedRect(titleBoxX, 45, 200, 40, 5).stroke();
+      doc.fontSize(12).font('Helvetica-Bold');
+      doc.text('CERTIFICATE OF INSURANCE', titleBoxX, 52, { width: 200, align: 'center' });
+      doc.fontSize(8).font('Helvetica');
+      doc.text('Goods in Transit', titleBoxX, 69, { width: 200, align: 'center' });
+
+      currentY += 15;
+
+      // ============ POLICY & INSURED BOXES ============
+      const boxHeight = 95;
+
+      doc.roundedRect(leftColX, currentY, leftColWidth, boxHeight, 5).stroke();
+      drawField(doc, 'Policy Number', policyNumber, leftColX + 12, currentY + 12, leftColWidth - 24);
+      drawField(doc, 'Invoice Number', request.invoiceNumber || '-', leftColX + 12, currentY + 30, leftColWidth - 24);
+      drawField(doc, 'Period From', formatDate(request.policyStartDate), leftColX + 12, currentY + 48, leftColWidth - 24);
+      drawField(doc, 'Period To', formatDate(request.policyEndDate), leftColX + 12, currentY + 66, leftColWidth - 24);
+
+      doc.roundedRect(rightColX, currentY, rightColWidth, boxHeight, 5).stroke();
+      doc.fontSize(9).font('Helvetica-Bold').text('Insured', rightColX + 12, currentY + 12);
+      doc.font('Helvetica').text(partyName, rightColX + 12, currentY + 28, { width: rightColWidth - 24 });
+      doc.text(request.partyAddress || '-', rightColX + 12, currentY + 42, { width: rightColWidth - 24, height: 45 });
+
+      currentY += boxHeight + 15;
+
+      // ============ CONSIGNMENT DETAILS ============
+      const consignmentHeight = 115;
+      doc.roundedRect(leftColX, currentY, contentWidth, consignmentHeight, 5).stroke();
+      doc.fontSize(10).font('Helvetica-Bold').text('Consignment Details', leftColX + 12, currentY + 10);
+
+      drawField(doc, 'Commodity', request.itemName || '-', leftColX + 12, currentY + 30, leftColWidth - 24);
+      drawField(doc, 'Quantity', quantity.toLocaleString('en-IN'), leftColX + 12, currentY + 48, leftColWidth - 24);
+      drawField(doc, 'Rate', formatCurrency(rate), leftColX + 12, currentY + 66, leftColWidth - 24);
+      drawField(doc, 'Sum Insured', formatCurrency(declaredValue), leftColX + 12, currentY + 84, leftColWidth - 24);
+
+      drawField(doc, 'Vehicle No', request.vehicleNo || '-', rightColX + 12, currentY + 30, rightColWidth - 24);
+      drawField(doc, 'Transporter', request.transporterName || '-', rightColX + 12, currentY + 48, rightColWidth - 24);
+      drawField(doc, 'From', `${request.supplierName || '-'}, ${request.supplierPlace || '-'}`, rightColX + 12, currentY + 66, rightColWidth - 24);
+      drawField(doc, 'To', partyName, rightColX + 12, currentY + 84, rightColWidth - 24);
+
+      currentY += consignmentHeight + 15;
+
+      // ============ PREMIUM ============
+      const premiumHeight = 55;
+      doc.roundedRect(leftColX, currentY, contentWidth, premiumHeight, 5).stroke();
+      const premiumLabel = request.totalAmount != null ? 'Premium Paid (incl. GST)' : 'Premium Paid';
+      drawField(doc, premiumLabel, formatCurrency(getPayableAmount(request)), leftColX + 12, currentY + 12, leftColWidth - 24);
+      drawField(doc, 'Payment Date', request.paymentTimestamp ? formatDate(request.paymentTimestamp) : '-', leftColX + 12, currentY + 30, leftColWidth - 24);
+      drawField(doc, 'Payment Reference', request.paymentId || '-', rightColX + 12, currentY + 12, rightColWidth - 24);
+
+      currentY += premiumHeight + 15;
+
+      // ============ COVERAGE & CLAIMS ============
+      const termsHeight = 200;
+      doc.roundedRect(leftColX, currentY, contentWidth, termsHeight, 5).stroke();
+
+      let termsY = currentY + 12;
+      doc.fontSize(9).font('Helvetica-Bold').text('Coverage', leftColX + 12, termsY);
+      termsY += 14;
+      doc.fontSize(8).font('Helvetica');
+      CLAIM_ELIGIBILITY.forEach((item) => {
+        doc.text(item, leftColX + 12, termsY, { width: contentWidth - 24 });
+        termsY += 11;
+      });
+
+      termsY += 6;
+      doc.fontSize(9).font('Helvetica-Bold').text('Documents Required for Claims', leftColX + 12, termsY);
+      termsY += 14;
+      doc.fontSize(8).font('Helvetica');
+      MANDATORY_DOCUMENTS.forEach((item) => {
+        doc.text(item, leftColX + 12, termsY, { width: contentWidth - 24 });
+        termsY += 11;
+      });
+
+      termsY += 6;
+      doc.text(`Report claims to ${CLAIM_EMAIL} or ${CLAIM_PHONE}, quoting the policy number.`, leftColX + 12, termsY, { width: contentWidth - 24 });
+
+      currentY += termsHeight + 15;
+
+      doc.fontSize(7).font('Helvetica').fillColor('#555555');
+      doc.text(
+        `This certificate is issued by ${COMPANY_NAME} on ${formatDate(new Date())} and is valid only for the consignment and period stated above.`,
+        leftColX,
+        currentY,
+        { width: contentWidth, align: 'center' }
+      );
+
+      doc.end();
+    } catch (err) {
+      doc.end();
+      reject(err);
+    }
+  });
+}
+
+module.exports = {
+  generatePolicyPdf,
+  POLICIES_DIR,
+};
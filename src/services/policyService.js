@@ -0,0 +1,114 @@
+const prisma = require('../config/database');
+const { sendChatraceMessage } = require('./chatraceService');
+const { generatePolicyPdf } = require('./policyPdfService');
+const { REQUEST_STATUS, transitionStatus } = require('./requestLifecycle');
+const { DOCUMENT_TYPES, allocateDocumentNumber } = require('./documentNumberService');
+
+const POLICY_COVERAGE_DAYS = parseInt(process.env.POLICY_COVERAGE_DAYS || '7', 10);
+
+/**
+ * Error for requests that cannot be issued a policy; statusCode is what the controller returns.
+ */
+class PolicyIssuanceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PolicyIssuanceError';
+    this.statusCode = statusCode;
+  }
+}
+
+function getServerUrl() {
+  const port = process.env.PORT || 5000;
+  return (process.env.APP_URL || `http://localhost:${port}`).replace(/\/$/, '');
+}
+
+/**
+ * Set policy number (next in the POLICY series) and coverage window once
+ */
+async function allocatePolicyNumber(requestId) {
+  await prisma.$transaction(async (tx) => {
+    const current = await tx.insuranceRequest.findUnique({
+      where: { id: requestId },
+      select: { policyNumber: true }
+    });
+    if (current.policyNumber) return;
+
+    const policyStartDate = new Date();
+    const policyEndDate = new Date(policyStartDate.getTime() + POLICY_COVERAGE_DAYS * 24 * 60 * 60 * 1000);
+    const policyNumber = await allocateDocumentNumber(DOCUMENT_TYPES.POLICY, { tx, date: policyStartDate });
+
+    // Conditional: a concurrent issuance that got here first keeps its number, and ours rolls back
+    const { count } = await tx.insuranceRequest.updateMany({
+      where: { id: requestId, policyNumber: null },
+      data: { policyNumber, policyStartDate, policyEndDate }
+    });
+    if (count === 0) {
+      throw new PolicyIssuanceError('Policy is being issued concurrently; please retry', 409);
+    }
+  });
+}
+
+/**
+ * Issue the policy for a PAID request: allocate a policy number, render the certificate PDF,
+ * move the request to POLICY_ISSUED and send the PDF on WhatsApp.
+ * Safe to re-run (admin retry): an existing policy number and coverage window are reused.
+ *
+ * @param {string} requestId
+ * @returns {Promise<{ request: Object, delivered: boolean }>}
+ * @throws {PolicyIssuanceError}
+ */
+async function issuePolicy(requestId) {
+  let request = await prisma.insuranceRequest.findUnique({ where: { id: requestId } });
+
+  if (!request) {
+    throw new PolicyIssuanceError('Insurance request not found', 404);
+  }
+
+  if (![REQUEST_STATUS.PAID, REQUEST_STATUS.POLICY_ISSUED].includes(request.status)) {
+    throw new PolicyIssuanceError(`Policy can only be issued for paid requests (current status: ${request.status})`);
+  }
+
+  if (!request.policyNumber) {
+    await allocatePolicyNumber(requestId);
+    request = await prisma.insuranceRequest.findUnique({ where: { id: requestId } });
+  }
+
+  const pdfFilename = await generatePolicyPdf(request, request.policyNumber);
+  const policyPdfUrl = `${getServerUrl()}/policies/${pdfFilename}`;
+
+  if (request.status === REQUEST_STATUS.PAID) {
+    request = await transitionStatus(requestId, REQUEST_STATUS.POLICY_ISSUED, {
+      reason: request.policyNumber,
+      data: { policyPdfUrl }
+    });
+  } else {
+    request = await prisma.insuranceRequest.update({
+      where: { id: requestId },
+      data: { policyPdfUrl }
+    });
+  }
+
+  console.log(`📜 Policy ${request.policyNumber} issued for request ${requestId}`);
+
+  // Send WhatsApp notification (non-blocking: the policy is issued even if delivery fails)
+  let delivered = false;
+  try {
+    const message =
+      `📜 *Your Insurance Policy is ISSUED!*\n\n` +
+      `Policy Number: ${request.policyNumber}\n` +
+      `Vehicle: ${request.vehicleNo}\n` +
+      `Coverage: ${request.policyStartDate.toLocaleDateString('en-IN')} to ${request.policyEndDate.toLocaleDateString('en-IN')}\n\n` +
+      `Your policy certificate is attached. Please keep it with the consignment documents.`;
+    await sendChatraceMessage(request.userId, message, policyPdfUrl);
+    delivered = true;
+  } catch (msgErr) {
+    console.warn('⚠️ WhatsApp/Chatrace policy delivery failed (policy still issued):', msgErr.message);
+  }
+
+  return { request, delivered };
+}
+
+module.exports = {
+  PolicyIssuanceError,
+  issuePolicy
+};
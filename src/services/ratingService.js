@@ -0,0 +1,281 @@
+const prisma = require('../config/database');
+
+// Decimal(10,2) max value to avoid DB overflow
+const MAX_PREMIUM = 99_999_999.99;
+
+// Used only while no rate table exists in the database
+const FALLBACK_RATE = parseFloat(process.env.PREMIUM_FALLBACK_RATE || '0.002');
+
+const RATING_BASIS = {
+  COMMODITY: 'COMMODITY',
+  SLAB: 'SLAB',
+  DEFAULT: 'DEFAULT',
+  MINIMUM: 'MINIMUM'
+};
+
+const rateTableInclude = {
+  commodityRates: true,
+  slabs: { orderBy: { minValue: 'asc' } }
+};
+
+/**
+ * Error for invalid rate tables or rating input; statusCode is what the controller returns.
+ */
+class RatingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RatingError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Commodity key used in CommodityRate.commodity: lower-case, trimmed, single spaces
+ */
+function normalizeCommodity(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function roundCurrency(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Rate table in force at the given time, with commodity rates and slabs.
+ * Falls back to a built-in table (PREMIUM_FALLBACK_RATE, no minimum) when none is configured yet.
+ * @param {Date} [at]
+ * @param {Object} [client] - prisma client or interactive transaction client
+ */
+async function getEffectiveRateTable(at = new Date(), client = prisma) {
+  const table = await client.rateTable.findFirst({
+    where: { effectiveFrom: { lte: at } },
+    orderBy: { effectiveFrom: 'desc' },
+    include: rateTableInclude
+  });
+
+  if (table) return table;
+
+  console.warn('⚠️ No rate table in force; using fallback rate', FALLBACK_RATE);
+  return {
+    id: null,
+    version: null,
+    defaultRate: FALLBACK_RATE,
+    minimumPremium: 0,
+    commodityRates: [],
+    slabs: []
+  };
+}
+
+/**
+ * Rate table by id, with commodity rates and slabs
+ * @param {string} id
+ */
+async function getRateTable(id, client = prisma) {
+  return client.rateTable.findUnique({
+    where: { id },
+    include: rateTableInclude
+  });
+}
+
+/**
+ * Premium for a consignment under a rate table. Pure: no database access.
+ *
+ * Rate precedence: commodity rate > slab containing the declared value > table default.
+ * The premium is then raised to the minimum premium (commodity minimum, else table minimum)
+ * and capped at MAX_PREMIUM.
+ *
+ * @param {Object} consignment
+ * @param {string} consignment.itemName
+ * @param {number} consignment.quantity
+ * @param {number} [consignment.rate] - price per unit
+ * @param {Object} table - RateTable with commodityRates and slabs
+ * @returns {{ premiumAmount: number, premiumRate: number, basis: string, declaredValue: number,
+ *   rateTableId: string|null, rateTableVersion: number|null }}
+ */
+function calculatePremium({ itemName, quantity, rate }, table) {
+  const declaredValue = Number(quantity) * Number(rate || 0);
+  const commodity = normalizeCommodity(itemName);
+
+  const commodityRate = table.commodityRates.find((c) => c.commodity === commodity);
+  const slab = table.slabs.find((s) =>
+    declaredValue >= Number(s.minValue) && (s.maxValue == null || declaredValue < Number(s.maxValue))
+  );
+
+  let premiumRate;
+  let basis;
+  if (commodityRate) {
+    premiumRate = Number(commodityRate.rate);
+    basis = RATING_BASIS.COMMODITY;
+  } else if (slab) {
+    premiumRate = Number(slab.rate);
+    basis = RATING_BASIS.SLAB;
+  } else {
+    premiumRate = Number(table.defaultRate);
+    basis = RATING_BASIS.DEFAULT;
+  }
+
+  let premiumAmount = roundCurrency(declaredValue * premiumRate);
+
+  const minimumPremium = Number(
+    commodityRate && commodityRate.minimumPremium != null ? commodityRate.minimumPremium : table.minimumPremium
+  );
+  if (premiumAmount < minimumPremium) {
+    premiumAmount = minimumPremium;
+    basis = RATING_BASIS.MINIMUM;
+  }
+
+  if (premiumAmount > MAX_PREMIUM) premiumAmount = MAX_PREMIUM;
+
+  return {
+    premiumAmount,
+    premiumRate,
+    basis,
+    declaredValue,
+    rateTableId: table.id,
+    rateTableVersion: table.version
+  };
+}
+
+/**
+ * Rate a consignment with the table in force at `at`, or with a specific table version.
+ * @param {Object} consignment - see calculatePremium
+ * @param {Object} [options]
+ * @param {Date} [options.at] - defaults to now
+ * @param {string} [options.rateTableId] - rate with this version instead (e.g. the one saved on a request)
+ * @param {Object} [options.client]
+ */
+async function ratePremium(consignment, { at, rateTableId, client = prisma } = {}) {
+  let table = null;
+  if (rateTableId) {
+    table = await getRateTable(rateTableId, client);
+  }
+  if (!table) {
+    table = await getEffectiveRateTable(at || new Date(), client);
+  }
+  return calculatePremium(consignment, table);
+}
+
+/**
+ * Columns to save on InsuranceRequest for a rating result
+ */
+function ratingFields(rating) {
+  return {
+    declaredValue: rating.declaredValue,
+    premiumAmount: rating.premiumAmount,
+    premiumRate: rating.premiumRate,
+    rateTableId: rating.rateTableId
+  };
+}
+
+/**
+ * Short label for invoices, e.g. "0.25%, rates v3" or "minimum premium, rates v3"
+ * @param {Object} request - InsuranceRequest, optionally with rateTable included
+ */
+function describeRating(request) {
+  const version = request.rateTable ? `, rates v${request.rateTable.version}` : '';
+  if (request.premiumRate == null) {
+    return null;
+  }
+
+  const rate = Number(request.premiumRate);
+  const declaredValue = Number(request.quantity) * Number(request.rate || 0);
+  const premium = Number(request.premiumAmount || 0);
+  if (premium > roundCurrency(declaredValue * rate) + 0.005) {
+    return `minimum premium${version}`;
+  }
+
+  // Up to 4 decimals of a percent, trailing zeros dropped (0.002 → 0.2%)
+  return `${parseFloat((rate * 100).toFixed(4))}%${version}`;
+}
+
+function assertRate(value, label) {
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate >= 1) {
+    throw new RatingError(`${label} must be a fraction between 0 and 1 (e.g. 0.002 for 0.2%)`);
+  }
+  return rate;
+}
+
+/**
+ * Create the next rate table version. Existing versions are never edited, so requests keep
+ * pointing at the exact rates they were priced with.
+ *
+ * @param {Object} params
+ * @param {string} [params.name]
+ * @param {Date|string} params.effectiveFrom
+ * @param {number} params.defaultRate
+ * @param {number} [params.minimumPremium]
+ * @param {string} [params.notes]
+ * @param {Array<{ commodity: string, rate: number, minimumPremium?: number }>} [params.commodityRates]
+ * @param {Array<{ minValue: number, maxValue?: number, rate: number }>} [params.slabs]
+ * @param {string} [createdById]
+ * @throws {RatingError}
+ */
+async function createRateTable(params, createdById) {
+  const commodityRates = (params.commodityRates || []).map((c) => ({
+    commodity: normalizeCommodity(c.commodity),
+    rate: assertRate(c.rate, `Rate for ${c.commodity}`),
+    minimumPremium: c.minimumPremium != null ? Number(c.minimumPremium) : null
+  }));
+
+  const seen = new Set();
+  commodityRates.forEach((c) => {
+    if (!c.commodity) throw new RatingError('Commodity name cannot be empty');
+    if (seen.has(c.commodity)) throw new RatingError(`Commodity "${c.commodity}" is listed twice`);
+    seen.add(c.commodity);
+  });
+
+  const slabs = (params.slabs || [])
+    .map((s) => ({
+      minValue: Number(s.minValue),
+      maxValue: s.maxValue != null ? Number(s.maxValue) : null,
+      rate: assertRate(s.rate, 'Slab rate')
+    }))
+    .sort((a, b) => a.minValue - b.minValue);
+
+  slabs.forEach((slab, i) => {
+    if (slab.maxValue != null && slab.maxValue <= slab.minValue) {
+      throw new RatingError(`Slab starting at ${slab.minValue} must end above its start`);
+    }
+    const next = slabs[i + 1];
+    if (next && (slab.maxValue == null || slab.maxValue > next.minValue)) {
+      throw new RatingError(`Slabs starting at ${slab.minValue} and ${next.minValue} overlap`);
+    }
+  });
+
+  return prisma.$transaction(async (tx) => {
+    const latest = await tx.rateTable.findFirst({
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    });
+
+    return tx.rateTable.create({
+      data: {
+        version: (latest ? latest.version : 0) + 1,
+        name: params.name || null,
+        effectiveFrom: new Date(params.effectiveFrom),
+        defaultRate: assertRate(params.defaultRate, 'Default rate'),
+        minimumPremium: Number(params.minimumPremium || 0),
+        notes: params.notes || null,
+        createdById: createdById || null,
+        commodityRates: { create: commodityRates },
+        slabs: { create: slabs }
+      },
+      include: rateTableInclude
+    });
+  });
+}
+
+module.exports = {
+  MAX_PREMIUM,
+  RATING_BASIS,
+  RatingError,
+  normalizeCommodity,
+  getEffectiveRateTable,
+  getRateTable,
+  calculatePremium,
+  ratePremium,
+  ratingFields,
+  describeRating,
+  createRateTable
+};
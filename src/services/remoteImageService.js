@@ -0,0 +1,198 @@
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Fetching images from URLs supplied by webhooks (e.g. the kanta parchi photo from the chat).
+ * The URL is attacker-controlled, so the fetch is restricted to the chat platforms' media hosts,
+ * refuses hosts that resolve to internal addresses (checked on every connection, including
+ * redirects, so DNS rebinding cannot slip past), caps the download size and only accepts bytes
+ * that really are a JPEG or PNG.
+ */
+
+// Hosts (and their subdomains) images may be fetched from: Chatrace and WhatsApp / Meta media CDNs
+const REMOTE_IMAGE_ALLOWED_HOSTS = (process.env.REMOTE_IMAGE_ALLOWED_HOSTS || 'chatrace.com,whatsapp.net,fbsbx.com,fbcdn.net')
+  .split(',')
+  .map((host) => host.trim().toLowerCase().replace(/^\*?\./, ''))
+  .filter(Boolean);
+
+const REMOTE_IMAGE_TIMEOUT_MS = parseInt(process.env.REMOTE_IMAGE_TIMEOUT_MS || '10000', 10);
+const REMOTE_IMAGE_MAX_REDIRECTS = parseInt(process.env.REMOTE_IMAGE_MAX_REDIRECTS || '3', 10);
+const REMOTE_IMAGE_DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+// Only formats pdfkit can embed
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error for a URL that may not be fetched or did not return an acceptable image
+ */
+class RemoteImageError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'RemoteImageError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Image type from the file's first bytes; declared content types are not trusted
+ * @param {Buffer} buffer
+ * @returns {string|null} 'image/jpeg', 'image/png' or null
+ */
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 8) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  return null;
+}
+
+function isAllowedHost(hostname) {
+  const host = String(hostname).toLowerCase().replace(/\.$/, '');
+  return REMOTE_IMAGE_ALLOWED_HOSTS.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+/**
+ * Whether an IP address is internal (loopback, private, link-local, ...), including IPv4-mapped IPv6
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for axios that refuses hosts resolving to an internal address. Runs on every
+ * connection the request makes, so the address checked is the address connected to.
+ */
+async function publicLookup(hostname, options) {
+  const addresses = await dns.promises.lookup(hostname, { all: true, family: options && options.family });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new RemoteImageError(`Host ${hostname} resolves to a private address`);
+  }
+  return addresses[0];
+}
+
+/**
+ * Parse and vet a URL before connecting: https only, allowed host, no IP literals or credentials
+ */
+function assertFetchableUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new RemoteImageError('Image URL is not a valid URL');
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new RemoteImageError('Image URL must use https');
+  }
+  if (url.username || url.password) {
+    throw new RemoteImageError('Image URL must not contain credentials');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    throw new RemoteImageError('Image URL must use a host name, not an IP address');
+  }
+  if (!isAllowedHost(hostname)) {
+    throw new RemoteImageError(`Image host ${hostname} is not allowed`);
+  }
+
+  return url;
+}
+
+/**
+ * Download an image from an allowed host. Redirects are followed by hand (up to
+ * REMOTE_IMAGE_MAX_REDIRECTS) so every hop is checked against the allowlist.
+ *
+ * @param {string} imageUrl
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - largest accepted image (default 5 MB)
+ * @returns {Promise<{ buffer: Buffer, size: number, type: string, extension: string, url: string }>}
+ * @throws {RemoteImageError}
+ */
+async function fetchRemoteImage(imageUrl, { maxBytes = REMOTE_IMAGE_DEFAULT_MAX_BYTES } = {}) {
+  let url = assertFetchableUrl(imageUrl);
+
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await axios({
+        method: 'GET',
+        url: url.toString(),
+        responseType: 'arraybuffer',
+        timeout: REMOTE_IMAGE_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        lookup: publicLookup,
+        proxy: false,
+        decompress: false,
+        validateStatus: () => true,
+        headers: { Accept: 'image/jpeg, image/png', 'Accept-Encoding': 'identity' }
+      });
+    } catch (error) {
+      if (error instanceof RemoteImageError) throw error;
+      if (error.cause instanceof RemoteImageError) throw error.cause;
+      if (/maxContentLength/.test(error.message)) {
+        throw new RemoteImageError(`Image exceeds ${maxBytes} bytes`, 413);
+      }
+      throw new RemoteImageError(`Failed to fetch image: ${error.message}`, 502);
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      if (redirects >= REMOTE_IMAGE_MAX_REDIRECTS) {
+        throw new RemoteImageError('Image URL redirected too many times', 502);
+      }
+      url = assertFetchableUrl(new URL(response.headers.location, url).toString());
+      continue;
+    }
+
+    if (response.status !== 200) {
+      throw new RemoteImageError(`Image host responded with ${response.status}`, 502);
+    }
+
+    const buffer = Buffer.from(response.data);
+    if (buffer.length > maxBytes) {
+      throw new RemoteImageError(`Image exceeds ${maxBytes} bytes`, 413);
+    }
+
+    const type = detectImageType(buffer);
+    if (!type) {
+      throw new RemoteImageError('URL did not return a JPEG or PNG image', 415);
+    }
+
+    return { buffer, size: buffer.length, type, extension: IMAGE_EXTENSIONS[type], url: url.toString() };
+  }
+}
+
+module.exports = {
+  REMOTE_IMAGE_ALLOWED_HOSTS,
+  IMAGE_EXTENSIONS,
+  RemoteImageError,
+  detectImageType,
+  isAllowedHost,
+  isPrivateAddress,
+  fetchRemoteImage
+};
@@ -0,0 +1,167 @@
+const prisma = require('../config/database');
+const { ratePremium, ratingFields } = require('./ratingService');
+const { assessRisk, riskFields } = require('./riskService');
+const { normalizeVehicleNumber } = require('./vehicleNumber');
+const { ADMIN_ACTIONS, adminActionCreate } = require('./auditService');
+const { REQUEST_STATUS } = require('./requestLifecycle');
+
+/**
+ * Admin corrections to a request awaiting verification (a typo in the quantity, rate, vehicle or
+ * party details), instead of rejecting it and asking the customer to start over.
+ * Each edit re-rates the premium with the rate table the request was quoted with, re-scores the
+ * risk, and is stored as a numbered RequestEdit holding the old and new value of every changed
+ * column, so the original submission can always be recovered.
+ */
+
+// Fields an admin may correct (request body key → how the value is stored)
+const EDITABLE_FIELDS = {
+  itemName: (value) => String(value).trim(),
+  quantity: (value) => parseInt(value),
+  rate: (value) => (value === null || value === '' || !parseFloat(value) ? null : parseFloat(value)),
+  vehicleNo: (value) => normalizeVehicleNumber(value),
+  supplierName: optionalText,
+  supplierPlace: optionalText,
+  partyName: optionalText,
+  partyAddress: optionalText,
+  transporterName: optionalText,
+  cashCommission: optionalText,
+  invoiceType: optionalText
+};
+
+// Changing these changes the premium
+const RATED_FIELDS = ['itemName', 'quantity', 'rate'];
+
+// Recomputed after an edit; recorded in the diff when they change
+const DERIVED_FIELDS = ['declaredValue', 'premiumAmount', 'premiumRate', 'rateTableId', 'riskScore', 'riskLevel'];
+
+/**
+ * Error for an edit that cannot be applied; statusCode is what the controller returns
+ */
+class RequestEditError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RequestEditError';
+    this.statusCode = statusCode;
+  }
+}
+
+function optionalText(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+// Comparable, JSON-safe form of a column value (Decimals as numbers, dates as ISO strings)
+function plain(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && typeof value.toNumber === 'function') return value.toNumber();
+  if (typeof value === 'object') return Number(value);
+  return value;
+}
+
+function diff(before, after, fields) {
+  return fields
+    .filter((field) => field in after && plain(before[field]) !== plain(after[field]))
+    .map((field) => ({ field, from: plain(before[field]), to: plain(after[field]) }));
+}
+
+/**
+ * Apply an admin's corrections to a pending request
+ *
+ * @param {string} requestId
+ * @param {Object} fields - new values, keyed as in EDITABLE_FIELDS (validated by validateRequestEdit)
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.reason]
+ * @returns {Promise<{ request: Object, edit: Object|null }>} edit is null when nothing changed
+ * @throws {RequestEditError}
+ */
+async function editPendingRequest(requestId, fields, { adminId, ipAddress, reason }) {
+  const request = await prisma.insuranceRequest.findUnique({ where: { id: requestId } });
+  if (!request) {
+    throw new RequestEditError('Insurance request not found', 404);
+  }
+  if (request.status !== REQUEST_STATUS.PENDING_VERIFICATION) {
+    throw new RequestEditError(`Only requests awaiting verification can be edited; this one is ${request.status}`);
+  }
+
+  const updates = {};
+  Object.entries(EDITABLE_FIELDS).forEach(([field, normalize]) => {
+    if (fields[field] !== undefined) {
+      updates[field] = normalize(fields[field]);
+    }
+  });
+  // Keep the number as the admin typed it too; the customer's version stays in the diff
+  if (updates.vehicleNo !== undefined && updates.vehicleNo !== request.vehicleNo) {
+    updates.vehicleNoRaw = String(fields.vehicleNo).trim();
+  }
+
+  const edited = diff(request, updates, [...Object.keys(EDITABLE_FIELDS), 'vehicleNoRaw']);
+  if (edited.length === 0) {
+    return { request, edit: null };
+  }
+
+  const next = { ...request, ...updates };
+  const derived = {};
+
+  if (edited.some(({ field }) => RATED_FIELDS.includes(field))) {
+    const rating = await ratePremium(
+      { itemName: next.itemName, quantity: next.quantity, rate: next.rate || 0 },
+      { rateTableId: request.rateTableId, at: request.createdAt }
+    );
+    Object.assign(derived, ratingFields(rating));
+  }
+
+  try {
+    Object.assign(derived, riskFields(await assessRisk({ ...next, ...derived })));
+  } catch (riskErr) {
+    console.warn(`⚠️ Risk scoring failed for edited request ${requestId} (edit still saved):`, riskErr.message);
+  }
+
+  const changes = [...edited, ...diff(request, derived, DERIVED_FIELDS)];
+  const version = request.editVersion + 1;
+  const editedFields = edited.map(({ field }) => field).join(', ');
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Conditional on the version and status read above, so concurrent edits or a decision in between fail cleanly
+    const { count } = await tx.insuranceRequest.updateMany({
+      where: { id: requestId, status: REQUEST_STATUS.PENDING_VERIFICATION, editVersion: request.editVersion },
+      data: { ...updates, ...derived, editVersion: version }
+    });
+    if (count === 0) {
+      throw new RequestEditError('Request was changed by someone else while editing; reload it and try again', 409);
+    }
+
+    const edit = await tx.requestEdit.create({
+      data: {
+        requestId,
+        version,
+        editedById: adminId,
+        reason: reason || null,
+        changes
+      }
+    });
+
+    await adminActionCreate({
+      adminId,
+      ipAddress,
+      requestId,
+      action: ADMIN_ACTIONS.EDITED,
+      reason: `Edit v${version}: ${editedFields}${reason ? ` (${reason})` : ''}`
+    }, tx);
+
+    const updated = await tx.insuranceRequest.findUnique({ where: { id: requestId } });
+    return { request: updated, edit };
+  });
+
+  console.log(`✏️  Request ${requestId} edited (v${version}): ${editedFields}`);
+  return result;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  RequestEditError,
+  editPendingRequest
+};
@@ -0,0 +1,183 @@
+const prisma = require('../config/database');
+
+/**
+ * InsuranceRequest.status values.
+ *
+ * PENDING_VERIFICATION → created by the bot, waiting for an admin
+ * APPROVED             → invoice and payment link issued
+ * PAYMENT_PENDING      → a payment attempt failed; the link can still be paid
+ * PAID                 → payment captured, policy issuance pending
+ * POLICY_ISSUED        → policy certificate generated and sent
+ * REJECTED             → declined by an admin (a SUPER_ADMIN can reopen it)
+ * (APPROVED and PAYMENT_PENDING return to PENDING_VERIFICATION when the unpaid invoice is cancelled)
+ * CANCELLED / EXPIRED  → closed without a policy
+ */
+const REQUEST_STATUS = {
+  PENDING_VERIFICATION: 'PENDING_VERIFICATION',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  PAYMENT_PENDING: 'PAYMENT_PENDING',
+  PAID: 'PAID',
+  POLICY_ISSUED: 'POLICY_ISSUED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED'
+};
+
+// Allowed transitions: from → [to]
+const TRANSITIONS = {
+  PENDING_VERIFICATION: ['APPROVED', 'REJECTED', 'CANCELLED', 'EXPIRED'],
+  APPROVED: ['PAYMENT_PENDING', 'PAID', 'PENDING_VERIFICATION', 'CANCELLED', 'EXPIRED'],
+  PAYMENT_PENDING: ['PAID', 'PENDING_VERIFICATION', 'CANCELLED', 'EXPIRED'],
+  PAID: ['POLICY_ISSUED'],
+  REJECTED: ['PENDING_VERIFICATION'],
+  POLICY_ISSUED: [],
+  CANCELLED: [],
+  EXPIRED: []
+};
+
+// Who caused a status change (RequestStatusHistory.source)
+const STATUS_CHANGE_SOURCE = {
+  CUSTOMER: 'CUSTOMER',
+  ADMIN: 'ADMIN',
+  PAYMENT: 'PAYMENT',
+  SYSTEM: 'SYSTEM'
+};
+
+/**
+ * Error for a missing request or a disallowed transition; statusCode is what the controller returns.
+ */
+class RequestLifecycleError extends Error {
+  constructor(message, statusCode = 400, currentStatus = null) {
+    super(message);
+    this.name = 'RequestLifecycleError';
+    this.statusCode = statusCode;
+    this.currentStatus = currentStatus;
+  }
+}
+
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Statuses from which toStatus may be reached
+ */
+function getAllowedSourceStatuses(toStatus) {
+  return Object.keys(TRANSITIONS).filter((fromStatus) => canTransition(fromStatus, toStatus));
+}
+
+/**
+ * Nested create for the first history row, for use inside insuranceRequest.create({ data })
+ */
+function initialStatusHistory(source = STATUS_CHANGE_SOURCE.CUSTOMER) {
+  return {
+    create: {
+      fromStatus: null,
+      toStatus: REQUEST_STATUS.PENDING_VERIFICATION,
+      source
+    }
+  };
+}
+
+async function applyTransition(tx, requestId, toStatus, { from, data, changedById, source, reason }) {
+  if (!REQUEST_STATUS[toStatus]) {
+    throw new Error(`Unknown request status: ${toStatus}`);
+  }
+
+  let fromStatuses = getAllowedSourceStatuses(toStatus);
+  if (from) {
+    const requested = Array.isArray(from) ? from : [from];
+    fromStatuses = fromStatuses.filter((status) => requested.includes(status));
+  }
+
+  const current = await tx.insuranceRequest.findUnique({
+    where: { id: requestId },
+    select: { status: true }
+  });
+
+  if (!current) {
+    throw new RequestLifecycleError('Insurance request not found', 404);
+  }
+
+  if (!fromStatuses.includes(current.status)) {
+    throw new RequestLifecycleError(
+      current.status === toStatus
+        ? `Request is already ${current.status}`
+        : `Cannot move request from ${current.status} to ${toStatus}`,
+      400,
+      current.status
+    );
+  }
+
+  // Conditional on the status we just read, so a concurrent transition makes this one fail cleanly
+  const { count } = await tx.insuranceRequest.updateMany({
+    where: { id: requestId, status: current.status },
+    data: { ...data, status: toStatus }
+  });
+
+  if (count === 0) {
+    const latest = await tx.insuranceRequest.findUnique({
+      where: { id: requestId },
+      select: { status: true }
+    });
+    throw new RequestLifecycleError(
+      `Request status changed concurrently (now ${latest?.status}); please retry`,
+      409,
+      latest?.status
+    );
+  }
+
+  await tx.requestStatusHistory.create({
+    data: {
+      requestId,
+      fromStatus: current.status,
+      toStatus,
+      changedById: changedById || null,
+      source,
+      reason: reason || null
+    }
+  });
+
+  return tx.insuranceRequest.findUnique({ where: { id: requestId } });
+}
+
+/**
+ * Move a request to a new status if the lifecycle allows it, atomically, and record a history row.
+ *
+ * @param {string} requestId
+ * @param {string} toStatus - one of REQUEST_STATUS
+ * @param {Object} [options]
+ * @param {string|string[]} [options.from] - further restrict the allowed current statuses
+ * @param {Object} [options.data] - other columns to update together with the status
+ * @param {string} [options.changedById] - acting admin (User.id)
+ * @param {string} [options.source] - one of STATUS_CHANGE_SOURCE (default SYSTEM)
+ * @param {string} [options.reason]
+ * @param {Object} [options.tx] - interactive transaction client to join; a new transaction is used otherwise
+ * @returns {Promise<Object>} the updated InsuranceRequest
+ * @throws {RequestLifecycleError}
+ */
+async function transitionStatus(requestId, toStatus, options = {}) {
+  const params = {
+    from: options.from,
+    data: options.data || {},
+    changedById: options.changedById,
+    source: options.source || STATUS_CHANGE_SOURCE.SYSTEM,
+    reason: options.reason
+  };
+
+  if (options.tx) {
+    return applyTransition(options.tx, requestId, toStatus, params);
+  }
+  return prisma.$transaction((tx) => applyTransition(tx, requestId, toStatus, params));
+}
+
+module.exports = {
+  REQUEST_STATUS,
+  TRANSITIONS,
+  STATUS_CHANGE_SOURCE,
+  RequestLifecycleError,
+  canTransition,
+  getAllowedSourceStatuses,
+  initialStatusHistory,
+  transitionStatus
+};
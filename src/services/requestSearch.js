@@ -0,0 +1,306 @@
+const prisma = require('../config/database');
+
+/**
+ * Filtering, sorting and keyset (cursor) pagination of insurance requests for the admin lists.
+ * Query parameters are validated by validateRequestSearch (src/middleware/validation.js).
+ *
+ * Pages are cut on (sort field, id), so rows inserted or updated while paging never shift later
+ * pages the way offsets do. The cursor is opaque to clients: pass `nextCursor` back as `cursor`.
+ */
+
+const REQUEST_SEARCH_DEFAULT_LIMIT = 50;
+const REQUEST_SEARCH_MAX_LIMIT = 200;
+
+// Calendar days of date-only filters start at midnight here (India by default), not in UTC
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields the lists can be sorted by; nullable ones sort their nulls last in both directions
+const SORT_FIELDS = {
+  createdAt: { type: 'date' },
+  updatedAt: { type: 'date' },
+  timestamp: { type: 'date' },
+  adminTimestamp: { type: 'date', nullable: true },
+  paymentTimestamp: { type: 'date', nullable: true },
+  policyStartDate: { type: 'date', nullable: true },
+  quantity: { type: 'number' },
+  rate: { type: 'number', nullable: true },
+  declaredValue: { type: 'number', nullable: true },
+  premiumAmount: { type: 'number', nullable: true },
+  totalAmount: { type: 'number', nullable: true },
+  riskScore: { type: 'number', nullable: true },
+  itemName: { type: 'string' },
+  vehicleNo: { type: 'string' }
+};
+
+// Shorthands kept for the pending queue
+const SORT_ALIASES = {
+  newest: { field: 'createdAt', direction: 'desc' },
+  oldest: { field: 'createdAt', direction: 'asc' },
+  risk: { field: 'riskScore', direction: 'desc' }
+};
+
+// Partial, case-insensitive text filters: query parameter → column
+const TEXT_FILTERS = ['supplierName', 'partyName', 'transporterName', 'itemName'];
+
+function splitList(value) {
+  return String(value).split(',').map((item) => item.trim().toUpperCase()).filter(Boolean);
+}
+
+// How far REPORT_TIMEZONE is ahead of UTC at the given instant, in milliseconds
+function timezoneOffsetMs(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: REPORT_TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant a calendar day (YYYY-MM-DD) starts in REPORT_TIMEZONE
+ * @param {string} day
+ * @param {number} [addDays] - days to move forward first
+ * @returns {Date}
+ */
+function startOfDay(day, addDays = 0) {
+  const midnightUtc = new Date(`${day}T00:00:00Z`).getTime() + addDays * DAY_MS;
+  const guess = midnightUtc - timezoneOffsetMs(new Date(midnightUtc));
+  // Correct once more in case the offset changes between the guess and the real midnight
+  return new Date(midnightUtc - timezoneOffsetMs(new Date(guess)));
+}
+
+/**
+ * Prisma filter for a from / to pair. A date without a time is a calendar day in REPORT_TIMEZONE,
+ * and a "to" date includes that whole day.
+ */
+function dateRange(from, to) {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) {
+    range.gte = DATE_ONLY.test(String(from)) ? startOfDay(String(from)) : new Date(from);
+  }
+  if (to) {
+    if (DATE_ONLY.test(String(to))) range.lt = startOfDay(String(to), 1);
+    else range.lte = new Date(to);
+  }
+  return range;
+}
+
+function numberRange(min, max) {
+  if (min == null && max == null) return null;
+  return {
+    ...(min != null ? { gte: parseFloat(min) } : {}),
+    ...(max != null ? { lte: parseFloat(max) } : {})
+  };
+}
+
+/**
+ * Prisma `where` for the filters in a query string
+ * @param {Object} query - req.query
+ * @returns {Object}
+ */
+function buildRequestWhere(query) {
+  const conditions = [];
+
+  if (query.status) conditions.push({ status: { in: splitList(query.status) } });
+  if (query.paymentStatus) conditions.push({ paymentStatus: { in: splitList(query.paymentStatus) } });
+  if (query.riskLevel) conditions.push({ riskLevel: { in: splitList(query.riskLevel) } });
+  if (query.userId) conditions.push({ userId: String(query.userId).replace(/[^0-9]/g, '') });
+
+  // Vehicle numbers are stored canonical, so match on the same compact form
+  if (query.vehicleNo) {
+    conditions.push({ vehicleNo: { contains: String(query.vehicleNo).toUpperCase().replace(/[\s\-./_]/g, '') } });
+  }
+  TEXT_FILTERS.forEach((field) => {
+    if (query[field]) {
+      conditions.push({ [field]: { contains: String(query[field]).trim(), mode: 'insensitive' } });
+    }
+  });
+
+  const created = dateRange(query.createdFrom, query.createdTo);
+  if (created) conditions.push({ createdAt: created });
+
+  const approved = dateRange(query.approvedFrom, query.approvedTo);
+  if (approved) conditions.push({ adminAction: 'APPROVED', adminTimestamp: approved });
+
+  const paid = dateRange(query.paidFrom, query.paidTo);
+  if (paid) conditions.push({ paymentTimestamp: paid });
+
+  const premium = numberRange(query.minPremium, query.maxPremium);
+  if (premium) conditions.push({ premiumAmount: premium });
+
+  const value = numberRange(query.minValue, query.maxValue);
+  if (value) conditions.push({ declaredValue: value });
+
+  const riskScore = numberRange(query.minRiskScore, query.maxRiskScore);
+  if (riskScore) conditions.push({ riskScore });
+
+  return conditions.length > 0 ? { AND: conditions } : {};
+}
+
+/**
+ * Sort field and direction from `sort` (a field or alias) and `order`
+ */
+function resolveSort(query, defaultSort = 'newest') {
+  const sort = query.sort || defaultSort;
+  if (SORT_ALIASES[sort]) {
+    return { ...SORT_ALIASES[sort], ...(query.order ? { direction: query.order } : {}) };
+  }
+  return { field: sort, direction: query.order || 'desc' };
+}
+
+function buildOrderBy({ field, direction }) {
+  const primary = SORT_FIELDS[field].nullable
+    ? { [field]: { sort: direction, nulls: 'last' } }
+    : { [field]: direction };
+  return [primary, { id: direction }];
+}
+
+function encodeCursor(row, { field }) {
+  const value = row[field] == null ? null : row[field];
+  return Buffer.from(JSON.stringify({ v: value, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor; null if it is not one this module produced
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.id !== 'string' || !('v' in decoded)) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+function cursorValue(field, value) {
+  if (value == null) return null;
+  const { type } = SORT_FIELDS[field];
+  if (type === 'date') return new Date(value);
+  if (type === 'number') return Number(value);
+  return String(value);
+}
+
+/**
+ * Rows after the cursor row in (field, id) order, with nulls last
+ */
+function afterCursor({ field, direction }, cursor) {
+  const beyond = direction === 'desc' ? 'lt' : 'gt';
+  const value = cursorValue(field, cursor.v);
+
+  if (value === null) {
+    return { [field]: null, id: { [beyond]: cursor.id } };
+  }
+
+  const after = [
+    { [field]: { [beyond]: value } },
+    { [field]: value, id: { [beyond]: cursor.id } }
+  ];
+  if (SORT_FIELDS[field].nullable) {
+    after.push({ [field]: null });
+  }
+  return { OR: after };
+}
+
+/**
+ * One page of requests matching the query
+ *
+ * @param {Object} query - req.query (validated)
+ * @param {Object} [options]
+ * @param {Object} [options.where] - conditions that always apply, e.g. the pending status
+ * @param {Object} [options.select] - Prisma select (the sort field and id are added)
+ * @param {Object} [options.include] - Prisma include, when not selecting
+ * @param {string} [options.defaultSort]
+ * @param {number|null} [options.defaultLimit] - null returns every match when no limit is given
+ * @returns {Promise<{ data: Object[], total: number, nextCursor: string|null }>}
+ */
+async function searchRequests(query, { where: baseWhere = {}, select, include, defaultSort = 'newest', defaultLimit = REQUEST_SEARCH_DEFAULT_LIMIT } = {}) {
+  const sort = resolveSort(query, defaultSort);
+  const filterWhere = { AND: [baseWhere, buildRequestWhere(query)] };
+
+  const limit = query.limit != null ? parseInt(query.limit, 10) : defaultLimit;
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+  const pageWhere = cursor
+    ? { AND: [filterWhere, afterCursor(sort, cursor)] }
+    : filterWhere;
+
+  const [rows, total] = await Promise.all([
+    prisma.insuranceRequest.findMany({
+      where: pageWhere,
+      orderBy: buildOrderBy(sort),
+      ...(limit != null ? { take: limit + 1 } : {}),
+      ...(!cursor && query.offset ? { skip: parseInt(query.offset, 10) } : {}),
+      ...(select ? { select: { ...select, id: true, [sort.field]: true } } : {}),
+      ...(include ? { include } : {})
+    }),
+    prisma.insuranceRequest.count({ where: filterWhere })
+  ]);
+
+  const hasMore = limit != null && rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    data,
+    total,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+  };
+}
+
+/**
+ * Every request matching the query, fetched in keyset batches so exports of any size run in
+ * bounded memory. Rows come in the query's sort order; limit, offset and cursor are ignored.
+ *
+ * @param {Object} query - req.query (validated)
+ * @param {Object} [options]
+ * @param {Object} [options.where] - conditions that always apply
+ * @param {Object} [options.select] - Prisma select (the sort field and id are added)
+ * @param {string} [options.defaultSort]
+ * @param {number} [options.batchSize]
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* iterateRequests(query, { where: baseWhere = {}, select, defaultSort = 'newest', batchSize = REQUEST_SEARCH_MAX_LIMIT } = {}) {
+  const sort = resolveSort(query, defaultSort);
+  const filterWhere = { AND: [baseWhere, buildRequestWhere(query)] };
+  let last = null;
+
+  for (;;) {
+    const rows = await prisma.insuranceRequest.findMany({
+      where: last ? { AND: [filterWhere, afterCursor(sort, { v: last[sort.field], id: last.id })] } : filterWhere,
+      orderBy: buildOrderBy(sort),
+      take: batchSize,
+      ...(select ? { select: { ...select, id: true, [sort.field]: true } } : {})
+    });
+
+    yield* rows;
+
+    if (rows.length < batchSize) return;
+    last = rows[rows.length - 1];
+  }
+}
+
+module.exports = {
+  REQUEST_SEARCH_DEFAULT_LIMIT,
+  REQUEST_SEARCH_MAX_LIMIT,
+  REPORT_TIMEZONE,
+  SORT_FIELDS,
+  SORT_ALIASES,
+  buildRequestWhere,
+  dateRange,
+  startOfDay,
+  decodeCursor,
+  searchRequests,
+  iterateRequests
+};
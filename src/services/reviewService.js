@@ -0,0 +1,198 @@
+const prisma = require('../config/database');
+const { sendChatraceMessage } = require('./chatraceService');
+const { buildApprovalMessage, issueInvoice } = require('./invoiceService');
+const { ADMIN_ACTIONS, adminActionCreate } = require('./auditService');
+const {
+  REQUEST_STATUS,
+  STATUS_CHANGE_SOURCE,
+  transitionStatus
+} = require('./requestLifecycle');
+
+/**
+ * Admin decisions on requests awaiting verification: rejection, and approving or rejecting
+ * many requests at once. Bulk actions check every request's status up front, process the rest a
+ * few at a time (each approval renders a PDF, creates a payment link and sends a WhatsApp message)
+ * and report the outcome per request, so one failure does not stop or hide the others.
+ */
+
+const BULK_ACTION_MAX_ITEMS = parseInt(process.env.BULK_ACTION_MAX_ITEMS || '100', 10);
+const BULK_ACTION_CONCURRENCY = parseInt(process.env.BULK_ACTION_CONCURRENCY || '3', 10);
+
+/**
+ * WhatsApp message telling the customer their request was rejected
+ */
+function buildRejectionMessage(rejectionReason) {
+  return (
+    `❌ *Your Insurance Request has been REJECTED*\n\n` +
+    `Reason: ${rejectionReason}\n\n` +
+    `Please contact support for more information or submit a new request with correct details.`
+  );
+}
+
+/**
+ * Reject a pending request and record the admin action in the same transaction
+ *
+ * @param {string} requestId
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.reason
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<Object>} updated InsuranceRequest
+ * @throws {RequestLifecycleError} not found (404) or not pending (400 / 409)
+ */
+async function rejectRequest(requestId, { adminId, reason, ipAddress }) {
+  return prisma.$transaction(async (tx) => {
+    const rejected = await transitionStatus(requestId, REQUEST_STATUS.REJECTED, {
+      tx,
+      from: REQUEST_STATUS.PENDING_VERIFICATION,
+      changedById: adminId,
+      source: STATUS_CHANGE_SOURCE.ADMIN,
+      reason,
+      data: {
+        adminId,
+        adminAction: ADMIN_ACTIONS.REJECTED,
+        adminTimestamp: new Date(),
+        rejectionReason: reason
+      }
+    });
+    await adminActionCreate({ adminId, ipAddress, requestId, action: ADMIN_ACTIONS.REJECTED, reason }, tx);
+    return rejected;
+  });
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight; results keep the input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function failure(requestId, error, fallbackMessage) {
+  if (error.statusCode) {
+    return { requestId, success: false, statusCode: error.statusCode, message: error.message };
+  }
+
+  console.error(`❌ ${fallbackMessage} (${requestId}):`, error);
+  return {
+    requestId,
+    success: false,
+    statusCode: 500,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  };
+}
+
+/**
+ * Process each distinct id that is still pending verification; the others fail without being touched
+ */
+async function runBulk(requestIds, action, fallbackMessage) {
+  const ids = [...new Set(requestIds)];
+
+  const requests = await prisma.insuranceRequest.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, status: true }
+  });
+  const statusById = new Map(requests.map((request) => [request.id, request.status]));
+
+  const results = await mapWithConcurrency(ids, BULK_ACTION_CONCURRENCY, async (requestId) => {
+    const status = statusById.get(requestId);
+    if (!status) {
+      return { requestId, success: false, statusCode: 404, message: 'Insurance request not found' };
+    }
+    if (status !== REQUEST_STATUS.PENDING_VERIFICATION) {
+      return { requestId, success: false, statusCode: 400, message: `Request is already ${status}` };
+    }
+
+    try {
+      return { requestId, success: true, ...(await action(requestId)) };
+    } catch (error) {
+      return failure(requestId, error, fallbackMessage);
+    }
+  });
+
+  const succeeded = results.filter((result) => result.success).length;
+  return {
+    summary: { requested: ids.length, succeeded, failed: ids.length - succeeded },
+    results
+  };
+}
+
+/**
+ * Approve several pending requests: invoice, payment link and WhatsApp message for each
+ *
+ * @param {string[]} requestIds
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.notes]
+ * @returns {Promise<{ summary: { requested, succeeded, failed }, results: Object[] }>}
+ */
+async function approveMany(requestIds, { adminId, ipAddress, notes }) {
+  return runBulk(requestIds, async (requestId) => {
+    const approved = await issueInvoice(requestId, { adminId, ipAddress, notes });
+    console.log(`✅ Request ${requestId} approved (bulk)`);
+
+    let messageSent = true;
+    try {
+      await sendChatraceMessage(approved.userId, buildApprovalMessage(approved));
+    } catch (msgErr) {
+      messageSent = false;
+      console.warn(`⚠️ WhatsApp/Chatrace message failed for ${requestId} (approval still succeeded):`, msgErr.message);
+    }
+
+    return {
+      status: approved.status,
+      invoiceNumber: approved.invoiceNumber,
+      totalAmount: approved.totalAmount,
+      paymentLink: approved.paymentLink,
+      messageSent
+    };
+  }, 'Failed to approve request');
+}
+
+/**
+ * Reject several pending requests with the same reason and tell each customer
+ *
+ * @param {string[]} requestIds
+ * @param {Object} params
+ * @param {string} params.adminId
+ * @param {string} params.reason
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{ summary: { requested, succeeded, failed }, results: Object[] }>}
+ */
+async function rejectMany(requestIds, { adminId, ipAddress, reason }) {
+  return runBulk(requestIds, async (requestId) => {
+    const rejected = await rejectRequest(requestId, { adminId, ipAddress, reason });
+    console.log(`❌ Request ${requestId} rejected (bulk)`);
+
+    let messageSent = true;
+    try {
+      await sendChatraceMessage(rejected.userId, buildRejectionMessage(reason));
+    } catch (msgErr) {
+      messageSent = false;
+      console.warn(`⚠️ WhatsApp/Chatrace message failed for ${requestId} (rejection still succeeded):`, msgErr.message);
+    }
+
+    return { status: rejected.status, messageSent };
+  }, 'Failed to reject request');
+}
+
+module.exports = {
+  BULK_ACTION_MAX_ITEMS,
+  BULK_ACTION_CONCURRENCY,
+  buildRejectionMessage,
+  rejectRequest,
+  approveMany,
+  rejectMany
+};
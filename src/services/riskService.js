@@ -0,0 +1,234 @@
+const prisma = require('../config/database');
+const { sendChatraceMessage } = require('./chatraceService');
+const { REQUEST_STATUS } = require('./requestLifecycle');
+const { buildApprovalMessage, issueInvoice } = require('./invoiceService');
+
+/**
+ * Rule-based risk scoring of new requests for the verification queue.
+ * Each rule that fires adds its weight to the score (capped at 100); the score maps to a level.
+ * Weights and rule parameters can be changed, and rules switched off, with RISK_RULES, a JSON
+ * object keyed by rule code, e.g. {"MISSING_KANTA_PARCHI": {"enabled": false},
+ * "VALUE_ABOVE_TYPICAL_RATE": {"weight": 40, "factor": 2}}.
+ */
+
+const RISK_LEVEL = {
+  LOW: 'LOW',
+  MEDIUM: 'MEDIUM',
+  HIGH: 'HIGH'
+};
+
+const RISK_MEDIUM_SCORE = parseInt(process.env.RISK_MEDIUM_SCORE || '30', 10);
+const RISK_HIGH_SCORE = parseInt(process.env.RISK_HIGH_SCORE || '60', 10);
+const MAX_RISK_SCORE = 100;
+
+// Off unless enabled; only requests scoring at most RISK_AUTO_APPROVE_MAX_SCORE with a premium
+// up to RISK_AUTO_APPROVE_MAX_PREMIUM are approved without an admin
+const RISK_AUTO_APPROVE_ENABLED = process.env.RISK_AUTO_APPROVE_ENABLED === 'true';
+const RISK_AUTO_APPROVE_MAX_SCORE = parseInt(process.env.RISK_AUTO_APPROVE_MAX_SCORE || '0', 10);
+const RISK_AUTO_APPROVE_MAX_PREMIUM = parseFloat(process.env.RISK_AUTO_APPROVE_MAX_PREMIUM || '1000');
+
+// Requests in these statuses no longer cover a shipment
+const CLOSED_STATUSES = [REQUEST_STATUS.REJECTED, REQUEST_STATUS.CANCELLED, REQUEST_STATUS.EXPIRED];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function declaredValue(request) {
+  return request.rate != null ? Number(request.quantity) * Number(request.rate) : null;
+}
+
+// Other requests only, so a request can be scored again after it is saved
+function excludeSelf(request) {
+  return request.id ? { id: { not: request.id } } : {};
+}
+
+/**
+ * The rules. `evaluate` resolves to a short explanation when the rule fires, or null.
+ */
+const RISK_RULES = [
+  {
+    code: 'VALUE_ABOVE_TYPICAL_RATE',
+    description: 'Declared rate far above what is usually declared for the commodity',
+    defaults: { weight: 30, factor: 1.5, lookbackDays: 90, minSamples: 5 },
+    async evaluate(request, { factor, lookbackDays, minSamples }, client) {
+      if (request.rate == null) return null;
+
+      const { _avg, _count } = await client.insuranceRequest.aggregate({
+        where: {
+          ...excludeSelf(request),
+          itemName: { equals: request.itemName.trim(), mode: 'insensitive' },
+          rate: { not: null },
+          createdAt: { gte: new Date(Date.now() - lookbackDays * DAY_MS) }
+        },
+        _avg: { rate: true },
+        _count: { rate: true }
+      });
+      if (_count.rate < minSamples || _avg.rate == null) return null;
+
+      const typicalRate = Number(_avg.rate);
+      const rate = Number(request.rate);
+      if (rate <= typicalRate * factor) return null;
+      return `Rate ₹${rate.toFixed(2)} is ${(rate / typicalRate).toFixed(1)}× the typical ₹${typicalRate.toFixed(2)} for ${request.itemName} (${_count.rate} requests)`;
+    }
+  },
+  {
+    code: 'VEHICLE_INSURED_RECENTLY',
+    description: 'Same vehicle on another open request around the same time',
+    defaults: { weight: 35, windowHours: 24 },
+    async evaluate(request, { windowHours }, client) {
+      const timestamp = request.timestamp || new Date();
+      const other = await client.insuranceRequest.findFirst({
+        where: {
+          ...excludeSelf(request),
+          vehicleNo: request.vehicleNo,
+          timestamp: {
+            gte: new Date(timestamp.getTime() - windowHours * HOUR_MS),
+            lte: new Date(timestamp.getTime() + windowHours * HOUR_MS)
+          },
+          status: { notIn: CLOSED_STATUSES }
+        },
+        select: { id: true, userId: true }
+      });
+      if (!other) return null;
+      return `Vehicle ${request.vehicleNo} is also on request ${other.id}` +
+        (other.userId !== request.userId ? ' from another customer' : '') +
+        ` within ${windowHours} hours`;
+    }
+  },
+  {
+    code: 'MISSING_KANTA_PARCHI',
+    description: 'No weighment slip sent with the request',
+    defaults: { weight: 15 },
+    async evaluate(request) {
+      return request.kantaParchiImage ? null : 'No kanta parchi';
+    }
+  },
+  {
+    code: 'NEW_USER_LARGE_CARGO',
+    description: 'First request of a customer with an unusually valuable cargo',
+    defaults: { weight: 25, minDeclaredValue: 500000 },
+    async evaluate(request, { minDeclaredValue }, client) {
+      const value = declaredValue(request);
+      if (value == null || value < minDeclaredValue) return null;
+
+      const previousRequests = await client.insuranceRequest.count({
+        where: { ...excludeSelf(request), userId: request.userId }
+      });
+      if (previousRequests > 0) return null;
+      return `First request of this customer, declared value ₹${value.toFixed(2)}`;
+    }
+  }
+];
+
+/**
+ * Rule settings: defaults overridden by RISK_RULES
+ */
+function getRuleConfig() {
+  let overrides = {};
+  if (process.env.RISK_RULES) {
+    try {
+      overrides = JSON.parse(process.env.RISK_RULES);
+    } catch (err) {
+      console.warn('⚠️ RISK_RULES is not valid JSON; using default risk rules:', err.message);
+    }
+  }
+
+  return RISK_RULES.map((rule) => ({
+    rule,
+    params: { enabled: true, ...rule.defaults, ...(overrides[rule.code] || {}) }
+  }));
+}
+
+function riskLevelFor(score) {
+  if (score >= RISK_HIGH_SCORE) return RISK_LEVEL.HIGH;
+  if (score >= RISK_MEDIUM_SCORE) return RISK_LEVEL.MEDIUM;
+  return RISK_LEVEL.LOW;
+}
+
+/**
+ * Score a request against the enabled rules
+ *
+ * @param {Object} request - InsuranceRequest (saved or about to be created; vehicleNo canonical)
+ * @param {Object} [client] - prisma client or interactive transaction client
+ * @returns {Promise<{ score: number, level: string, rules: Array<{ code, weight, detail }>, assessedAt: string }>}
+ */
+async function assessRisk(request, client = prisma) {
+  const rules = [];
+
+  for (const { rule, params } of getRuleConfig()) {
+    if (!params.enabled) continue;
+
+    const detail = await rule.evaluate(request, params, client);
+    if (detail) {
+      rules.push({ code: rule.code, weight: params.weight, detail });
+    }
+  }
+
+  const score = Math.min(MAX_RISK_SCORE, rules.reduce((sum, { weight }) => sum + weight, 0));
+  return {
+    score,
+    level: riskLevelFor(score),
+    rules,
+    assessedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Columns to save on an InsuranceRequest for an assessment
+ */
+function riskFields(assessment) {
+  return {
+    riskScore: assessment.score,
+    riskLevel: assessment.level,
+    riskRules: assessment.rules,
+    riskAssessedAt: new Date(assessment.assessedAt)
+  };
+}
+
+/**
+ * Whether a new request may be approved without an admin
+ */
+function isAutoApprovable(request) {
+  return (
+    RISK_AUTO_APPROVE_ENABLED &&
+    request.status === REQUEST_STATUS.PENDING_VERIFICATION &&
+    request.riskScore != null &&
+    request.riskScore <= RISK_AUTO_APPROVE_MAX_SCORE &&
+    request.premiumAmount != null &&
+    Number(request.premiumAmount) <= RISK_AUTO_APPROVE_MAX_PREMIUM
+  );
+}
+
+/**
+ * Approve a low-risk request straight away and send the customer the payment link, as an admin
+ * approval would. Does nothing unless auto-approval is enabled and the request qualifies.
+ *
+ * @param {Object} request - the created InsuranceRequest
+ * @returns {Promise<Object|null>} the approved request, or null if it was left for review
+ * @throws {InvoiceError|RequestLifecycleError}
+ */
+async function autoApproveIfLowRisk(request) {
+  if (!isAutoApprovable(request)) return null;
+
+  const approved = await issueInvoice(request.id, {
+    notes: `Auto-approved: risk score ${request.riskScore}, premium ₹${Number(request.premiumAmount).toFixed(2)}`
+  });
+  console.log(`🤖 Request ${request.id} auto-approved (risk score ${request.riskScore})`);
+
+  try {
+    await sendChatraceMessage(approved.userId, buildApprovalMessage(approved));
+  } catch (msgErr) {
+    console.warn('⚠️ WhatsApp/Chatrace message failed (auto-approval still succeeded):', msgErr.message);
+  }
+
+  return approved;
+}
+
+module.exports = {
+  RISK_LEVEL,
+  RISK_RULES,
+  assessRisk,
+  riskFields,
+  isAutoApprovable,
+  autoApproveIfLowRisk
+};
@@ -0,0 +1,99 @@
+/**
+ * Shortage assessment from weighbridge readings.
+ * Weights are in kg as printed on the kanta parchi. Requests do not say what unit `quantity` is
+ * in, so the weight of one unit is taken from the request itself: loading weight ÷ quantity.
+ * A shortage claim is payable only when loading − unloading weight exceeds SHORTAGE_THRESHOLD_KG.
+ */
+
+// "Shortage: Claims only when difference exceeds 2 Tons" (invoice and certificate terms)
+const SHORTAGE_THRESHOLD_KG = parseFloat(process.env.SHORTAGE_THRESHOLD_KG || '2000');
+
+function roundCurrency(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roundWeight(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function formatKg(value) {
+  return `${Number(value).toLocaleString('en-IN', { maximumFractionDigits: 3 })} kg`;
+}
+
+/**
+ * Shortage and the payable amount at the request's rate. The payable amount is the whole shortage
+ * in units (shortage ÷ weight of one unit) valued at `rate`, so at most the declared value
+ * (quantity × rate), and 0 when the shortage does not exceed the threshold.
+ *
+ * @param {Object} request - InsuranceRequest (loadingWeightKg, unloadingWeightKg, quantity, rate)
+ * @param {Object} [options]
+ * @param {number} [options.thresholdKg] - default SHORTAGE_THRESHOLD_KG
+ * @returns {Object|null} the calculation, or null until both weights are recorded
+ */
+function evaluateShortage(request, { thresholdKg = SHORTAGE_THRESHOLD_KG } = {}) {
+  if (request.loadingWeightKg == null || request.unloadingWeightKg == null) {
+    return null;
+  }
+
+  const loadingWeightKg = Number(request.loadingWeightKg);
+  const unloadingWeightKg = Number(request.unloadingWeightKg);
+  const shortageKg = roundWeight(Math.max(0, loadingWeightKg - unloadingWeightKg));
+  const eligible = shortageKg > thresholdKg;
+
+  const quantity = Number(request.quantity);
+  const rate = request.rate != null ? Number(request.rate) : null;
+  const unitKg = quantity > 0 && loadingWeightKg > 0 ? roundWeight(loadingWeightKg / quantity) : null;
+  const shortageUnits = unitKg != null ? roundWeight((shortageKg / loadingWeightKg) * quantity) : null;
+  const declaredValue = rate != null ? roundCurrency(quantity * rate) : null;
+
+  let payableAmount = null;
+  let reason;
+  if (!eligible) {
+    payableAmount = 0;
+    reason = `Shortage of ${formatKg(shortageKg)} does not exceed the ${formatKg(thresholdKg)} threshold`;
+  } else if (rate == null) {
+    reason = `Shortage of ${formatKg(shortageKg)} exceeds the ${formatKg(thresholdKg)} threshold; no rate on the request to value it`;
+  } else if (unitKg == null) {
+    reason = `Shortage of ${formatKg(shortageKg)} exceeds the ${formatKg(thresholdKg)} threshold; no quantity on the request to value it`;
+  } else {
+    const shortageValue = roundCurrency(shortageUnits * rate);
+    payableAmount = Math.min(shortageValue, declaredValue);
+    reason = `Shortage of ${formatKg(shortageKg)} exceeds the ${formatKg(thresholdKg)} threshold; ` +
+      `${shortageUnits} units of ${formatKg(unitKg)} × ₹${rate.toFixed(2)} = ₹${shortageValue.toFixed(2)}` +
+      (payableAmount < shortageValue ? `, capped at the declared value ₹${declaredValue.toFixed(2)}` : '');
+  }
+
+  return {
+    loadingWeightKg,
+    unloadingWeightKg,
+    shortageKg,
+    shortagePercent: loadingWeightKg > 0 ? roundCurrency((shortageKg / loadingWeightKg) * 100) : 0,
+    thresholdKg,
+    eligible,
+    unitKg,
+    shortageUnits,
+    rate,
+    declaredValue,
+    payableAmount,
+    reason,
+    evaluatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Columns to save on a SHORTAGE Claim for an evaluation (none while weights are missing)
+ */
+function shortageClaimFields(evaluation) {
+  if (!evaluation) return {};
+  return {
+    shortageEligible: evaluation.eligible,
+    assessedAmount: evaluation.payableAmount,
+    assessment: evaluation
+  };
+}
+
+module.exports = {
+  SHORTAGE_THRESHOLD_KG,
+  evaluateShortage,
+  shortageClaimFields
+};
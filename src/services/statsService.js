@@ -0,0 +1,292 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { REQUEST_STATUS } = require('./requestLifecycle');
+const { REPORT_TIMEZONE, startOfDay } = require('./requestSearch');
+
+/**
+ * Operations figures for the admin dashboard, aggregated in the database so the cost does not
+ * depend on how many requests there are. Days are calendar days in REPORT_TIMEZONE (India by
+ * default), the same days the request search filters on, so "today" matches the mandi's working
+ * day rather than UTC.
+ *
+ * Requests are counted by creation date; approvals and payments by the day they happened.
+ * Declared value is quantity × rate. Times are taken from the status history: creation to first
+ * approval, and first approval to payment.
+ */
+
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 366;
+const STATS_DEFAULT_TOP = 5;
+
+// Columns the top lists group by (never taken from the query string)
+const TOP_COLUMNS = {
+  commodities: 'itemName',
+  suppliers: 'supplierName',
+  transporters: 'transporterName'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Today's date (YYYY-MM-DD) in REPORT_TIMEZONE
+ */
+function localToday() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: REPORT_TIMEZONE }).format(new Date());
+}
+
+function addDays(day, days) {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Inclusive date range from the query, defaulting to the last STATS_DEFAULT_DAYS days
+ */
+function resolveRange({ from, to } = {}) {
+  const end = to ? String(to).slice(0, 10) : localToday();
+  const start = from ? String(from).slice(0, 10) : addDays(end, -(STATS_DEFAULT_DAYS - 1));
+  return { from: start, to: end };
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+// A UTC instant as a plain timestamp, the type of the columns
+function utcTimestamp(date) {
+  return Prisma.sql`(${date.toISOString()}::timestamptz AT TIME ZONE 'UTC')`;
+}
+
+// `column` (a UTC timestamp) falls on a local day within the range; compares the raw column so indexes apply.
+// The day boundaries are the ones the request search uses.
+function inRange(column, { from, to }) {
+  return Prisma.sql`${column} >= ${utcTimestamp(startOfDay(from))} AND ${column} < ${utcTimestamp(startOfDay(to, 1))}`;
+}
+
+function localDay(column) {
+  return Prisma.sql`to_char((${column} AT TIME ZONE 'UTC' AT TIME ZONE ${REPORT_TIMEZONE})::date, 'YYYY-MM-DD')`;
+}
+
+function toNumber(value) {
+  return value == null ? 0 : Number(value);
+}
+
+function toMinutes(seconds) {
+  return seconds == null ? null : Math.round(Number(seconds) / 6) / 10;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+async function countByStatus(range) {
+  const rows = await prisma.$queryRaw`
+    SELECT status, COUNT(*)::int AS count
+    FROM insurance_requests
+    WHERE ${inRange(Prisma.sql`"createdAt"`, range)}
+    GROUP BY status`;
+
+  const byStatus = Object.fromEntries(Object.values(REQUEST_STATUS).map((status) => [status, 0]));
+  rows.forEach(({ status, count }) => { byStatus[status] = count; });
+  return byStatus;
+}
+
+// Totals, decisions and turnaround times of the requests created in the range
+async function summarizeRequests(range) {
+  const [row] = await prisma.$queryRaw`
+    WITH decided AS (
+      SELECT
+        r.quantity * r.rate AS declared_value,
+        r."premiumAmount" AS premium_amount,
+        r."invoiceNumber" AS invoice_number,
+        EXTRACT(EPOCH FROM (h.approved_at - r."createdAt")) AS approval_seconds,
+        EXTRACT(EPOCH FROM (h.paid_at - h.approved_at)) AS payment_seconds,
+        h.approved_at,
+        h.rejected_at
+      FROM insurance_requests r
+      LEFT JOIN LATERAL (
+        SELECT
+          MIN("createdAt") FILTER (WHERE "toStatus" = ${REQUEST_STATUS.APPROVED}) AS approved_at,
+          MIN("createdAt") FILTER (WHERE "toStatus" = ${REQUEST_STATUS.REJECTED}) AS rejected_at,
+          MIN("createdAt") FILTER (WHERE "toStatus" = ${REQUEST_STATUS.PAID}) AS paid_at
+        FROM request_status_history
+        WHERE "requestId" = r.id
+      ) h ON true
+      WHERE ${inRange(Prisma.sql`r."createdAt"`, range)}
+    )
+    SELECT
+      COUNT(*)::int AS total,
+      COALESCE(SUM(declared_value), 0) AS declared_value,
+      COALESCE(SUM(premium_amount) FILTER (WHERE invoice_number IS NOT NULL), 0) AS premium_invoiced,
+      COUNT(*) FILTER (WHERE approved_at IS NOT NULL)::int AS approved,
+      COUNT(*) FILTER (WHERE rejected_at IS NOT NULL AND approved_at IS NULL)::int AS rejected,
+      COUNT(approval_seconds)::int AS approval_count,
+      AVG(approval_seconds) AS approval_avg,
+      percentile_cont(0.9) WITHIN GROUP (ORDER BY approval_seconds) AS approval_p90,
+      COUNT(payment_seconds)::int AS payment_count,
+      AVG(payment_seconds) AS payment_avg,
+      percentile_cont(0.9) WITHIN GROUP (ORDER BY payment_seconds) AS payment_p90
+    FROM decided`;
+
+  const decided = row.approved + row.rejected;
+  return {
+    requests: {
+      total: row.total,
+      declaredValue: toNumber(row.declared_value),
+      premiumInvoiced: toNumber(row.premium_invoiced)
+    },
+    decisions: {
+      approved: row.approved,
+      rejected: row.rejected,
+      approvalRate: ratio(row.approved, decided),
+      rejectionRate: ratio(row.rejected, decided)
+    },
+    turnaround: {
+      creationToApproval: {
+        count: row.approval_count,
+        averageMinutes: toMinutes(row.approval_avg),
+        p90Minutes: toMinutes(row.approval_p90)
+      },
+      approvalToPayment: {
+        count: row.payment_count,
+        averageMinutes: toMinutes(row.payment_avg),
+        p90Minutes: toMinutes(row.payment_p90)
+      }
+    }
+  };
+}
+
+const PAID_AT = Prisma.sql`COALESCE(r."paymentTimestamp", p."createdAt")`;
+
+// Successful payments made in the range that were applied (not held for review); amount includes GST, premium does not
+async function summarizeCollections(range) {
+  const [row] = await prisma.$queryRaw`
+    SELECT
+      COUNT(*)::int AS payments,
+      COALESCE(SUM(r."premiumAmount"), 0) AS premium_collected,
+      COALESCE(SUM(p.amount), 0) AS amount_collected
+    FROM payments p
+    JOIN insurance_requests r ON r.id = p."requestId"
+    WHERE p.status = 'SUCCESS' AND p."reviewReason" IS NULL AND ${inRange(PAID_AT, range)}`;
+
+  return {
+    payments: row.payments,
+    premiumCollected: toNumber(row.premium_collected),
+    amountCollected: toNumber(row.amount_collected)
+  };
+}
+
+// Most frequent values of a column, ignoring case and surrounding spaces
+async function topBy(column, range, limit) {
+  const field = Prisma.raw(`"${column}"`);
+  const rows = await prisma.$queryRaw`
+    SELECT
+      MIN(TRIM(${field})) AS name,
+      COUNT(*)::int AS requests,
+      COALESCE(SUM(quantity * rate), 0) AS declared_value,
+      COALESCE(SUM("premiumAmount"), 0) AS premium_amount
+    FROM insurance_requests
+    WHERE ${field} IS NOT NULL AND TRIM(${field}) <> '' AND ${inRange(Prisma.sql`"createdAt"`, range)}
+    GROUP BY LOWER(TRIM(${field}))
+    ORDER BY requests DESC, premium_amount DESC
+    LIMIT ${limit}`;
+
+  return rows.map((row) => ({
+    name: row.name,
+    requests: row.requests,
+    declaredValue: toNumber(row.declared_value),
+    premiumAmount: toNumber(row.premium_amount)
+  }));
+}
+
+async function dailySeries(range) {
+  const [created, approvals, collections] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT ${localDay(Prisma.sql`"createdAt"`)} AS day,
+        COUNT(*)::int AS requests,
+        COALESCE(SUM(quantity * rate), 0) AS declared_value
+      FROM insurance_requests
+      WHERE ${inRange(Prisma.sql`"createdAt"`, range)}
+      GROUP BY 1`,
+    prisma.$queryRaw`
+      SELECT ${localDay(Prisma.sql`"createdAt"`)} AS day,
+        COUNT(DISTINCT "requestId")::int AS approvals
+      FROM request_status_history
+      WHERE "toStatus" = ${REQUEST_STATUS.APPROVED} AND ${inRange(Prisma.sql`"createdAt"`, range)}
+      GROUP BY 1`,
+    prisma.$queryRaw`
+      SELECT ${localDay(PAID_AT)} AS day,
+        COUNT(*)::int AS payments,
+        COALESCE(SUM(r."premiumAmount"), 0) AS premium_collected,
+        COALESCE(SUM(p.amount), 0) AS amount_collected
+      FROM payments p
+      JOIN insurance_requests r ON r.id = p."requestId"
+      WHERE p.status = 'SUCCESS' AND p."reviewReason" IS NULL AND ${inRange(PAID_AT, range)}
+      GROUP BY 1`
+  ]);
+
+  const byDay = (rows) => new Map(rows.map((row) => [row.day, row]));
+  const createdByDay = byDay(created);
+  const approvalsByDay = byDay(approvals);
+  const collectionsByDay = byDay(collections);
+
+  // Every day of the range, including days with no activity
+  return daysBetween(range.from, range.to).map((day) => {
+    const c = createdByDay.get(day);
+    const a = approvalsByDay.get(day);
+    const p = collectionsByDay.get(day);
+    return {
+      date: day,
+      requests: c ? c.requests : 0,
+      declaredValue: c ? toNumber(c.declared_value) : 0,
+      approvals: a ? a.approvals : 0,
+      payments: p ? p.payments : 0,
+      premiumCollected: p ? toNumber(p.premium_collected) : 0,
+      amountCollected: p ? toNumber(p.amount_collected) : 0
+    };
+  });
+}
+
+/**
+ * Dashboard figures for a period
+ *
+ * @param {Object} [params]
+ * @param {string} [params.from] - first day (YYYY-MM-DD, local); default STATS_DEFAULT_DAYS days before `to`
+ * @param {string} [params.to] - last day, inclusive; default today
+ * @param {number} [params.top] - entries per top list
+ * @returns {Promise<Object>}
+ */
+async function getOperationsStats({ from, to, top = STATS_DEFAULT_TOP } = {}) {
+  const range = resolveRange({ from, to });
+  const limit = parseInt(top, 10);
+
+  const [byStatus, summary, collections, commodities, suppliers, transporters, daily] = await Promise.all([
+    countByStatus(range),
+    summarizeRequests(range),
+    summarizeCollections(range),
+    topBy(TOP_COLUMNS.commodities, range, limit),
+    topBy(TOP_COLUMNS.suppliers, range, limit),
+    topBy(TOP_COLUMNS.transporters, range, limit),
+    dailySeries(range)
+  ]);
+
+  return {
+    range: { ...range, timezone: REPORT_TIMEZONE },
+    requests: { ...summary.requests, byStatus },
+    decisions: summary.decisions,
+    collections,
+    turnaround: summary.turnaround,
+    top: { commodities, suppliers, transporters },
+    daily
+  };
+}
+
+module.exports = {
+  STATS_DEFAULT_DAYS,
+  STATS_MAX_DAYS,
+  resolveRange,
+  getOperationsStats
+};
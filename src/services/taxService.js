@@ -0,0 +1,168 @@
+/**
+ * GST on insurance premiums.
+ * Intra-state supply (place of supply in the company's state): CGST + SGST. Otherwise: IGST.
+ */
+
+const GST_RATES = {
+  CGST: parseFloat(process.env.GST_CGST_RATE || '0.09'),
+  SGST: parseFloat(process.env.GST_SGST_RATE || '0.09'),
+  IGST: parseFloat(process.env.GST_IGST_RATE || '0.18')
+};
+
+// State the company is registered in for GST
+const COMPANY_STATE = process.env.INVOICE_COMPANY_STATE || 'Karnataka';
+
+// Towns that name no state but are known to be in the company's state, e.g. "Bengaluru,Hubballi,Davanagere"
+const COMPANY_STATE_PLACES = (process.env.GST_COMPANY_STATE_PLACES || '')
+  .split(',')
+  .map((place) => normalizePlace(place))
+  .filter(Boolean);
+
+// States and union territories, with common alternate spellings
+const INDIAN_STATES = {
+  'Andaman and Nicobar Islands': ['andaman and nicobar', 'andaman & nicobar'],
+  'Andhra Pradesh': [],
+  'Arunachal Pradesh': [],
+  'Assam': [],
+  'Bihar': [],
+  'Chandigarh': [],
+  'Chhattisgarh': ['chattisgarh'],
+  'Dadra and Nagar Haveli and Daman and Diu': ['dadra and nagar haveli', 'daman and diu', 'daman & diu'],
+  'Delhi': ['new delhi', 'nct of delhi'],
+  'Goa': [],
+  'Gujarat': [],
+  'Haryana': [],
+  'Himachal Pradesh': [],
+  'Jammu and Kashmir': ['jammu & kashmir'],
+  'Jharkhand': [],
+  'Karnataka': [],
+  'Kerala': [],
+  'Ladakh': [],
+  'Lakshadweep': [],
+  'Madhya Pradesh': [],
+  'Maharashtra': [],
+  'Manipur': [],
+  'Meghalaya': [],
+  'Mizoram': [],
+  'Nagaland': [],
+  'Odisha': ['orissa'],
+  'Puducherry': ['pondicherry'],
+  'Punjab': [],
+  'Rajasthan': [],
+  'Sikkim': [],
+  'Tamil Nadu': [],
+  'Telangana': [],
+  'Tripura': [],
+  'Uttar Pradesh': [],
+  'Uttarakhand': ['uttaranchal'],
+  'West Bengal': []
+};
+
+function normalizePlace(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z&]+/g, ' ').trim();
+}
+
+function roundCurrency(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * State named in a free-text place ("Hubli, Karnataka" → Karnataka), or null if none is recognised.
+ * Places listed in GST_COMPANY_STATE_PLACES resolve to the company's state.
+ * @param {string} place
+ * @returns {string|null}
+ */
+function resolveState(place) {
+  const normalized = normalizePlace(place);
+  if (!normalized) return null;
+
+  if (COMPANY_STATE_PLACES.includes(normalized)) {
+    return COMPANY_STATE;
+  }
+
+  // Longest names first so "Dadra and Nagar Haveli and Daman and Diu" wins over shorter matches
+  const candidates = Object.entries(INDIAN_STATES)
+    .flatMap(([state, aliases]) => [state, ...aliases].map((name) => ({ state, name: normalizePlace(name) })))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  const padded = ` ${normalized} `;
+  const match = candidates.find(({ name }) => padded.includes(` ${name} `));
+  return match ? match.state : null;
+}
+
+/**
+ * GST on a premium. An unrecognised place of supply is treated as inter-state (IGST).
+ *
+ * @param {number} premiumAmount - taxable value
+ * @param {string} [supplierPlace] - place of supply
+ * @returns {{ placeOfSupply: string|null, intraState: boolean, cgstRate: number|null, cgstAmount: number|null,
+ *   sgstRate: number|null, sgstAmount: number|null, igstRate: number|null, igstAmount: number|null,
+ *   taxAmount: number, totalAmount: number }}
+ */
+function calculateGst(premiumAmount, supplierPlace) {
+  const taxable = Number(premiumAmount);
+  const placeOfSupply = resolveState(supplierPlace);
+  const intraState = placeOfSupply === COMPANY_STATE;
+
+  if (!placeOfSupply && supplierPlace) {
+    console.warn(`⚠️ Could not resolve a state from place of supply "${supplierPlace}"; charging IGST`);
+  }
+
+  const gst = {
+    placeOfSupply,
+    intraState,
+    cgstRate: null,
+    cgstAmount: null,
+    sgstRate: null,
+    sgstAmount: null,
+    igstRate: null,
+    igstAmount: null
+  };
+
+  if (intraState) {
+    gst.cgstRate = GST_RATES.CGST;
+    gst.cgstAmount = roundCurrency(taxable * GST_RATES.CGST);
+    gst.sgstRate = GST_RATES.SGST;
+    gst.sgstAmount = roundCurrency(taxable * GST_RATES.SGST);
+  } else {
+    gst.igstRate = GST_RATES.IGST;
+    gst.igstAmount = roundCurrency(taxable * GST_RATES.IGST);
+  }
+
+  gst.taxAmount = roundCurrency((gst.cgstAmount || 0) + (gst.sgstAmount || 0) + (gst.igstAmount || 0));
+  gst.totalAmount = roundCurrency(taxable + gst.taxAmount);
+  return gst;
+}
+
+/**
+ * Columns to save on InsuranceRequest for a GST result
+ */
+function gstFields(gst) {
+  return {
+    placeOfSupply: gst.placeOfSupply,
+    cgstRate: gst.cgstRate,
+    cgstAmount: gst.cgstAmount,
+    sgstRate: gst.sgstRate,
+    sgstAmount: gst.sgstAmount,
+    igstRate: gst.igstRate,
+    igstAmount: gst.igstAmount,
+    totalAmount: gst.totalAmount
+  };
+}
+
+/**
+ * Amount the customer pays: premium + GST, or the bare premium for requests invoiced before GST
+ * @param {Object} request - InsuranceRequest
+ */
+function getPayableAmount(request) {
+  return Number(request.totalAmount != null ? request.totalAmount : request.premiumAmount || 0);
+}
+
+module.exports = {
+  GST_RATES,
+  COMPANY_STATE,
+  resolveState,
+  calculateGst,
+  gstFields,
+  getPayableAmount
+};
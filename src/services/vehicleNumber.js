@@ -0,0 +1,108 @@
+/**
+ * Indian vehicle registration numbers.
+ * Requests store the canonical form (upper case, no spaces or separators) in vehicleNo so the
+ * vehicleNo index matches however the customer typed it; the text as typed is kept in vehicleNoRaw.
+ *
+ *  - Standard: state code, RTO number, series of up to 3 letters, number of up to 4 digits
+ *    ("KA 01 AB 1234" → KA01AB1234, "DL 1C AA 1111" → DL01CAA1111, "ka-1-ab-5" → KA01AB0005)
+ *    The RTO number ends at a separator or letter as typed ("KA 1 1234" → KA011234). Without one,
+ *    the digits are only split as a 2-digit RTO and 4-digit number ("KA011234"); shorter runs
+ *    such as "KA11234" could be KA 1 1234 or KA 11 234 and are rejected.
+ *  - Bharat series: year of registration, BH, 4 digits, 1–2 letters ("22 BH 1234 AA" → 22BH1234AA)
+ */
+
+// State / union territory codes in use, including retired ones still on older trucks
+const STATE_CODES = [
+  'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ', 'HP', 'HR', 'JH', 'JK',
+  'KA', 'KL', 'LA', 'LD', 'MH', 'ML', 'MN', 'MP', 'MZ', 'NL', 'OD', 'OR', 'PB', 'PY', 'RJ', 'SK',
+  'TG', 'TN', 'TR', 'TS', 'UA', 'UK', 'UP', 'WB'
+];
+
+const SEPARATORS = /[\s\-./_]+/g;
+
+// State code and an RTO number ended by a separator or letter, on the text as typed
+const TYPED_RTO_PATTERN = /^([A-Z]{2})[\s\-./_]*(\d{1,2})(?=[\s\-./_]|[A-Z])/;
+const SERIES_AND_NUMBER_PATTERN = /^([A-Z]{0,3})(\d{1,4})$/;
+// No separator or letter after the RTO number: only the fully padded form is unambiguous
+const UNSEPARATED_PATTERN = /^([A-Z]{2})(\d{2})(\d{4})$/;
+const BH_SERIES_PATTERN = /^(\d{2})BH(\d{4})([A-Z]{1,2})$/;
+
+const VEHICLE_NUMBER_EXAMPLES = 'KA01AB1234 or 22BH1234AA';
+
+/**
+ * State code, RTO, series and number of a standard registration, or null if they cannot be told apart
+ * @param {string} typed - upper case, separators as typed
+ * @param {string} compact - the same without separators
+ */
+function splitStandardNumber(typed, compact) {
+  const rtoMatch = TYPED_RTO_PATTERN.exec(typed);
+  if (rtoMatch) {
+    const rest = SERIES_AND_NUMBER_PATTERN.exec(typed.slice(rtoMatch[0].length).replace(SEPARATORS, ''));
+    if (!rest) return null;
+    return { stateCode: rtoMatch[1], rto: rtoMatch[2], series: rest[1], number: rest[2] };
+  }
+
+  const unseparated = UNSEPARATED_PATTERN.exec(compact);
+  if (!unseparated) return null;
+  return { stateCode: unseparated[1], rto: unseparated[2], series: '', number: unseparated[3] };
+}
+
+/**
+ * Split a registration number into its parts
+ * @param {string} value - as typed, e.g. "ka 01 ab-1234"
+ * @returns {Object|null} { type: 'STANDARD'|'BH', canonical, ... } or null if it is not a valid number
+ */
+function parseVehicleNumber(value) {
+  if (typeof value !== 'string') return null;
+
+  const typed = value.toUpperCase().trim();
+  const compact = typed.replace(SEPARATORS, '');
+
+  const bh = BH_SERIES_PATTERN.exec(compact);
+  if (bh) {
+    const [, year, number, series] = bh;
+    return { type: 'BH', year, number, series, canonical: `${year}BH${number}${series}` };
+  }
+
+  const standard = splitStandardNumber(typed, compact);
+  if (standard) {
+    const { stateCode, rto, series, number } = standard;
+    if (!STATE_CODES.includes(stateCode) || Number(rto) === 0 || Number(number) === 0) {
+      return null;
+    }
+    const rtoCode = rto.padStart(2, '0');
+    const paddedNumber = number.padStart(4, '0');
+    return {
+      type: 'STANDARD',
+      stateCode,
+      rtoCode,
+      series,
+      number: paddedNumber,
+      canonical: `${stateCode}${rtoCode}${series}${paddedNumber}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Canonical form of a registration number, or null if it is not a valid Indian number
+ */
+function normalizeVehicleNumber(value) {
+  const parsed = parseVehicleNumber(value);
+  return parsed ? parsed.canonical : null;
+}
+
+/**
+ * Message for an invalid number, worded for the bot to send to the customer as is
+ */
+function vehicleNumberError(value) {
+  return `"${String(value).trim()}" is not a valid vehicle number. Please send the number on the truck's number plate, e.g. ${VEHICLE_NUMBER_EXAMPLES}.`;
+}
+
+module.exports = {
+  STATE_CODES,
+  parseVehicleNumber,
+  normalizeVehicleNumber,
+  vehicleNumberError
+};
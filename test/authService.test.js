@@ -0,0 +1,69 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BCRYPT_ROUNDS = '4';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const bcrypt = require('bcryptjs');
+const { mockDatabase, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+const { AuthError, hashPassword, login, verifyAccessToken } = requireSource('src/services/authService');
+
+let passwordHash;
+
+beforeEach(async () => {
+  passwordHash = passwordHash || await hashPassword('correct horse');
+  prisma.$reset({
+    user: [
+      { id: 'u1', email: 'admin@example.com', password: passwordHash, name: 'Admin', role: 'ADMIN', isActive: true, tokenVersion: 0 },
+      { id: 'u2', email: 'gone@example.com', password: passwordHash, name: 'Gone', role: 'ADMIN', isActive: false, tokenVersion: 0 }
+    ]
+  });
+});
+
+// Counts bcrypt comparisons made while fn runs
+async function countComparisons(fn) {
+  const compare = bcrypt.compare;
+  let calls = 0;
+  bcrypt.compare = (...args) => {
+    calls += 1;
+    return compare.apply(bcrypt, args);
+  };
+  try {
+    await fn().catch(() => {});
+  } finally {
+    bcrypt.compare = compare;
+  }
+  return calls;
+}
+
+test('login returns a profile and a working token pair', async () => {
+  const { user, tokens } = await login(' Admin@Example.com ', 'correct horse');
+
+  assert.deepEqual(user, { id: 'u1', email: 'admin@example.com', name: 'Admin', role: 'ADMIN' });
+  assert.equal(verifyAccessToken(tokens.accessToken).sub, 'u1');
+  assert.equal(prisma.$tables.refreshToken.length, 1);
+  assert.ok(prisma.$tables.user[0].lastLoginAt instanceof Date);
+});
+
+test('unknown email and wrong password fail the same way', async () => {
+  const unknown = await login('nobody@example.com', 'correct horse').catch((error) => error);
+  const wrong = await login('admin@example.com', 'wrong').catch((error) => error);
+
+  assert.ok(unknown instanceof AuthError);
+  assert.ok(wrong instanceof AuthError);
+  assert.equal(unknown.statusCode, 401);
+  assert.equal(unknown.message, wrong.message);
+});
+
+test('an unknown email still costs a bcrypt comparison', async () => {
+  assert.equal(await countComparisons(() => login('nobody@example.com', 'whatever')), 1);
+  assert.equal(await countComparisons(() => login('admin@example.com', 'whatever')), 1);
+});
+
+test('deactivated accounts are refused after the password check', async () => {
+  await assert.rejects(login('gone@example.com', 'correct horse'), { name: 'AuthError', statusCode: 403 });
+  await assert.rejects(login('gone@example.com', 'wrong'), { name: 'AuthError', statusCode: 401 });
+});
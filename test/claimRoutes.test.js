@@ -0,0 +1,55 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CHATRACE_WEBHOOK_SECRET = 'chatrace-secret';
+
+const { mockDatabase, mockChatrace, requireSource } = require('./helpers/modules');
+const { startApp } = require('./helpers/http');
+
+const prisma = mockDatabase();
+mockChatrace();
+const router = requireSource('src/routes/claims');
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/claims', router);
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  prisma.$reset({
+    claim: [{
+      id: 'claim-1',
+      claimNumber: 'CLM-2026-000001',
+      userId: '916209415125',
+      status: 'SETTLED',
+      claimedAmount: 5000,
+      approvedAmount: 4000,
+      settlementReference: 'UTR123456',
+      createdAt: new Date()
+    }]
+  });
+});
+
+test('the claim status lookup refuses calls without the Chatrace credentials', async () => {
+  for (const headers of [{}, { 'X-Webhook-Token': 'guess' }]) {
+    const res = await fetch(`${app.url}/status/916209415125`, { headers });
+    assert.equal(res.status, 401);
+    const body = await res.json();
+    assert.equal(body.success, false);
+    assert.equal(body.data, undefined);
+  }
+});
+
+test('the claim status lookup answers the bot when it sends its token', async () => {
+  const res = await fetch(`${app.url}/status/916209415125`, { headers: { 'X-Webhook-Token': 'chatrace-secret' } });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.count, 1);
+  assert.equal(body.data[0].claimNumber, 'CLM-2026-000001');
+});
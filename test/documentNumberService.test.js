@@ -0,0 +1,62 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mockDatabase, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+
+const {
+  DOCUMENT_TYPES,
+  getFinancialYear,
+  formatDocumentNumber,
+  allocateDocumentNumber
+} = requireSource('src/services/documentNumberService');
+
+const allocate = (documentType, date) => prisma.$transaction((tx) => allocateDocumentNumber(documentType, { tx, date }));
+
+beforeEach(() => prisma.$reset());
+
+test('the financial year starts on 1 April, India time', () => {
+  assert.equal(getFinancialYear(new Date('2026-04-01T00:00:00+05:30')), 2026);
+  assert.equal(getFinancialYear(new Date('2026-03-31T23:59:59+05:30')), 2025);
+  // 31 March 19:00 UTC is already 1 April in India
+  assert.equal(getFinancialYear(new Date('2026-03-31T19:00:00Z')), 2026);
+  assert.equal(getFinancialYear(new Date('2027-03-31T12:00:00Z')), 2026);
+});
+
+test('numbers carry the type prefix, the year and a six-digit sequence', () => {
+  assert.equal(formatDocumentNumber(DOCUMENT_TYPES.INVOICE, 2026, 364), 'INV-2026-000364');
+  assert.equal(formatDocumentNumber(DOCUMENT_TYPES.CREDIT_NOTE, 2026, 1), 'CN-2026-000001');
+  assert.equal(formatDocumentNumber(DOCUMENT_TYPES.POLICY, 2025, 1234567), 'POL-2025-1234567');
+});
+
+test('each type and financial year has its own gapless series', async () => {
+  const may = new Date('2026-05-10T10:00:00Z');
+  const nextYear = new Date('2027-04-02T10:00:00Z');
+
+  assert.equal(await allocate(DOCUMENT_TYPES.INVOICE, may), 'INV-2026-000001');
+  assert.equal(await allocate(DOCUMENT_TYPES.INVOICE, may), 'INV-2026-000002');
+  assert.equal(await allocate(DOCUMENT_TYPES.CREDIT_NOTE, may), 'CN-2026-000001');
+  assert.equal(await allocate(DOCUMENT_TYPES.INVOICE, nextYear), 'INV-2027-000001');
+  assert.equal(await allocate(DOCUMENT_TYPES.INVOICE, may), 'INV-2026-000003');
+});
+
+test('a number taken in a transaction that fails is handed out again', async () => {
+  const date = new Date('2026-05-10T10:00:00Z');
+  await allocate(DOCUMENT_TYPES.INVOICE, date);
+
+  await assert.rejects(prisma.$transaction(async (tx) => {
+    assert.equal(await allocateDocumentNumber(DOCUMENT_TYPES.INVOICE, { tx, date }), 'INV-2026-000002');
+    throw new Error('approval failed');
+  }));
+
+  assert.equal(await allocate(DOCUMENT_TYPES.INVOICE, date), 'INV-2026-000002');
+});
+
+test('allocation outside a transaction or for an unknown type is refused', async () => {
+  await assert.rejects(allocateDocumentNumber(DOCUMENT_TYPES.INVOICE, {}), {
+    message: 'allocateDocumentNumber must be called inside a transaction'
+  });
+  await assert.rejects(allocate('RECEIPT'), { message: 'Unknown document type: RECEIPT' });
+  assert.equal((prisma.$tables.documentSequence || []).length, 0);
+});
@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ExcelJS = require('exceljs');
+
+process.env.EXPORT_BATCH_SIZE = '2';
+
+const { mockDatabase, requireSource } = require('./helpers/modules');
+const { startApp } = require('./helpers/http');
+
+const prisma = mockDatabase();
+
+const { exportRequests, exportBordereau } = requireSource('src/services/exportService');
+
+const router = express.Router();
+router.get('/requests', (req, res) => exportRequests(res, req.query));
+router.get('/bordereau', (req, res) => exportBordereau(res, req.query));
+
+let app;
+
+before(async () => {
+  app = await startApp('/exports', router);
+});
+
+after(async () => {
+  await app.close();
+});
+
+function policy(id, policyStartDate, overrides = {}) {
+  return {
+    id,
+    userId: '916209415125',
+    status: 'POLICY_ISSUED',
+    itemName: 'Wheat',
+    quantity: 100,
+    rate: 2000,
+    premiumAmount: 400,
+    igstAmount: 72,
+    totalAmount: 472,
+    policyNumber: `POL-2026-${id}`,
+    policyStartDate: new Date(policyStartDate),
+    createdAt: new Date(policyStartDate),
+    ...overrides
+  };
+}
+
+beforeEach(() => prisma.$reset());
+
+test('the request export streams every match across batches as CSV, formulas defused', async () => {
+  prisma.$reset({
+    insuranceRequest: [
+      policy('1', '2026-05-01T10:00:00Z', { partyName: '=HYPERLINK("http://evil")' }),
+      policy('2', '2026-05-02T10:00:00Z', { partyName: 'Sharma, Sons' }),
+      policy('3', '2026-05-03T10:00:00Z', { partyName: 'राम ट्रेडर्स' }),
+      policy('4', '2026-05-04T10:00:00Z', { status: 'REJECTED' })
+    ]
+  });
+
+  const response = await fetch(`${app.url}/requests?status=POLICY_ISSUED&sort=oldest&columns=id,partyName,declaredValue`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="requests-\d{8}-\d{4}\.csv"$/);
+
+  const text = await response.text();
+  assert.deepEqual(text.replace(/^\uFEFF/, '').split('\r\n'), [
+    'Request ID,Party,Declared Value',
+    '1,"\'=HYPERLINK(""http://evil"")",200000',
+    '2,"Sharma, Sons",200000',
+    '3,राम ट्रेडर्स,200000',
+    ''
+  ]);
+});
+
+test('the bordereau lists policies starting on the India days of the period, with totals', async () => {
+  prisma.$reset({
+    insuranceRequest: [
+      // 1 May 00:30 in India
+      policy('a', '2026-04-30T19:00:00Z'),
+      policy('b', '2026-05-15T10:00:00Z', { igstAmount: null, cgstAmount: 36, sgstAmount: 36, status: 'CANCELLED' }),
+      // 31 May 23:59 in India
+      policy('c', '2026-05-31T18:29:00Z'),
+      // 1 June in India
+      policy('d', '2026-05-31T18:30:00Z'),
+      policy('unissued', '2026-05-10T10:00:00Z', { policyNumber: null })
+    ]
+  });
+
+  const response = await fetch(`${app.url}/bordereau?from=2026-05-01&to=2026-05-31`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /filename="bordereau-2026-05-01-to-2026-05-31\.xlsx"/);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(await response.arrayBuffer()));
+  const sheet = workbook.getWorksheet('Bordereau');
+  const rows = [];
+  sheet.eachRow((row) => rows.push(row.values.slice(1)));
+  const column = (header) => rows[0].indexOf(header);
+
+  assert.deepEqual(rows.slice(1, -1).map((row) => row[column('Policy No')]), ['POL-2026-a', 'POL-2026-b', 'POL-2026-c']);
+  assert.equal(rows[2][column('Status')], 'CANCELLED');
+
+  const totals = rows[rows.length - 1];
+  assert.equal(totals[column('Policy No')], 'TOTAL (3 policies)');
+  assert.equal(totals[column('Declared Value (Qty × Rate)')], 600000);
+  assert.equal(totals[column('Premium')], 1200);
+  assert.equal(totals[column('IGST')], 144);
+  assert.equal(totals[column('CGST')], 36);
+  assert.equal(totals[column('Total Tax')], 216);
+  assert.equal(totals[column('Total Charged')], 1416);
+});
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Prisma client, covering the query shapes the services use:
+ * equality / in / not / gt(e) / lt(e) / AND / OR / NOT filters, compound unique keys, select,
+ * aggregate, increment / decrement updates and interactive transactions that run one at a time
+ * and roll back when they throw.
+ * Relations are not modelled (include is ignored, nested writes are dropped).
+ *
+ * client.$tables.<model> is the backing array and client.$reset(seed) empties it again;
+ * client.$state.openTransactions counts running interactive transactions, so tests can assert
+ * what happens outside of them. Raw SQL is not run: set client.$state.rawQuery to a function
+ * (strings, ...values) to answer it.
+ */
+
+// Schema @default values the services rely on (id and createdAt are set for every model)
+const COLUMN_DEFAULTS = {
+  billingDocument: { status: 'ISSUED' }
+};
+
+const OPERATORS = ['equals', 'in', 'notIn', 'not', 'gt', 'gte', 'lt', 'lte', 'contains', 'startsWith', 'endsWith', 'mode'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value) &&
+    !Buffer.isBuffer(value);
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function matchesValue(actual, condition) {
+  if (!isPlainObject(condition)) {
+    return comparable(actual ?? null) === comparable(condition ?? null);
+  }
+
+  const insensitive = condition.mode === 'insensitive';
+  const text = (value) => (insensitive ? String(value).toLowerCase() : String(value));
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case 'equals': return insensitive && actual != null ? text(actual) === text(expected) : matchesValue(actual, expected);
+      case 'in': return expected.some((value) => matchesValue(actual, value));
+      case 'notIn': return !expected.some((value) => matchesValue(actual, value));
+      case 'not': return !matchesValue(actual, expected);
+      case 'gt': return actual != null && comparable(actual) > comparable(expected);
+      case 'gte': return actual != null && comparable(actual) >= comparable(expected);
+      case 'lt': return actual != null && comparable(actual) < comparable(expected);
+      case 'lte': return actual != null && comparable(actual) <= comparable(expected);
+      case 'contains': return actual != null && text(actual).includes(text(expected));
+      case 'startsWith': return actual != null && text(actual).startsWith(text(expected));
+      case 'endsWith': return actual != null && text(actual).endsWith(text(expected));
+      case 'mode': return true;
+      default: throw new Error(`fakePrisma: unsupported filter operator ${operator}`);
+    }
+  });
+}
+
+function matchesWhere(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'AND') return [].concat(condition).every((part) => matchesWhere(row, part));
+    if (key === 'OR') return condition.some((part) => matchesWhere(row, part));
+    if (key === 'NOT') return ![].concat(condition).some((part) => matchesWhere(row, part));
+
+    // Compound unique key, e.g. documentType_financialYear: { documentType, financialYear }
+    if (!(key in row) && isPlainObject(condition) && !Object.keys(condition).some((k) => OPERATORS.includes(k))) {
+      return matchesWhere(row, condition);
+    }
+    return matchesValue(row[key], condition);
+  });
+}
+
+function applySelect(row, select) {
+  if (!row || !select) return row;
+  return Object.fromEntries(Object.keys(select).filter((key) => select[key]).map((key) => [key, row[key]]));
+}
+
+function applyData(row, data) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (isPlainObject(value)) {
+      if ('increment' in value) row[key] = (row[key] || 0) + value.increment;
+      else if ('decrement' in value) row[key] = (row[key] || 0) - value.decrement;
+      else if ('set' in value) row[key] = value.set;
+      // nested relation writes (create / connect) are not modelled
+      else if (!('create' in value || 'connect' in value || 'createMany' in value)) row[key] = value;
+      return;
+    }
+    row[key] = value;
+  });
+  row.updatedAt = new Date();
+  return row;
+}
+
+function sortRows(rows, orderBy) {
+  const orders = [].concat(orderBy || []);
+  return [...rows].sort((a, b) => {
+    for (const order of orders) {
+      const [[field, option]] = Object.entries(order);
+      // { field: 'desc' } or { field: { sort: 'desc', nulls: 'last' } }
+      const { sort: direction, nulls } = isPlainObject(option) ? option : { sort: option };
+      const x = comparable(a[field]);
+      const y = comparable(b[field]);
+      if (x === y) continue;
+      if (x == null || y == null) {
+        // Without `nulls`, Postgres puts nulls last ascending and first descending
+        const nullsLast = nulls ? nulls === 'last' : direction !== 'desc';
+        return (x == null) === nullsLast ? 1 : -1;
+      }
+      const result = x < y ? -1 : 1;
+      return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function createModel(tables, name) {
+  const table = () => {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  };
+  const copy = (row) => (row ? { ...row } : null);
+
+  const model = {
+    async findUnique({ where, select } = {}) {
+      return applySelect(copy(table().find((row) => matchesWhere(row, where))), select);
+    },
+    async findFirst({ where, select, orderBy } = {}) {
+      return applySelect(copy(sortRows(table().filter((row) => matchesWhere(row, where)), orderBy)[0]), select);
+    },
+    async findMany({ where, select, orderBy, take, skip = 0 } = {}) {
+      const rows = sortRows(table().filter((row) => matchesWhere(row, where)), orderBy).slice(skip);
+      return (take != null ? rows.slice(0, take) : rows).map((row) => applySelect(copy(row), select));
+    },
+    async count({ where } = {}) {
+      return table().filter((row) => matchesWhere(row, where)).length;
+    },
+    // _count / _sum / _avg / _min / _max over the matching rows; nulls are skipped like in SQL
+    async aggregate({ where, ...aggregations } = {}) {
+      const rows = table().filter((row) => matchesWhere(row, where));
+      const result = {};
+      for (const [aggregation, fields] of Object.entries(aggregations)) {
+        result[aggregation] = {};
+        for (const field of Object.keys(fields)) {
+          const values = rows.map((row) => row[field]).filter((value) => value != null);
+          const numbers = values.map(Number);
+          const sum = numbers.reduce((total, value) => total + value, 0);
+          result[aggregation][field] = {
+            _count: values.length,
+            _sum: values.length > 0 ? sum : null,
+            _avg: values.length > 0 ? sum / values.length : null,
+            _min: values.length > 0 ? sortRows(values.map((value) => ({ value })), { value: 'asc' })[0].value : null,
+            _max: values.length > 0 ? sortRows(values.map((value) => ({ value })), { value: 'desc' })[0].value : null
+          }[aggregation];
+        }
+      }
+      return result;
+    },
+    async create({ data, select } = {}) {
+      const now = new Date();
+      const row = applyData({ id: crypto.randomUUID(), createdAt: now, ...COLUMN_DEFAULTS[name] }, data);
+      table().push(row);
+      return applySelect(copy(row), select);
+    },
+    async createMany({ data } = {}) {
+      await Promise.all([].concat(data).map((item) => model.create({ data: item })));
+      return { count: [].concat(data).length };
+    },
+    async update({ where, data, select } = {}) {
+      const row = table().find((candidate) => matchesWhere(candidate, where));
+      if (!row) {
+        throw Object.assign(new Error(`fakePrisma: ${name} to update not found`), { code: 'P2025' });
+      }
+      return applySelect(copy(applyData(row, data)), select);
+    },
+    async updateMany({ where, data } = {}) {
+      const rows = table().filter((row) => matchesWhere(row, where));
+      rows.forEach((row) => applyData(row, data));
+      return { count: rows.length };
+    },
+    async upsert({ where, create, update, select } = {}) {
+      const row = table().find((candidate) => matchesWhere(candidate, where));
+      if (row) return applySelect(copy(applyData(row, update)), select);
+      return model.create({ data: create, select });
+    },
+    async delete({ where } = {}) {
+      const index = table().findIndex((row) => matchesWhere(row, where));
+      if (index === -1) {
+        throw Object.assign(new Error(`fakePrisma: ${name} to delete not found`), { code: 'P2025' });
+      }
+      return table().splice(index, 1)[0];
+    },
+    async deleteMany({ where } = {}) {
+      const keep = table().filter((row) => !matchesWhere(row, where));
+      const count = table().length - keep.length;
+      tables[name] = keep;
+      return { count };
+    }
+  };
+  return model;
+}
+
+function cloneTables(tables) {
+  return Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map((row) => ({ ...row }))]));
+}
+
+/**
+ * @param {Object<string, Object[]>} [seed] - initial rows per model, e.g. { insuranceRequest: [{ id: 'r1', ... }] }
+ */
+function createFakePrisma(seed = {}) {
+  const tables = {};
+  const state = { openTransactions: 0, rawQuery: null };
+  const models = {};
+  let queue = Promise.resolve();
+
+  function reset(rowsByModel = {}) {
+    Object.keys(tables).forEach((name) => delete tables[name]);
+    Object.entries(rowsByModel).forEach(([name, rows]) => {
+      tables[name] = rows.map((row) => ({ ...row }));
+    });
+  }
+  reset(seed);
+
+  const client = new Proxy({}, {
+    get(_, prop) {
+      if (prop === '$tables') return tables;
+      if (prop === '$state') return state;
+      if (prop === '$reset') return reset;
+      if (prop === '$connect' || prop === '$disconnect') return async () => {};
+      if (prop === '$transaction') {
+        return async (arg) => {
+          if (Array.isArray(arg)) return Promise.all(arg);
+
+          // One at a time, so a rollback restores only its own writes
+          const previous = queue;
+          let release;
+          queue = new Promise((resolve) => { release = resolve; });
+          await previous;
+
+          const snapshot = cloneTables(tables);
+          state.openTransactions += 1;
+          try {
+            return await arg(client);
+          } catch (error) {
+            Object.keys(tables).forEach((name) => delete tables[name]);
+            Object.assign(tables, snapshot);
+            throw error;
+          } finally {
+            state.openTransactions -= 1;
+            release();
+          }
+        };
+      }
+      if (prop === '$queryRaw' || prop === '$executeRaw') {
+        return async (...query) => {
+          if (!state.rawQuery) throw new Error('fakePrisma: raw SQL is not supported');
+          return state.rawQuery(...query);
+        };
+      }
+      if (typeof prop !== 'string' || prop === 'then') return undefined;
+      if (!models[prop]) models[prop] = createModel(tables, prop);
+      return models[prop];
+    }
+  });
+
+  return client;
+}
+
+module.exports = {
+  createFakePrisma
+};
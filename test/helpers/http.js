@@ -0,0 +1,35 @@
+const express = require('express');
+
+/**
+ * Serve a router the way server.js does (JSON / urlencoded parsing keeping the raw body) on a
+ * random local port. Remember to call close() when done.
+ *
+ * @param {string} mountPath - e.g. /api/insurance
+ * @param {import('express').Router} router
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+function startApp(mountPath, router) {
+  const app = express();
+  const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  app.use(express.json({ verify: keepRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+  app.use(mountPath, router);
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startApp
+};
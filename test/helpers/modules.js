@@ -0,0 +1,78 @@
+const path = require('path');
+const Module = require('module');
+const { createFakePrisma } = require('./fakePrisma');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+function setCached(filename, exports) {
+  const mocked = new Module(filename);
+  mocked.filename = filename;
+  mocked.exports = exports;
+  mocked.loaded = true;
+  require.cache[filename] = mocked;
+}
+
+/**
+ * Put `exports` in the require cache for a repo file, so modules loaded afterwards get it instead.
+ * Call before requiring the module under test.
+ *
+ * @param {string} relativePath - from the repo root, e.g. src/services/chatraceService.js
+ * @param {Object} exports
+ */
+function mockModule(relativePath, exports) {
+  setCached(require.resolve(path.join(ROOT, relativePath)), exports);
+  return exports;
+}
+
+/**
+ * Replace src/config/database.js with an in-memory client (see fakePrisma). @prisma/client is
+ * replaced too, so the tests run without a generated client; raw SQL fragments only record their parts.
+ */
+function mockDatabase(seed) {
+  setCached(require.resolve('@prisma/client', { paths: [ROOT] }), {
+    PrismaClient: class PrismaClient {
+      constructor() {
+        throw new Error('Tests use the in-memory client from test/helpers/fakePrisma');
+      }
+    },
+    Prisma: {
+      sql: (strings, ...values) => ({ strings, values }),
+      raw: (text) => ({ strings: [text], values: [] }),
+      join: (values, separator = ', ') => ({ values, separator }),
+      empty: { strings: [''], values: [] }
+    }
+  });
+  return mockModule('src/config/database.js', createFakePrisma(seed));
+}
+
+/**
+ * Replace the Chatrace client; sent messages are collected in the returned array
+ */
+function mockChatrace() {
+  const sent = [];
+  mockModule('src/services/chatraceService.js', {
+    sendChatraceMessage: async (userId, message, mediaUrl = null) => {
+      sent.push({ userId, message, mediaUrl });
+      return { success: true };
+    },
+    sendTemplateMessage: async (userId, templateName, variables) => {
+      sent.push({ userId, templateName, variables });
+      return { success: true };
+    }
+  });
+  return sent;
+}
+
+/**
+ * require() relative to the repo root
+ */
+function requireSource(relativePath) {
+  return require(path.join(ROOT, relativePath));
+}
+
+module.exports = {
+  mockModule,
+  mockDatabase,
+  mockChatrace,
+  requireSource
+};
@@ -0,0 +1,63 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CHATRACE_WEBHOOK_SECRET = 'chatrace-secret';
+
+const { mockDatabase, mockChatrace, requireSource } = require('./helpers/modules');
+const { startApp } = require('./helpers/http');
+
+const prisma = mockDatabase();
+mockChatrace();
+const router = requireSource('src/routes/insurance');
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/insurance', router);
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  prisma.$reset({
+    insuranceRequest: [{
+      id: 'req-1',
+      userId: '916209415125',
+      status: 'APPROVED',
+      itemName: 'Onion',
+      quantity: 100,
+      paymentLink: 'https://rzp.io/l/abc',
+      createdAt: new Date()
+    }]
+  });
+});
+
+const LOOKUPS = ['/request/req-1', '/status/916209415125'];
+
+test('request lookups refuse calls without the Chatrace credentials', async () => {
+  for (const path of LOOKUPS) {
+    const res = await fetch(`${app.url}${path}`);
+    assert.equal(res.status, 401, path);
+    const body = await res.json();
+    assert.equal(body.success, false);
+    assert.equal(body.data, undefined);
+  }
+});
+
+test('request lookups refuse a wrong token', async () => {
+  for (const path of LOOKUPS) {
+    const res = await fetch(`${app.url}${path}`, { headers: { 'X-Webhook-Token': 'guess' } });
+    assert.equal(res.status, 401, path);
+  }
+});
+
+test('request lookups answer the bot when it sends its token', async () => {
+  for (const path of LOOKUPS) {
+    const res = await fetch(`${app.url}${path}`, { headers: { 'X-Webhook-Token': 'chatrace-secret' } });
+    assert.equal(res.status, 200, path);
+    const body = await res.json();
+    assert.equal(body.data.id, 'req-1');
+  }
+});
@@ -0,0 +1,232 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PREMIUM_FALLBACK_RATE = '0.002';
+
+const { mockDatabase, mockChatrace, mockModule, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+mockChatrace();
+mockModule('src/services/invoicePdfService.js', {
+  generateInvoicePdf: async (request, invoiceNumber) => `${invoiceNumber}.pdf`
+});
+mockModule('src/services/creditNotePdfService.js', {
+  generateCreditNotePdf: async (request, creditNote) => `${creditNote.number}.pdf`
+});
+mockModule('src/services/policyService.js', {
+  PolicyIssuanceError: class PolicyIssuanceError extends Error {},
+  issuePolicy: async () => {}
+});
+mockModule('src/services/kantaParchiService.js', {
+  storeKantaParchi: async () => null,
+  persistRemoteKantaParchi: async () => ({}),
+  removeKantaParchi: async () => {},
+  getKantaParchiUrl: () => null
+});
+
+// Records every provider call together with the number of transactions open at that moment
+const provider = { created: [], cancelled: [], failNext: false, beforeCreate: null };
+mockModule('src/services/payments/index.js', {
+  createPaymentLinkForRequest: async (request, { amount }) => {
+    provider.created.push({ requestId: request.id, amount, openTransactions: prisma.$state.openTransactions });
+    if (provider.beforeCreate) provider.beforeCreate();
+    if (provider.failNext) {
+      provider.failNext = false;
+      throw new Error('Gateway timeout');
+    }
+    return {
+      provider: 'fake',
+      providerReference: `plink_${provider.created.length}`,
+      url: `https://pay.example/plink_${provider.created.length}`,
+      status: 'created',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      raw: {}
+    };
+  },
+  cancelPaymentLink: async (providerName, providerReference) => {
+    provider.cancelled.push(providerReference);
+  }
+});
+
+const { issueInvoice, cancelInvoice, InvoiceError } = requireSource('src/services/invoiceService');
+const { processPaymentEvent } = requireSource('src/services/paymentService');
+const { getFinancialYear } = requireSource('src/services/documentNumberService');
+
+const FY = getFinancialYear();
+
+function pendingRequest(id) {
+  return {
+    id,
+    userId: '916209415125',
+    status: 'PENDING_VERIFICATION',
+    partyName: 'Test Traders',
+    itemName: 'Rice',
+    vehicleNo: 'BR01AB1234',
+    supplierPlace: 'Patna, Bihar',
+    premiumAmount: 100,
+    paymentStatus: 'PENDING'
+  };
+}
+
+const requestById = (id) => prisma.$tables.insuranceRequest.find((row) => row.id === id);
+const invoices = () => (prisma.$tables.billingDocument || []).filter((doc) => doc.type === 'INVOICE');
+
+beforeEach(() => {
+  prisma.$reset({ insuranceRequest: [pendingRequest('req-1'), pendingRequest('req-2'), pendingRequest('req-3')] });
+  Object.assign(provider, { created: [], cancelled: [], failNext: false, beforeCreate: null });
+});
+
+test('approval creates the payment link before any transaction is open', async () => {
+  const approved = await issueInvoice('req-1', { adminId: 'admin-1', notes: 'ok' });
+
+  assert.deepEqual(provider.created, [{ requestId: 'req-1', amount: 118, openTransactions: 0 }]);
+  assert.equal(approved.status, 'APPROVED');
+  assert.equal(approved.invoiceNumber, `INV-${FY}-000001`);
+  assert.equal(approved.paymentLinkId, 'plink_1');
+  assert.equal(Number(approved.totalAmount), 118);
+  assert.deepEqual(invoices().map((doc) => [doc.number, Number(doc.totalAmount)]), [[`INV-${FY}-000001`, 118]]);
+  assert.equal(prisma.$tables.adminAction.length, 1);
+});
+
+test('invoice numbers follow each other', async () => {
+  for (const id of ['req-1', 'req-2', 'req-3']) {
+    await issueInvoice(id, { adminId: 'admin-1' });
+  }
+
+  assert.deepEqual(
+    ['req-1', 'req-2', 'req-3'].map((id) => requestById(id).invoiceNumber),
+    [`INV-${FY}-000001`, `INV-${FY}-000002`, `INV-${FY}-000003`]
+  );
+});
+
+test('a failed payment link leaves the request pending and uses no invoice number', async () => {
+  provider.failNext = true;
+
+  await assert.rejects(issueInvoice('req-1', { adminId: 'admin-1' }), (error) => {
+    assert.ok(error instanceof InvoiceError);
+    assert.equal(error.statusCode, 502);
+    return true;
+  });
+  assert.equal(requestById('req-1').status, 'PENDING_VERIFICATION');
+  assert.equal(invoices().length, 0);
+
+  await issueInvoice('req-2', { adminId: 'admin-1' });
+  assert.equal(requestById('req-2').invoiceNumber, `INV-${FY}-000001`);
+});
+
+test('an approval that fails after the link was created rolls back its number and cancels the link', async () => {
+  // The request is cancelled while the link is being created
+  provider.beforeCreate = () => {
+    requestById('req-1').status = 'CANCELLED';
+  };
+
+  await assert.rejects(issueInvoice('req-1', { adminId: 'admin-1' }), { name: 'RequestLifecycleError' });
+  assert.deepEqual(provider.cancelled, ['plink_1']);
+  assert.equal(requestById('req-1').invoiceNumber, undefined);
+  assert.equal(invoices().length, 0);
+  assert.equal((prisma.$tables.adminAction || []).length, 0);
+
+  provider.beforeCreate = null;
+  await issueInvoice('req-2', { adminId: 'admin-1' });
+  assert.equal(requestById('req-2').invoiceNumber, `INV-${FY}-000001`);
+});
+
+test('an already approved request is refused before a link is created', async () => {
+  await issueInvoice('req-1', { adminId: 'admin-1' });
+
+  await assert.rejects(issueInvoice('req-1', { adminId: 'admin-1' }), { message: 'Request is already APPROVED' });
+  assert.equal(provider.created.length, 1);
+});
+
+test('a late payment on the link of a cancelled invoice does not pay the re-issued invoice', async () => {
+  await issueInvoice('req-1', { adminId: 'admin-1' });
+  const { reissued } = await cancelInvoice('req-1', { adminId: 'admin-1', reason: 'Wrong vehicle', reissue: true });
+  assert.equal(reissued, true);
+  assert.equal(requestById('req-1').paymentLinkId, 'plink_2');
+
+  // Razorpay still finds the request through notes.requestId
+  const result = await processPaymentEvent('razorpay', {
+    type: 'PAYMENT_SUCCEEDED',
+    status: 'SUCCESS',
+    paymentLinkId: 'plink_1',
+    requestId: 'req-1',
+    invoiceNumber: null,
+    transactionId: 'pay_late',
+    amount: 118,
+    raw: {}
+  });
+
+  assert.deepEqual(result, { outcome: 'STALE_LINK', requestId: 'req-1' });
+  assert.equal(requestById('req-1').status, 'APPROVED');
+  assert.equal(requestById('req-1').paymentStatus, 'PENDING');
+  assert.equal(requestById('req-1').invoiceNumber, `INV-${FY}-000002`);
+  assert.equal(prisma.$tables.payment.length, 1);
+  assert.equal(prisma.$tables.payment[0].requestId, 'req-1');
+  assert.match(prisma.$tables.payment[0].reviewReason, /no longer uses \(plink_1\)/);
+});
+
+test('cancelling an unpaid invoice issues a credit note and returns the request to verification', async () => {
+  await issueInvoice('req-1', { adminId: 'admin-1' });
+
+  const result = await cancelInvoice('req-1', { adminId: 'admin-2', reason: 'Wrong vehicle number' });
+
+  assert.equal(result.reissued, false);
+  assert.equal(result.paymentLinkCancelled, true);
+  assert.deepEqual(provider.cancelled, ['plink_1']);
+  assert.equal(result.creditNote.number, `CN-${FY}-000001`);
+  assert.equal(Number(result.creditNote.totalAmount), 118);
+  assert.equal(result.creditNote.originalDocumentId, result.cancelledInvoice.id);
+  assert.equal(result.creditNote.pdfUrl.endsWith(`/invoices/CN-${FY}-000001.pdf`), true);
+  assert.equal(result.cancelledInvoice.status, 'CANCELLED');
+  assert.equal(invoices()[0].status, 'CANCELLED');
+
+  const request = requestById('req-1');
+  assert.equal(request.status, 'PENDING_VERIFICATION');
+  assert.equal(request.invoiceNumber, null);
+  assert.equal(request.paymentLinkId, null);
+  assert.equal(request.totalAmount, null);
+  assert.deepEqual(prisma.$tables.adminAction.map((row) => row.action), ['APPROVED', 'INVOICE_CANCELLED']);
+});
+
+test('a re-issue with a corrected quantity is re-rated and gets the next invoice number', async () => {
+  prisma.$reset({ insuranceRequest: [{ ...pendingRequest('req-1'), quantity: 500, rate: 100 }] });
+  await issueInvoice('req-1', { adminId: 'admin-1' });
+
+  const result = await cancelInvoice('req-1', { adminId: 'admin-1', reason: 'Quantity was 1000', reissue: true, quantity: 1000 });
+
+  assert.equal(result.reissued, true);
+  assert.equal(result.request.status, 'APPROVED');
+  assert.equal(result.request.quantity, 1000);
+  assert.equal(result.request.invoiceNumber, `INV-${FY}-000002`);
+  // No rate table yet, so the 0.2% fallback: 1000 × 100 × 0.2% = 200, plus 18% IGST
+  assert.equal(Number(result.request.premiumAmount), 200);
+  assert.equal(Number(result.request.totalAmount), 236);
+  assert.deepEqual(provider.created.map((call) => call.amount), [118, 236]);
+});
+
+test('a failed re-issue keeps the cancellation and reports the error', async () => {
+  await issueInvoice('req-1', { adminId: 'admin-1' });
+  provider.failNext = true;
+
+  const result = await cancelInvoice('req-1', { adminId: 'admin-1', reason: 'Wrong rate', reissue: true });
+
+  assert.equal(result.reissued, false);
+  assert.match(result.reissueError, /Failed to create payment link/);
+  assert.equal(result.request.status, 'PENDING_VERIFICATION');
+  assert.equal(invoices()[0].status, 'CANCELLED');
+});
+
+test('paid invoices and requests without an invoice cannot be cancelled', async () => {
+  await assert.rejects(cancelInvoice('req-1', { adminId: 'admin-1', reason: 'x' }), { message: /has no invoice to cancel/ });
+
+  await issueInvoice('req-1', { adminId: 'admin-1' });
+  requestById('req-1').status = 'PAID';
+  requestById('req-1').paymentStatus = 'SUCCESS';
+
+  await assert.rejects(cancelInvoice('req-1', { adminId: 'admin-1', reason: 'x' }), (error) => {
+    assert.ok(error instanceof InvoiceError);
+    assert.match(error.message, /Only unpaid invoices can be cancelled/);
+    return true;
+  });
+  assert.equal((prisma.$tables.billingDocument || []).filter((doc) => doc.type === 'CREDIT_NOTE').length, 0);
+});
@@ -0,0 +1,77 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { mockDatabase, mockChatrace, requireSource } = require('./helpers/modules');
+
+mockDatabase();
+mockChatrace();
+
+const PROVIDER_MODULES = [
+  'src/services/payments/index.js',
+  'src/services/payments/fakeProvider.js',
+  'src/services/payments/razorpayProvider.js',
+  'src/routes/payments.js'
+];
+
+const ENV_KEYS = ['PAYMENT_PROVIDER', 'FAKE_PAYMENT_WEBHOOK_SECRET', 'NODE_ENV'];
+const originalEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+// Provider choice and secrets are read when the modules load, so load them again for each environment
+function loadWith(env) {
+  ENV_KEYS.forEach((key) => {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  });
+  PROVIDER_MODULES.forEach((file) => {
+    delete require.cache[require.resolve(path.join(__dirname, '..', file))];
+  });
+  return {
+    payments: requireSource('src/services/payments'),
+    fakeProvider: requireSource('src/services/payments/fakeProvider'),
+    router: requireSource('src/routes/payments')
+  };
+}
+
+function routePaths(router) {
+  return router.stack.filter((layer) => layer.route).map((layer) => layer.route.path);
+}
+
+afterEach(() => {
+  loadWith(originalEnv);
+});
+
+test('without PAYMENT_PROVIDER the real gateway is used, whatever NODE_ENV is', () => {
+  for (const NODE_ENV of [undefined, 'development', 'production']) {
+    const { payments } = loadWith({ NODE_ENV });
+    assert.equal(payments.PAYMENT_PROVIDER, 'razorpay');
+    assert.equal(payments.getPaymentProvider().name, 'razorpay');
+  }
+});
+
+test('the fake checkout route only exists with PAYMENT_PROVIDER=fake', () => {
+  assert.deepEqual(routePaths(loadWith({}).router), ['/webhook']);
+  assert.deepEqual(routePaths(loadWith({ PAYMENT_PROVIDER: 'razorpay' }).router), ['/webhook']);
+  assert.deepEqual(
+    routePaths(loadWith({ PAYMENT_PROVIDER: 'fake', FAKE_PAYMENT_WEBHOOK_SECRET: 's3cret' }).router),
+    ['/webhook', '/fake/:linkId']
+  );
+});
+
+test('the fake provider has no built-in webhook secret', () => {
+  const { fakeProvider } = loadWith({ PAYMENT_PROVIDER: 'fake' });
+  const body = Buffer.from('{"event":"payment.succeeded"}');
+
+  assert.throws(() => fakeProvider.signWebhookBody(body), /FAKE_PAYMENT_WEBHOOK_SECRET is not configured/);
+  assert.throws(() => fakeProvider.verifyWebhookSignature(body, { 'x-fake-signature': 'anything' }));
+});
+
+test('the fake provider verifies signatures made with the configured secret', () => {
+  const { fakeProvider } = loadWith({ PAYMENT_PROVIDER: 'fake', FAKE_PAYMENT_WEBHOOK_SECRET: 's3cret' });
+  const body = Buffer.from('{"event":"payment.succeeded"}');
+  const signature = fakeProvider.signWebhookBody(body);
+
+  assert.equal(fakeProvider.verifyWebhookSignature(body, { 'x-fake-signature': signature }), true);
+  assert.equal(fakeProvider.verifyWebhookSignature(Buffer.from('{}'), { 'x-fake-signature': signature }), false);
+  assert.equal(fakeProvider.verifyWebhookSignature(body, {}), false);
+});
@@ -0,0 +1,214 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'fake-secret';
+
+const { mockDatabase, mockChatrace, mockModule, requireSource } = require('./helpers/modules');
+const { startApp } = require('./helpers/http');
+
+const prisma = mockDatabase();
+const messages = mockChatrace();
+const issuedPolicies = [];
+mockModule('src/services/policyService.js', {
+  PolicyIssuanceError: class PolicyIssuanceError extends Error {},
+  issuePolicy: async (requestId) => {
+    issuedPolicies.push(requestId);
+  }
+});
+
+const { processPaymentEvent } = requireSource('src/services/paymentService');
+const paymentRoutes = requireSource('src/routes/payments');
+
+function approvedRequest(overrides = {}) {
+  return {
+    id: 'req-1',
+    userId: '916209415125',
+    status: 'APPROVED',
+    invoiceNumber: 'INV-2026-000001',
+    premiumAmount: 100,
+    cgstAmount: 9,
+    sgstAmount: 9,
+    totalAmount: 118,
+    paymentProvider: 'fake',
+    paymentLinkId: 'plink_1',
+    paymentStatus: 'PENDING',
+    ...overrides
+  };
+}
+
+function succeeded(overrides = {}) {
+  return {
+    type: 'PAYMENT_SUCCEEDED',
+    status: 'SUCCESS',
+    paymentLinkId: 'plink_1',
+    requestId: null,
+    invoiceNumber: null,
+    transactionId: 'pay_1',
+    amount: 118,
+    raw: {},
+    ...overrides
+  };
+}
+
+function failed(overrides = {}) {
+  return succeeded({ type: 'PAYMENT_FAILED', status: 'FAILED', failureReason: 'Card declined', ...overrides });
+}
+
+const request = () => prisma.$tables.insuranceRequest[0];
+const payments = () => prisma.$tables.payment || [];
+const history = () => prisma.$tables.requestStatusHistory || [];
+
+beforeEach(() => {
+  prisma.$reset({ insuranceRequest: [approvedRequest()] });
+  messages.length = 0;
+  issuedPolicies.length = 0;
+});
+
+test('a full payment marks the request PAID, records it and starts policy issuance', async () => {
+  const result = await processPaymentEvent('fake', succeeded());
+
+  assert.deepEqual(result, { outcome: 'PAID', requestId: 'req-1' });
+  assert.equal(request().status, 'PAID');
+  assert.equal(request().paymentStatus, 'SUCCESS');
+  assert.equal(request().paymentId, 'pay_1');
+  assert.equal(payments().length, 1);
+  assert.equal(payments()[0].reviewReason, null);
+  assert.deepEqual(history().map((row) => [row.fromStatus, row.toStatus, row.source]), [['APPROVED', 'PAID', 'PAYMENT']]);
+  assert.deepEqual(issuedPolicies, ['req-1']);
+  assert.equal(messages.length, 1);
+});
+
+test('a repeated delivery of the same payment changes nothing', async () => {
+  await processPaymentEvent('fake', succeeded());
+  const again = await processPaymentEvent('fake', succeeded());
+
+  assert.equal(again.outcome, 'DUPLICATE');
+  assert.equal(payments().length, 1);
+  assert.equal(history().length, 1);
+  assert.deepEqual(issuedPolicies, ['req-1']);
+});
+
+test('a late failure for a payment that already succeeded is ignored', async () => {
+  await processPaymentEvent('fake', succeeded());
+  const late = await processPaymentEvent('fake', failed());
+
+  assert.equal(late.outcome, 'DUPLICATE');
+  assert.equal(payments()[0].status, 'SUCCESS');
+  assert.equal(request().paymentStatus, 'SUCCESS');
+});
+
+test('a payment of the premium without GST is not accepted as PAID', async () => {
+  const result = await processPaymentEvent('fake', succeeded({ amount: 100 }));
+
+  assert.deepEqual(result, { outcome: 'UNDERPAID', requestId: 'req-1' });
+  assert.equal(request().status, 'APPROVED');
+  assert.equal(request().paymentStatus, 'REVIEW');
+  assert.equal(payments()[0].status, 'SUCCESS');
+  assert.match(payments()[0].reviewReason, /₹100\.00 received, ₹118\.00 payable/);
+  assert.equal(history().length, 0);
+  assert.deepEqual(issuedPolicies, []);
+  assert.equal(messages.length, 0);
+});
+
+test('a payment without a readable amount is held for review', async () => {
+  const result = await processPaymentEvent('fake', succeeded({ amount: NaN }));
+
+  assert.equal(result.outcome, 'UNDERPAID');
+  assert.equal(request().status, 'APPROVED');
+});
+
+test('a payment one paisa short is held, the exact amount is accepted', async () => {
+  assert.equal((await processPaymentEvent('fake', succeeded({ amount: 117.99 }))).outcome, 'UNDERPAID');
+  assert.equal((await processPaymentEvent('fake', succeeded({ transactionId: 'pay_2', amount: 118.0 }))).outcome, 'PAID');
+  assert.equal(request().status, 'PAID');
+});
+
+test('requests invoiced before GST are payable at the bare premium', async () => {
+  prisma.$reset({ insuranceRequest: [approvedRequest({ cgstAmount: null, sgstAmount: null, totalAmount: null })] });
+
+  assert.equal((await processPaymentEvent('fake', succeeded({ amount: 100 }))).outcome, 'PAID');
+});
+
+test('a failed attempt does not clear the review flag of a short payment', async () => {
+  await processPaymentEvent('fake', succeeded({ amount: 50 }));
+  const result = await processPaymentEvent('fake', failed({ transactionId: 'pay_2' }));
+
+  assert.equal(result.outcome, 'NO_CHANGE');
+  assert.equal(request().paymentStatus, 'REVIEW');
+});
+
+test('the first failed attempt moves the request to PAYMENT_PENDING, later ones only update paymentStatus', async () => {
+  assert.equal((await processPaymentEvent('fake', failed())).outcome, 'PAYMENT_FAILED');
+  assert.equal(request().status, 'PAYMENT_PENDING');
+  assert.equal(request().paymentStatus, 'FAILED');
+
+  assert.equal((await processPaymentEvent('fake', failed({ transactionId: 'pay_2' }))).outcome, 'PAYMENT_FAILED');
+  assert.equal(history().length, 1);
+
+  assert.equal((await processPaymentEvent('fake', succeeded({ transactionId: 'pay_3' }))).outcome, 'PAID');
+  assert.equal(request().status, 'PAID');
+});
+
+test('an event matching no request is ignored', async () => {
+  const result = await processPaymentEvent('fake', succeeded({ paymentLinkId: 'plink_unknown' }));
+
+  assert.deepEqual(result, { outcome: 'IGNORED' });
+  assert.equal(payments().length, 0);
+});
+
+test('an expired link marks an unpaid request FAILED but leaves a held payment alone', async () => {
+  const closed = { type: 'LINK_CLOSED', status: 'expired', paymentLinkId: 'plink_1', transactionId: null, raw: {} };
+
+  assert.equal((await processPaymentEvent('fake', closed)).outcome, 'LINK_CLOSED');
+  assert.equal(request().paymentStatus, 'FAILED');
+
+  prisma.$reset({ insuranceRequest: [approvedRequest({ paymentStatus: 'REVIEW' })] });
+  assert.equal((await processPaymentEvent('fake', closed)).outcome, 'NO_CHANGE');
+  assert.equal(request().paymentStatus, 'REVIEW');
+});
+
+test('events for a link the request no longer uses are recorded without touching the request', async () => {
+  const paid = await processPaymentEvent('fake', succeeded({ paymentLinkId: 'plink_old', requestId: 'req-1' }));
+  const failedAttempt = await processPaymentEvent('fake', failed({ paymentLinkId: 'plink_old', requestId: 'req-1', transactionId: 'pay_2' }));
+
+  assert.equal(paid.outcome, 'STALE_LINK');
+  assert.equal(failedAttempt.outcome, 'STALE_LINK');
+  assert.equal(request().status, 'APPROVED');
+  assert.equal(request().paymentStatus, 'PENDING');
+  assert.deepEqual(payments().map((row) => [row.status, Boolean(row.reviewReason)]), [['SUCCESS', true], ['FAILED', false]]);
+  assert.equal(history().length, 0);
+  assert.deepEqual(issuedPolicies, []);
+});
+
+test('without a link id, an event for another invoice number of the request is stale', async () => {
+  const result = await processPaymentEvent('fake', succeeded({ paymentLinkId: null, requestId: 'req-1', invoiceNumber: 'INV-2026-000000' }));
+
+  assert.equal(result.outcome, 'STALE_LINK');
+  assert.equal(request().status, 'APPROVED');
+});
+
+test('money for a request that is no longer payable is recorded without a status change', async () => {
+  prisma.$reset({ insuranceRequest: [approvedRequest({ status: 'CANCELLED' })] });
+
+  const result = await processPaymentEvent('fake', succeeded());
+
+  assert.equal(result.outcome, 'NO_CHANGE');
+  assert.equal(request().status, 'CANCELLED');
+});
+
+test('the fake checkout charges premium + GST', async () => {
+  const app = await startApp('/api/payments', paymentRoutes);
+  try {
+    const res = await fetch(`${app.url}/fake/plink_1`);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.data.outcome, 'PAID');
+    assert.equal(body.data.amount, 118);
+    assert.equal(payments()[0].amount, 118);
+    assert.equal(request().status, 'PAID');
+  } finally {
+    await app.close();
+  }
+});
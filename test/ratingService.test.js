@@ -0,0 +1,143 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PREMIUM_FALLBACK_RATE = '0.002';
+
+const { mockDatabase, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+
+const {
+  MAX_PREMIUM,
+  RATING_BASIS,
+  RatingError,
+  calculatePremium,
+  ratePremium,
+  describeRating,
+  createRateTable
+} = requireSource('src/services/ratingService');
+
+// Relations are plain arrays on the row: the in-memory client ignores include
+function rateTable(overrides = {}) {
+  return {
+    id: 'rt-1',
+    version: 1,
+    effectiveFrom: new Date('2026-04-01T00:00:00Z'),
+    defaultRate: 0.002,
+    minimumPremium: 100,
+    commodityRates: [{ commodity: 'basmati rice', rate: 0.003, minimumPremium: null }],
+    slabs: [
+      { minValue: 0, maxValue: 100000, rate: 0.0025 },
+      { minValue: 100000, maxValue: null, rate: 0.0015 }
+    ],
+    ...overrides
+  };
+}
+
+beforeEach(() => prisma.$reset());
+
+test('a commodity rate wins over slabs and the default, matched case- and space-insensitively', () => {
+  const rating = calculatePremium({ itemName: '  Basmati   RICE ', quantity: 1000, rate: 60 }, rateTable());
+
+  assert.equal(rating.basis, RATING_BASIS.COMMODITY);
+  assert.equal(rating.declaredValue, 60000);
+  assert.equal(rating.premiumRate, 0.003);
+  assert.equal(rating.premiumAmount, 180);
+  assert.equal(rating.rateTableId, 'rt-1');
+  assert.equal(rating.rateTableVersion, 1);
+});
+
+test('the slab containing the declared value applies, its upper bound exclusive', () => {
+  assert.equal(calculatePremium({ itemName: 'Wheat', quantity: 1000, rate: 99.99 }, rateTable()).premiumRate, 0.0025);
+
+  const atBound = calculatePremium({ itemName: 'Wheat', quantity: 1000, rate: 100 }, rateTable());
+  assert.equal(atBound.basis, RATING_BASIS.SLAB);
+  assert.equal(atBound.premiumRate, 0.0015);
+  assert.equal(atBound.premiumAmount, 150);
+});
+
+test('without a matching commodity or slab the default rate applies', () => {
+  const table = rateTable({ slabs: [{ minValue: 500000, maxValue: null, rate: 0.001 }] });
+  const rating = calculatePremium({ itemName: 'Wheat', quantity: 1000, rate: 100 }, table);
+
+  assert.equal(rating.basis, RATING_BASIS.DEFAULT);
+  assert.equal(rating.premiumAmount, 200);
+});
+
+test('the premium is raised to the commodity minimum, else the table minimum', () => {
+  const small = { itemName: 'Wheat', quantity: 10, rate: 100 };
+  const tableMinimum = calculatePremium(small, rateTable());
+  assert.equal(tableMinimum.basis, RATING_BASIS.MINIMUM);
+  assert.equal(tableMinimum.premiumAmount, 100);
+
+  const table = rateTable({ commodityRates: [{ commodity: 'wheat', rate: 0.003, minimumPremium: 250 }] });
+  assert.equal(calculatePremium(small, table).premiumAmount, 250);
+});
+
+test('the premium is rounded to the paisa and capped at the column maximum', () => {
+  assert.equal(calculatePremium({ itemName: 'Wheat', quantity: 3, rate: 33.333 }, rateTable({ minimumPremium: 0 })).premiumAmount, 0.25);
+  assert.equal(calculatePremium({ itemName: 'Wheat', quantity: 1e12, rate: 1e6 }, rateTable()).premiumAmount, MAX_PREMIUM);
+});
+
+test('ratePremium uses the newest table already in force', async () => {
+  prisma.$reset({
+    rateTable: [
+      rateTable(),
+      rateTable({ id: 'rt-2', version: 2, effectiveFrom: new Date('2026-07-01T00:00:00Z'), commodityRates: [], slabs: [], defaultRate: 0.004 }),
+      rateTable({ id: 'rt-3', version: 3, effectiveFrom: new Date('2099-01-01T00:00:00Z'), defaultRate: 0.5 })
+    ]
+  });
+  const consignment = { itemName: 'Wheat', quantity: 1000, rate: 100 };
+
+  assert.equal((await ratePremium(consignment, { at: new Date('2026-08-01T00:00:00Z') })).rateTableId, 'rt-2');
+  assert.equal((await ratePremium(consignment, { at: new Date('2026-05-01T00:00:00Z') })).rateTableId, 'rt-1');
+  assert.equal((await ratePremium(consignment, { at: new Date('2026-08-01T00:00:00Z'), rateTableId: 'rt-1' })).premiumAmount, 150);
+});
+
+test('without any rate table the fallback rate applies with no minimum', async () => {
+  const rating = await ratePremium({ itemName: 'Wheat', quantity: 10, rate: 100 });
+
+  assert.equal(rating.rateTableId, null);
+  assert.equal(rating.premiumRate, 0.002);
+  assert.equal(rating.premiumAmount, 2);
+});
+
+test('describeRating shows the rate, or that the minimum applied', () => {
+  assert.equal(describeRating({ premiumRate: 0.0025, quantity: 1000, rate: 60, premiumAmount: 150, rateTable: { version: 3 } }), '0.25%, rates v3');
+  assert.equal(describeRating({ premiumRate: 0.002, quantity: 10, rate: 100, premiumAmount: 100, rateTable: { version: 3 } }), 'minimum premium, rates v3');
+  assert.equal(describeRating({ premiumRate: null, premiumAmount: 100 }), null);
+});
+
+test('createRateTable adds the next version', async () => {
+  prisma.$reset({ rateTable: [rateTable({ version: 4 })] });
+
+  const created = await createRateTable({
+    effectiveFrom: '2026-10-01',
+    defaultRate: 0.002,
+    commodityRates: [{ commodity: ' Sugar ', rate: 0.004 }],
+    slabs: [{ minValue: 0, maxValue: 50000, rate: 0.003 }]
+  }, 'admin-1');
+
+  assert.equal(created.version, 5);
+  assert.equal(created.createdById, 'admin-1');
+  assert.equal(prisma.$tables.rateTable.length, 2);
+});
+
+test('createRateTable refuses invalid rates, duplicate commodities and overlapping slabs', async () => {
+  const base = { effectiveFrom: '2026-10-01', defaultRate: 0.002 };
+
+  await assert.rejects(createRateTable({ ...base, defaultRate: 2 }), RatingError);
+  await assert.rejects(
+    createRateTable({ ...base, commodityRates: [{ commodity: 'Rice', rate: 0.002 }, { commodity: 'rice ', rate: 0.003 }] }),
+    { message: 'Commodity "rice" is listed twice' }
+  );
+  await assert.rejects(
+    createRateTable({ ...base, slabs: [{ minValue: 0, maxValue: 1000, rate: 0.002 }, { minValue: 500, rate: 0.001 }] }),
+    { message: 'Slabs starting at 0 and 500 overlap' }
+  );
+  await assert.rejects(
+    createRateTable({ ...base, slabs: [{ minValue: 1000, maxValue: 1000, rate: 0.002 }] }),
+    { message: 'Slab starting at 1000 must end above its start' }
+  );
+  assert.equal((prisma.$tables.rateTable || []).length, 0);
+});
@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PREMIUM_FALLBACK_RATE = '0.002';
+delete process.env.RISK_RULES;
+
+const { mockDatabase, mockChatrace, mockModule, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+mockChatrace();
+mockModule('src/services/invoiceService.js', {
+  buildApprovalMessage: () => '',
+  issueInvoice: async () => {}
+});
+
+const { RequestEditError, editPendingRequest } = requireSource('src/services/requestEditService');
+
+// Quoted with rate table v1 (0.25%), risk assessed without a kanta parchi
+function pendingRequest(overrides = {}) {
+  return {
+    id: 'req-1',
+    userId: '916209415125',
+    status: 'PENDING_VERIFICATION',
+    itemName: 'Wheat',
+    quantity: 100,
+    rate: 2000,
+    vehicleNo: 'BR01AB1234',
+    vehicleNoRaw: 'BR 01 AB 1234',
+    partyName: 'Test Traders',
+    transporterName: null,
+    declaredValue: 200000,
+    premiumAmount: 500,
+    premiumRate: 0.0025,
+    rateTableId: 'rt-1',
+    riskScore: 15,
+    riskLevel: 'LOW',
+    editVersion: 0,
+    createdAt: new Date('2026-05-10T10:00:00Z'),
+    ...overrides
+  };
+}
+
+const rateTables = () => [
+  { id: 'rt-1', version: 1, effectiveFrom: new Date('2026-04-01T00:00:00Z'), defaultRate: 0.0025, minimumPremium: 100, commodityRates: [], slabs: [] },
+  { id: 'rt-2', version: 2, effectiveFrom: new Date('2026-06-01T00:00:00Z'), defaultRate: 0.01, minimumPremium: 100, commodityRates: [], slabs: [] }
+];
+
+const edit = (fields, reason) => editPendingRequest('req-1', fields, { adminId: 'admin-1', reason });
+const stored = () => prisma.$tables.insuranceRequest.find((row) => row.id === 'req-1');
+
+beforeEach(() => {
+  prisma.$reset({ insuranceRequest: [pendingRequest()], rateTable: rateTables() });
+});
+
+afterEach(() => {
+  delete process.env.RISK_RULES;
+});
+
+test('a quantity correction re-rates the premium with the quoted rate table and records the diff', async () => {
+  const { request, edit: saved } = await edit({ quantity: 120 }, 'Customer confirmed 120 quintals');
+
+  // 120 × ₹2,000 × 0.25% of rate table v1, not the 1% of the newer v2
+  assert.equal(request.quantity, 120);
+  assert.equal(request.declaredValue, 240000);
+  assert.equal(request.premiumAmount, 600);
+  assert.equal(request.rateTableId, 'rt-1');
+  assert.equal(request.editVersion, 1);
+
+  assert.equal(saved.version, 1);
+  assert.equal(saved.editedById, 'admin-1');
+  assert.equal(saved.reason, 'Customer confirmed 120 quintals');
+  assert.deepEqual(saved.changes, [
+    { field: 'quantity', from: 100, to: 120 },
+    { field: 'declaredValue', from: 200000, to: 240000 },
+    { field: 'premiumAmount', from: 500, to: 600 }
+  ]);
+
+  assert.deepEqual(prisma.$tables.adminAction.map((row) => [row.action, row.reason]), [
+    ['EDITED', 'Edit v1: quantity (Customer confirmed 120 quintals)']
+  ]);
+});
+
+test('every edit gets the next version; text and vehicle corrections keep the premium', async () => {
+  await edit({ quantity: 120 });
+  const { request, edit: second } = await edit({ vehicleNo: 'br-01-ab-9999', partyName: '  New Traders ', transporterName: '' });
+
+  assert.equal(request.editVersion, 2);
+  assert.equal(second.version, 2);
+  assert.equal(request.vehicleNo, 'BR01AB9999');
+  assert.equal(request.premiumAmount, 600);
+  assert.deepEqual(second.changes, [
+    { field: 'vehicleNo', from: 'BR01AB1234', to: 'BR01AB9999' },
+    { field: 'partyName', from: 'Test Traders', to: 'New Traders' },
+    { field: 'vehicleNoRaw', from: 'BR 01 AB 1234', to: 'br-01-ab-9999' }
+  ]);
+  assert.deepEqual(prisma.$tables.requestEdit.map((row) => row.version), [1, 2]);
+});
+
+test('the risk is scored again after an edit', async () => {
+  // Another open request on the corrected vehicle: 35 for the vehicle plus 15 for the missing kanta parchi
+  prisma.$tables.insuranceRequest.push({ id: 'req-2', userId: '919999999999', vehicleNo: 'BR02CD5678', status: 'APPROVED', timestamp: new Date() });
+
+  const { request, edit: saved } = await edit({ vehicleNo: 'BR02CD5678' });
+
+  assert.equal(request.riskScore, 50);
+  assert.equal(request.riskLevel, 'MEDIUM');
+  assert.deepEqual(request.riskRules.map((rule) => rule.code), ['VEHICLE_INSURED_RECENTLY', 'MISSING_KANTA_PARCHI']);
+  assert.deepEqual(saved.changes.slice(-2), [
+    { field: 'riskScore', from: 15, to: 50 },
+    { field: 'riskLevel', from: 'LOW', to: 'MEDIUM' }
+  ]);
+});
+
+test('values that do not change anything leave the request alone', async () => {
+  const result = await edit({ quantity: '100', vehicleNo: 'BR-01-AB-1234', partyName: 'Test Traders ' });
+
+  assert.equal(result.edit, null);
+  assert.equal(stored().editVersion, 0);
+  assert.equal((prisma.$tables.requestEdit || []).length, 0);
+});
+
+test('only pending requests can be edited', async () => {
+  stored().status = 'APPROVED';
+  await assert.rejects(edit({ quantity: 120 }), (error) => {
+    assert.ok(error instanceof RequestEditError);
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.message, 'Only requests awaiting verification can be edited; this one is APPROVED');
+    return true;
+  });
+
+  await assert.rejects(editPendingRequest('missing', { quantity: 1 }, { adminId: 'admin-1' }), { statusCode: 404 });
+});
+
+test('of two edits made at the same time, the second is refused and nothing of it is saved', async () => {
+  const results = await Promise.allSettled([edit({ quantity: 120 }), edit({ quantity: 150 })]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].status, 'rejected');
+  assert.equal(results[1].reason.statusCode, 409);
+  assert.equal(stored().quantity, 120);
+  assert.equal(stored().editVersion, 1);
+  assert.equal(prisma.$tables.requestEdit.length, 1);
+});
@@ -0,0 +1,140 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mockDatabase, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+
+const {
+  REQUEST_STATUS,
+  STATUS_CHANGE_SOURCE,
+  RequestLifecycleError,
+  canTransition,
+  getAllowedSourceStatuses,
+  transitionStatus
+} = requireSource('src/services/requestLifecycle');
+
+const request = () => prisma.$tables.insuranceRequest[0];
+const history = () => prisma.$tables.requestStatusHistory || [];
+
+function seed(status, extra = {}) {
+  prisma.$reset({ insuranceRequest: [{ id: 'req-1', status, paymentStatus: 'PENDING', ...extra }] });
+}
+
+beforeEach(() => seed(REQUEST_STATUS.PENDING_VERIFICATION));
+
+test('the happy path runs from verification to policy', () => {
+  const path = ['PENDING_VERIFICATION', 'APPROVED', 'PAYMENT_PENDING', 'PAID', 'POLICY_ISSUED'];
+  path.slice(1).forEach((toStatus, index) => {
+    assert.ok(canTransition(path[index], toStatus), `${path[index]} → ${toStatus}`);
+  });
+  assert.ok(canTransition('APPROVED', 'PAID'));
+});
+
+test('closed and paid requests cannot go back', () => {
+  for (const status of ['POLICY_ISSUED', 'CANCELLED', 'EXPIRED']) {
+    Object.values(REQUEST_STATUS).forEach((toStatus) => assert.equal(canTransition(status, toStatus), false));
+  }
+  assert.equal(canTransition('PAID', 'PENDING_VERIFICATION'), false);
+  assert.equal(canTransition('PAID', 'CANCELLED'), false);
+  assert.equal(canTransition('UNKNOWN', 'APPROVED'), false);
+});
+
+test('only unpaid invoices and rejections return to verification', () => {
+  assert.deepEqual(getAllowedSourceStatuses('PENDING_VERIFICATION').sort(), ['APPROVED', 'PAYMENT_PENDING', 'REJECTED']);
+  assert.deepEqual(getAllowedSourceStatuses('PAID').sort(), ['APPROVED', 'PAYMENT_PENDING']);
+});
+
+test('a transition updates the request and records who made it', async () => {
+  const updated = await transitionStatus('req-1', REQUEST_STATUS.APPROVED, {
+    changedById: 'admin-1',
+    source: STATUS_CHANGE_SOURCE.ADMIN,
+    reason: 'Documents checked',
+    data: { adminId: 'admin-1' }
+  });
+
+  assert.equal(updated.status, 'APPROVED');
+  assert.equal(updated.adminId, 'admin-1');
+  assert.deepEqual(
+    history().map(({ fromStatus, toStatus, changedById, source, reason }) => ({ fromStatus, toStatus, changedById, source, reason })),
+    [{ fromStatus: 'PENDING_VERIFICATION', toStatus: 'APPROVED', changedById: 'admin-1', source: 'ADMIN', reason: 'Documents checked' }]
+  );
+  assert.equal(prisma.$state.openTransactions, 0);
+});
+
+test('the source defaults to SYSTEM', async () => {
+  await transitionStatus('req-1', REQUEST_STATUS.EXPIRED);
+
+  assert.equal(history()[0].source, 'SYSTEM');
+  assert.equal(history()[0].changedById, null);
+});
+
+test('a disallowed transition is refused with the current status and changes nothing', async () => {
+  seed(REQUEST_STATUS.PAID);
+
+  await assert.rejects(transitionStatus('req-1', REQUEST_STATUS.CANCELLED, { data: { adminId: 'admin-1' } }), (error) => {
+    assert.ok(error instanceof RequestLifecycleError);
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.currentStatus, 'PAID');
+    assert.equal(error.message, 'Cannot move request from PAID to CANCELLED');
+    return true;
+  });
+  assert.equal(request().status, 'PAID');
+  assert.equal(request().adminId, undefined);
+  assert.equal(history().length, 0);
+});
+
+test('moving to the current status reports that it is already there', async () => {
+  seed(REQUEST_STATUS.APPROVED);
+
+  await assert.rejects(transitionStatus('req-1', REQUEST_STATUS.APPROVED), { message: 'Request is already APPROVED' });
+});
+
+test('from narrows the statuses the request may be in', async () => {
+  seed(REQUEST_STATUS.PAYMENT_PENDING);
+
+  await assert.rejects(
+    transitionStatus('req-1', REQUEST_STATUS.PENDING_VERIFICATION, { from: REQUEST_STATUS.APPROVED }),
+    { currentStatus: 'PAYMENT_PENDING' }
+  );
+  await transitionStatus('req-1', REQUEST_STATUS.PENDING_VERIFICATION, { from: ['APPROVED', 'PAYMENT_PENDING'] });
+  assert.equal(request().status, 'PENDING_VERIFICATION');
+});
+
+test('a missing request is a 404 and an unknown status a programming error', async () => {
+  await assert.rejects(transitionStatus('req-missing', REQUEST_STATUS.APPROVED), { statusCode: 404 });
+  await assert.rejects(transitionStatus('req-1', 'ARCHIVED'), { message: 'Unknown request status: ARCHIVED' });
+});
+
+test('a status changed by someone else in the meantime makes the transition fail with 409', async () => {
+  // Another writer moves the request between the read and the conditional update
+  const tx = new Proxy(prisma, {
+    get(target, prop) {
+      if (prop !== 'insuranceRequest') return target[prop];
+      return {
+        findUnique: (args) => target.insuranceRequest.findUnique(args),
+        updateMany: async (args) => {
+          request().status = REQUEST_STATUS.CANCELLED;
+          return target.insuranceRequest.updateMany(args);
+        }
+      };
+    }
+  });
+
+  await assert.rejects(transitionStatus('req-1', REQUEST_STATUS.APPROVED, { tx }), (error) => {
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.currentStatus, 'CANCELLED');
+    return true;
+  });
+  assert.equal(history().length, 0);
+});
+
+test('inside a caller transaction a later failure rolls the transition back', async () => {
+  await assert.rejects(prisma.$transaction(async (tx) => {
+    await transitionStatus('req-1', REQUEST_STATUS.APPROVED, { tx });
+    throw new Error('invoice failed');
+  }), { message: 'invoice failed' });
+
+  assert.equal(request().status, 'PENDING_VERIFICATION');
+  assert.equal(history().length, 0);
+});
@@ -0,0 +1,118 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mockDatabase, mockChatrace, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+mockChatrace();
+
+const {
+  REPORT_TIMEZONE,
+  dateRange,
+  startOfDay,
+  decodeCursor,
+  searchRequests,
+  buildRequestWhere
+} = requireSource('src/services/requestSearch');
+const { validateRequestSearch } = requireSource('src/middleware/validation');
+
+function request(id, overrides = {}) {
+  return {
+    id,
+    userId: '916209415125',
+    status: 'PENDING_VERIFICATION',
+    vehicleNo: 'BR01AB1234',
+    createdAt: new Date('2026-05-10T10:00:00Z'),
+    riskScore: null,
+    ...overrides
+  };
+}
+
+async function validationErrors(query) {
+  const req = { query };
+  for (const chain of validateRequestSearch) {
+    await chain.run(req);
+  }
+  return require('express-validator').validationResult(req).array().map((error) => error.msg);
+}
+
+beforeEach(() => prisma.$reset());
+
+test('a date without a time is a calendar day in India', () => {
+  assert.equal(REPORT_TIMEZONE, 'Asia/Kolkata');
+  assert.equal(startOfDay('2026-05-10').toISOString(), '2026-05-09T18:30:00.000Z');
+  assert.equal(startOfDay('2026-05-31', 1).toISOString(), '2026-05-31T18:30:00.000Z');
+
+  assert.deepEqual(dateRange('2026-05-01', '2026-05-31'), {
+    gte: new Date('2026-04-30T18:30:00Z'),
+    lt: new Date('2026-05-31T18:30:00Z')
+  });
+  // Date-times are taken as given
+  assert.deepEqual(dateRange('2026-05-01T00:00:00Z', '2026-05-31T12:00:00Z'), {
+    gte: new Date('2026-05-01T00:00:00Z'),
+    lte: new Date('2026-05-31T12:00:00Z')
+  });
+  assert.equal(dateRange(undefined, undefined), null);
+});
+
+test('createdFrom / createdTo match requests by their India date', async () => {
+  prisma.$reset({
+    insuranceRequest: [
+      // 10 May 23:30 in India
+      request('late-evening', { createdAt: new Date('2026-05-10T18:00:00Z') }),
+      // 11 May 00:30 in India, still 10 May in UTC
+      request('after-midnight', { createdAt: new Date('2026-05-10T19:00:00Z') }),
+      request('morning', { createdAt: new Date('2026-05-10T03:00:00Z') })
+    ]
+  });
+
+  const tenth = await searchRequests({ createdFrom: '2026-05-10', createdTo: '2026-05-10', sort: 'oldest' });
+  assert.deepEqual(tenth.data.map((row) => row.id), ['morning', 'late-evening']);
+
+  const eleventh = await searchRequests({ createdFrom: '2026-05-11' });
+  assert.deepEqual(eleventh.data.map((row) => row.id), ['after-midnight']);
+});
+
+test('pages follow each other through nextCursor without gaps or repeats', async () => {
+  prisma.$reset({
+    insuranceRequest: [
+      request('a', { riskScore: 80 }),
+      request('b', { riskScore: 50 }),
+      request('c', { riskScore: 50 }),
+      request('d', { riskScore: null }),
+      request('e', { riskScore: 10 })
+    ]
+  });
+
+  const ids = [];
+  let cursor;
+  do {
+    const page = await searchRequests({ sort: 'risk', limit: 2, ...(cursor ? { cursor } : {}) });
+    assert.equal(page.total, 5);
+    ids.push(...page.data.map((row) => row.id));
+    cursor = page.nextCursor;
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      assert.equal(decoded.id, page.data[page.data.length - 1].id);
+    }
+  } while (cursor);
+
+  // Highest risk first, equal scores by id, unscored last
+  assert.deepEqual(ids, ['a', 'c', 'b', 'e', 'd']);
+});
+
+test('a tampered or foreign cursor is refused', async () => {
+  const forged = Buffer.from(JSON.stringify({ v: 50 })).toString('base64url');
+  for (const cursor of ['not-a-cursor', forged, Buffer.from('null').toString('base64url')]) {
+    assert.equal(decodeCursor(cursor), null, cursor);
+    assert.deepEqual(await validationErrors({ cursor }), ['cursor is invalid; pass the nextCursor of the previous page']);
+  }
+
+  const valid = Buffer.from(JSON.stringify({ v: 50, id: 'b' })).toString('base64url');
+  assert.deepEqual(decodeCursor(valid), { v: 50, id: 'b' });
+  assert.deepEqual(await validationErrors({ cursor: valid }), []);
+});
+
+test('vehicle numbers are matched on their compact form', () => {
+  assert.deepEqual(buildRequestWhere({ vehicleNo: 'br 01-ab' }), { AND: [{ vehicleNo: { contains: 'BR01AB' } }] });
+});
@@ -0,0 +1,129 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mockDatabase, mockChatrace, mockModule, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+const sent = mockChatrace();
+
+// Approval itself is covered by invoiceService.test.js; here it only has to move the request on or fail
+const invoicing = { issued: [], failures: {} };
+mockModule('src/services/invoiceService.js', {
+  buildApprovalMessage: (request) => `Approved ${request.invoiceNumber}`,
+  issueInvoice: async (requestId, { adminId }) => {
+    if (invoicing.failures[requestId]) throw invoicing.failures[requestId];
+    const row = prisma.$tables.insuranceRequest.find((request) => request.id === requestId);
+    Object.assign(row, { status: 'APPROVED', adminId, invoiceNumber: `INV-${requestId}`, totalAmount: 118 });
+    invoicing.issued.push(requestId);
+    return { ...row };
+  }
+});
+
+const { RequestLifecycleError } = requireSource('src/services/requestLifecycle');
+const { approveMany, rejectMany } = requireSource('src/services/reviewService');
+const { bulkApproveRequests, bulkRejectRequests } = requireSource('src/controllers/adminController');
+
+function request(id, status = 'PENDING_VERIFICATION') {
+  return { id, userId: `91620941512${id.slice(-1)}`, status };
+}
+
+const statusOf = (id) => prisma.$tables.insuranceRequest.find((row) => row.id === id).status;
+
+function response() {
+  return {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+beforeEach(() => {
+  prisma.$reset({
+    insuranceRequest: [request('req-1'), request('req-2', 'APPROVED'), request('req-3'), request('req-4', 'PAID')]
+  });
+  Object.assign(invoicing, { issued: [], failures: {} });
+  sent.length = 0;
+});
+
+test('bulk approval approves the pending requests and reports the others per request, in order', async () => {
+  const report = await approveMany(['req-1', 'req-2', 'missing', 'req-3', 'req-1'], { adminId: 'admin-1' });
+
+  assert.deepEqual(report.summary, { requested: 4, succeeded: 2, failed: 2 });
+  assert.deepEqual(report.results.map(({ requestId, success, statusCode, message }) => ({ requestId, success, statusCode, message })), [
+    { requestId: 'req-1', success: true, statusCode: undefined, message: undefined },
+    { requestId: 'req-2', success: false, statusCode: 400, message: 'Request is already APPROVED' },
+    { requestId: 'missing', success: false, statusCode: 404, message: 'Insurance request not found' },
+    { requestId: 'req-3', success: true, statusCode: undefined, message: undefined }
+  ]);
+  assert.deepEqual(report.results[0], {
+    requestId: 'req-1',
+    success: true,
+    status: 'APPROVED',
+    invoiceNumber: 'INV-req-1',
+    totalAmount: 118,
+    paymentLink: undefined,
+    messageSent: true
+  });
+
+  // The request in the wrong state is not touched
+  assert.deepEqual(invoicing.issued, ['req-1', 'req-3']);
+  assert.equal(statusOf('req-2'), 'APPROVED');
+  assert.deepEqual(sent.map((message) => message.message), ['Approved INV-req-1', 'Approved INV-req-3']);
+});
+
+test('a failing approval does not stop the others', async () => {
+  invoicing.failures['req-1'] = new RequestLifecycleError('Request status changed concurrently (now CANCELLED); please retry', 409, 'CANCELLED');
+  invoicing.failures['req-3'] = new Error('PDF renderer crashed');
+
+  prisma.$tables.insuranceRequest.push(request('req-5'));
+  const report = await approveMany(['req-1', 'req-3', 'req-5'], { adminId: 'admin-1' });
+
+  assert.deepEqual(report.summary, { requested: 3, succeeded: 1, failed: 2 });
+  assert.equal(report.results[0].statusCode, 409);
+  assert.match(report.results[0].message, /changed concurrently/);
+  // Unexpected errors are not passed on to the client
+  assert.equal(report.results[1].statusCode, 500);
+  assert.equal(report.results[1].message, 'Failed to approve request');
+  assert.equal(report.results[2].success, true);
+});
+
+test('bulk rejection rejects the pending requests, with a history row and admin action each', async () => {
+  const report = await rejectMany(['req-1', 'req-4', 'req-3'], { adminId: 'admin-1', reason: 'Illegible kanta parchi' });
+
+  assert.deepEqual(report.summary, { requested: 3, succeeded: 2, failed: 1 });
+  assert.deepEqual(report.results, [
+    { requestId: 'req-1', success: true, status: 'REJECTED', messageSent: true },
+    { requestId: 'req-4', success: false, statusCode: 400, message: 'Request is already PAID' },
+    { requestId: 'req-3', success: true, status: 'REJECTED', messageSent: true }
+  ]);
+
+  assert.deepEqual(['req-1', 'req-3', 'req-4'].map(statusOf), ['REJECTED', 'REJECTED', 'PAID']);
+  assert.deepEqual(prisma.$tables.requestStatusHistory.map((row) => [row.requestId, row.toStatus]), [['req-1', 'REJECTED'], ['req-3', 'REJECTED']]);
+  assert.deepEqual(prisma.$tables.adminAction.map((row) => [row.requestId, row.action, row.reason]), [
+    ['req-1', 'REJECTED', 'Illegible kanta parchi'],
+    ['req-3', 'REJECTED', 'Illegible kanta parchi']
+  ]);
+  assert.match(sent[0].message, /Reason: Illegible kanta parchi/);
+});
+
+test('the endpoints answer 207 when some requests failed and 200 when all succeeded', async () => {
+  const partial = response();
+  await bulkRejectRequests({ body: { requestIds: ['req-1', 'req-2'], rejectionReason: 'Duplicate' }, admin: { id: 'admin-1' } }, partial);
+
+  assert.equal(partial.statusCode, 207);
+  assert.equal(partial.body.success, false);
+  assert.equal(partial.body.message, '1 of 2 request(s) rejected');
+  assert.deepEqual(partial.body.results.map((result) => result.success), [true, false]);
+
+  const complete = response();
+  await bulkApproveRequests({ body: { requestIds: ['req-3'] }, admin: { id: 'admin-1' } }, complete);
+
+  assert.equal(complete.statusCode, 200);
+  assert.equal(complete.body.success, true);
+  assert.deepEqual(complete.body.summary, { requested: 1, succeeded: 1, failed: 0 });
+});
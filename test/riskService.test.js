@@ -0,0 +1,221 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RISK_AUTO_APPROVE_ENABLED = 'true';
+process.env.RISK_AUTO_APPROVE_MAX_SCORE = '10';
+process.env.RISK_AUTO_APPROVE_MAX_PREMIUM = '500';
+delete process.env.RISK_MEDIUM_SCORE;
+delete process.env.RISK_HIGH_SCORE;
+delete process.env.RISK_RULES;
+
+const { mockDatabase, mockChatrace, mockModule, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+mockChatrace();
+const approvals = [];
+mockModule('src/services/invoiceService.js', {
+  buildApprovalMessage: () => 'Approved',
+  issueInvoice: async (requestId, options) => {
+    approvals.push({ requestId, ...options });
+    return { id: requestId, userId: '916209415125', status: 'APPROVED' };
+  }
+});
+
+const {
+  RISK_LEVEL,
+  assessRisk,
+  riskFields,
+  isAutoApprovable,
+  autoApproveIfLowRisk
+} = requireSource('src/services/riskService');
+const { getPendingRequests } = requireSource('src/controllers/adminController');
+
+const NOW = new Date();
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+// A request no rule fires on: weighment slip sent, ordinary rate and value, no other request on the vehicle
+function consignment(overrides = {}) {
+  return {
+    userId: '916209415125',
+    itemName: 'Wheat',
+    quantity: 100,
+    rate: 2500,
+    vehicleNo: 'BR01AB1234',
+    kantaParchiImage: 'kanta/slip.jpg',
+    timestamp: NOW,
+    ...overrides
+  };
+}
+
+// Five recent wheat requests of other customers at ₹2,000
+function typicalWheat() {
+  return [1, 2, 3, 4, 5].map((n) => ({
+    id: `wheat-${n}`,
+    userId: `91900000000${n}`,
+    itemName: 'wheat',
+    rate: 2000,
+    vehicleNo: `BR02CD000${n}`,
+    status: 'PAID',
+    timestamp: daysAgo(n),
+    createdAt: daysAgo(n)
+  }));
+}
+
+const codes = (assessment) => assessment.rules.map((rule) => rule.code);
+
+beforeEach(() => {
+  prisma.$reset({ insuranceRequest: typicalWheat() });
+  approvals.length = 0;
+});
+
+afterEach(() => {
+  delete process.env.RISK_RULES;
+});
+
+test('a request no rule fires on scores 0, LOW', async () => {
+  const assessment = await assessRisk(consignment());
+
+  assert.deepEqual(assessment.rules, []);
+  assert.equal(assessment.score, 0);
+  assert.equal(assessment.level, RISK_LEVEL.LOW);
+});
+
+test('each rule fires on its own signal', async () => {
+  assert.deepEqual(codes(await assessRisk(consignment({ kantaParchiImage: null }))), ['MISSING_KANTA_PARCHI']);
+
+  // 1.5× the typical ₹2,000 is the limit
+  assert.deepEqual(codes(await assessRisk(consignment({ rate: 3000 }))), []);
+  const aboveTypical = await assessRisk(consignment({ itemName: ' WHEAT ', rate: 3001 }));
+  assert.deepEqual(codes(aboveTypical), ['VALUE_ABOVE_TYPICAL_RATE']);
+  assert.match(aboveTypical.rules[0].detail, /1\.5× the typical ₹2000\.00 for  WHEAT  \(5 requests\)/);
+
+  prisma.$tables.insuranceRequest.push({ id: 'other', userId: '919999999999', vehicleNo: 'BR01AB1234', status: 'APPROVED', timestamp: new Date(NOW.getTime() - 3 * 60 * 60 * 1000) });
+  const vehicle = await assessRisk(consignment());
+  assert.deepEqual(codes(vehicle), ['VEHICLE_INSURED_RECENTLY']);
+  assert.equal(vehicle.rules[0].detail, 'Vehicle BR01AB1234 is also on request other from another customer within 24 hours');
+
+  // A new customer: 200 × ₹2,500 = ₹5,00,000 is large cargo
+  const newCustomer = consignment({ userId: '918888888888', vehicleNo: 'BR03EF1111', quantity: 200 });
+  assert.deepEqual(codes(await assessRisk(newCustomer)), ['NEW_USER_LARGE_CARGO']);
+  prisma.$tables.insuranceRequest.push({ id: 'earlier', userId: '918888888888', vehicleNo: 'BR09ZZ0001', status: 'PAID' });
+  assert.deepEqual(codes(await assessRisk(newCustomer)), []);
+});
+
+test('rules do not fire on too little history, closed requests or the request itself', async () => {
+  prisma.$reset({ insuranceRequest: typicalWheat().slice(0, 4) });
+  assert.deepEqual(codes(await assessRisk(consignment({ rate: 4000 }))), []);
+
+  prisma.$reset({
+    insuranceRequest: [
+      { id: 'rejected', userId: '919999999999', vehicleNo: 'BR01AB1234', status: 'REJECTED', timestamp: NOW },
+      { id: 'last-week', userId: '919999999999', vehicleNo: 'BR01AB1234', status: 'PAID', timestamp: daysAgo(7) },
+      { id: 'self', ...consignment(), status: 'PENDING_VERIFICATION' }
+    ]
+  });
+  assert.deepEqual(codes(await assessRisk({ id: 'self', ...consignment() })), []);
+});
+
+test('the score is the sum of the weights, capped at 100', async () => {
+  prisma.$tables.insuranceRequest.push({ id: 'other', userId: '919999999999', vehicleNo: 'BR01AB1234', status: 'APPROVED', timestamp: NOW });
+
+  const two = await assessRisk(consignment({ kantaParchiImage: null }));
+  assert.deepEqual(two.rules.map((rule) => rule.weight), [35, 15]);
+  assert.equal(two.score, 50);
+  assert.equal(two.level, RISK_LEVEL.MEDIUM);
+
+  // 30 + 35 + 15 + 25 = 105
+  const all = await assessRisk(consignment({ userId: '918888888888', quantity: 200, rate: 3500, kantaParchiImage: null }));
+  assert.deepEqual(codes(all), ['VALUE_ABOVE_TYPICAL_RATE', 'VEHICLE_INSURED_RECENTLY', 'MISSING_KANTA_PARCHI', 'NEW_USER_LARGE_CARGO']);
+  assert.equal(all.score, 100);
+  assert.equal(all.level, RISK_LEVEL.HIGH);
+});
+
+test('the level is MEDIUM from 30 and HIGH from 60', async () => {
+  const levelAt = async (weight) => {
+    process.env.RISK_RULES = JSON.stringify({ MISSING_KANTA_PARCHI: { weight } });
+    const { score, level } = await assessRisk(consignment({ kantaParchiImage: null }));
+    assert.equal(score, weight);
+    return level;
+  };
+
+  assert.equal(await levelAt(29), RISK_LEVEL.LOW);
+  assert.equal(await levelAt(30), RISK_LEVEL.MEDIUM);
+  assert.equal(await levelAt(59), RISK_LEVEL.MEDIUM);
+  assert.equal(await levelAt(60), RISK_LEVEL.HIGH);
+});
+
+test('RISK_RULES changes weights and parameters and switches rules off, on every call', async () => {
+  const request = consignment({ rate: 2800, kantaParchiImage: null });
+  assert.deepEqual(codes(await assessRisk(request)), ['MISSING_KANTA_PARCHI']);
+
+  process.env.RISK_RULES = JSON.stringify({
+    VALUE_ABOVE_TYPICAL_RATE: { weight: 40, factor: 1.2 },
+    MISSING_KANTA_PARCHI: { enabled: false }
+  });
+  const overridden = await assessRisk(request);
+  assert.deepEqual(overridden.rules.map(({ code, weight }) => [code, weight]), [['VALUE_ABOVE_TYPICAL_RATE', 40]]);
+  assert.equal(overridden.level, RISK_LEVEL.MEDIUM);
+
+  // Invalid JSON falls back to the defaults
+  process.env.RISK_RULES = '{not json';
+  assert.deepEqual((await assessRisk(request)).rules.map(({ code, weight }) => [code, weight]), [['MISSING_KANTA_PARCHI', 15]]);
+});
+
+test('riskFields maps an assessment onto the request columns', async () => {
+  const assessment = await assessRisk(consignment({ kantaParchiImage: null }));
+  const fields = riskFields(assessment);
+
+  assert.equal(fields.riskScore, 15);
+  assert.equal(fields.riskLevel, RISK_LEVEL.LOW);
+  assert.deepEqual(fields.riskRules, assessment.rules);
+  assert.ok(fields.riskAssessedAt instanceof Date);
+});
+
+test('only pending requests within the score and premium limits are auto-approved', async () => {
+  const pending = { id: 'req-1', status: 'PENDING_VERIFICATION', riskScore: 10, premiumAmount: 500 };
+
+  assert.equal(isAutoApprovable(pending), true);
+  assert.equal(isAutoApprovable({ ...pending, riskScore: 15 }), false);
+  assert.equal(isAutoApprovable({ ...pending, riskScore: null }), false);
+  assert.equal(isAutoApprovable({ ...pending, premiumAmount: 500.01 }), false);
+  assert.equal(isAutoApprovable({ ...pending, status: 'APPROVED' }), false);
+
+  assert.equal(await autoApproveIfLowRisk({ ...pending, riskScore: 40 }), null);
+  assert.equal((await autoApproveIfLowRisk(pending)).status, 'APPROVED');
+  assert.deepEqual(approvals.map((call) => call.requestId), ['req-1']);
+  assert.match(approvals[0].notes, /^Auto-approved: risk score 10/);
+});
+
+test('the pending queue sorted by risk lists the riskiest first and unscored requests last', async () => {
+  const pending = (id, riskScore, minutesAgo) => ({
+    id,
+    userId: '916209415125',
+    status: 'PENDING_VERIFICATION',
+    riskScore,
+    createdAt: new Date(NOW.getTime() - minutesAgo * 60 * 1000)
+  });
+  prisma.$reset({
+    insuranceRequest: [
+      pending('low', 15, 50),
+      pending('unscored', null, 40),
+      pending('high', 80, 30),
+      pending('medium', 45, 20),
+      { ...pending('approved', 100, 10), status: 'APPROVED' }
+    ]
+  });
+
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await getPendingRequests({ query: { sort: 'risk' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.data.map((row) => row.id), ['high', 'medium', 'low', 'unscored']);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.SHORTAGE_THRESHOLD_KG;
+
+const { requireSource } = require('./helpers/modules');
+
+const {
+  SHORTAGE_THRESHOLD_KG,
+  evaluateShortage,
+  shortageClaimFields
+} = requireSource('src/services/shortageService');
+
+// 200 quintals of wheat at ₹2,500 a quintal, 20 t on the loading kanta parchi
+function weighed(unloadingWeightKg, overrides = {}) {
+  return { quantity: 200, rate: 2500, loadingWeightKg: 20000, unloadingWeightKg, ...overrides };
+}
+
+test('nothing is assessed until both weights are recorded', () => {
+  assert.equal(evaluateShortage({ quantity: 200, rate: 2500, loadingWeightKg: 20000 }), null);
+  assert.equal(evaluateShortage({ quantity: 200, rate: 2500, unloadingWeightKg: 18000 }), null);
+  assert.deepEqual(shortageClaimFields(null), {});
+});
+
+test('a shortage is eligible only above the 2 t threshold', () => {
+  assert.equal(SHORTAGE_THRESHOLD_KG, 2000);
+
+  const atThreshold = evaluateShortage(weighed(18000));
+  assert.equal(atThreshold.shortageKg, 2000);
+  assert.equal(atThreshold.eligible, false);
+  assert.equal(atThreshold.payableAmount, 0);
+  assert.equal(atThreshold.reason, 'Shortage of 2,000 kg does not exceed the 2,000 kg threshold');
+
+  const above = evaluateShortage(weighed(17999.5));
+  assert.equal(above.shortageKg, 2000.5);
+  assert.equal(above.eligible, true);
+
+  // Overweight at destination is no shortage
+  assert.equal(evaluateShortage(weighed(20500)).shortageKg, 0);
+
+  assert.equal(evaluateShortage(weighed(18500), { thresholdKg: 1000 }).eligible, true);
+});
+
+test('the payable amount values the units short at the request rate, a unit weighing loading weight ÷ quantity', () => {
+  // 100 kg quintals: 2,500 kg short is 25 quintals × ₹2,500
+  const quintals = evaluateShortage(weighed(17500));
+  assert.equal(quintals.unitKg, 100);
+  assert.equal(quintals.shortageUnits, 25);
+  assert.equal(quintals.payableAmount, 62500);
+  assert.equal(quintals.shortagePercent, 12.5);
+  assert.equal(quintals.reason, 'Shortage of 2,500 kg exceeds the 2,000 kg threshold; 25 units of 100 kg × ₹2500.00 = ₹62500.00');
+
+  // The same load declared as 400 bags of 50 kg at ₹1,250 a bag is worth the same
+  const bags = evaluateShortage(weighed(17500, { quantity: 400, rate: 1250 }));
+  assert.equal(bags.unitKg, 50);
+  assert.equal(bags.shortageUnits, 50);
+  assert.equal(bags.payableAmount, 62500);
+
+  // Everything lost is at most the declared value
+  const total = evaluateShortage(weighed(0));
+  assert.equal(total.payableAmount, 500000);
+  assert.equal(total.declaredValue, 500000);
+});
+
+test('an eligible shortage without a rate or quantity is left for the admin to value', () => {
+  const noRate = evaluateShortage(weighed(17000, { rate: null }));
+  assert.equal(noRate.eligible, true);
+  assert.equal(noRate.payableAmount, null);
+  assert.match(noRate.reason, /no rate on the request to value it$/);
+
+  const noQuantity = evaluateShortage(weighed(17000, { quantity: 0 }));
+  assert.equal(noQuantity.unitKg, null);
+  assert.equal(noQuantity.payableAmount, null);
+  assert.match(noQuantity.reason, /no quantity on the request to value it$/);
+});
+
+test('shortageClaimFields saves the outcome with the full calculation', () => {
+  const evaluation = evaluateShortage(weighed(17500));
+
+  assert.deepEqual(shortageClaimFields(evaluation), {
+    shortageEligible: true,
+    assessedAmount: 62500,
+    assessment: evaluation
+  });
+});
@@ -0,0 +1,40 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mockDatabase, requireSource } = require('./helpers/modules');
+
+const prisma = mockDatabase();
+
+// The statistics are raw SQL: record the parameters of every query and answer with one empty row
+let parameters;
+prisma.$state.rawQuery = async (strings, ...values) => {
+  const flatten = (value) => (value && Array.isArray(value.values) ? value.values.flatMap(flatten) : [value]);
+  parameters.push(...values.flatMap(flatten));
+  return [{}];
+};
+
+const { REPORT_TIMEZONE, dateRange } = requireSource('src/services/requestSearch');
+const { resolveRange, getOperationsStats } = requireSource('src/services/statsService');
+
+beforeEach(() => {
+  parameters = [];
+});
+
+test('the statistics count the same India days as the request search', async () => {
+  const stats = await getOperationsStats({ from: '2026-05-01', to: '2026-05-31' });
+  const { gte, lt } = dateRange('2026-05-01', '2026-05-31');
+
+  assert.equal(gte.toISOString(), '2026-04-30T18:30:00.000Z');
+  assert.ok(parameters.includes(gte.toISOString()));
+  assert.ok(parameters.includes(lt.toISOString()));
+  assert.ok(!parameters.includes('2026-05-01T00:00:00.000Z'));
+  assert.deepEqual(stats.range, { from: '2026-05-01', to: '2026-05-31', timezone: REPORT_TIMEZONE });
+});
+
+test('the default range ends today in India', (t) => {
+  // 1 June 20:00 UTC is already 2 June in India
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-06-01T20:00:00Z') });
+
+  assert.deepEqual(resolveRange(), { from: '2026-05-04', to: '2026-06-02' });
+  assert.deepEqual(resolveRange({ from: '2026-05-01T10:00:00Z', to: '2026-05-02' }), { from: '2026-05-01', to: '2026-05-02' });
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Rates, company state and its towns are read when the module loads
+Object.assign(process.env, {
+  GST_CGST_RATE: '0.09',
+  GST_SGST_RATE: '0.09',
+  GST_IGST_RATE: '0.18',
+  INVOICE_COMPANY_STATE: 'Karnataka',
+  GST_COMPANY_STATE_PLACES: 'Bengaluru, Hubballi'
+});
+
+const { requireSource } = require('./helpers/modules');
+
+const { resolveState, calculateGst, gstFields, getPayableAmount } = requireSource('src/services/taxService');
+
+test('resolveState finds the state in free text, including alternate spellings', () => {
+  assert.equal(resolveState('Hubli, Karnataka'), 'Karnataka');
+  assert.equal(resolveState('GIDC Vapi (GUJARAT)'), 'Gujarat');
+  assert.equal(resolveState('Cuttack, Orissa'), 'Odisha');
+  assert.equal(resolveState('Silvassa, Dadra and Nagar Haveli and Daman and Diu'), 'Dadra and Nagar Haveli and Daman and Diu');
+  assert.equal(resolveState('Srinagar, Jammu & Kashmir'), 'Jammu and Kashmir');
+});
+
+test('resolveState matches whole words only', () => {
+  // "Goa" inside "Goalpara" is not Goa
+  assert.equal(resolveState('Goalpara'), null);
+  assert.equal(resolveState(''), null);
+  assert.equal(resolveState(null), null);
+});
+
+test('towns listed in GST_COMPANY_STATE_PLACES resolve to the company state', () => {
+  assert.equal(resolveState('bengaluru'), 'Karnataka');
+  assert.equal(resolveState(' Hubballi '), 'Karnataka');
+});
+
+test('an intra-state supply is charged CGST and SGST', () => {
+  const gst = calculateGst(1000, 'Mysuru, Karnataka');
+
+  assert.equal(gst.placeOfSupply, 'Karnataka');
+  assert.equal(gst.intraState, true);
+  assert.equal(gst.cgstAmount, 90);
+  assert.equal(gst.sgstAmount, 90);
+  assert.equal(gst.igstAmount, null);
+  assert.equal(gst.taxAmount, 180);
+  assert.equal(gst.totalAmount, 1180);
+});
+
+test('an inter-state supply is charged IGST', () => {
+  const gst = calculateGst(1000, 'Patna, Bihar');
+
+  assert.equal(gst.placeOfSupply, 'Bihar');
+  assert.equal(gst.intraState, false);
+  assert.equal(gst.cgstAmount, null);
+  assert.equal(gst.sgstAmount, null);
+  assert.equal(gst.igstRate, 0.18);
+  assert.equal(gst.igstAmount, 180);
+  assert.equal(gst.totalAmount, 1180);
+});
+
+test('an unknown or missing place of supply is charged IGST', () => {
+  assert.equal(calculateGst(100, 'Somewhere').igstAmount, 18);
+  assert.equal(calculateGst(100).placeOfSupply, null);
+  assert.equal(calculateGst(100).totalAmount, 118);
+});
+
+test('amounts are rounded to the paisa and the total adds up', () => {
+  const intra = calculateGst(333.33, 'Karnataka');
+  assert.equal(intra.cgstAmount, 30);
+  assert.equal(intra.sgstAmount, 30);
+  assert.equal(intra.totalAmount, 393.33);
+
+  const inter = calculateGst('1234.56', 'Kerala');
+  assert.equal(inter.igstAmount, 222.22);
+  assert.equal(inter.totalAmount, 1456.78);
+});
+
+test('gstFields maps a result to the request columns', () => {
+  assert.deepEqual(gstFields(calculateGst(100, 'Karnataka')), {
+    placeOfSupply: 'Karnataka',
+    cgstRate: 0.09,
+    cgstAmount: 9,
+    sgstRate: 0.09,
+    sgstAmount: 9,
+    igstRate: null,
+    igstAmount: null,
+    totalAmount: 118
+  });
+});
+
+test('the payable amount is the GST total, or the premium for requests invoiced before GST', () => {
+  assert.equal(getPayableAmount({ premiumAmount: '100.00', totalAmount: '118.00' }), 118);
+  assert.equal(getPayableAmount({ premiumAmount: '100.00', totalAmount: null }), 100);
+  assert.equal(getPayableAmount({ premiumAmount: null, totalAmount: null }), 0);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { requireSource } = require('./helpers/modules');
+
+const { parseVehicleNumber, normalizeVehicleNumber, vehicleNumberError } = requireSource('src/services/vehicleNumber');
+
+test('standard numbers are upper-cased, compacted and padded', () => {
+  assert.equal(normalizeVehicleNumber('KA 01 AB 1234'), 'KA01AB1234');
+  assert.equal(normalizeVehicleNumber('ka-01-ab-1234'), 'KA01AB1234');
+  assert.equal(normalizeVehicleNumber('KA01AB1234'), 'KA01AB1234');
+  assert.equal(normalizeVehicleNumber(' mh.12/de_5 '), 'MH12DE0005');
+  assert.equal(normalizeVehicleNumber('DL 1C AA 1111'), 'DL01CAA1111');
+  assert.equal(normalizeVehicleNumber('KA 01 AB 12 34'), 'KA01AB1234');
+});
+
+test('a one-digit RTO number is split where the customer separated it', () => {
+  assert.equal(normalizeVehicleNumber('KA 1 1234'), 'KA011234');
+  assert.equal(normalizeVehicleNumber('KA-1-1234'), 'KA011234');
+  assert.equal(normalizeVehicleNumber('GJ 1 2345'), 'GJ012345');
+  assert.equal(normalizeVehicleNumber('KA1AB1234'), 'KA01AB1234');
+  assert.equal(normalizeVehicleNumber('ka-1-ab-5'), 'KA01AB0005');
+});
+
+test('every spelling of the same plate has one canonical form', () => {
+  const spellings = ['KA 1 1234', 'KA 01 1234', 'KA011234', 'KA 011234', 'ka-01-1234'];
+  assert.deepEqual([...new Set(spellings.map(normalizeVehicleNumber))], ['KA011234']);
+});
+
+test('number-only forms whose RTO number cannot be told apart are rejected', () => {
+  // KA 1 1234 or KA 11 234?
+  assert.equal(normalizeVehicleNumber('KA11234'), null);
+  assert.equal(normalizeVehicleNumber('GJ12345'), null);
+  assert.equal(normalizeVehicleNumber('KA1234'), null);
+});
+
+test('Bharat series numbers are recognised', () => {
+  assert.deepEqual(parseVehicleNumber('22 BH 1234 AA'), {
+    type: 'BH',
+    year: '22',
+    number: '1234',
+    series: 'AA',
+    canonical: '22BH1234AA'
+  });
+});
+
+test('parseVehicleNumber returns the parts of a standard number', () => {
+  assert.deepEqual(parseVehicleNumber('up 32 k 7'), {
+    type: 'STANDARD',
+    stateCode: 'UP',
+    rtoCode: '32',
+    series: 'K',
+    number: '0007',
+    canonical: 'UP32K0007'
+  });
+});
+
+test('invalid numbers are rejected', () => {
+  for (const value of ['XX 01 AB 1234', 'KA 00 AB 1234', 'KA 01 AB 0000', 'KA 01 ABCD 1234', 'KA 01 AB 12345', 'KA', '', null, 1234]) {
+    assert.equal(normalizeVehicleNumber(value), null, String(value));
+  }
+});
+
+test('the error message quotes the input and gives examples', () => {
+  assert.equal(
+    vehicleNumberError(' KA 1 '),
+    '"KA 1" is not a valid vehicle number. Please send the number on the truck\'s number plate, e.g. KA01AB1234 or 22BH1234AA.'
+  );
+});
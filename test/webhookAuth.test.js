@@ -0,0 +1,146 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+
+const { requireSource } = require('./helpers/modules');
+const { startApp } = require('./helpers/http');
+
+const MODULE = path.join(__dirname, '../src/middleware/webhookAuth.js');
+const ENV_KEYS = ['WEBHOOK_AUTH_DISABLED', 'NODE_ENV', 'TEST_WEBHOOK_SECRET', 'TEST_WEBHOOK_SECRET_PREVIOUS'];
+const originalEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+function setEnv(env) {
+  ENV_KEYS.forEach((key) => {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  });
+}
+
+let app;
+
+// WEBHOOK_AUTH_DISABLED is read when the module loads, so load it again for each environment
+async function serve(env) {
+  setEnv(env);
+  delete require.cache[MODULE];
+  const { verifyWebhook } = requireSource('src/middleware/webhookAuth');
+
+  const router = express.Router();
+  router.post('/hook', verifyWebhook('test'), (req, res) => res.json({ success: true, body: req.body }));
+  router.get('/hook', verifyWebhook('test'), (req, res) => res.json({ success: true }));
+  app = await startApp('/api', router);
+  return app.url;
+}
+
+function post(url, body, headers = {}) {
+  return fetch(`${url}/hook`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body
+  });
+}
+
+afterEach(async () => {
+  if (app) await app.close();
+  app = null;
+  setEnv(originalEnv);
+});
+
+test('rejects every call when no secret is configured, whatever NODE_ENV is', async () => {
+  for (const NODE_ENV of [undefined, 'development', 'production']) {
+    const url = await serve({ NODE_ENV });
+    const res = await post(url, '{}', { 'x-webhook-token': 'anything' });
+    assert.equal(res.status, 401, `NODE_ENV=${NODE_ENV}`);
+    assert.equal((await res.json()).message, 'Webhook authentication is not configured');
+    await app.close();
+    app = null;
+  }
+});
+
+test('WEBHOOK_AUTH_DISABLED=true lets calls through without credentials', async () => {
+  const url = await serve({ WEBHOOK_AUTH_DISABLED: 'true' });
+  const res = await post(url, '{"a":1}');
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).body, { a: 1 });
+});
+
+test('WEBHOOK_AUTH_DISABLED only disables the check when exactly "true"', async () => {
+  const url = await serve({ WEBHOOK_AUTH_DISABLED: '1' });
+  assert.equal((await post(url, '{}')).status, 401);
+});
+
+test('requires a signature or token when a secret is configured', async () => {
+  const url = await serve({ TEST_WEBHOOK_SECRET: 'current' });
+  const res = await post(url, '{}');
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).message, 'Missing webhook signature or token');
+});
+
+test('accepts the current and the previous token, in either header', async () => {
+  const url = await serve({ TEST_WEBHOOK_SECRET: 'current', TEST_WEBHOOK_SECRET_PREVIOUS: 'previous' });
+
+  assert.equal((await post(url, '{}', { 'x-webhook-token': 'current' })).status, 200);
+  assert.equal((await post(url, '{}', { 'x-webhook-token': 'previous' })).status, 200);
+  assert.equal((await post(url, '{}', { authorization: 'Bearer current' })).status, 200);
+  assert.equal((await post(url, '{}', { 'x-webhook-token': 'other' })).status, 401);
+  assert.equal((await post(url, '{}', { authorization: 'Basic current' })).status, 401);
+});
+
+test('accepts an HMAC of the exact raw body, with or without the sha256= prefix', async () => {
+  const url = await serve({ TEST_WEBHOOK_SECRET: 'current' });
+  const { computeWebhookSignature } = requireSource('src/middleware/webhookAuth');
+  const body = '{"userId":"916209415125","quantity":100}';
+  const signature = computeWebhookSignature(Buffer.from(body), 'current');
+
+  assert.equal((await post(url, body, { 'x-webhook-signature': signature })).status, 200);
+  assert.equal((await post(url, body, { 'x-webhook-signature': `sha256=${signature.toUpperCase()}` })).status, 200);
+  // Same JSON, different bytes
+  assert.equal((await post(url, `${body} `, { 'x-webhook-signature': signature })).status, 401);
+  assert.equal((await post(url, body, { 'x-webhook-signature': computeWebhookSignature(Buffer.from(body), 'wrong') })).status, 401);
+});
+
+test('a signature is refused on requests without a JSON or form body, the token is required there', async () => {
+  const url = await serve({ TEST_WEBHOOK_SECRET: 'current' });
+  const { computeWebhookSignature } = requireSource('src/middleware/webhookAuth');
+  const emptySignature = computeWebhookSignature(Buffer.alloc(0), 'current');
+
+  const signedGet = await fetch(`${url}/hook`, { headers: { 'x-webhook-signature': emptySignature } });
+  assert.equal(signedGet.status, 401);
+  assert.match((await signedGet.json()).message, /X-Webhook-Token/);
+
+  const form = () => {
+    const data = new FormData();
+    data.append('userId', '916209415125');
+    data.append('image', new Blob([Buffer.from('not really a jpeg')]), 'slip.jpg');
+    return data;
+  };
+  const signedUpload = await fetch(`${url}/hook`, { method: 'POST', headers: { 'x-webhook-signature': emptySignature }, body: form() });
+  assert.equal(signedUpload.status, 401);
+
+  assert.equal((await fetch(`${url}/hook`, { headers: { 'x-webhook-token': 'current' } })).status, 200);
+  assert.equal((await fetch(`${url}/hook`, { method: 'POST', headers: { 'x-webhook-token': 'current' }, body: form() })).status, 200);
+});
+
+test('redactWebhookHeaders masks every credential header and keeps the rest', () => {
+  const { redactWebhookHeaders } = requireSource('src/middleware/webhookAuth');
+  const headers = {
+    'content-type': 'application/json',
+    'user-agent': 'Chatrace',
+    'x-webhook-token': 'current',
+    'x-webhook-signature': 'abc123',
+    authorization: 'Bearer current',
+    cookie: 'session=1'
+  };
+
+  const redacted = redactWebhookHeaders(headers);
+
+  assert.deepEqual(redacted, {
+    'content-type': 'application/json',
+    'user-agent': 'Chatrace',
+    'x-webhook-token': '[redacted]',
+    'x-webhook-signature': '[redacted]',
+    authorization: '[redacted]',
+    cookie: '[redacted]'
+  });
+  assert.equal(headers['x-webhook-token'], 'current');
+});